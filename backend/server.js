@@ -1,114 +1,45 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const { chromium } = require('playwright');
-const AxeBuilder = require('@axe-core/playwright').default;
 const { createHtmlReport } = require('axe-html-reporter');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
-const ScreenshotCapture = require('./utils/screenshotUtils');
+const multer = require('multer');
 const ReportGenerator = require('./utils/reportGenerator');
 const PDFGenerator = require('./utils/pdfGenerator');
-
-// Helper functions for CI/CD report formats
-function generateJUnitReport(results, url, wcagLevel) {
-  const testSuites = [{
-    name: 'Accessibility Tests',
-    tests: results.violations.length + results.passes.length,
-    failures: results.violations.length,
-    time: 0,
-    testcases: [
-      ...results.violations.map(violation => ({
-        classname: 'accessibility.violations',
-        name: `${violation.id} - ${violation.description}`,
-        time: 0,
-        failure: {
-          message: `${violation.impact} violation: ${violation.description}`,
-          type: 'AssertionError',
-          text: `Violation found on ${violation.nodes.length} element(s). Help: ${violation.helpUrl}`
-        }
-      })),
-      ...results.passes.map(pass => ({
-        classname: 'accessibility.passes',
-        name: `${pass.id} - ${pass.description}`,
-        time: 0
-      }))
-    ]
-  }];
-
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<testsuites name="Accessibility Tests" tests="${testSuites[0].tests}" failures="${testSuites[0].failures}" time="0">
-  <testsuite name="${testSuites[0].name}" tests="${testSuites[0].tests}" failures="${testSuites[0].failures}" time="0">
-    ${testSuites[0].testcases.map(tc => `
-    <testcase classname="${tc.classname}" name="${tc.name}" time="${tc.time}">
-      ${tc.failure ? `<failure message="${escapeXml(tc.failure.message)}" type="${tc.failure.type}">${escapeXml(tc.failure.text)}</failure>` : ''}
-    </testcase>`).join('')}
-  </testsuite>
-</testsuites>`;
-
-  return xml;
-}
-
-function generateSARIFReport(results, url, wcagLevel) {
-  return {
-    version: "2.1.0",
-    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
-    runs: [{
-      tool: {
-        driver: {
-          name: "axe-core",
-          version: "4.10.0",
-          informationUri: "https://www.deque.com/axe/",
-          rules: results.violations.map(violation => ({
-            id: violation.id,
-            shortDescription: { text: violation.description },
-            fullDescription: { text: violation.help },
-            helpUri: violation.helpUrl,
-            properties: {
-              tags: violation.tags,
-              impact: violation.impact
-            }
-          }))
-        }
-      },
-      results: results.violations.flatMap(violation => 
-        violation.nodes.map(node => ({
-          ruleId: violation.id,
-          message: { text: violation.description },
-          level: mapImpactToLevel(violation.impact),
-          locations: [{
-            physicalLocation: {
-              artifactLocation: { uri: url },
-              region: {
-                snippet: { text: node.html }
-              }
-            }
-          }]
-        }))
-      )
-    }]
-  };
-}
-
-function mapImpactToLevel(impact) {
-  const mapping = {
-    critical: 'error',
-    serious: 'error', 
-    moderate: 'warning',
-    minor: 'note'
-  };
-  return mapping[impact] || 'warning';
-}
-
-function escapeXml(text) {
-  return String(text)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
-}
+const { createStorage, FINISHED_BATCH_STATUSES } = require('./utils/storage');
+const AuthSession = require('./utils/authSession');
+const {
+  generateJUnitReport,
+  generateSARIFReport,
+  generateSectionedJUnitReport,
+  generateSectionedSARIFReport
+} = require('./utils/ciReports');
+const { parseFlow, runFlowInEngines, mergeCheckpointResults } = require('./utils/userFlow');
+const SiteCrawler = require('./utils/siteCrawler');
+const { resolveCrawlLimits } = SiteCrawler;
+const { loadSitemapUrls, validateSitemapOptions } = require('./utils/sitemapLoader');
+const { resolveDeviceProfiles } = require('./utils/deviceProfiles');
+const { resolveMediaVariants } = require('./utils/mediaVariants');
+const { resolveBrowsers } = require('./utils/browserEngines');
+const BrowserPool = require('./utils/browserPool');
+const { resolveTimeout } = BrowserPool;
+const BatchController = require('./utils/batchControl');
+const { withRetries, resolveRetries } = BatchController;
+const batchEvents = require('./utils/batchEvents');
+const { WebhookDispatcher, validateWebhook, publicWebhook } = require('./utils/webhooks');
+const { ScanScheduler, validateSchedule } = require('./utils/scheduler');
+const { nextRun } = require('./utils/cronSchedule');
+const UploadedSite = require('./utils/uploadedSite');
+const { scanUrl, scanSummary, scanScreenshots, scanAudits } = require('./utils/scanner');
+const { resolveAudits } = require('./utils/pageAudits');
+const { resolveRuleConfig } = require('./utils/ruleConfig');
+const { resolveScope } = require('./utils/scanScope');
+const { scanFindings, createBaseline, resolveKnownIssues, knownIssuesSummary } = require('./utils/baseline');
+const { diffResults, generateDiffMarkdown } = require('./utils/resultDiff');
+const { resolveThresholds, evaluateThresholds } = require('./utils/thresholds');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -120,8 +51,80 @@ app.use(express.json());
 // Serve static reports and screenshots
 app.use('/reports', express.static(path.join(__dirname, '../reports')));
 
-// In-memory storage for test results (in production, use a database)
-const testResults = new Map();
+// Persistent storage for test results and batch progress (SQLite by default)
+const storage = createStorage(process.env.STORAGE_DRIVER, {
+  filename: process.env.STORAGE_PATH
+});
+
+// Browsers shared by every request, with a limit on concurrent scans
+const browserPool = new BrowserPool({
+  concurrency: parseInt(process.env.SCAN_CONCURRENCY) || 2,
+  timeout: parseInt(process.env.SCAN_TIMEOUT_MS) || 120000,
+  maxContextsPerBrowser: parseInt(process.env.BROWSER_RECYCLE_AFTER) || 50,
+  minFreeMemoryMB: parseInt(process.env.SCAN_MIN_FREE_MEMORY_MB) || 256
+});
+
+// Signed notifications to registered webhooks, with retries and a delivery log
+const webhooks = new WebhookDispatcher(storage, {
+  retries: process.env.WEBHOOK_RETRIES,
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+});
+
+// Scans run on a cron schedule through the batch pipeline
+const scheduler = new ScanScheduler(storage, startScheduledRun, {
+  onRunFinished: (schedule, run) => {
+    if (run.breaches.length > 0) {
+      webhooks.notify('threshold.breached', {
+        run: 'schedule',
+        scheduleId: schedule.id,
+        name: schedule.name,
+        batchId: run.batchId,
+        timestamp: run.finishedAt,
+        success: run.passed,
+        breaches: run.breaches
+      });
+    }
+  }
+});
+
+// Uploaded HTML files and zipped sites, kept in a temporary file until extracted
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: (parseInt(process.env.UPLOAD_MAX_MB) || 50) * 1024 * 1024, files: 1 }
+});
+
+// Batches started by this process: batchId -> { batchProgress, options, controller }
+const batchJobs = new Map();
+const MAX_BATCH_JOBS = 100;
+
+// Persist batch progress without interrupting the batch worker on failure,
+// and let progress stream subscribers know
+async function persistBatch(batchProgress) {
+  try {
+    await storage.saveBatch(batchProgress);
+  } catch (error) {
+    console.error(`Failed to persist batch ${batchProgress.batchId}:`, error.message);
+  }
+
+  const { batchId } = batchProgress;
+  if (FINISHED_BATCH_STATUSES.includes(batchProgress.status)) {
+    batchEvents.publish(batchId, 'done', batchProgress);
+    webhooks.notify('batch.completed', JSON.parse(JSON.stringify(batchProgress)));
+  } else {
+    batchEvents.publish(batchId, 'progress', batchEvents.progressEvent(batchProgress));
+  }
+}
+
+/**
+ * Send CI completion webhooks, and threshold.breached when any URL broke a threshold
+ */
+function notifyCiRun(run, data, breaches) {
+  const timestamp = new Date().toISOString();
+  webhooks.notify('ci.completed', { run, timestamp, ...data });
+  if (breaches.length > 0) {
+    webhooks.notify('threshold.breached', { run, timestamp, success: data.success, breaches });
+  }
+}
 
 // Test website accessibility
 app.post('/api/test-website', async (req, res) => {
@@ -129,61 +132,90 @@ app.post('/api/test-website', async (req, res) => {
     url, 
     testId = uuidv4(),
     wcagLevel = ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa'],
-    includeScreenshots = true
+    includeScreenshots = true,
+    devices,
+    variants,
+    browsers,
+    customRules,
+    include,
+    exclude,
+    audits,
+    baseline,
+    suppressions,
+    timeout,
+    auth
   } = req.body;
   
   if (!url) {
     return res.status(400).json({ error: 'URL is required' });
   }
 
+  const authError = AuthSession.validate(auth);
+  if (authError) {
+    return res.status(400).json({ error: authError });
+  }
+
+  let profiles;
+  let mediaVariants;
+  let engineNames;
+  let ruleConfig;
+  let scope;
+  let knownIssues;
+  let auditNames;
+  let urlTimeout;
   try {
-    const browser = await chromium.launch();
-    const context = await browser.newContext();
-    const page = await context.newPage();
-    
-    await page.goto(url, { waitUntil: 'networkidle' });
-    
-    // Run axe accessibility tests
-    const axeBuilder = new AxeBuilder({ page })
-      .withTags(wcagLevel);
-    
-    const results = await axeBuilder.analyze();
-    
-    // Capture screenshots if enabled and there are violations
-    let screenshotData = null;
-    if (includeScreenshots && results.violations.length > 0) {
-      try {
-        const screenshotCapture = new ScreenshotCapture(page);
-        screenshotData = await screenshotCapture.captureViolationScreenshots(
-          results, 
-          testId, 
-          path.join(__dirname, '../reports')
-        );
-        console.log(`Captured ${screenshotData.violationScreenshots.length} violation screenshots`);
-      } catch (error) {
-        console.error('Failed to capture screenshots:', error);
-      }
-    }
-    
-    await browser.close();
+    profiles = resolveDeviceProfiles(devices);
+    mediaVariants = resolveMediaVariants(variants);
+    engineNames = resolveBrowsers(browsers);
+    ruleConfig = resolveRuleConfig(customRules);
+    scope = resolveScope(include, exclude);
+    knownIssues = resolveKnownIssues(baseline, suppressions);
+    auditNames = resolveAudits(audits);
+    urlTimeout = resolveTimeout(timeout);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const authSession = new AuthSession(auth, { baseUrl: url });
+
+    // Run axe accessibility tests (once per browser engine and device profile)
+    const scan = await browserPool.run(engineNames, engines => scanUrl(engines, authSession, url, {
+      wcagLevel,
+      ruleConfig,
+      scope,
+      knownIssues,
+      audits: auditNames,
+      profiles,
+      variants: mediaVariants,
+      includeScreenshots,
+      testId,
+      screenshotDir: path.join(__dirname, '../reports')
+    }), { timeout: urlTimeout });
+    const { results, screenshotData } = scan;
 
     // Generate enhanced HTML report with screenshots
     const reportPath = path.join(__dirname, '../reports', `${testId}.html`);
     
-    const finalHtmlReport = await ReportGenerator.generateEnhancedReport(
-      results,
-      screenshotData,
+    const finalHtmlReport = await ReportGenerator.generateScanReport(
+      scan,
       {
         projectKey: 'Accessibility Test',
         outputDir: path.dirname(reportPath),
         reportFileName: path.basename(reportPath),
         wcagLevel: wcagLevel, // Pass WCAG level for rules section
+        ruleConfig,
+        expiredSuppressions: knownIssues?.expiredSuppressions,
         customSummary: `
           <div class="custom-summary">
             <h3>Test Summary</h3>
             <p><strong>URL:</strong> ${url}</p>
             <p><strong>WCAG Standards:</strong> ${wcagLevel.join(', ')}</p>
+            ${ReportGenerator.generateScopeSummary(scope)}
             <p><strong>Test Date:</strong> ${new Date().toLocaleString()}</p>
+            ${engineNames ? `<p><strong>Browsers:</strong> ${engineNames.join(', ')}</p>` : ''}
+            ${profiles ? `<p><strong>Device Profiles:</strong> ${profiles.map(profile => profile.name).join(', ')}</p>` : ''}
+            ${mediaVariants ? `<p><strong>Media Variants:</strong> ${mediaVariants.map(variant => variant.name).join(', ')}</p>` : ''}
             ${screenshotData ? `<p><strong>Screenshots:</strong> ${screenshotData.violationScreenshots.length} violation screenshots captured</p>` : ''}
           </div>
         `
@@ -200,10 +232,22 @@ app.post('/api/test-website', async (req, res) => {
       passes: results.passes.length,
       incomplete: results.incomplete.length,
       inapplicable: results.inapplicable.length,
+      ...scanSummary(scan),
+      ...knownIssuesSummary(scan.suppressed, knownIssues),
       reportUrl: `http://localhost:${PORT}/reports/${testId}.html`
     };
 
-    testResults.set(testId, { ...summary, fullResults: results });
+    await storage.saveTestResult({
+      ...summary,
+      wcagLevel,
+      ruleConfig,
+      scope,
+      fullResults: results,
+      findings: scanFindings(results, url, scan.suppressed),
+      screenshots: scanScreenshots(scan),
+      audits: scanAudits(scan)
+    });
+    webhooks.notify('test.completed', summary);
 
     res.json(summary);
   } catch (error) {
@@ -212,41 +256,487 @@ app.post('/api/test-website', async (req, res) => {
   }
 });
 
+// Scan options flows cannot honour: a flow runs in one default context per
+// browser, and page audits would resize, restyle and refocus the page mid-flow
+const UNSUPPORTED_FLOW_OPTIONS = ['devices', 'variants', 'audits'];
+
+function unsupportedFlowOption(body) {
+  const option = UNSUPPORTED_FLOW_OPTIONS.find(name => body[name] !== undefined && body[name] !== null);
+  return option ? `${option} is not supported for user flows` : null;
+}
+
+// Test a scripted multi-step user flow, scanning at every checkpoint
+app.post('/api/test-flow', async (req, res) => {
+  const {
+    flow: flowSource,
+    testId = uuidv4(),
+    wcagLevel = ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa'],
+    includeScreenshots = true,
+    browsers,
+    customRules,
+    include,
+    exclude,
+    baseline,
+    suppressions,
+    timeout,
+    auth
+  } = req.body;
+
+  const unsupported = unsupportedFlowOption(req.body);
+  if (unsupported) {
+    return res.status(400).json({ error: unsupported });
+  }
+
+  let flow;
+  let engineNames;
+  let ruleConfig;
+  let scope;
+  let knownIssues;
+  let stepTimeout;
+  try {
+    flow = parseFlow(flowSource);
+    engineNames = resolveBrowsers(browsers);
+    ruleConfig = resolveRuleConfig(customRules);
+    scope = resolveScope(include, exclude);
+    knownIssues = resolveKnownIssues(baseline, suppressions);
+    stepTimeout = resolveTimeout(timeout);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const authError = AuthSession.validate(auth);
+  if (authError) {
+    return res.status(400).json({ error: authError });
+  }
+
+  try {
+    const authSession = new AuthSession(auth, { baseUrl: flow.url });
+
+    // `timeout` limits each flow step, so the whole flow is not limited
+    const { checkpoints, engineComparison } = await browserPool.run(engineNames, engines => runFlowInEngines(engines, authSession, flow, {
+      wcagLevel,
+      ruleConfig,
+      scope,
+      knownIssues,
+      testId,
+      includeScreenshots,
+      screenshotDir: path.join(__dirname, '../reports'),
+      ...(stepTimeout ? { timeout: stepTimeout } : {})
+    }), { timeout: 0 });
+
+    const reportPath = path.join(__dirname, '../reports', `${testId}.html`);
+    const finalHtmlReport = await ReportGenerator.generateFlowReport(checkpoints, {
+      projectKey: 'User Flow Accessibility Test',
+      outputDir: path.dirname(reportPath),
+      reportFileName: path.basename(reportPath),
+      wcagLevel,
+      ruleConfig,
+      expiredSuppressions: knownIssues?.expiredSuppressions,
+      flowName: flow.name,
+      engineComparison,
+      customSummary: `
+        <div class="custom-summary">
+          <h3>Test Summary</h3>
+          <p><strong>Flow:</strong> ${flow.name}</p>
+          <p><strong>Start URL:</strong> ${flow.url}</p>
+          <p><strong>WCAG Standards:</strong> ${wcagLevel.join(', ')}</p>
+          ${ReportGenerator.generateScopeSummary(scope)}
+          <p><strong>Test Date:</strong> ${new Date().toLocaleString()}</p>
+          ${engineNames ? `<p><strong>Browsers:</strong> ${engineNames.join(', ')}</p>` : ''}
+          <p><strong>Checkpoints:</strong> ${checkpoints.length}</p>
+        </div>
+      `
+    });
+
+    await fs.writeFile(reportPath, finalHtmlReport);
+
+    const mergedResults = mergeCheckpointResults(checkpoints);
+    const summary = {
+      url: flow.url,
+      testId,
+      type: 'flow',
+      flowName: flow.name,
+      timestamp: new Date().toISOString(),
+      violations: mergedResults.violations.length,
+      passes: mergedResults.passes.length,
+      incomplete: mergedResults.incomplete.length,
+      inapplicable: mergedResults.inapplicable.length,
+      checkpoints: checkpoints.map(checkpoint => ({
+        label: checkpoint.label,
+        ...(checkpoint.browser ? { browser: checkpoint.browser } : {}),
+        url: checkpoint.url,
+        violations: checkpoint.results.violations.length,
+        passes: checkpoint.results.passes.length,
+        incomplete: checkpoint.results.incomplete.length
+      })),
+      ...(engineComparison ? { engineSpecificViolations: engineComparison } : {}),
+      ...knownIssuesSummary(checkpoints.flatMap(checkpoint => checkpoint.suppressed), knownIssues),
+      reportUrl: `http://localhost:${PORT}/reports/${testId}.html`
+    };
+
+    await storage.saveTestResult({
+      ...summary,
+      wcagLevel,
+      ruleConfig,
+      scope,
+      fullResults: mergedResults,
+      findings: checkpoints.flatMap(checkpoint => scanFindings(checkpoint.results, checkpoint.url, checkpoint.suppressed)),
+      screenshots: checkpoints
+        .filter(checkpoint => checkpoint.screenshotData)
+        .map(checkpoint => ({ label: checkpoint.label, ...checkpoint.screenshotData }))
+    });
+    webhooks.notify('test.completed', summary);
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error testing user flow:', error);
+    res.status(500).json({ error: 'Failed to test user flow', details: error.message });
+  }
+});
+
 // Get test results
-app.get('/api/test-results/:testId', (req, res) => {
+app.get('/api/test-results/:testId', async (req, res) => {
   const { testId } = req.params;
-  const result = testResults.get(testId);
-  
-  if (!result) {
-    return res.status(404).json({ error: 'Test result not found' });
+
+  try {
+    const result = await storage.getTestResult(testId);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Test result not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error loading test result:', error);
+    res.status(500).json({ error: 'Failed to load test result' });
+  }
+});
+
+// Record a baseline of the violations found by a test
+app.get('/api/test-results/:testId/baseline', async (req, res) => {
+  const { testId } = req.params;
+
+  try {
+    const result = await storage.getTestResult(testId);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Test result not found' });
+    }
+
+    res.json(createBaseline(result.findings || scanFindings(result.fullResults, result.url)));
+  } catch (error) {
+    console.error('Error creating baseline:', error);
+    res.status(500).json({ error: 'Failed to create baseline' });
+  }
+});
+
+/**
+ * Load one side of a comparison: a stored test ID or an uploaded result object
+ */
+async function loadComparisonResult(value, name) {
+  if (typeof value === 'string') {
+    const result = await storage.getTestResult(value);
+    if (!result) {
+      return { status: 404, error: `Test result ${value} not found` };
+    }
+    return { result };
+  }
+  if (value && typeof value === 'object') {
+    return { result: value };
+  }
+  return { status: 400, error: `${name} must be a test ID or a result object` };
+}
+
+// Compare two test results: which violations are new, fixed or unchanged
+app.post('/api/compare', async (req, res) => {
+  const { before, after, format = 'json' } = req.body; // format: 'json', 'html', 'markdown'
+
+  if (!['json', 'html', 'markdown'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json, html or markdown' });
+  }
+
+  try {
+    const [beforeSide, afterSide] = [
+      await loadComparisonResult(before, 'before'),
+      await loadComparisonResult(after, 'after')
+    ];
+    const failed = [beforeSide, afterSide].find(side => side.error);
+    if (failed) {
+      return res.status(failed.status).json({ error: failed.error });
+    }
+
+    let diff;
+    try {
+      diff = diffResults(beforeSide.result, afterSide.result);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html');
+      return res.send(ReportGenerator.generateDiffReport(diff));
+    } else if (format === 'markdown') {
+      res.setHeader('Content-Type', 'text/markdown');
+      return res.send(generateDiffMarkdown(diff));
+    }
+
+    res.json(diff);
+  } catch (error) {
+    console.error('Error comparing test results:', error);
+    res.status(500).json({ error: 'Failed to compare test results' });
   }
-  
-  res.json(result);
 });
 
 // List all test results
-app.get('/api/test-results', (req, res) => {
-  const results = Array.from(testResults.values()).map(({ fullResults, ...summary }) => summary);
-  res.json(results);
+app.get('/api/test-results', async (req, res) => {
+  try {
+    const results = await storage.listTestResults();
+    res.json(results);
+  } catch (error) {
+    console.error('Error listing test results:', error);
+    res.status(500).json({ error: 'Failed to list test results' });
+  }
 });
 
-// Batch test multiple URLs with progress tracking
-app.post('/api/batch-test', async (req, res) => {
-  const { 
-    urls,
-    wcagLevel = ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa'],
-    includeScreenshots = true
-  } = req.body;
-  
-  if (!Array.isArray(urls) || urls.length === 0) {
-    return res.status(400).json({ error: 'URLs array is required' });
+/**
+ * Resolve the URLs of a multi-URL request from either `urls` or a `sitemap`
+ */
+async function resolveBatchUrls(urls, sitemap) {
+  if (!sitemap) {
+    return Array.isArray(urls) && urls.length > 0
+      ? { urls }
+      : { error: 'URLs array or sitemap is required' };
   }
 
-  const batchId = uuidv4();
+  const sitemapError = validateSitemapOptions(sitemap);
+  if (sitemapError) {
+    return { error: sitemapError };
+  }
+
+  try {
+    const sitemapUrls = await loadSitemapUrls(sitemap);
+    return sitemapUrls.length > 0
+      ? { urls: sitemapUrls }
+      : { error: 'Sitemap did not contain any matching URLs' };
+  } catch (error) {
+    return { error: `Failed to load sitemap: ${error.message}` };
+  }
+}
+
+/**
+ * Test a list of URLs in the background, recording progress on the batch.
+ * URLs are tested concurrently, as far as the browser pool allows.
+ */
+async function processBatch(batchProgress, urls, { wcagLevel, ruleConfig, scope, knownIssues, audits, includeScreenshots, profiles, variants, engineNames, auth, timeout, retries }, controller) {
+  const { batchId } = batchProgress;
   
-  // Initialize batch progress tracking
+  try {
+    // One session (and login) shared by every URL in the batch
+    const authSession = new AuthSession(auth, { baseUrl: urls[0] });
+    
+    await Promise.all(urls.map(async (url, i) => {
+      let attempts = 0;
+      try {
+        const testId = `${batchId}_${uuidv4()}`;
+        const scan = await withRetries(async attempt => {
+          // Paused batches hold URLs back until resumed, cancelled ones skip them
+          while (await controller.ready()) {
+            const result = await browserPool.run(engineNames, async engines => {
+              if (!controller.runnable) {
+                return null;
+              }
+              attempts = attempt + 1;
+              console.log(`Testing URL ${i + 1}/${urls.length}: ${url}${attempt > 0 ? ` (attempt ${attempts})` : ''}`);
+              batchEvents.publish(batchId, 'url-start', { url, index: i, attempt: attempts });
+
+              // Update progress
+              batchProgress.status = `Testing ${url}`;
+              await persistBatch(batchProgress);
+
+              return scanUrl(engines, authSession, url, {
+                wcagLevel,
+                ruleConfig,
+                scope,
+                knownIssues,
+                audits,
+                profiles,
+                variants,
+                includeScreenshots,
+                testId,
+                screenshotDir: path.join(__dirname, '../reports'),
+                timeout: 30000 // 30 second page load timeout
+              });
+            }, { timeout });
+            if (result) {
+              return result;
+            }
+          }
+          return null;
+        }, {
+          retries,
+          onRetry: (error, attempt, wait) => {
+            console.log(`🔁 Retrying ${url} in ${wait}ms after network error: ${error.message}`);
+            batchEvents.publish(batchId, 'url-retry', { url, attempt: attempt + 1, delay: wait, error: error.message });
+          }
+        });
+
+        if (!scan) {
+          console.log(`⏹️ Skipped ${url}, batch was cancelled`);
+          batchEvents.publish(batchId, 'url-skipped', { url });
+          return;
+        }
+        const { results, screenshotData } = scan;
+
+        const reportPath = path.join(__dirname, '../reports', `${testId}.html`);
+        
+        const finalHtmlReport = await ReportGenerator.generateScanReport(
+          scan,
+          {
+            projectKey: 'Batch Accessibility Test',
+            outputDir: path.dirname(reportPath),
+            reportFileName: path.basename(reportPath),
+            wcagLevel: wcagLevel,
+            ruleConfig,
+            expiredSuppressions: knownIssues?.expiredSuppressions,
+            customSummary: `
+              <div class="custom-summary">
+                <h3>Batch Test Summary</h3>
+                <p><strong>URL:</strong> ${url}</p>
+                <p><strong>WCAG Standards:</strong> ${wcagLevel.join(', ')}</p>
+                ${ReportGenerator.generateScopeSummary(scope)}
+                <p><strong>Test Date:</strong> ${new Date().toLocaleString()}</p>
+                <p><strong>Batch ID:</strong> ${batchId}</p>
+                ${engineNames ? `<p><strong>Browsers:</strong> ${engineNames.join(', ')}</p>` : ''}
+                ${profiles ? `<p><strong>Device Profiles:</strong> ${profiles.map(profile => profile.name).join(', ')}</p>` : ''}
+                ${variants ? `<p><strong>Media Variants:</strong> ${variants.map(variant => variant.name).join(', ')}</p>` : ''}
+                ${screenshotData ? `<p><strong>Screenshots:</strong> ${screenshotData.violationScreenshots.length} violation screenshots captured</p>` : ''}
+              </div>
+            `
+          }
+        );
+
+        await fs.writeFile(reportPath, finalHtmlReport);
+
+        const summary = {
+          url,
+          testId,
+          batchId,
+          timestamp: new Date().toISOString(),
+          violations: results.violations.length,
+          passes: results.passes.length,
+          incomplete: results.incomplete.length,
+          inapplicable: results.inapplicable.length,
+          ...scanSummary(scan),
+          ...knownIssuesSummary(scan.suppressed, knownIssues),
+          reportUrl: `http://localhost:${PORT}/reports/${testId}.html`,
+          attempts,
+          status: 'completed'
+        };
+
+        await storage.saveTestResult({
+          ...summary,
+          wcagLevel,
+          ruleConfig,
+          scope,
+          fullResults: results,
+          findings: scanFindings(results, url, scan.suppressed),
+          screenshots: scanScreenshots(scan),
+          audits: scanAudits(scan)
+        });
+        batchProgress.results.push(summary);
+        batchProgress.completedUrls++;
+        batchEvents.publish(batchId, 'url-complete', summary);
+        
+        console.log(`✅ Successfully tested ${url} (${batchProgress.completedUrls}/${batchProgress.totalUrls})`);
+        
+      } catch (error) {
+        console.error(`❌ Error testing ${url}:`, error.message);
+        
+        // Add failed result
+        const failedResult = {
+          url,
+          testId: `${batchId}_failed_${uuidv4()}`,
+          batchId,
+          timestamp: new Date().toISOString(),
+          status: 'failed',
+          error: error.message,
+          attempts,
+          violations: 0,
+          passes: 0,
+          incomplete: 0,
+          inapplicable: 0
+        };
+        
+        batchProgress.results.push(failedResult);
+        batchProgress.failedUrls++;
+        batchProgress.completedUrls++; // Count as completed for progress
+        batchEvents.publish(batchId, 'url-failed', failedResult);
+        
+        console.log(`⚠️ Failed to test ${url}, continuing with next URL...`);
+      }
+      
+      // Update progress status
+      batchProgress.status = batchControlStatus(controller)
+        || `Completed ${batchProgress.completedUrls}/${batchProgress.totalUrls} URLs`;
+      await persistBatch(batchProgress);
+    }));
+    
+  } catch (error) {
+    console.error('Batch test failed:', error);
+    batchProgress.status = 'failed';
+    batchProgress.error = error.message;
+  } finally {
+    // Mark batch as completed
+    if (controller.cancelled) {
+      batchProgress.status = 'cancelled';
+    } else {
+      batchProgress.status = batchProgress.failedUrls === batchProgress.totalUrls ? 'failed' : 'completed';
+    }
+    batchProgress.endTime = new Date().toISOString();
+    await persistBatch(batchProgress);
+    
+    console.log(`🎉 Batch test ${batchProgress.status}: ${batchProgress.completedUrls - batchProgress.failedUrls}/${batchProgress.totalUrls} URLs successful`);
+  }
+}
+
+/**
+ * Batch status while a pause or cancel is in effect, null while running
+ */
+function batchControlStatus(controller) {
+  if (controller.paused) {
+    return 'paused';
+  }
+  return controller.cancelled ? 'cancelling' : null;
+}
+
+/**
+ * Register a batch so it can be paused, resumed, cancelled and retried.
+ * Options (including credentials) are only kept in memory.
+ */
+function startBatchJob(batchProgress, options) {
+  const job = { batchProgress, options, controller: new BatchController() };
+  batchJobs.set(batchProgress.batchId, job);
+
+  // Only the most recent finished batches can be retried
+  for (const [batchId, { batchProgress: progress }] of batchJobs) {
+    if (batchJobs.size <= MAX_BATCH_JOBS) {
+      break;
+    }
+    if (FINISHED_BATCH_STATUSES.includes(progress.status)) {
+      batchJobs.delete(batchId);
+    }
+  }
+  return job;
+}
+
+/**
+ * Start testing a list of URLs as a background batch. Resolves once the batch
+ * is saved; `finished` resolves with the final batch progress.
+ */
+async function startBatch(urls, options, origin = {}) {
   const batchProgress = {
-    batchId,
+    batchId: uuidv4(),
+    ...origin,
     status: 'running',
     totalUrls: urls.length,
     completedUrls: 0,
@@ -254,10 +744,184 @@ app.post('/api/batch-test', async (req, res) => {
     results: [],
     startTime: new Date().toISOString()
   };
+
+  await persistBatch(batchProgress);
+  const job = startBatchJob(batchProgress, options);
+
+  // Process batch in background with proper error handling
+  const finished = new Promise(resolve => setImmediate(() => {
+    processBatch(batchProgress, urls, job.options, job.controller).then(() => resolve(batchProgress));
+  }));
+  return { batchProgress, finished };
+}
+
+/**
+ * Crawl a site from a seed URL in the background, then test the discovered
+ * pages as a batch. Resolves like startBatch().
+ */
+async function startCrawl(url, crawlOptions, options, origin = {}) {
+  const batchProgress = {
+    batchId: uuidv4(),
+    ...origin,
+    status: 'crawling',
+    totalUrls: 0,
+    completedUrls: 0,
+    failedUrls: 0,
+    results: [],
+    crawl: { seedUrl: url, ...crawlOptions, discoveredUrls: [] },
+    startTime: new Date().toISOString()
+  };
+
+  await persistBatch(batchProgress);
+  const job = startBatchJob(batchProgress, options);
+
+  // Crawl, then hand the discovered pages to the regular batch pipeline
+  const finished = new Promise(resolve => setImmediate(async () => {
+    let urls = [];
+
+    try {
+      // Pages are discovered with Chromium; `browsers` only applies to the scans
+      const authSession = new AuthSession(options.auth, { baseUrl: url });
+      urls = await browserPool.run(['chromium'], async ([engine]) => {
+        const context = await authSession.createContext(engine.browser);
+        const crawler = new SiteCrawler(context, crawlOptions);
+        return crawler.crawl(url, (pageUrl, count) => {
+          console.log(`🕷️ Discovered ${pageUrl} (${count}/${crawlOptions.maxPages})`);
+        });
+      }, { timeout: 0 });
+    } catch (error) {
+      console.error('Crawl failed:', error);
+      batchProgress.status = 'failed';
+      batchProgress.error = error.message;
+      batchProgress.endTime = new Date().toISOString();
+      await persistBatch(batchProgress);
+      return resolve(batchProgress);
+    }
+
+    if (urls.length === 0) {
+      batchProgress.status = 'failed';
+      batchProgress.error = 'Crawl did not find any pages to test';
+      batchProgress.endTime = new Date().toISOString();
+      await persistBatch(batchProgress);
+      return resolve(batchProgress);
+    }
+
+    batchProgress.crawl.discoveredUrls = urls;
+    batchProgress.totalUrls = urls.length;
+    batchProgress.status = batchControlStatus(job.controller) || 'running';
+    await persistBatch(batchProgress);
+
+    await processBatch(batchProgress, urls, job.options, job.controller);
+    resolve(batchProgress);
+  }));
+  return { batchProgress, finished };
+}
+
+/**
+ * Start a scheduled scan as a batch (or a crawl)
+ */
+async function startScheduledRun(schedule) {
+  const options = {
+    wcagLevel: schedule.wcagLevel,
+    ruleConfig: resolveRuleConfig(schedule.customRules),
+    scope: resolveScope(schedule.include, schedule.exclude),
+    knownIssues: null,
+    audits: resolveAudits(schedule.audits),
+    includeScreenshots: schedule.includeScreenshots,
+    profiles: resolveDeviceProfiles(schedule.devices),
+    variants: resolveMediaVariants(schedule.variants),
+    engineNames: resolveBrowsers(schedule.browsers),
+    timeout: null,
+    retries: resolveRetries()
+  };
+  const origin = { scheduleId: schedule.id };
+
+  if (schedule.crawl) {
+    const { url, ...crawlOptions } = schedule.crawl;
+    return startCrawl(url, crawlOptions, options, origin);
+  }
+
+  // Sitemaps are read again on every run
+  const { urls, error } = await resolveBatchUrls(schedule.urls, schedule.sitemap);
+  if (error) {
+    throw new Error(error);
+  }
+  return startBatch(urls, options, origin);
+}
+
+/**
+ * Respond for a batch this process has no job for: unknown batch or one
+ * started before a restart
+ */
+async function sendMissingBatchJob(res, batchId, error) {
+  try {
+    const progress = await storage.getBatch(batchId);
+    if (!progress) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.status(409).json({ error });
+  } catch (storageError) {
+    console.error('Error loading batch status:', storageError);
+    res.status(500).json({ error: 'Failed to load batch status' });
+  }
+}
+
+// Batch test multiple URLs with progress tracking
+app.post('/api/batch-test', async (req, res) => {
+  const { 
+    urls: requestedUrls,
+    sitemap,
+    wcagLevel = ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa'],
+    includeScreenshots = true,
+    devices,
+    variants,
+    browsers,
+    customRules,
+    include,
+    exclude,
+    audits,
+    baseline,
+    suppressions,
+    timeout,
+    retries,
+    auth
+  } = req.body;
   
-  // Store batch progress (in production, use database)
-  global.batchProgress = global.batchProgress || new Map();
-  global.batchProgress.set(batchId, batchProgress);
+  const { urls, error: urlsError } = await resolveBatchUrls(requestedUrls, sitemap);
+  if (urlsError) {
+    return res.status(400).json({ error: urlsError });
+  }
+
+  const authError = AuthSession.validate(auth);
+  if (authError) {
+    return res.status(400).json({ error: authError });
+  }
+
+  let profiles;
+  let mediaVariants;
+  let engineNames;
+  let ruleConfig;
+  let scope;
+  let knownIssues;
+  let auditNames;
+  let urlTimeout;
+  let retryCount;
+  try {
+    profiles = resolveDeviceProfiles(devices);
+    mediaVariants = resolveMediaVariants(variants);
+    engineNames = resolveBrowsers(browsers);
+    ruleConfig = resolveRuleConfig(customRules);
+    scope = resolveScope(include, exclude);
+    knownIssues = resolveKnownIssues(baseline, suppressions);
+    auditNames = resolveAudits(audits);
+    urlTimeout = resolveTimeout(timeout);
+    retryCount = resolveRetries(retries);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const { batchProgress } = await startBatch(urls, { wcagLevel, ruleConfig, scope, knownIssues, audits: auditNames, includeScreenshots, profiles, variants: mediaVariants, engineNames, auth, timeout: urlTimeout, retries: retryCount });
+  const { batchId } = batchProgress;
 
   res.json({ 
     batchId, 
@@ -265,170 +929,378 @@ app.post('/api/batch-test', async (req, res) => {
     totalUrls: urls.length,
     statusUrl: `/api/batch-status/${batchId}`
   });
+});
 
-  // Process batch in background with proper error handling
-  setImmediate(async () => {
-    let browser = null;
-    let context = null;
-    
+// Crawl a site from a seed URL and batch test every discovered page
+app.post('/api/crawl', async (req, res) => {
+  const {
+    url,
+    maxDepth = 2,
+    maxPages = 50,
+    include = [],
+    exclude = [],
+    respectRobots = true,
+    wcagLevel = ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa'],
+    includeScreenshots = true,
+    devices,
+    variants,
+    browsers,
+    customRules,
+    includeSelectors,
+    excludeSelectors,
+    audits,
+    baseline,
+    suppressions,
+    timeout,
+    retries,
+    auth
+  } = req.body;
+
+  if (!url) {
+    return res.status(400).json({ error: 'URL is required' });
+  }
+
+  if (!Array.isArray(include) || !Array.isArray(exclude)) {
+    return res.status(400).json({ error: 'include and exclude must be arrays of glob patterns' });
+  }
+
+  const authError = AuthSession.validate(auth);
+  if (authError) {
+    return res.status(400).json({ error: authError });
+  }
+
+  let profiles;
+  let mediaVariants;
+  let engineNames;
+  let ruleConfig;
+  let scope;
+  let knownIssues;
+  let auditNames;
+  let urlTimeout;
+  let retryCount;
+  let limits;
+  try {
+    limits = resolveCrawlLimits(maxDepth, maxPages);
+    profiles = resolveDeviceProfiles(devices);
+    mediaVariants = resolveMediaVariants(variants);
+    engineNames = resolveBrowsers(browsers);
+    ruleConfig = resolveRuleConfig(customRules);
+    scope = resolveScope(includeSelectors, excludeSelectors);
+    knownIssues = resolveKnownIssues(baseline, suppressions);
+    auditNames = resolveAudits(audits);
+    urlTimeout = resolveTimeout(timeout);
+    retryCount = resolveRetries(retries);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const crawlOptions = {
+    ...limits,
+    include,
+    exclude,
+    respectRobots
+  };
+
+  const { batchProgress } = await startCrawl(url, crawlOptions, { wcagLevel, ruleConfig, scope, knownIssues, audits: auditNames, includeScreenshots, profiles, variants: mediaVariants, engineNames, auth, timeout: urlTimeout, retries: retryCount });
+
+  res.json({
+    batchId: batchProgress.batchId,
+    message: 'Crawl started',
+    statusUrl: `/api/batch-status/${batchProgress.batchId}`
+  });
+});
+
+/**
+ * Accept an optional `file` upload, answering 400 for uploads multer rejects
+ * (e.g. over UPLOAD_MAX_MB)
+ */
+function receiveUpload(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: `Upload failed: ${error.message}` });
+    }
+    next();
+  });
+}
+
+/**
+ * Options sent as multipart form fields are strings: decode JSON values and
+ * comma-separated WCAG tags
+ */
+function parseFormFields(fields) {
+  const parsed = { ...fields };
+  for (const [name, value] of Object.entries(fields)) {
+    if (name === 'html' || typeof value !== 'string') {
+      continue;
+    }
     try {
-      browser = await chromium.launch();
-      context = await browser.newContext();
-      
-      for (let i = 0; i < urls.length; i++) {
-        const url = urls[i];
-        let page = null;
-        
-        try {
-          console.log(`Testing URL ${i + 1}/${urls.length}: ${url}`);
-          
-          // Update progress
-          batchProgress.status = `Testing ${url}`;
-          
-          page = await context.newPage();
-          
-          // Set timeout for page operations
-          page.setDefaultTimeout(30000); // 30 second timeout
-          
-          await page.goto(url, { 
-            waitUntil: 'networkidle',
-            timeout: 30000 
-          });
-          
-          const axeBuilder = new AxeBuilder({ page })
-            .withTags(wcagLevel);
-          
-          const results = await axeBuilder.analyze();
-          
-          // Capture screenshots if enabled and there are violations
-          let screenshotData = null;
-          if (includeScreenshots && results.violations.length > 0) {
-            try {
-              const screenshotCapture = new ScreenshotCapture(page);
-              screenshotData = await screenshotCapture.captureViolationScreenshots(
-                results, 
-                `${batchId}_${uuidv4()}`, 
-                path.join(__dirname, '../reports')
-              );
-              console.log(`Captured ${screenshotData.violationScreenshots.length} violation screenshots for ${url}`);
-            } catch (error) {
-              console.warn('Failed to capture screenshots for', url, ':', error.message);
-            }
-          }
-          
-          await page.close();
-          page = null;
-
-          const testId = `${batchId}_${uuidv4()}`;
-          const reportPath = path.join(__dirname, '../reports', `${testId}.html`);
-          
-          const finalHtmlReport = await ReportGenerator.generateEnhancedReport(
-            results,
-            screenshotData,
-            {
-              projectKey: 'Batch Accessibility Test',
-              outputDir: path.dirname(reportPath),
-              reportFileName: path.basename(reportPath),
-              wcagLevel: wcagLevel,
-              customSummary: `
-                <div class="custom-summary">
-                  <h3>Batch Test Summary</h3>
-                  <p><strong>URL:</strong> ${url}</p>
-                  <p><strong>WCAG Standards:</strong> ${wcagLevel.join(', ')}</p>
-                  <p><strong>Test Date:</strong> ${new Date().toLocaleString()}</p>
-                  <p><strong>Batch ID:</strong> ${batchId}</p>
-                  ${screenshotData ? `<p><strong>Screenshots:</strong> ${screenshotData.violationScreenshots.length} violation screenshots captured</p>` : ''}
-                </div>
-              `
-            }
-          );
-
-          await fs.writeFile(reportPath, finalHtmlReport);
-
-          const summary = {
-            url,
-            testId,
-            batchId,
-            timestamp: new Date().toISOString(),
-            violations: results.violations.length,
-            passes: results.passes.length,
-            incomplete: results.incomplete.length,
-            inapplicable: results.inapplicable.length,
-            reportUrl: `http://localhost:${PORT}/reports/${testId}.html`,
-            status: 'completed'
-          };
-
-          testResults.set(testId, { ...summary, fullResults: results });
-          batchProgress.results.push(summary);
-          batchProgress.completedUrls++;
-          
-          console.log(`✅ Successfully tested ${url} (${batchProgress.completedUrls}/${batchProgress.totalUrls})`);
-          
-        } catch (error) {
-          console.error(`❌ Error testing ${url}:`, error.message);
-          
-          // Clean up page if still open
-          if (page) {
-            try { await page.close(); } catch (e) { /* ignore */ }
-          }
-          
-          // Add failed result
-          const failedResult = {
-            url,
-            testId: `${batchId}_failed_${i}`,
-            batchId,
-            timestamp: new Date().toISOString(),
-            status: 'failed',
-            error: error.message,
-            violations: 0,
-            passes: 0,
-            incomplete: 0,
-            inapplicable: 0
-          };
-          
-          batchProgress.results.push(failedResult);
-          batchProgress.failedUrls++;
-          batchProgress.completedUrls++; // Count as completed for progress
-          
-          console.log(`⚠️ Failed to test ${url}, continuing with next URL...`);
-        }
-        
-        // Update progress status
-        batchProgress.status = `Completed ${batchProgress.completedUrls}/${batchProgress.totalUrls} URLs`;
-      }
-      
+      parsed[name] = JSON.parse(value);
     } catch (error) {
-      console.error('Batch test failed:', error);
-      batchProgress.status = 'failed';
-      batchProgress.error = error.message;
-    } finally {
-      // Clean up browser
-      if (context) {
-        try { await context.close(); } catch (e) { /* ignore */ }
-      }
-      if (browser) {
-        try { await browser.close(); } catch (e) { /* ignore */ }
+      parsed[name] = name === 'wcagLevel' ? value.split(',').map(tag => tag.trim()).filter(Boolean) : value;
+    }
+  }
+  return parsed;
+}
+
+// Batch test an uploaded HTML file, HTML string or zipped static site, served
+// from a temporary local server that is removed when the batch finishes
+app.post('/api/upload-test', receiveUpload, async (req, res) => {
+  const {
+    html,
+    wcagLevel = ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa'],
+    includeScreenshots = true,
+    devices,
+    variants,
+    browsers,
+    customRules,
+    include,
+    exclude,
+    audits,
+    baseline,
+    suppressions,
+    timeout,
+    retries
+  } = req.is('multipart/form-data') ? parseFormFields(req.body) : req.body;
+  const { file } = req;
+
+  try {
+    if (!file && (typeof html !== 'string' || html.trim() === '')) {
+      return res.status(400).json({ error: 'An HTML file, a zip archive (file) or an html string is required' });
+    }
+
+    if (!Array.isArray(wcagLevel) || wcagLevel.length === 0) {
+      return res.status(400).json({ error: 'wcagLevel must be a non-empty array of axe tags' });
+    }
+
+    let profiles;
+    let mediaVariants;
+    let engineNames;
+    let ruleConfig;
+    let scope;
+    let knownIssues;
+    let auditNames;
+    let urlTimeout;
+    let retryCount;
+    try {
+      profiles = resolveDeviceProfiles(devices);
+      mediaVariants = resolveMediaVariants(variants);
+      engineNames = resolveBrowsers(browsers);
+      ruleConfig = resolveRuleConfig(customRules);
+      scope = resolveScope(include, exclude);
+      knownIssues = resolveKnownIssues(baseline, suppressions);
+      auditNames = resolveAudits(audits);
+      urlTimeout = resolveTimeout(timeout);
+      retryCount = resolveRetries(retries);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    let site;
+    let urls;
+    try {
+      site = file ? await UploadedSite.fromFile(file.path, file.originalname) : await UploadedSite.fromHtml(html);
+      urls = await site.start();
+    } catch (error) {
+      if (site) {
+        await site.close();
       }
-      
-      // Mark batch as completed
-      batchProgress.status = batchProgress.failedUrls === batchProgress.totalUrls ? 'failed' : 'completed';
-      batchProgress.endTime = new Date().toISOString();
-      
-      console.log(`🎉 Batch test completed: ${batchProgress.completedUrls - batchProgress.failedUrls}/${batchProgress.totalUrls} URLs successful`);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { batchProgress, finished } = await startBatch(
+      urls,
+      { wcagLevel, ruleConfig, scope, knownIssues, audits: auditNames, includeScreenshots, profiles, variants: mediaVariants, engineNames, timeout: urlTimeout, retries: retryCount },
+      { upload: { fileName: file ? file.originalname : null, pages: urls.map(url => new URL(url).pathname) } }
+    );
+    finished
+      .then(() => site.close())
+      .catch(error => console.error('Failed to remove uploaded site:', error.message));
+
+    res.json({
+      batchId: batchProgress.batchId,
+      message: 'Upload test started',
+      totalUrls: urls.length,
+      statusUrl: `/api/batch-status/${batchProgress.batchId}`
+    });
+  } catch (error) {
+    console.error('Error testing upload:', error);
+    res.status(500).json({ error: 'Failed to test upload' });
+  } finally {
+    if (file) {
+      await fs.rm(file.path, { force: true });
+    }
+  }
+});
+
+// Get batch test status
+app.get('/api/batch-status/:batchId', async (req, res) => {
+  const { batchId } = req.params;
+
+  try {
+    const progress = await storage.getBatch(batchId);
+
+    if (!progress) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json(progress);
+  } catch (error) {
+    console.error('Error loading batch status:', error);
+    res.status(500).json({ error: 'Failed to load batch status' });
+  }
+});
+
+// Stream a batch's progress as Server-Sent Events (see utils/batchEvents.js).
+// Starts with a snapshot of the current progress and ends with a done event.
+app.get('/api/batch-status/:batchId/events', async (req, res) => {
+  const { batchId } = req.params;
+
+  // Subscribe before loading the snapshot so no event published in between is
+  // lost; events are held back until the snapshot has been sent
+  const pending = [];
+  let listener = (type, data) => pending.push({ type, data });
+  const unsubscribe = batchEvents.subscribe(batchId, (type, data) => listener(type, data));
+
+  let progress;
+  try {
+    progress = await storage.getBatch(batchId);
+  } catch (error) {
+    unsubscribe();
+    console.error('Error loading batch status:', error);
+    return res.status(500).json({ error: 'Failed to load batch status' });
+  }
+  if (!progress) {
+    unsubscribe();
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  batchEvents.writeEvent(res, 'snapshot', progress);
+
+  if (FINISHED_BATCH_STATUSES.includes(progress.status)) {
+    unsubscribe();
+    batchEvents.writeEvent(res, 'done', progress);
+    return res.end();
+  }
+
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  const send = (type, data) => {
+    if (res.writableEnded) {
+      return;
+    }
+    batchEvents.writeEvent(res, type, data);
+    if (type === 'done') {
+      res.end();
+    }
+  };
+  pending.forEach(({ type, data }) => send(type, data));
+  listener = send;
+});
+
+// Pause, resume or cancel a running batch. URLs being scanned finish first.
+['pause', 'resume', 'cancel'].forEach(action => {
+  app.post(`/api/batch-test/:batchId/${action}`, async (req, res) => {
+    const { batchId } = req.params;
+    const job = batchJobs.get(batchId);
+
+    if (!job || FINISHED_BATCH_STATUSES.includes(job.batchProgress.status)) {
+      return sendMissingBatchJob(res, batchId, 'Batch is not running');
+    }
+
+    try {
+      job.controller[action]();
+    } catch (error) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    // Crawls keep their status until the pages are discovered
+    const { batchProgress } = job;
+    if (batchProgress.status !== 'crawling') {
+      batchProgress.status = batchControlStatus(job.controller) || 'running';
     }
+    await persistBatch(batchProgress);
+
+    console.log(`⏯️ Batch ${batchId}: ${action}`);
+    res.json({ batchId, state: job.controller.state, status: batchProgress.status });
   });
 });
 
-// Get batch test status
-app.get('/api/batch-status/:batchId', (req, res) => {
+// Re-run the failed URLs of a finished batch into the same batch
+app.post('/api/batch-test/:batchId/retry', async (req, res) => {
   const { batchId } = req.params;
-  
-  if (!global.batchProgress || !global.batchProgress.has(batchId)) {
-    return res.status(404).json({ error: 'Batch not found' });
+  const job = batchJobs.get(batchId);
+
+  if (!job) {
+    return sendMissingBatchJob(res, batchId, 'Batch options are no longer available (e.g. after a server restart), start a new batch');
+  }
+
+  const { batchProgress } = job;
+  if (!FINISHED_BATCH_STATUSES.includes(batchProgress.status)) {
+    return res.status(409).json({ error: 'Batch is still running, wait for it to finish or cancel it' });
+  }
+  if (batchProgress.upload) {
+    return res.status(409).json({ error: 'Uploaded sites are deleted when their batch finishes, upload the site again' });
+  }
+
+  const failed = batchProgress.results.filter(result => result.status === 'failed');
+  if (failed.length === 0) {
+    return res.status(400).json({ error: 'Batch has no failed URLs to retry' });
+  }
+
+  const urls = failed.map(result => result.url);
+  batchProgress.results = batchProgress.results.filter(result => result.status !== 'failed');
+  batchProgress.failedUrls -= failed.length;
+  batchProgress.completedUrls -= failed.length;
+  batchProgress.status = 'running';
+  delete batchProgress.error;
+  delete batchProgress.endTime;
+  job.controller = new BatchController();
+  await persistBatch(batchProgress);
+
+  res.json({
+    batchId,
+    message: `Retrying ${urls.length} failed URL${urls.length !== 1 ? 's' : ''}`,
+    urls,
+    statusUrl: `/api/batch-status/${batchId}`
+  });
+
+  setImmediate(() => processBatch(batchProgress, urls, job.options, job.controller));
+});
+
+// Record a baseline of the violations found on every page of a batch
+app.get('/api/batch-status/:batchId/baseline', async (req, res) => {
+  const { batchId } = req.params;
+
+  try {
+    const progress = await storage.getBatch(batchId);
+
+    if (!progress) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const findings = [];
+    for (const summary of progress.results.filter(result => result.status === 'completed')) {
+      const result = await storage.getTestResult(summary.testId);
+      if (result) {
+        findings.push(...(result.findings || scanFindings(result.fullResults, result.url)));
+      }
+    }
+
+    res.json(createBaseline(findings));
+  } catch (error) {
+    console.error('Error creating batch baseline:', error);
+    res.status(500).json({ error: 'Failed to create baseline' });
   }
-  
-  const progress = global.batchProgress.get(batchId);
-  res.json(progress);
 });
 
 // CI/CD Integration Endpoints
@@ -440,8 +1312,22 @@ app.post('/api/ci/test-url', async (req, res) => {
     wcagLevel = ['wcag2a', 'wcag2aa'],
     failOnViolations = true,
     maxViolations = 0,
+    thresholds,
     includeScreenshots = false,
-    format = 'json' // 'json', 'junit', 'sarif'
+    format = 'json', // 'json', 'junit', 'sarif'
+    recordBaseline = false,
+    baselineTestId,
+    devices,
+    variants,
+    browsers,
+    customRules,
+    include,
+    exclude,
+    audits,
+    baseline,
+    suppressions,
+    timeout,
+    auth
   } = req.body;
 
   if (!url) {
@@ -451,71 +1337,122 @@ app.post('/api/ci/test-url', async (req, res) => {
     });
   }
 
+  const authError = AuthSession.validate(auth);
+  if (authError) {
+    return res.status(400).json({ success: false, error: authError });
+  }
+
+  let profiles;
+  let mediaVariants;
+  let engineNames;
+  let ruleConfig;
+  let scope;
+  let knownIssues;
+  let auditNames;
+  let urlTimeout;
+  let thresholdConfig;
   try {
-    const browser = await chromium.launch();
-    const context = await browser.newContext();
-    const page = await context.newPage();
-    
-    await page.goto(url, { waitUntil: 'networkidle' });
-    
-    const axeBuilder = new AxeBuilder({ page })
-      .withTags(wcagLevel);
-    
-    const results = await axeBuilder.analyze();
-    
-    // Capture screenshots if enabled
-    let screenshotData = null;
-    if (includeScreenshots && results.violations.length > 0) {
-      try {
-        const screenshotCapture = new ScreenshotCapture(page);
-        const testId = uuidv4();
-        screenshotData = await screenshotCapture.captureViolationScreenshots(
-          results, 
-          testId, 
-          path.join(__dirname, '../reports')
-        );
-      } catch (error) {
-        console.warn('Screenshot capture failed:', error.message);
-      }
+    profiles = resolveDeviceProfiles(devices);
+    mediaVariants = resolveMediaVariants(variants);
+    engineNames = resolveBrowsers(browsers);
+    ruleConfig = resolveRuleConfig(customRules);
+    scope = resolveScope(include, exclude);
+    knownIssues = resolveKnownIssues(baseline, suppressions);
+    auditNames = resolveAudits(audits);
+    urlTimeout = resolveTimeout(timeout);
+    thresholdConfig = resolveThresholds(thresholds, maxViolations);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    // Earlier run to diff against, checked before spending time on the scan
+    const previous = baselineTestId ? await loadComparisonResult(baselineTestId, 'baselineTestId') : null;
+    if (previous && previous.error) {
+      return res.status(previous.status).json({ success: false, error: previous.error });
     }
-    
-    await browser.close();
 
-    // Determine success/failure
+    const authSession = new AuthSession(auth, { baseUrl: url });
+
+    const scan = await browserPool.run(engineNames, engines => scanUrl(engines, authSession, url, {
+      wcagLevel,
+      ruleConfig,
+      scope,
+      knownIssues,
+      audits: auditNames,
+      profiles,
+      variants: mediaVariants,
+      includeScreenshots,
+      testId: uuidv4(),
+      screenshotDir: path.join(__dirname, '../reports')
+    }), { timeout: urlTimeout });
+    const { results, runResults } = scan;
+
+    // Determine success/failure (suppressed and baselined issues are not counted)
     const violationCount = results.violations.length;
-    const success = !failOnViolations || violationCount <= maxViolations;
+    const evaluation = evaluateThresholds(results, thresholdConfig);
+    const success = !failOnViolations || evaluation.passed;
+    const summary = {
+      violations: violationCount,
+      passes: results.passes.length,
+      incomplete: results.incomplete.length,
+      inapplicable: results.inapplicable.length,
+      ...knownIssuesSummary(scan.suppressed, knownIssues)
+    };
+
+    notifyCiRun('test-url', { success, url, summary, thresholds: evaluation },
+      evaluation.passed ? [] : [{ url, failures: evaluation.failures }]);
+
+    // Format response based on requested format (one section per browser/device run)
+    const runSections = runResults
+      ? runResults.map(run => ({ label: run.name, results: run.results }))
+      : null;
 
-    // Format response based on requested format
     if (format === 'junit') {
-      const junitXml = generateJUnitReport(results, url, wcagLevel);
+      const junitXml = runSections
+        ? generateSectionedJUnitReport(runSections, 'Accessibility Tests')
+        : generateJUnitReport(results, url, wcagLevel);
       res.setHeader('Content-Type', 'application/xml');
       return res.send(junitXml);
     } else if (format === 'sarif') {
-      const sarifReport = generateSARIFReport(results, url, wcagLevel);
+      const sarifReport = runSections
+        ? generateSectionedSARIFReport(runSections, url, 'run')
+        : generateSARIFReport(results, url, wcagLevel);
       return res.json(sarifReport);
     }
 
+    const screenshots = runResults
+      ? runResults.flatMap(run => run.screenshotData?.violationScreenshots || [])
+      : scan.screenshotData?.violationScreenshots || [];
+
+    const timestamp = new Date().toISOString();
+    const findings = scanFindings(results, url, scan.suppressed);
+
     // Default JSON format
     const response = {
       success,
       url,
       wcagLevel,
-      timestamp: new Date().toISOString(),
-      summary: {
-        violations: violationCount,
-        passes: results.passes.length,
-        incomplete: results.incomplete.length,
-        inapplicable: results.inapplicable.length
-      },
+      ...(ruleConfig ? { customRules: ruleConfig } : {}),
+      ...(scope ? { scope } : {}),
+      timestamp,
+      summary,
       violations: results.violations.map(violation => ({
         id: violation.id,
         description: violation.description,
         impact: violation.impact,
         tags: violation.tags,
         nodes: violation.nodes.length,
-        helpUrl: violation.helpUrl
+        helpUrl: violation.helpUrl,
+        ...(violation.foundIn ? { foundIn: violation.foundIn } : {})
       })),
-      screenshots: screenshotData?.violationScreenshots || []
+      thresholds: evaluation,
+      ...scanSummary(scan),
+      ...(knownIssues ? { suppressedIssues: scan.suppressed } : {}),
+      ...(recordBaseline ? { baseline: createBaseline(findings) } : {}),
+      ...(previous ? { diff: diffResults(previous.result, { url, timestamp, findings }) } : {}),
+      ...(auditNames ? { audits: scanAudits(scan) } : {}),
+      screenshots
     };
 
     if (!success) {
@@ -537,46 +1474,124 @@ app.post('/api/ci/test-url', async (req, res) => {
 // Bulk test for CI/CD (test multiple URLs)
 app.post('/api/ci/test-urls', async (req, res) => {
   const { 
-    urls,
+    urls: requestedUrls,
+    sitemap,
     wcagLevel = ['wcag2a', 'wcag2aa'],
     failOnViolations = true,
     maxViolations = 0,
-    continueOnFailure = false
+    thresholds,
+    continueOnFailure = false,
+    recordBaseline = false,
+    devices,
+    variants,
+    browsers,
+    customRules,
+    include,
+    exclude,
+    audits,
+    baseline,
+    suppressions,
+    timeout,
+    auth
   } = req.body;
 
-  if (!Array.isArray(urls) || urls.length === 0) {
+  const { urls, error: urlsError } = await resolveBatchUrls(requestedUrls, sitemap);
+  if (urlsError) {
     return res.status(400).json({ 
       success: false,
-      error: 'URLs array is required' 
+      error: urlsError 
     });
   }
 
-  const results = [];
+  const authError = AuthSession.validate(auth);
+  if (authError) {
+    return res.status(400).json({ success: false, error: authError });
+  }
+
+  let profiles;
+  let mediaVariants;
+  let engineNames;
+  let ruleConfig;
+  let scope;
+  let knownIssues;
+  let auditNames;
+  let urlTimeout;
+  let thresholdConfig;
+  try {
+    profiles = resolveDeviceProfiles(devices);
+    mediaVariants = resolveMediaVariants(variants);
+    engineNames = resolveBrowsers(browsers);
+    ruleConfig = resolveRuleConfig(customRules);
+    scope = resolveScope(include, exclude);
+    knownIssues = resolveKnownIssues(baseline, suppressions);
+    auditNames = resolveAudits(audits);
+    urlTimeout = resolveTimeout(timeout);
+    thresholdConfig = resolveThresholds(thresholds, maxViolations);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  // Clients accepting text/event-stream get per-URL progress events as the URLs
+  // are tested (see utils/batchEvents.js), then the response as a result event
+  const streaming = req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream';
+  let heartbeat;
+  if (streaming) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    res.on('close', () => clearInterval(heartbeat));
+  }
+  const emit = (type, data) => {
+    if (streaming) {
+      batchEvents.writeEvent(res, type, data);
+    }
+  };
+  const send = (status, body) => {
+    if (!streaming) {
+      return res.status(status).json(body);
+    }
+    clearInterval(heartbeat);
+    batchEvents.writeEvent(res, status >= 500 ? 'error' : 'result', body);
+    res.end();
+  };
+
+  // Results keep the order of the URLs although they are tested concurrently
+  const urlResults = [];
+  const findings = [];
   let overallSuccess = true;
+  let stopped = false;
 
   try {
-    const browser = await chromium.launch();
-    const context = await browser.newContext();
+    const authSession = new AuthSession(auth, { baseUrl: urls[0] });
 
-    for (const url of urls) {
+    await Promise.all(urls.map(async (url, i) => {
       try {
-        const page = await context.newPage();
-        await page.goto(url, { waitUntil: 'networkidle' });
-        
-        const axeBuilder = new AxeBuilder({ page })
-          .withTags(wcagLevel);
-        
-        const testResults = await axeBuilder.analyze();
-        await page.close();
+        // URLs that had not started yet are skipped after a failure
+        const scan = await browserPool.run(engineNames, engines => {
+          if (stopped) {
+            return null;
+          }
+          emit('url-start', { url, index: i, attempt: 1 });
+          return scanUrl(engines, authSession, url, { wcagLevel, ruleConfig, scope, knownIssues, audits: auditNames, profiles, variants: mediaVariants });
+        }, { timeout: urlTimeout });
+        if (!scan) {
+          emit('url-skipped', { url });
+          return;
+        }
+        const testResults = scan.results;
 
         const violationCount = testResults.violations.length;
-        const urlSuccess = !failOnViolations || violationCount <= maxViolations;
+        const evaluation = evaluateThresholds(testResults, thresholdConfig);
+        const urlSuccess = !failOnViolations || evaluation.passed;
         
         if (!urlSuccess) {
           overallSuccess = false;
         }
 
-        results.push({
+        urlResults[i] = {
           url,
           success: urlSuccess,
           violations: violationCount,
@@ -586,72 +1601,481 @@ app.post('/api/ci/test-urls', async (req, res) => {
             id: v.id,
             description: v.description,
             impact: v.impact,
-            nodes: v.nodes.length
-          }))
-        });
+            nodes: v.nodes.length,
+            ...(v.foundIn ? { foundIn: v.foundIn } : {})
+          })),
+          thresholds: evaluation,
+          ...scanSummary(scan),
+          ...knownIssuesSummary(scan.suppressed, knownIssues),
+          ...(knownIssues ? { suppressedIssues: scan.suppressed } : {})
+        };
+        findings.push(...scanFindings(testResults, url, scan.suppressed));
+        emit('url-complete', { url, success: urlSuccess, violations: violationCount });
 
         // Stop on first failure if continueOnFailure is false
         if (!urlSuccess && !continueOnFailure) {
-          break;
+          stopped = true;
         }
 
       } catch (error) {
         console.error(`Failed to test ${url}:`, error);
-        results.push({
+        urlResults[i] = {
           url,
           success: false,
           error: error.message
-        });
+        };
+        emit('url-failed', urlResults[i]);
         overallSuccess = false;
 
         if (!continueOnFailure) {
-          break;
+          stopped = true;
         }
       }
-    }
+    }));
 
-    await browser.close();
+    const results = urlResults.filter(Boolean);
 
     const response = {
       success: overallSuccess,
       timestamp: new Date().toISOString(),
       wcagLevel,
+      ...(ruleConfig ? { customRules: ruleConfig } : {}),
+      ...(scope ? { scope } : {}),
       summary: {
         totalUrls: urls.length,
         testedUrls: results.length,
         passedUrls: results.filter(r => r.success).length,
         failedUrls: results.filter(r => !r.success).length
       },
-      results
+      results,
+      ...(recordBaseline ? { baseline: createBaseline(findings) } : {})
+    };
+
+    notifyCiRun('test-urls', {
+      success: overallSuccess,
+      summary: response.summary,
+      results: results.map(result => ({
+        url: result.url,
+        success: result.success,
+        ...(result.error ? { error: result.error } : { violations: result.violations })
+      }))
+    }, results
+      .filter(result => result.thresholds && !result.thresholds.passed)
+      .map(result => ({ url: result.url, failures: result.thresholds.failures })));
+
+    // 422 Unprocessable Entity - tests failed
+    send(overallSuccess ? 200 : 422, response);
+
+  } catch (error) {
+    console.error('Bulk CI/CD test failed:', error);
+    send(500, {
+      success: false,
+      error: 'Failed to test URLs for accessibility',
+      details: error.message
+    });
+  }
+});
+
+// Test a user flow for CI/CD (one result section per scan checkpoint)
+app.post('/api/ci/test-flow', async (req, res) => {
+  const {
+    flow: flowSource,
+    wcagLevel = ['wcag2a', 'wcag2aa'],
+    failOnViolations = true,
+    maxViolations = 0,
+    thresholds,
+    includeScreenshots = false,
+    format = 'json', // 'json', 'junit', 'sarif'
+    recordBaseline = false,
+    browsers,
+    customRules,
+    include,
+    exclude,
+    baseline,
+    suppressions,
+    timeout,
+    auth
+  } = req.body;
+
+  const unsupported = unsupportedFlowOption(req.body);
+  if (unsupported) {
+    return res.status(400).json({ success: false, error: unsupported });
+  }
+
+  let flow;
+  let engineNames;
+  let ruleConfig;
+  let scope;
+  let knownIssues;
+  let stepTimeout;
+  let thresholdConfig;
+  try {
+    flow = parseFlow(flowSource);
+    engineNames = resolveBrowsers(browsers);
+    ruleConfig = resolveRuleConfig(customRules);
+    scope = resolveScope(include, exclude);
+    knownIssues = resolveKnownIssues(baseline, suppressions);
+    stepTimeout = resolveTimeout(timeout);
+    thresholdConfig = resolveThresholds(thresholds, maxViolations);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const authError = AuthSession.validate(auth);
+  if (authError) {
+    return res.status(400).json({ success: false, error: authError });
+  }
+
+  try {
+    const authSession = new AuthSession(auth, { baseUrl: flow.url });
+
+    // `timeout` limits each flow step, so the whole flow is not limited
+    const { checkpoints, engineComparison } = await browserPool.run(engineNames, engines => runFlowInEngines(engines, authSession, flow, {
+      wcagLevel,
+      ruleConfig,
+      scope,
+      knownIssues,
+      testId: uuidv4(),
+      includeScreenshots,
+      screenshotDir: path.join(__dirname, '../reports'),
+      ...(stepTimeout ? { timeout: stepTimeout } : {})
+    }), { timeout: 0 });
+
+    // Determine success/failure across all checkpoints
+    const violationCount = checkpoints.reduce((sum, checkpoint) => sum + checkpoint.results.violations.length, 0);
+    const evaluation = evaluateThresholds(
+      { violations: checkpoints.flatMap(checkpoint => checkpoint.results.violations) },
+      thresholdConfig
+    );
+    const success = !failOnViolations || evaluation.passed;
+
+    notifyCiRun('test-flow', {
+      success,
+      flow: flow.name,
+      url: flow.url,
+      summary: { checkpoints: checkpoints.length, violations: violationCount },
+      thresholds: evaluation
+    }, evaluation.passed ? [] : [{ url: flow.url, failures: evaluation.failures }]);
+
+    if (format === 'junit') {
+      res.setHeader('Content-Type', 'application/xml');
+      return res.send(generateSectionedJUnitReport(checkpoints, flow.name));
+    } else if (format === 'sarif') {
+      return res.json(generateSectionedSARIFReport(checkpoints, flow.url, 'checkpoint'));
+    }
+
+    const response = {
+      success,
+      flow: flow.name,
+      url: flow.url,
+      wcagLevel,
+      ...(ruleConfig ? { customRules: ruleConfig } : {}),
+      ...(scope ? { scope } : {}),
+      timestamp: new Date().toISOString(),
+      summary: {
+        checkpoints: checkpoints.length,
+        violations: violationCount,
+        passes: checkpoints.reduce((sum, checkpoint) => sum + checkpoint.results.passes.length, 0),
+        incomplete: checkpoints.reduce((sum, checkpoint) => sum + checkpoint.results.incomplete.length, 0),
+        ...knownIssuesSummary(checkpoints.flatMap(checkpoint => checkpoint.suppressed), knownIssues)
+      },
+      checkpoints: checkpoints.map(checkpoint => ({
+        label: checkpoint.label,
+        ...(checkpoint.browser ? { browser: checkpoint.browser } : {}),
+        step: checkpoint.stepIndex,
+        url: checkpoint.url,
+        summary: {
+          violations: checkpoint.results.violations.length,
+          passes: checkpoint.results.passes.length,
+          incomplete: checkpoint.results.incomplete.length,
+          inapplicable: checkpoint.results.inapplicable.length
+        },
+        violations: checkpoint.results.violations.map(violation => ({
+          id: violation.id,
+          description: violation.description,
+          impact: violation.impact,
+          tags: violation.tags,
+          nodes: violation.nodes.length,
+          helpUrl: violation.helpUrl
+        })),
+        ...(knownIssues ? { suppressedIssues: checkpoint.suppressed } : {}),
+        screenshots: checkpoint.screenshotData?.violationScreenshots || []
+      })),
+      thresholds: evaluation,
+      ...(engineComparison ? { engineSpecificViolations: engineComparison } : {}),
+      ...(recordBaseline
+        ? { baseline: createBaseline(checkpoints.flatMap(checkpoint => scanFindings(checkpoint.results, checkpoint.url, checkpoint.suppressed))) }
+        : {})
     };
 
-    if (!overallSuccess) {
+    if (!success) {
       res.status(422); // Unprocessable Entity - tests failed
     }
 
     res.json(response);
 
   } catch (error) {
-    console.error('Bulk CI/CD test failed:', error);
+    console.error('CI/CD flow test failed:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to test URLs for accessibility',
+      error: 'Failed to test user flow for accessibility',
       details: error.message
     });
   }
 });
 
+// Register a webhook. The secret is only returned here.
+app.post('/api/webhooks', async (req, res) => {
+  let fields;
+  try {
+    fields = validateWebhook(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const webhook = { id: uuidv4(), ...fields, active: true, createdAt: new Date().toISOString() };
+  try {
+    await storage.saveWebhook(webhook);
+    res.status(201).json(webhook);
+  } catch (error) {
+    console.error('Error saving webhook:', error);
+    res.status(500).json({ error: 'Failed to save webhook' });
+  }
+});
+
+// List registered webhooks
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    const registered = await storage.listWebhooks();
+    res.json(registered.map(publicWebhook));
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+// Remove a webhook and its delivery log
+app.delete('/api/webhooks/:webhookId', async (req, res) => {
+  try {
+    const deleted = await storage.deleteWebhook(req.params.webhookId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ id: req.params.webhookId, deleted: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Delivery log of a webhook, newest first
+app.get('/api/webhooks/:webhookId/deliveries', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+  try {
+    const webhook = await storage.getWebhook(req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(await storage.listWebhookDeliveries(webhook.id, limit));
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to list webhook deliveries' });
+  }
+});
+
+// Send a ping event (once, without retries) to check a webhook
+app.post('/api/webhooks/:webhookId/ping', async (req, res) => {
+  try {
+    const webhook = await storage.getWebhook(req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const delivery = await webhooks.deliver(webhook, 'ping', { webhookId: webhook.id }, { retries: 0 });
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({ error: 'Failed to ping webhook' });
+  }
+});
+
+// Send the payload of an earlier delivery again, as a new delivery
+app.post('/api/webhooks/:webhookId/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const webhook = await storage.getWebhook(req.params.webhookId);
+    const previous = await storage.getWebhookDelivery(req.params.deliveryId);
+    if (!webhook || !previous || previous.webhookId !== webhook.id) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+    const delivery = await webhooks.deliver(webhook, previous.event, previous.payload.data, { retries: 0 });
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// Fields of a stored schedule that are not part of its definition
+const SCHEDULE_STATE_FIELDS = ['id', 'createdAt', 'updatedAt', 'nextRunAt', 'lastRunAt', 'lastRun'];
+
+function scheduleDefinition(schedule) {
+  const definition = { ...schedule };
+  SCHEDULE_STATE_FIELDS.forEach(field => delete definition[field]);
+  return definition;
+}
+
+function nextScheduledRun(schedule) {
+  return schedule.active ? nextRun(schedule.cron).toISOString() : null;
+}
+
+// List scheduled scans with their last and next run
+app.get('/api/schedules', async (req, res) => {
+  try {
+    res.json(await storage.listSchedules());
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: 'Failed to list schedules' });
+  }
+});
+
+// Create a scheduled scan
+app.post('/api/schedules', async (req, res) => {
+  let definition;
+  try {
+    definition = validateSchedule(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const now = new Date().toISOString();
+  const schedule = { id: uuidv4(), ...definition, createdAt: now, updatedAt: now, lastRunAt: null, lastRun: null };
+  schedule.nextRunAt = nextScheduledRun(schedule);
+
+  try {
+    await storage.saveSchedule(schedule);
+    res.status(201).json(schedule);
+  } catch (error) {
+    console.error('Error saving schedule:', error);
+    res.status(500).json({ error: 'Failed to save schedule' });
+  }
+});
+
+// Get a scheduled scan
+app.get('/api/schedules/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await storage.getSchedule(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error loading schedule:', error);
+    res.status(500).json({ error: 'Failed to load schedule' });
+  }
+});
+
+// Update some fields of a scheduled scan, e.g. { active: false } to pause it
+app.patch('/api/schedules/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await storage.getSchedule(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    // A new page source replaces the old one
+    const current = scheduleDefinition(schedule);
+    if (['urls', 'sitemap', 'crawl'].some(field => req.body[field] !== undefined)) {
+      delete current.urls;
+      delete current.sitemap;
+      delete current.crawl;
+    }
+
+    let definition;
+    try {
+      definition = validateSchedule({ ...current, ...req.body });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const updated = {
+      ...Object.fromEntries(SCHEDULE_STATE_FIELDS.map(field => [field, schedule[field]])),
+      ...definition,
+      updatedAt: new Date().toISOString()
+    };
+    updated.nextRunAt = nextScheduledRun(updated);
+    await storage.saveSchedule(updated);
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// Delete a scheduled scan and its run history
+app.delete('/api/schedules/:scheduleId', async (req, res) => {
+  try {
+    const deleted = await storage.deleteSchedule(req.params.scheduleId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ id: req.params.scheduleId, deleted: true });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+// Run history of a scheduled scan, newest first
+app.get('/api/schedules/:scheduleId/runs', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+  try {
+    const schedule = await storage.getSchedule(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(await storage.listScheduleRuns(schedule.id, limit));
+  } catch (error) {
+    console.error('Error listing schedule runs:', error);
+    res.status(500).json({ error: 'Failed to list schedule runs' });
+  }
+});
+
+// Run a scheduled scan now
+app.post('/api/schedules/:scheduleId/run', async (req, res) => {
+  let schedule;
+  try {
+    schedule = await storage.getSchedule(req.params.scheduleId);
+  } catch (error) {
+    console.error('Error loading schedule:', error);
+    return res.status(500).json({ error: 'Failed to load schedule' });
+  }
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  try {
+    const run = await scheduler.trigger(schedule, 'manual');
+    res.status(run.status === 'failed' ? 500 : 202).json({
+      ...run,
+      ...(run.batchId ? { statusUrl: `/api/batch-status/${run.batchId}` } : {})
+    });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
 // Generate PDF reports
 app.post('/api/generate-pdf/:testId', async (req, res) => {
   const { testId } = req.params;
   const { type = 'executive' } = req.body; // 'executive' or 'technical'
   
-  const result = testResults.get(testId);
-  if (!result) {
-    return res.status(404).json({ error: 'Test result not found' });
-  }
-
   try {
+    const result = await storage.getTestResult(testId);
+    if (!result) {
+      return res.status(404).json({ error: 'Test result not found' });
+    }
+
     const pdfDir = path.join(__dirname, '../reports/pdf');
     await fs.mkdir(pdfDir, { recursive: true });
 
@@ -663,9 +2087,17 @@ app.post('/api/generate-pdf/:testId', async (req, res) => {
       await PDFGenerator.generateExecutiveSummary(
         result.fullResults,
         result.url,
-        ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa'], // TODO: Get from stored result
+        result.wcagLevel || ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa'],
         testId,
-        pdfPath
+        pdfPath,
+        {
+          profiles: result.profiles,
+          profileSpecificViolations: result.profileSpecificViolations,
+          browsers: result.browsers,
+          engineSpecificViolations: result.engineSpecificViolations,
+          variants: result.variants,
+          variantSpecificViolations: result.variantSpecificViolations
+        }
       );
     } else {
       // Generate technical PDF from HTML report
@@ -691,9 +2123,35 @@ app.post('/api/generate-pdf/:testId', async (req, res) => {
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  res.json({ status: 'OK', timestamp: new Date().toISOString(), browserPool: browserPool.stats() });
 });
 
-app.listen(PORT, () => {
-  console.log(`Accessibility testing server running on port ${PORT}`);
+async function startServer() {
+  await storage.init();
+
+  // Batches that were running when the server stopped can never finish
+  const interruptedBatches = await storage.markInterruptedBatches();
+  if (interruptedBatches > 0) {
+    console.log(`Marked ${interruptedBatches} unfinished batch(es) as interrupted`);
+  }
+
+  await scheduler.start();
+
+  app.listen(PORT, () => {
+    console.log(`Accessibility testing server running on port ${PORT}`);
+  });
+
+  // Close the shared browsers on shutdown
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.once(signal, async () => {
+      scheduler.stop();
+      await browserPool.close();
+      process.exit(0);
+    });
+  });
+}
+
+startServer().catch(error => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,34 @@
+/**
+ * axe-core result fixtures shared by the utils tests
+ */
+
+/**
+ * An axe violation with one node per target selector. Without targets it gets
+ * nodeCount nodes (#<id>-0, #<id>-1, ...).
+ */
+function violation(id, { impact = 'serious', tags = ['wcag2a'], targets, nodeCount = 1 } = {}) {
+  const selectors = targets || Array.from({ length: nodeCount }, (_, index) => `#${id}-${index}`);
+  return {
+    id,
+    impact,
+    tags,
+    description: `${id} description`,
+    helpUrl: `https://dequeuniversity.com/rules/axe/4.8/${id}`,
+    nodes: selectors.map(target => ({
+      target: [target],
+      html: `<div id="${target.replace(/\W/g, '')}" style="color: red">Item 7</div>`
+    }))
+  };
+}
+
+/**
+ * axe results with the given violations
+ */
+function axeResults(...violations) {
+  return { violations, passes: [] };
+}
+
+module.exports = {
+  violation,
+  axeResults
+};
@@ -0,0 +1,37 @@
+const AuthSession = require('../authSession');
+
+describe('AuthSession.validate', () => {
+  test('accepts no auth and complete auth configs', () => {
+    expect(AuthSession.validate(undefined)).toBeNull();
+    expect(AuthSession.validate({
+      cookies: [{ name: 'session', value: 'abc' }],
+      headers: { Authorization: 'Bearer x' },
+      storageState: { cookies: [], origins: [] },
+      login: { url: 'https://example.com/login', fields: [{ selector: '#email', value: 'a@example.com' }] }
+    })).toBeNull();
+  });
+
+  test.each([
+    ['a file path', '/etc/passwd'],
+    ['a relative path', 'storage-state.json'],
+    ['an array', []],
+    ['a number', 42]
+  ])('rejects a storage state given as %s', (label, storageState) => {
+    expect(AuthSession.validate({ storageState })).toBe('auth.storageState must be a storage state object ({ cookies, origins }), not a file path');
+  });
+
+  test('rejects storage state cookies or origins that are not arrays', () => {
+    expect(AuthSession.validate({ storageState: { cookies: 'session=abc' } })).toBe('auth.storageState cookies and origins must be arrays');
+  });
+
+  test.each([
+    [[], 'auth must be an object'],
+    [{ cookies: {} }, 'auth.cookies must be an array'],
+    [{ cookies: [{ name: 'a' }] }, 'Each auth cookie needs a name and a value'],
+    [{ headers: [] }, 'auth.headers must be an object'],
+    [{ login: {} }, 'auth.login.url is required'],
+    [{ login: { url: 'https://example.com', fields: [{}] } }, 'Each auth.login field needs a selector']
+  ])('rejects %j', (auth, message) => {
+    expect(AuthSession.validate(auth)).toBe(message);
+  });
+});
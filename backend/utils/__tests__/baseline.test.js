@@ -0,0 +1,176 @@
+const yaml = require('js-yaml');
+const {
+  normalizeSelector,
+  collectFindings,
+  createBaseline,
+  resolveKnownIssues,
+  applyKnownIssues,
+  knownIssuesSummary
+} = require('../baseline');
+const { violation, axeResults: results } = require('../__fixtures__/axeResults');
+
+describe('normalizeSelector', () => {
+  test('keeps positional pseudo-class arguments and blanks other numbers', () => {
+    expect(normalizeSelector(['ul > li:nth-child(3)'])).toBe('ul > li:nth-child(3)');
+    expect(normalizeSelector(['tr:nth-of-type(12) > td'])).toBe('tr:nth-of-type(12) > td');
+    expect(normalizeSelector(['#item-12'])).toBe('#item-N');
+    expect(normalizeSelector(['.css-1x2y3z > span'])).toBe('.css-NxNyNz > span');
+    expect(normalizeSelector(['#row-4 > li:nth-child(10)'])).toBe('#row-N > li:nth-child(10)');
+  });
+
+  test('flattens iframe and shadow DOM paths and collapses whitespace', () => {
+    expect(normalizeSelector(['iframe#frame-2', ['#host', '.inner  >\n span']])).toBe('iframe#frame-N >>> #host >>> .inner > span');
+    expect(normalizeSelector(undefined)).toBe('');
+  });
+});
+
+describe('collectFindings', () => {
+  test('creates one finding per node, keyed on path and query only', () => {
+    const findings = collectFindings(
+      results(violation('image-alt', { targets: ['#logo-1', '#hero'] }), violation('label', { targets: ['input'] })),
+      'https://staging.example.com/shop/?b=2&a=1#top'
+    );
+
+    expect(findings).toHaveLength(3);
+    expect(findings[0]).toMatchObject({
+      ruleId: 'image-alt',
+      impact: 'serious',
+      url: '/shop?a=1&b=2',
+      selector: '#logo-N',
+      fingerprint: expect.stringMatching(/^[0-9a-f]{16}$/),
+      htmlFingerprint: expect.stringMatching(/^[0-9a-f]{16}$/)
+    });
+  });
+
+  test('gives the same fingerprints on another host and to renumbered elements', () => {
+    const [staging] = collectFindings(results(violation('image-alt', { targets: ['#logo-1'] })), 'https://staging.example.com/shop');
+    const [production] = collectFindings(results(violation('image-alt', { targets: ['#logo-42'] })), 'https://www.example.com/shop/');
+    const [otherPage] = collectFindings(results(violation('image-alt', { targets: ['#logo-1'] })), 'https://www.example.com/cart');
+
+    expect(production.fingerprint).toBe(staging.fingerprint);
+    expect(production.htmlFingerprint).toBe(staging.htmlFingerprint);
+    expect(otherPage.fingerprint).not.toBe(staging.fingerprint);
+  });
+
+  test('matches by HTML when only the selector changed', () => {
+    const scan = (target, html) => results({ id: 'image-alt', nodes: [{ target: [target], html }] });
+    const [before] = collectFindings(scan('#a', '<img src="a.png">'), 'https://example.com/');
+    const [after] = collectFindings(scan('.b', '<img  src="a.png" style="width: 10px">'), 'https://example.com/');
+
+    expect(after.fingerprint).not.toBe(before.fingerprint);
+    expect(after.htmlFingerprint).toBe(before.htmlFingerprint);
+  });
+});
+
+describe('applyKnownIssues', () => {
+  const url = 'https://example.com/products/42';
+  const scan = () => results(violation('image-alt', { targets: ['#logo', '#banner'] }), violation('color-contrast', { targets: ['.footer a'] }));
+  const now = new Date('2024-06-15T12:00:00Z');
+
+  test('returns the results untouched without known issues', () => {
+    const original = scan();
+    expect(applyKnownIssues(original, url, null)).toEqual({ results: original, suppressed: [] });
+  });
+
+  test('removes baselined nodes and drops violations left without nodes', () => {
+    const baseline = createBaseline(collectFindings(results(violation('color-contrast', { targets: ['.footer a'] })), url));
+    const knownIssues = resolveKnownIssues(baseline, null, now);
+
+    const { results: filtered, suppressed } = applyKnownIssues(scan(), url, knownIssues);
+
+    expect(filtered.violations.map(v => v.id)).toEqual(['image-alt']);
+    expect(filtered.violations[0].nodes).toHaveLength(2);
+    expect(suppressed).toEqual([expect.objectContaining({ ruleId: 'color-contrast', status: 'baseline' })]);
+    expect(knownIssuesSummary(suppressed, knownIssues)).toEqual({ suppressed: 0, baselined: 1, expiredSuppressions: [] });
+  });
+
+  test('suppresses by rule, URL glob and selector until the expiry date', () => {
+    const knownIssues = resolveKnownIssues(null, [
+      { ruleId: 'image-alt', url: '/products/*', selector: '#banner', reason: 'Vendor widget', expires: '2024-06-15' },
+      { ruleId: 'color-contrast', reason: 'Redesign pending', expires: '2024-06-14' }
+    ], now);
+
+    const { results: filtered, suppressed } = applyKnownIssues(scan(), url, knownIssues);
+
+    expect(filtered.violations.map(v => [v.id, v.nodes.map(n => n.target[0])])).toEqual([
+      ['image-alt', ['#logo']],
+      ['color-contrast', ['.footer a']]
+    ]);
+    expect(suppressed).toEqual([expect.objectContaining({
+      selector: '#banner',
+      status: 'suppressed',
+      reason: 'Vendor widget',
+      expires: '2024-06-15'
+    })]);
+    expect(knownIssuesSummary(suppressed, knownIssues)).toEqual({
+      suppressed: 1,
+      baselined: 0,
+      expiredSuppressions: [{ ruleId: 'color-contrast', url: undefined, selector: undefined, fingerprint: undefined, reason: 'Redesign pending', expires: '2024-06-14' }]
+    });
+  });
+
+  test('ignores suppressions for other pages', () => {
+    const knownIssues = resolveKnownIssues(null, [
+      { ruleId: 'image-alt', url: '/blog/**', reason: 'Old posts', expires: '2099-01-01' }
+    ], now);
+
+    expect(applyKnownIssues(scan(), url, knownIssues).suppressed).toEqual([]);
+  });
+
+  test('suppresses by fingerprint', () => {
+    const [finding] = collectFindings(results(violation('image-alt', { targets: ['#logo'] })), url);
+    const knownIssues = resolveKnownIssues(null, [
+      { fingerprint: finding.htmlFingerprint, reason: 'Known', expires: '2099-01-01' }
+    ], now);
+
+    const { suppressed } = applyKnownIssues(scan(), url, knownIssues);
+    expect(suppressed.map(item => item.selector)).toEqual(['#logo']);
+  });
+});
+
+describe('resolveKnownIssues', () => {
+  const now = new Date('2024-06-15T12:00:00Z');
+
+  test('returns null without a baseline or suppressions', () => {
+    expect(resolveKnownIssues(undefined, undefined)).toBeNull();
+  });
+
+  test('parses YAML suppression files, including unquoted dates', () => {
+    const source = [
+      'suppressions:',
+      '  - ruleId: region',
+      '    reason: Layout rewrite',
+      '    expires: 2024-07-01',
+      '  - ruleId: label',
+      '    reason: Old form',
+      '    expires: "2024-01-31"'
+    ].join('\n');
+    expect(yaml.load(source).suppressions[0].expires).toBeInstanceOf(Date);
+
+    const knownIssues = resolveKnownIssues(null, source, now);
+
+    expect(knownIssues.suppressions).toEqual([{ ruleId: 'region', reason: 'Layout rewrite', expires: '2024-07-01' }]);
+    expect(knownIssues.expiredSuppressions).toEqual([{ ruleId: 'label', reason: 'Old form', expires: '2024-01-31' }]);
+  });
+
+  test('accepts a bare list of baseline entries and both fingerprints', () => {
+    const knownIssues = resolveKnownIssues([{ fingerprint: 'a', htmlFingerprint: 'b' }], null, now);
+    expect(Array.from(knownIssues.fingerprints)).toEqual(['a', 'b']);
+  });
+
+  test.each([
+    [[{ ruleId: 'region', expires: '2024-07-01' }], 'Suppression 1 needs a reason'],
+    [[{ reason: 'x', expires: '2024-07-01' }], 'Suppression 1 needs a ruleId or a fingerprint'],
+    [[{ ruleId: 'region', reason: 'x' }], 'Suppression 1 needs a valid expires date'],
+    [[{ ruleId: 'region', reason: 'x', expires: 'someday' }], 'Suppression 1 needs a valid expires date'],
+    [{ rules: [] }, 'suppressions must be an array'],
+    ['suppressions: [', 'Could not parse suppressions']
+  ])('rejects invalid suppressions %#', (suppressions, message) => {
+    expect(() => resolveKnownIssues(null, suppressions, now)).toThrow(message);
+  });
+
+  test('rejects baselines without fingerprints', () => {
+    expect(() => resolveKnownIssues({ entries: [{ ruleId: 'region' }] }, null, now))
+      .toThrow('baseline must have an entries array');
+  });
+});
@@ -0,0 +1,73 @@
+const { parseCron, nextRun, validateCron } = require('../cronSchedule');
+
+// Dates are built in local time, as cron expressions are evaluated in local time
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('nextRun', () => {
+  test('returns the next matching minute, never the starting minute itself', () => {
+    expect(nextRun('30 9 * * *', at(2024, 6, 10, 9, 30))).toEqual(at(2024, 6, 11, 9, 30));
+    expect(nextRun('30 9 * * *', at(2024, 6, 10, 9, 29))).toEqual(at(2024, 6, 10, 9, 30));
+  });
+
+  test('follows steps over wildcards and ranges', () => {
+    expect(nextRun('*/15 * * * *', at(2024, 6, 10, 9, 31))).toEqual(at(2024, 6, 10, 9, 45));
+    expect(nextRun('*/15 * * * *', at(2024, 6, 10, 9, 45))).toEqual(at(2024, 6, 10, 10, 0));
+    expect(nextRun('0 8-18/5 * * *', at(2024, 6, 10, 13, 0))).toEqual(at(2024, 6, 10, 18, 0));
+    expect(nextRun('0 8-18/5 * * *', at(2024, 6, 10, 18, 0))).toEqual(at(2024, 6, 11, 8, 0));
+  });
+
+  test('treats a start with a step as running to the end of the field', () => {
+    expect(nextRun('5/20 * * * *', at(2024, 6, 10, 9, 30))).toEqual(at(2024, 6, 10, 9, 45));
+  });
+
+  test('accepts month and day names in any case', () => {
+    // 10 June 2024 is a Monday
+    expect(nextRun('0 3 * * FRI', at(2024, 6, 10))).toEqual(at(2024, 6, 14, 3, 0));
+    expect(nextRun('0 0 1 Sep *', at(2024, 6, 10))).toEqual(at(2024, 9, 1));
+    expect(nextRun('0 0 * * mon-wed', at(2024, 6, 11, 12, 0))).toEqual(at(2024, 6, 12));
+  });
+
+  test('treats 7 as Sunday', () => {
+    expect(nextRun('0 0 * * 7', at(2024, 6, 10))).toEqual(at(2024, 6, 16));
+    expect(nextRun('0 0 * * 5-7', at(2024, 6, 15, 12, 0))).toEqual(at(2024, 6, 16));
+  });
+
+  test('runs on either day when both day of month and day of week are restricted', () => {
+    expect(nextRun('0 0 20 * mon', at(2024, 6, 10, 12, 0))).toEqual(at(2024, 6, 17));
+    expect(nextRun('0 0 12 * mon', at(2024, 6, 10, 12, 0))).toEqual(at(2024, 6, 12));
+  });
+
+  test('expands aliases', () => {
+    expect(nextRun('@daily', at(2024, 6, 10, 12, 0))).toEqual(at(2024, 6, 11));
+    expect(nextRun('@weekly', at(2024, 6, 10))).toEqual(at(2024, 6, 16));
+  });
+
+  test('finds 29 February in the next leap year', () => {
+    expect(nextRun('0 0 29 2 *', at(2025, 3, 1))).toEqual(at(2028, 2, 29));
+  });
+
+  test('rejects expressions that never match', () => {
+    expect(() => nextRun('0 0 30 2 *', at(2024, 1, 1))).toThrow('never matches');
+    expect(() => validateCron('0 0 31 4 *')).toThrow('never matches');
+  });
+});
+
+describe('parseCron', () => {
+  test.each([
+    ['', 'cron must be a cron expression'],
+    ['* * * *', 'must have 5 fields'],
+    ['60 * * * *', 'Invalid minute "60"'],
+    ['* * 0 * *', 'Invalid day of month "0"'],
+    ['* * * foo *', 'Invalid month "foo"'],
+    ['*/0 * * * *', 'Invalid step "0"'],
+    ['*/5/2 * * * *', 'Invalid step "*/5/2"'],
+    ['1-5-7 * * * *', 'Invalid range "1-5-7"'],
+    ['30-10 * * * *', 'Invalid range "30-10"']
+  ])('rejects %j', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(message);
+  });
+
+  test('trims valid expressions', () => {
+    expect(validateCron('  0 3 * * 1 ')).toBe('0 3 * * 1');
+  });
+});
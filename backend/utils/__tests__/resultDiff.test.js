@@ -0,0 +1,74 @@
+const { resultFindings, diffResults, generateDiffMarkdown } = require('../resultDiff');
+const { violation, axeResults } = require('../__fixtures__/axeResults');
+
+const stored = (testId, ...violations) => ({
+  testId,
+  url: 'https://example.com/shop',
+  timestamp: '2024-06-15T12:00:00.000Z',
+  fullResults: axeResults(...violations)
+});
+
+describe('resultFindings', () => {
+  test('reads stored test results, raw axe results and exported findings', () => {
+    const image = violation('image-alt', { targets: ['#logo'] });
+
+    expect(resultFindings(stored('t', image))).toEqual([expect.objectContaining({ ruleId: 'image-alt', url: '/shop', selector: '#logo' })]);
+    expect(resultFindings({ ...axeResults(image), url: 'https://example.com/shop' })).toHaveLength(1);
+    expect(resultFindings({ findings: [{ fingerprint: 'a' }] })).toEqual([{ fingerprint: 'a' }]);
+  });
+
+  test.each([
+    ['a missing result', null, 'Result must be an object'],
+    ['a summary without nodes', { violations: [{ id: 'image-alt' }] }, 'Result does not contain violation details']
+  ])('rejects %s', (label, result, message) => {
+    expect(() => resultFindings(result)).toThrow(message);
+  });
+});
+
+describe('diffResults', () => {
+  test('classifies violating nodes as new, fixed or unchanged', () => {
+    const diff = diffResults(
+      stored('before', violation('image-alt', { targets: ['#logo'] }), violation('color-contrast', { targets: ['.footer a'] })),
+      stored('after', violation('image-alt', { targets: ['#logo'] }), violation('label', { targets: ['input'] }))
+    );
+
+    expect(diff.summary).toEqual({ new: 1, fixed: 1, unchanged: 1 });
+    expect(diff.new.map(finding => finding.ruleId)).toEqual(['label']);
+    expect(diff.fixed.map(finding => finding.ruleId)).toEqual(['color-contrast']);
+    expect(diff.unchanged.map(finding => finding.ruleId)).toEqual(['image-alt']);
+    expect(diff.before).toEqual({ testId: 'before', url: 'https://example.com/shop', timestamp: '2024-06-15T12:00:00.000Z' });
+  });
+
+  test('matches renumbered elements and elements whose selector changed but HTML did not', () => {
+    const moved = (target) => ({ id: 'image-alt', impact: 'critical', nodes: [{ target: [target], html: '<img src="logo.png">' }] });
+    const diff = diffResults(
+      stored('before', violation('region', { targets: ['#main-1'] }), moved('#a')),
+      stored('after', violation('region', { targets: ['#main-2'] }), moved('.b'))
+    );
+
+    expect(diff.summary).toEqual({ new: 0, fixed: 0, unchanged: 2 });
+  });
+
+  test('matches each earlier node at most once and counts duplicates once', () => {
+    const diff = diffResults(
+      stored('before', violation('label', { targets: ['input'] })),
+      stored('after', violation('label', { targets: ['input', 'input', 'select'] }))
+    );
+
+    expect(diff.summary).toEqual({ new: 1, fixed: 0, unchanged: 1 });
+    expect(diff.new[0].selector).toBe('select');
+  });
+});
+
+describe('generateDiffMarkdown', () => {
+  test('lists new and fixed violations by rule with a summary table', () => {
+    const markdown = generateDiffMarkdown(diffResults(
+      stored('before', violation('color-contrast', { targets: ['.footer a'] })),
+      stored('after', violation('image-alt', { impact: 'critical', targets: ['#logo', '#hero'] }))
+    ));
+
+    expect(markdown).toContain('| 2 | 1 | 0 |');
+    expect(markdown).toContain('- **[image-alt](https://dequeuniversity.com/rules/axe/4.8/image-alt)** (critical, 2 elements)');
+    expect(markdown).toContain('  - `.footer a` on /shop');
+  });
+});
@@ -0,0 +1,76 @@
+const { ScanScheduler, validateSchedule } = require('../scheduler');
+const { MemoryStorage } = require('../storage');
+const { violation, axeResults } = require('../__fixtures__/axeResults');
+
+describe('ScanScheduler.complete', () => {
+  let storage;
+  let scheduler;
+
+  const finish = async (thresholds) => {
+    await storage.saveSchedule({ id: 's', name: 'Nightly', cron: '0 3 * * *', urls: ['https://example.com'], thresholds });
+    await storage.saveTestResult({
+      testId: 't',
+      url: 'https://example.com',
+      timestamp: '2024-01-01T00:00:00.000Z',
+      fullResults: axeResults(violation('image-alt', { impact: 'critical' }), violation('region', { impact: 'moderate' }))
+    });
+    const run = { id: 'r', scheduleId: 's', status: 'running', startedAt: '2024-01-01T00:00:00.000Z' };
+    await scheduler.complete('s', run, {
+      status: 'completed',
+      totalUrls: 1,
+      failedUrls: 0,
+      endTime: '2024-01-01T00:01:00.000Z',
+      results: [{ status: 'completed', url: 'https://example.com', testId: 't', violations: 2 }]
+    });
+    return run;
+  };
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.init();
+    scheduler = new ScanScheduler(storage, jest.fn());
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('passes runs with violations when the schedule has no thresholds', async () => {
+    const run = await finish(null);
+
+    expect(run.passed).toBe(true);
+    expect(run.breaches).toEqual([]);
+    expect(run.summary).toEqual({ totalUrls: 1, testedUrls: 1, failedUrls: 0, violations: 2 });
+  });
+
+  test('fails runs with pages over the thresholds', async () => {
+    const run = await finish({ impact: { critical: 0, moderate: 1 } });
+
+    expect(run.passed).toBe(false);
+    expect(run.breaches).toEqual([{
+      url: 'https://example.com',
+      testId: 't',
+      failures: [expect.objectContaining({ type: 'impact', key: 'critical', limit: 0, actual: 1 })]
+    }]);
+    expect((await storage.getSchedule('s')).lastRun).toMatchObject({ id: 'r', passed: false });
+  });
+});
+
+describe('validateSchedule crawl limits', () => {
+  const schedule = (crawl) => validateSchedule({ name: 'Crawl', cron: '0 3 * * *', crawl: { url: 'https://example.com', ...crawl } });
+
+  test('defaults and parses the crawl limits', () => {
+    expect(schedule({}).crawl).toMatchObject({ maxDepth: 2, maxPages: 50 });
+    expect(schedule({ maxDepth: '3', maxPages: '100' }).crawl).toMatchObject({ maxDepth: 3, maxPages: 100 });
+  });
+
+  test.each([
+    [{ maxDepth: 'deep' }, 'maxDepth must be an integer between 1 and 10'],
+    [{ maxDepth: 0 }, 'maxDepth must be an integer between 1 and 10'],
+    [{ maxPages: 'all' }, 'maxPages must be an integer between 1 and 1000'],
+    [{ maxPages: 5000 }, 'maxPages must be an integer between 1 and 1000']
+  ])('rejects %j', (crawl, message) => {
+    expect(() => schedule(crawl)).toThrow(message);
+  });
+});
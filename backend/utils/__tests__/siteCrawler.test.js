@@ -0,0 +1,164 @@
+const SiteCrawler = require('../siteCrawler');
+const { RobotsRules, normalizeUrl, globToRegExp, matchesAnyPattern, resolveCrawlLimits } = SiteCrawler;
+
+describe('globToRegExp', () => {
+  test('matches * within one path segment and ** across segments', () => {
+    expect(globToRegExp('/docs/*').test('/docs/intro')).toBe(true);
+    expect(globToRegExp('/docs/*').test('/docs/guides/intro')).toBe(false);
+    expect(globToRegExp('/docs/**').test('/docs/guides/intro')).toBe(true);
+    expect(globToRegExp('**/*print*').test('/blog/post/print-view')).toBe(true);
+  });
+
+  test('matches ? as one character and escapes regular expression characters', () => {
+    expect(globToRegExp('/v?/api').test('/v2/api')).toBe(true);
+    expect(globToRegExp('/v?/api').test('/v10/api')).toBe(false);
+    expect(globToRegExp('/page.html').test('/page.html')).toBe(true);
+    expect(globToRegExp('/page.html').test('/pageXhtml')).toBe(false);
+    expect(globToRegExp('/search(1)+').test('/search(1)+')).toBe(true);
+  });
+
+  test('anchors the pattern to the whole target', () => {
+    expect(globToRegExp('/docs').test('/docs/intro')).toBe(false);
+    expect(globToRegExp('/docs').test('/old/docs')).toBe(false);
+  });
+});
+
+describe('matchesAnyPattern', () => {
+  test('matches the path and query, or the full URL for patterns with a scheme', () => {
+    expect(matchesAnyPattern('https://example.com/docs/a?lang=en', ['/docs/*'])).toBe(true);
+    expect(matchesAnyPattern('https://example.com/docs/a', ['https://example.com/docs/**'])).toBe(true);
+    expect(matchesAnyPattern('https://example.com/docs/a', ['https://other.com/**', '/blog/**'])).toBe(false);
+  });
+});
+
+describe('normalizeUrl', () => {
+  test('drops the fragment, sorts the query and strips trailing slashes', () => {
+    expect(normalizeUrl('https://example.com/shop/?b=2&a=1#top')).toBe('https://example.com/shop?a=1&b=2');
+    expect(normalizeUrl('https://example.com/docs//')).toBe('https://example.com/docs');
+    expect(normalizeUrl('https://example.com/')).toBe('https://example.com/');
+  });
+
+  test('resolves relative links against the base URL', () => {
+    expect(normalizeUrl('../about/', 'https://example.com/docs/intro')).toBe('https://example.com/about');
+  });
+
+  test('returns null for invalid and non-http(s) URLs', () => {
+    expect(normalizeUrl('mailto:team@example.com')).toBeNull();
+    expect(normalizeUrl('javascript:void(0)', 'https://example.com/')).toBeNull();
+    expect(normalizeUrl('not a url')).toBeNull();
+  });
+});
+
+describe('RobotsRules', () => {
+  const robots = [
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: AccessibilityChecker',
+    'Disallow: /private/',
+    'Allow: /private/public/',
+    'Disallow: /*.pdf$',
+    'Disallow: /search?',
+    '',
+    'User-agent: OtherBot',
+    'Disallow: /docs/'
+  ].join('\n');
+
+  test('uses the group for our user agent over the * group', () => {
+    const rules = RobotsRules.parse(robots);
+
+    expect(rules.isAllowed('https://example.com/docs/intro')).toBe(true);
+    expect(rules.isAllowed('https://example.com/private/data')).toBe(false);
+    expect(RobotsRules.parse(robots, 'SomeCrawler').isAllowed('https://example.com/docs/intro')).toBe(false);
+  });
+
+  test('lets the longest matching rule win', () => {
+    const rules = RobotsRules.parse(robots);
+
+    expect(rules.isAllowed('https://example.com/private/public/page')).toBe(true);
+    expect(rules.isAllowed('https://example.com/private/other')).toBe(false);
+  });
+
+  test('prefers Allow when rules of the same length match', () => {
+    const rules = new RobotsRules([
+      { allow: false, path: '/page' },
+      { allow: true, path: '/page' }
+    ]);
+
+    expect(rules.isAllowed('https://example.com/page')).toBe(true);
+  });
+
+  test('supports * wildcards, $ anchors and query strings', () => {
+    const rules = RobotsRules.parse(robots);
+
+    expect(rules.isAllowed('https://example.com/files/report.pdf')).toBe(false);
+    expect(rules.isAllowed('https://example.com/files/report.pdf.html')).toBe(true);
+    expect(rules.isAllowed('https://example.com/search?q=a')).toBe(false);
+    expect(rules.isAllowed('https://example.com/search')).toBe(true);
+  });
+
+  test('allows everything without rules', () => {
+    expect(new RobotsRules().isAllowed('https://example.com/anything')).toBe(true);
+    expect(RobotsRules.parse('# nothing here').isAllowed('https://example.com/')).toBe(true);
+  });
+});
+
+describe('resolveCrawlLimits', () => {
+  test('defaults and parses the limits', () => {
+    expect(resolveCrawlLimits()).toEqual({ maxDepth: 2, maxPages: 50 });
+    expect(resolveCrawlLimits('3', '100')).toEqual({ maxDepth: 3, maxPages: 100 });
+  });
+
+  test.each([
+    [0, 50, 'maxDepth must be an integer between 1 and 10'],
+    ['deep', 50, 'maxDepth must be an integer between 1 and 10'],
+    [2, 1001, 'maxPages must be an integer between 1 and 1000'],
+    [2, 2.5, 'maxPages must be an integer between 1 and 1000']
+  ])('rejects depth %j and pages %j', (maxDepth, maxPages, message) => {
+    expect(() => resolveCrawlLimits(maxDepth, maxPages)).toThrow(message);
+  });
+});
+
+describe('SiteCrawler.crawl', () => {
+  // Fake browser context: each site entry gives the links on a page and,
+  // optionally, the URL it redirects to
+  const fakeContext = (site) => ({
+    newPage: async () => {
+      let current;
+      return {
+        goto: async (url) => {
+          current = site[url].redirect || url;
+          return { ok: () => true, headers: () => ({ 'content-type': 'text/html' }) };
+        },
+        url: () => current,
+        $$eval: async () => site[current].links,
+        close: async () => {}
+      };
+    }
+  });
+
+  test('skips redirects to pages outside the include patterns', async () => {
+    const site = {
+      'https://example.com/docs': { links: ['/docs/a', '/docs/moved'] },
+      'https://example.com/docs/a': { links: [] },
+      'https://example.com/docs/moved': { redirect: 'https://example.com/blog/moved' }
+    };
+    const crawler = new SiteCrawler(fakeContext(site), { respectRobots: false, include: ['/docs/**'] });
+
+    expect(await crawler.crawl('https://example.com/docs')).toEqual([
+      'https://example.com/docs',
+      'https://example.com/docs/a'
+    ]);
+  });
+
+  test('skips redirects to pages disallowed by robots.txt', async () => {
+    const site = {
+      'https://example.com/': { links: ['/old'] },
+      'https://example.com/old': { redirect: 'https://example.com/private/new' }
+    };
+    const crawler = new SiteCrawler(fakeContext(site));
+    crawler.loadRobotsRules = async () => new RobotsRules([{ allow: false, path: '/private/' }]);
+
+    expect(await crawler.crawl('https://example.com/')).toEqual(['https://example.com/']);
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStorage, SQLiteStorage, createStorage } = require('../storage');
+
+const result = (testId, timestamp, extra = {}) => ({
+  testId,
+  url: `https://example.com/${testId}`,
+  timestamp,
+  violations: 1,
+  fullResults: { violations: [{ id: 'image-alt' }] },
+  screenshots: [{ index: 0 }],
+  findings: [{ fingerprint: 'abc' }],
+  ...extra
+});
+
+// Both drivers must behave the same; each gets a fresh store per test
+describe.each([
+  ['memory', () => new MemoryStorage()],
+  ['sqlite', () => new SQLiteStorage(':memory:')]
+])('%s storage', (name, create) => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = create();
+    await storage.init();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  test('stores and returns a test result with its full results', async () => {
+    await storage.saveTestResult(result('a', '2024-01-01T00:00:00.000Z'));
+
+    const stored = await storage.getTestResult('a');
+    expect(stored.url).toBe('https://example.com/a');
+    expect(stored.fullResults).toEqual({ violations: [{ id: 'image-alt' }] });
+    expect(stored.screenshots).toEqual([{ index: 0 }]);
+    expect(await storage.getTestResult('missing')).toBeNull();
+  });
+
+  test('lists test result summaries newest first, without the bulky fields', async () => {
+    await storage.saveTestResult(result('old', '2024-01-01T00:00:00.000Z'));
+    await storage.saveTestResult(result('new', '2024-03-01T00:00:00.000Z'));
+    await storage.saveTestResult(result('mid', '2024-02-01T00:00:00.000Z'));
+
+    const list = await storage.listTestResults();
+    expect(list.map(item => item.testId)).toEqual(['new', 'mid', 'old']);
+    list.forEach(item => {
+      expect(item).not.toHaveProperty('fullResults');
+      expect(item).not.toHaveProperty('screenshots');
+      expect(item).not.toHaveProperty('findings');
+    });
+  });
+
+  test('replaces a test result saved again under the same ID', async () => {
+    await storage.saveTestResult(result('a', '2024-01-01T00:00:00.000Z'));
+    await storage.saveTestResult(result('a', '2024-01-01T00:00:00.000Z', { violations: 5 }));
+
+    expect((await storage.getTestResult('a')).violations).toBe(5);
+    expect(await storage.listTestResults()).toHaveLength(1);
+  });
+
+  test('saves batches as copies', async () => {
+    const batch = { batchId: 'b', status: 'running', startTime: '2024-01-01T00:00:00.000Z', results: [] };
+    await storage.saveBatch(batch);
+    batch.results.push('changed later');
+
+    expect((await storage.getBatch('b')).results).toEqual([]);
+    expect(await storage.getBatch('missing')).toBeNull();
+  });
+
+  test('marks only unfinished batches as interrupted', async () => {
+    await storage.saveBatch({ batchId: 'running', status: 'running' });
+    await storage.saveBatch({ batchId: 'paused', status: 'paused' });
+    await storage.saveBatch({ batchId: 'done', status: 'completed', endTime: '2024-01-01T00:00:00.000Z' });
+    await storage.saveBatch({ batchId: 'cancelled', status: 'cancelled' });
+
+    expect(await storage.markInterruptedBatches()).toBe(2);
+
+    const running = await storage.getBatch('running');
+    expect(running.status).toBe('interrupted');
+    expect(running.endTime).toEqual(expect.any(String));
+    expect((await storage.getBatch('paused')).status).toBe('interrupted');
+    expect(await storage.getBatch('done')).toMatchObject({ status: 'completed', endTime: '2024-01-01T00:00:00.000Z' });
+    expect((await storage.getBatch('cancelled')).status).toBe('cancelled');
+    expect(await storage.markInterruptedBatches()).toBe(0);
+  });
+
+  test('lists webhooks oldest first and deletes their deliveries with them', async () => {
+    await storage.saveWebhook({ id: 'w2', url: 'https://b', createdAt: '2024-02-01T00:00:00.000Z' });
+    await storage.saveWebhook({ id: 'w1', url: 'https://a', createdAt: '2024-01-01T00:00:00.000Z' });
+    await storage.saveWebhookDelivery({ id: 'd1', webhookId: 'w1', createdAt: '2024-01-02T00:00:00.000Z' });
+    await storage.saveWebhookDelivery({ id: 'd2', webhookId: 'w1', createdAt: '2024-01-03T00:00:00.000Z' });
+    await storage.saveWebhookDelivery({ id: 'd3', webhookId: 'w2', createdAt: '2024-01-04T00:00:00.000Z' });
+
+    expect((await storage.listWebhooks()).map(webhook => webhook.id)).toEqual(['w1', 'w2']);
+    expect((await storage.listWebhookDeliveries('w1')).map(delivery => delivery.id)).toEqual(['d2', 'd1']);
+    expect(await storage.listWebhookDeliveries('w1', 1)).toHaveLength(1);
+
+    expect(await storage.deleteWebhook('w1')).toBe(true);
+    expect(await storage.deleteWebhook('w1')).toBe(false);
+    expect(await storage.getWebhookDelivery('d1')).toBeNull();
+    expect(await storage.getWebhookDelivery('d3')).not.toBeNull();
+  });
+
+  test('lists schedules oldest first and runs newest first, deleting runs with their schedule', async () => {
+    await storage.saveSchedule({ id: 's2', name: 'Two', createdAt: '2024-02-01T00:00:00.000Z' });
+    await storage.saveSchedule({ id: 's1', name: 'One', createdAt: '2024-01-01T00:00:00.000Z' });
+    await storage.saveScheduleRun({ id: 'r1', scheduleId: 's1', startedAt: '2024-01-02T00:00:00.000Z' });
+    await storage.saveScheduleRun({ id: 'r2', scheduleId: 's1', startedAt: '2024-01-03T00:00:00.000Z' });
+    await storage.saveScheduleRun({ id: 'r3', scheduleId: 's2', startedAt: '2024-01-04T00:00:00.000Z' });
+
+    expect((await storage.listSchedules()).map(schedule => schedule.id)).toEqual(['s1', 's2']);
+    expect((await storage.listScheduleRuns('s1')).map(run => run.id)).toEqual(['r2', 'r1']);
+
+    expect(await storage.deleteSchedule('s1')).toBe(true);
+    expect(await storage.getSchedule('s1')).toBeNull();
+    expect(await storage.listScheduleRuns('s1')).toEqual([]);
+    expect(await storage.listScheduleRuns('s2')).toHaveLength(1);
+  });
+});
+
+describe('sqlite storage on disk', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('keeps results and batches across a restart', async () => {
+    const filename = path.join(directory, 'nested', 'results.db');
+
+    const first = createStorage('sqlite', { filename });
+    await first.init();
+    await first.saveTestResult(result('a', '2024-01-01T00:00:00.000Z'));
+    await first.saveBatch({ batchId: 'b', status: 'running' });
+    await first.close();
+
+    const second = createStorage('sqlite', { filename });
+    await second.init();
+    expect((await second.getTestResult('a')).fullResults).toEqual({ violations: [{ id: 'image-alt' }] });
+    expect(await second.markInterruptedBatches()).toBe(1);
+    expect((await second.getBatch('b')).status).toBe('interrupted');
+    await second.close();
+  });
+});
+
+test('createStorage rejects unknown drivers', () => {
+  expect(() => createStorage('postgres')).toThrow('Unknown storage driver: postgres');
+});
@@ -0,0 +1,102 @@
+const { resolveThresholds, evaluateThresholds } = require('../thresholds');
+const { violation, axeResults } = require('../__fixtures__/axeResults');
+
+const results = axeResults(
+  violation('image-alt', { impact: 'critical', nodeCount: 3 }),
+  violation('color-contrast', { nodeCount: 4, tags: ['wcag2aa'] }),
+  violation('region', { impact: 'moderate', tags: ['best-practice'] })
+);
+
+describe('resolveThresholds', () => {
+  test('falls back to maxViolations as a limit on violated rules', () => {
+    expect(resolveThresholds(undefined, 2)).toEqual({ countBy: 'rule', total: 2, impact: {}, rules: {}, tags: {} });
+    expect(resolveThresholds(null).total).toBe(0);
+    expect(resolveThresholds(null, '5').total).toBe(5);
+  });
+
+  test('ignores maxViolations when thresholds are given', () => {
+    expect(resolveThresholds({ impact: { critical: 0 } }, 3)).toEqual({
+      countBy: 'rule',
+      total: null,
+      impact: { critical: 0 },
+      rules: {},
+      tags: {}
+    });
+  });
+
+  test('merges top-level impact keys, with the impact map winning', () => {
+    expect(resolveThresholds({ critical: 0, serious: 2, impact: { serious: 1 } }).impact)
+      .toEqual({ critical: 0, serious: 1 });
+  });
+
+  test('accepts numeric strings as limits', () => {
+    expect(resolveThresholds({ total: '10', rules: { 'color-contrast': '3' }, tags: { wcag2a: '0' } })).toMatchObject({
+      total: 10,
+      rules: { 'color-contrast': 3 },
+      tags: { wcag2a: 0 }
+    });
+  });
+
+  test.each([
+    ['a string', 'strict', 'thresholds must be an object'],
+    ['an array', [], 'thresholds must be an object'],
+    ['an unknown countBy', { countBy: 'page' }, 'thresholds.countBy must be one of: rule, node'],
+    ['a negative limit', { total: -1 }, 'thresholds.total must be a non-negative integer'],
+    ['a fractional limit', { impact: { critical: 0.5 } }, 'thresholds.impact.critical must be a non-negative integer'],
+    ['a non-numeric string', { rules: { region: 'none' } }, 'thresholds.rules.region must be a non-negative integer'],
+    ['a blank string', { tags: { wcag2a: ' ' } }, 'thresholds.tags.wcag2a must be a non-negative integer'],
+    ['a list of rules', { rules: ['region'] }, 'thresholds.rules must map names to limits'],
+    ['an unknown impact', { impact: { blocker: 0 } }, 'Unknown impact "blocker"'],
+    ['an unknown top-level key', { maxViolations: 0 }, 'Unknown threshold "maxViolations"'],
+    ['a misspelt impact level', { critcal: 0 }, 'Unknown threshold "critcal"']
+  ])('rejects %s', (label, thresholds, message) => {
+    expect(() => resolveThresholds(thresholds)).toThrow(message);
+  });
+
+  test('rejects an invalid maxViolations', () => {
+    expect(() => resolveThresholds(null, 'many')).toThrow('thresholds.total must be a non-negative integer');
+  });
+});
+
+describe('evaluateThresholds', () => {
+  test('counts violated rules by default', () => {
+    const evaluation = evaluateThresholds(results, resolveThresholds({ total: 3, serious: 1 }));
+
+    expect(evaluation.passed).toBe(true);
+    expect(evaluation.countBy).toBe('rule');
+    expect(evaluation.counts.total).toBe(3);
+    expect(evaluation.counts.impact).toEqual({ critical: 1, serious: 1, moderate: 1, minor: 0 });
+  });
+
+  test('counts elements with countBy node', () => {
+    const evaluation = evaluateThresholds(results, resolveThresholds({ countBy: 'node', total: 3, serious: 1 }));
+
+    expect(evaluation.passed).toBe(false);
+    expect(evaluation.counts.total).toBe(8);
+    expect(evaluation.failures).toEqual([
+      { type: 'total', key: 'total', limit: 3, actual: 8, message: '8 total violations (counted by element) exceed the limit of 3' },
+      { type: 'impact', key: 'serious', limit: 1, actual: 4, message: '4 serious violations (counted by element) exceed the limit of 1' }
+    ]);
+  });
+
+  test('checks rule and tag limits', () => {
+    const evaluation = evaluateThresholds(results, resolveThresholds({
+      rules: { 'image-alt': 0, label: 0 },
+      tags: { wcag2aa: 1, 'best-practice': 0 }
+    }));
+
+    expect(evaluation.counts.rules).toEqual({ 'image-alt': 1, label: 0 });
+    expect(evaluation.counts.tags).toEqual({ wcag2aa: 1, 'best-practice': 1 });
+    expect(evaluation.failures.map(failure => failure.message)).toEqual([
+      '1 "image-alt" violation (counted by rule) exceeds the limit of 0',
+      '1 best-practice violation (counted by rule) exceeds the limit of 0'
+    ]);
+  });
+
+  test('applies the legacy maxViolations fallback to violated rules', () => {
+    expect(evaluateThresholds(results, resolveThresholds(null, 3)).passed).toBe(true);
+    expect(evaluateThresholds(results, resolveThresholds(null, 2)).failures)
+      .toEqual([expect.objectContaining({ type: 'total', limit: 2, actual: 3 })]);
+    expect(evaluateThresholds({ violations: [] }, resolveThresholds(null)).passed).toBe(true);
+  });
+});
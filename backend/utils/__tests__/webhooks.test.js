@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { WEBHOOK_EVENTS, WebhookDispatcher, validateWebhook, signPayload } = require('../webhooks');
+const { MemoryStorage } = require('../storage');
+
+const secret = 'a-very-secret-webhook-key';
+
+describe('signPayload', () => {
+  test('returns the sha256= prefixed HMAC of the body', () => {
+    const body = JSON.stringify({ event: 'test.completed' });
+    const expected = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+    expect(signPayload(secret, body)).toBe(`sha256=${expected}`);
+    expect(signPayload(secret, body)).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(signPayload('another-secret-value', body)).not.toBe(signPayload(secret, body));
+  });
+});
+
+describe('validateWebhook', () => {
+  test('subscribes to every event and generates a secret by default', () => {
+    const webhook = validateWebhook({ url: 'https://hooks.example.com/a11y' });
+
+    expect(webhook.url).toBe('https://hooks.example.com/a11y');
+    expect(webhook.events).toEqual(WEBHOOK_EVENTS);
+    expect(webhook.secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(webhook.description).toBe('');
+  });
+
+  test('keeps the given secret and de-duplicates events', () => {
+    expect(validateWebhook({
+      url: 'http://localhost:4000/hook',
+      events: ['ci.completed', 'ci.completed'],
+      secret,
+      description: 'CI'
+    })).toEqual({ url: 'http://localhost:4000/hook', events: ['ci.completed'], secret, description: 'CI' });
+  });
+
+  test.each([
+    ['a missing URL', {}, 'url must be a valid http(s) URL'],
+    ['a non-http URL', { url: 'ftp://example.com/hook' }, 'url must be a valid http(s) URL'],
+    ['empty events', { url: 'https://example.com', events: [] }, 'events must be a non-empty array'],
+    ['an unknown event', { url: 'https://example.com', events: ['scan.started'] }, 'Unknown webhook event "scan.started"'],
+    ['a short secret', { url: 'https://example.com', secret: 'short' }, 'secret must be a string of at least 16 characters']
+  ])('rejects %s', (label, registration, message) => {
+    expect(() => validateWebhook(registration)).toThrow(message);
+  });
+});
+
+describe('WebhookDispatcher', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.init();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    [undefined, 3],
+    ['0', 0],
+    [' 5 ', 5],
+    [2, 2],
+    ['abc', 3],
+    ['', 3],
+    ['-1', 3],
+    ['1.5', 3],
+    [NaN, 3]
+  ])('uses %j as %d retries', (retries, expected) => {
+    expect(new WebhookDispatcher(storage, { retries }).retries).toBe(expected);
+  });
+
+  test('signs deliveries and sends the event headers', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+    const dispatcher = new WebhookDispatcher(storage);
+
+    const delivery = await dispatcher.deliver({ id: 'w', url: 'https://hooks.example.com/a11y', secret }, 'ci.completed', { passed: true });
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/a11y');
+    expect(request.headers).toMatchObject({
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': 'ci.completed',
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Signature': signPayload(secret, request.body)
+    });
+    expect(JSON.parse(request.body)).toEqual({ id: delivery.id, event: 'ci.completed', timestamp: delivery.createdAt, data: { passed: true } });
+    expect(delivery.status).toBe('delivered');
+  });
+
+  test('retries server errors but not rejected payloads', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+    const dispatcher = new WebhookDispatcher(storage, { retries: 2, delay: 1 });
+    const webhook = { id: 'w', url: 'https://hooks.example.com/a11y', secret };
+
+    const failed = await dispatcher.deliver(webhook, 'test.completed', {});
+    expect(failed.status).toBe('failed');
+    expect(failed.attempts.map(attempt => attempt.error)).toEqual(['HTTP 503', 'HTTP 503', 'HTTP 503']);
+
+    fetch.mockResolvedValue({ ok: false, status: 400 });
+    expect((await dispatcher.deliver(webhook, 'test.completed', {})).attempts).toHaveLength(1);
+  });
+});
@@ -0,0 +1,205 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Shared pieces of the page audits (see pageAudits.js)
+ */
+
+// Natively focusable elements; tabindex and disabled are checked separately
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  'summary',
+  'iframe',
+  'audio[controls]',
+  'video[controls]',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[tabindex]'
+].join(', ');
+
+/**
+ * Define `window.__a11yAudit` in the page: selectors, HTML snippets and
+ * visibility checks used by the audit scripts. Defined again after navigations.
+ */
+async function installPageHelpers(page) {
+  await page.evaluate((focusableSelector) => {
+    if (window.__a11yAudit) {
+      return;
+    }
+
+    // A CSS selector that finds this element again
+    const selectorFor = (element) => {
+      const parts = [];
+      let current = element;
+      while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+        if (current.id && document.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+          parts.unshift(`#${CSS.escape(current.id)}`);
+          break;
+        }
+        let part = current.localName;
+        const parent = current.parentElement;
+        if (parent) {
+          const siblings = Array.from(parent.children).filter(child => child.localName === current.localName);
+          if (siblings.length > 1) {
+            part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+          }
+        }
+        parts.unshift(part);
+        current = parent;
+      }
+      return parts.join(' > ') || 'html';
+    };
+
+    const snippet = (element) => {
+      const html = element.outerHTML || '';
+      return html.length > 250 ? `${html.slice(0, 250)}...` : html;
+    };
+
+    const isRendered = (element) => {
+      if (typeof element.checkVisibility === 'function') {
+        return element.checkVisibility({ opacityProperty: true, visibilityProperty: true });
+      }
+      const style = getComputedStyle(element);
+      return element.getClientRects().length > 0 && style.visibility !== 'hidden' && style.opacity !== '0';
+    };
+
+    const isFocusable = (element) =>
+      element.matches(focusableSelector) && element.tabIndex >= 0 && !element.disabled;
+
+    // Inside a visually hidden container (the 1px clipped "sr-only" pattern)
+    const isVisuallyHidden = (element) => {
+      for (let current = element; current && current !== document.body; current = current.parentElement) {
+        const style = getComputedStyle(current);
+        const rect = current.getBoundingClientRect();
+        if ((rect.width <= 1 || rect.height <= 1) && (style.overflow !== 'visible' || style.clip !== 'auto')) {
+          return true;
+        }
+        if (style.clipPath === 'inset(50%)') {
+          return true;
+        }
+      }
+      return false;
+    };
+
+    // Bounding box in document coordinates
+    const documentRect = (element) => {
+      const rect = element.getBoundingClientRect();
+      return {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      };
+    };
+
+    // Short accessible-ish name for listings
+    const labelFor = (element) => {
+      const text = element.getAttribute('aria-label')
+        || element.getAttribute('alt')
+        || element.getAttribute('title')
+        || element.textContent
+        || element.getAttribute('placeholder')
+        || element.value
+        || '';
+      return String(text).replace(/\s+/g, ' ').trim().slice(0, 80);
+    };
+
+    Object.defineProperty(window, '__a11yAudit', {
+      value: { selectorFor, snippet, isRendered, isFocusable, isVisuallyHidden, documentRect, labelFor, focusableSelector },
+      enumerable: false
+    });
+  }, FOCUSABLE_SELECTOR);
+}
+
+/**
+ * Path and URL of an evidence image for a run, or null when screenshots are off
+ */
+async function evidenceFile(context, fileName) {
+  if (!context.includeScreenshots || !context.screenshotId || !context.screenshotDir) {
+    return null;
+  }
+  const directory = path.join(context.screenshotDir, 'screenshots', context.screenshotId);
+  await fs.mkdir(directory, { recursive: true });
+  return {
+    path: path.join(directory, fileName),
+    url: `/reports/screenshots/${context.screenshotId}/${fileName}`
+  };
+}
+
+/**
+ * WCAG relative luminance of an sRGB color ({ r, g, b } from 0 to 255)
+ */
+function relativeLuminance({ r, g, b }) {
+  const [red, green, blue] = [r, g, b].map(channel => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+/**
+ * WCAG contrast ratio between two colors, from 1 to 21
+ */
+function contrastRatio(first, second) {
+  const [lighter, darker] = [relativeLuminance(first), relativeLuminance(second)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Turn audit findings ({ rule, selector, html, message }) into axe-style
+ * violations, one per rule, so they are counted and reported like axe results
+ */
+function auditViolations(rules, findings) {
+  const byRule = new Map();
+  findings.forEach(finding => {
+    if (!byRule.has(finding.rule)) {
+      byRule.set(finding.rule, []);
+    }
+    byRule.get(finding.rule).push(finding);
+  });
+
+  return Array.from(byRule, ([ruleId, ruleFindings]) => {
+    const rule = rules[ruleId];
+    return {
+      id: ruleId,
+      impact: rule.impact,
+      tags: rule.tags,
+      description: rule.description,
+      help: rule.help,
+      helpUrl: rule.helpUrl,
+      nodes: ruleFindings.map(finding => ({
+        target: [finding.selector],
+        html: finding.html || '',
+        impact: rule.impact,
+        failureSummary: `Fix the following:\n  ${finding.message}`,
+        any: [],
+        all: [],
+        none: []
+      }))
+    };
+  });
+}
+
+/**
+ * Turn passing audit checks (same shape as findings) into axe-style passes
+ */
+function auditPasses(rules, passed) {
+  return auditViolations(rules, passed).map(rule => ({
+    ...rule,
+    nodes: rule.nodes.map(({ failureSummary, ...node }) => node)
+  }));
+}
+
+module.exports = {
+  FOCUSABLE_SELECTOR,
+  installPageHelpers,
+  evidenceFile,
+  relativeLuminance,
+  contrastRatio,
+  auditViolations,
+  auditPasses
+};
@@ -0,0 +1,161 @@
+/**
+ * Authenticated browser sessions for scanning pages behind a login.
+ *
+ * Supported auth options:
+ *   cookies      - Playwright cookie objects ({ name, value, url | domain + path })
+ *   headers      - extra HTTP headers sent with every request
+ *   storageState - Playwright storage state object ({ cookies, origins }); file
+ *                  paths are rejected so requests cannot make the server read files
+ *   login        - declarative login recipe:
+ *                  { url, fields: [{ selector, value }], submit, waitFor, timeout }
+ *
+ * The login recipe runs once per session; the resulting storage state is reused
+ * for every context created afterwards (e.g. every URL in a batch).
+ */
+class AuthSession {
+  constructor(auth = {}, { baseUrl } = {}) {
+    this.auth = auth || {};
+    this.baseUrl = baseUrl;
+    this.storageState = this.auth.storageState || undefined;
+    this.loggedIn = false;
+    this.loggingIn = null;
+  }
+
+  /**
+   * Validate an auth config, returning an error message or null
+   */
+  static validate(auth) {
+    if (!auth) return null;
+    if (typeof auth !== 'object' || Array.isArray(auth)) {
+      return 'auth must be an object';
+    }
+    if (auth.cookies && !Array.isArray(auth.cookies)) {
+      return 'auth.cookies must be an array';
+    }
+    if (auth.cookies && auth.cookies.some(cookie => !cookie || !cookie.name || cookie.value === undefined)) {
+      return 'Each auth cookie needs a name and a value';
+    }
+    if (auth.headers && (typeof auth.headers !== 'object' || Array.isArray(auth.headers))) {
+      return 'auth.headers must be an object';
+    }
+    if (auth.storageState !== undefined && auth.storageState !== null) {
+      const { storageState } = auth;
+      if (typeof storageState !== 'object' || Array.isArray(storageState)) {
+        return 'auth.storageState must be a storage state object ({ cookies, origins }), not a file path';
+      }
+      if (['cookies', 'origins'].some(field => storageState[field] !== undefined && !Array.isArray(storageState[field]))) {
+        return 'auth.storageState cookies and origins must be arrays';
+      }
+    }
+    if (auth.login) {
+      if (!auth.login.url) {
+        return 'auth.login.url is required';
+      }
+      if (auth.login.fields && !Array.isArray(auth.login.fields)) {
+        return 'auth.login.fields must be an array';
+      }
+      if (auth.login.fields && auth.login.fields.some(field => !field || !field.selector)) {
+        return 'Each auth.login field needs a selector';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether any authentication is configured
+   */
+  get enabled() {
+    const { cookies, headers, storageState, login } = this.auth;
+    return Boolean((cookies && cookies.length) || headers || storageState || login);
+  }
+
+  /**
+   * Create a browser context carrying the session, logging in first if needed
+   */
+  async createContext(browser, contextOptions = {}) {
+    if (this.auth.login && !this.loggedIn) {
+      // Contexts created concurrently share a single login
+      if (!this.loggingIn) {
+        this.loggingIn = this.login(browser, contextOptions).finally(() => {
+          this.loggingIn = null;
+        });
+      }
+      await this.loggingIn;
+    }
+
+    const context = await browser.newContext(this.buildContextOptions(contextOptions));
+    await this.addCookies(context);
+    return context;
+  }
+
+  /**
+   * Run the login recipe once and keep the resulting storage state
+   */
+  async login(browser, contextOptions = {}) {
+    const { url, fields = [], submit, waitFor, timeout = 30000 } = this.auth.login;
+    const context = await browser.newContext(this.buildContextOptions(contextOptions));
+
+    try {
+      await this.addCookies(context);
+      const page = await context.newPage();
+      page.setDefaultTimeout(timeout);
+
+      console.log(`🔐 Logging in at ${url}`);
+      await page.goto(url, { waitUntil: 'networkidle', timeout });
+
+      for (const field of fields) {
+        await page.fill(field.selector, String(field.value ?? ''));
+      }
+
+      if (submit) {
+        await page.click(submit);
+      }
+
+      if (waitFor) {
+        await page.waitForSelector(waitFor, { timeout });
+      } else {
+        await page.waitForLoadState('networkidle', { timeout });
+      }
+
+      this.storageState = await context.storageState();
+      this.loggedIn = true;
+    } catch (error) {
+      throw new Error(`Login failed: ${error.message}`);
+    } finally {
+      await context.close();
+    }
+  }
+
+  /**
+   * Merge the session's headers and storage state into context options
+   */
+  buildContextOptions(contextOptions = {}) {
+    const options = { ...contextOptions };
+
+    if (this.auth.headers) {
+      options.extraHTTPHeaders = {
+        ...(contextOptions.extraHTTPHeaders || {}),
+        ...this.auth.headers
+      };
+    }
+    if (this.storageState) {
+      options.storageState = this.storageState;
+    }
+
+    return options;
+  }
+
+  /**
+   * Add configured cookies, scoping cookies without url/domain to the base URL
+   */
+  async addCookies(context) {
+    const { cookies } = this.auth;
+    if (!cookies || cookies.length === 0) return;
+
+    await context.addCookies(cookies.map(cookie => (
+      cookie.url || cookie.domain ? cookie : { ...cookie, url: this.baseUrl }
+    )));
+  }
+}
+
+module.exports = AuthSession;
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { normalizeUrl, matchesAnyPattern } = require('./siteCrawler');
+
+/**
+ * Baselines and suppressions for known violations.
+ *
+ * Every violating node gets a fingerprint from its rule, page URL (path and
+ * query only, so a baseline recorded on staging also applies in production)
+ * and normalised selector; a second fingerprint uses the normalised HTML so a
+ * known issue is still recognised when only its selector changed.
+ *
+ * A baseline is { version, createdAt, entries: [{ fingerprint, htmlFingerprint, ruleId, url, selector }] }.
+ * A suppression file (JSON or YAML) lists
+ *   { ruleId, url?, selector?, fingerprint?, reason, expires }
+ * where `url` is a glob and `selector` matches any node whose selector contains it.
+ */
+
+const BASELINE_VERSION = 1;
+
+function hash(...parts) {
+  return crypto.createHash('sha1').update(parts.join('\u0000')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Path and query of a URL, normalised
+ */
+function urlKey(url) {
+  const normalized = normalizeUrl(url);
+  if (!normalized) {
+    return String(url || '');
+  }
+  const { pathname, search } = new URL(normalized);
+  return pathname + search;
+}
+
+/**
+ * Normalise an axe target: flatten iframe/shadow DOM paths, collapse
+ * whitespace and blank out numbers in generated IDs and class names
+ */
+function normalizeSelector(target) {
+  const flatten = part => (Array.isArray(part) ? part.map(flatten).join(' >>> ') : String(part));
+  return flatten(target || [])
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/(:nth-[a-z-]+\()?\d+/g, (match, nth) => (nth ? match : 'N'));
+}
+
+/**
+ * Normalise element HTML: collapse whitespace, drop inline styles and blank out numbers
+ */
+function normalizeHtml(html) {
+  return String(html || '')
+    .replace(/\sstyle="[^"]*"/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\d+/g, 'N')
+    .trim()
+    .slice(0, 500);
+}
+
+/**
+ * One finding per violating node, with fingerprints
+ */
+function collectFindings(results, url) {
+  const pageKey = urlKey(url);
+
+  return results.violations.flatMap(violation => violation.nodes.map(node => {
+    const selector = normalizeSelector(node.target);
+    return {
+      ruleId: violation.id,
+      impact: violation.impact,
+      description: violation.description,
+      helpUrl: violation.helpUrl,
+      url: pageKey,
+      selector,
+      html: node.html,
+      fingerprint: hash(violation.id, pageKey, selector),
+      htmlFingerprint: hash(violation.id, pageKey, normalizeHtml(node.html))
+    };
+  }));
+}
+
+/**
+ * All findings of a scan: the new ones (status 'new') and the known issues
+ * split off by applyKnownIssues
+ */
+function scanFindings(results, url, suppressed = []) {
+  return [
+    ...collectFindings(results, url).map(finding => ({ ...finding, status: 'new' })),
+    ...suppressed
+  ];
+}
+
+/**
+ * Build a baseline from findings (see collectFindings)
+ */
+function createBaseline(findings) {
+  const entries = new Map();
+  findings.forEach(finding => {
+    if (!entries.has(finding.fingerprint)) {
+      entries.set(finding.fingerprint, {
+        fingerprint: finding.fingerprint,
+        htmlFingerprint: finding.htmlFingerprint,
+        ruleId: finding.ruleId,
+        url: finding.url,
+        selector: finding.selector
+      });
+    }
+  });
+
+  return {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    entries: Array.from(entries.values())
+  };
+}
+
+function parseDocument(source, name) {
+  if (typeof source !== 'string') {
+    return source;
+  }
+  try {
+    return yaml.load(source);
+  } catch (error) {
+    throw new Error(`Could not parse ${name}: ${error.message}`);
+  }
+}
+
+function parseBaseline(source) {
+  const baseline = parseDocument(source, 'baseline');
+  const entries = Array.isArray(baseline) ? baseline : baseline && baseline.entries;
+  if (!Array.isArray(entries) || entries.some(entry => !entry || !entry.fingerprint)) {
+    throw new Error('baseline must have an entries array of { fingerprint } objects');
+  }
+  return entries;
+}
+
+function parseSuppressions(source) {
+  const document = parseDocument(source, 'suppressions');
+  const suppressions = Array.isArray(document) ? document : document && document.suppressions;
+  if (!Array.isArray(suppressions)) {
+    throw new Error('suppressions must be an array or an object with a suppressions array');
+  }
+
+  return suppressions.map((suppression, index) => {
+    const label = `Suppression ${index + 1}`;
+    if (!suppression || typeof suppression !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    if (!suppression.ruleId && !suppression.fingerprint) {
+      throw new Error(`${label} needs a ruleId or a fingerprint`);
+    }
+    if (!suppression.reason) {
+      throw new Error(`${label} needs a reason`);
+    }
+    // YAML turns unquoted dates into Date objects
+    const expires = suppression.expires instanceof Date
+      ? suppression.expires
+      : new Date(suppression.expires);
+    if (!suppression.expires || isNaN(expires.getTime())) {
+      throw new Error(`${label} needs a valid expires date`);
+    }
+    return { ...suppression, expires: expires.toISOString().slice(0, 10) };
+  });
+}
+
+/**
+ * Validate a request's baseline and suppressions. Returns null when neither is
+ * given, otherwise { fingerprints, suppressions, expiredSuppressions }.
+ */
+function resolveKnownIssues(baseline, suppressions, now = new Date()) {
+  if (!baseline && !suppressions) {
+    return null;
+  }
+
+  const fingerprints = new Set();
+  if (baseline) {
+    parseBaseline(baseline).forEach(entry => {
+      fingerprints.add(entry.fingerprint);
+      if (entry.htmlFingerprint) {
+        fingerprints.add(entry.htmlFingerprint);
+      }
+    });
+  }
+
+  const today = now.toISOString().slice(0, 10);
+  const parsed = suppressions ? parseSuppressions(suppressions) : [];
+
+  return {
+    fingerprints,
+    suppressions: parsed.filter(suppression => suppression.expires >= today),
+    expiredSuppressions: parsed.filter(suppression => suppression.expires < today)
+  };
+}
+
+function matchesSuppression(suppression, finding, url) {
+  if (suppression.fingerprint) {
+    return [finding.fingerprint, finding.htmlFingerprint].includes(suppression.fingerprint);
+  }
+  if (suppression.ruleId !== finding.ruleId) {
+    return false;
+  }
+  if (suppression.url && !matchesAnyPattern(url, [suppression.url])) {
+    return false;
+  }
+  return !suppression.selector || finding.selector.includes(normalizeSelector([suppression.selector]));
+}
+
+/**
+ * Split axe results into new findings and known issues.
+ *
+ * Returns { results, suppressed } where `results` only keeps new violating
+ * nodes and `suppressed` lists the suppressed (status 'suppressed', with
+ * reason and expiry) and baselined (status 'baseline') findings.
+ */
+function applyKnownIssues(results, url, knownIssues) {
+  if (!knownIssues) {
+    return { results, suppressed: [] };
+  }
+
+  const suppressed = [];
+  const violations = results.violations.map(violation => {
+    const nodes = violation.nodes.filter(node => {
+      const [finding] = collectFindings({ violations: [{ ...violation, nodes: [node] }] }, url);
+
+      const suppression = knownIssues.suppressions.find(candidate => matchesSuppression(candidate, finding, url));
+      if (suppression) {
+        suppressed.push({ ...finding, status: 'suppressed', reason: suppression.reason, expires: suppression.expires });
+        return false;
+      }
+      if (knownIssues.fingerprints.has(finding.fingerprint) || knownIssues.fingerprints.has(finding.htmlFingerprint)) {
+        suppressed.push({ ...finding, status: 'baseline' });
+        return false;
+      }
+      return true;
+    });
+    return { ...violation, nodes };
+  }).filter(violation => violation.nodes.length > 0);
+
+  return { results: { ...results, violations }, suppressed };
+}
+
+/**
+ * Summary counts of known issues
+ */
+function knownIssuesSummary(suppressed, knownIssues) {
+  if (!knownIssues) {
+    return {};
+  }
+  return {
+    suppressed: suppressed.filter(finding => finding.status === 'suppressed').length,
+    baselined: suppressed.filter(finding => finding.status === 'baseline').length,
+    expiredSuppressions: knownIssues.expiredSuppressions.map(({ ruleId, url, selector, fingerprint, reason, expires }) =>
+      ({ ruleId, url, selector, fingerprint, reason, expires }))
+  };
+}
+
+module.exports = {
+  collectFindings,
+  scanFindings,
+  createBaseline,
+  resolveKnownIssues,
+  applyKnownIssues,
+  knownIssuesSummary,
+  normalizeSelector
+};
@@ -0,0 +1,114 @@
+/**
+ * Pause, resume and cancel a running batch.
+ *
+ * Workers call ready() before starting a URL: it waits while the batch is
+ * paused and resolves to false once it has been cancelled. URLs that are
+ * already being scanned always finish.
+ */
+class BatchController {
+  constructor() {
+    this.state = 'running'; // 'running' | 'paused' | 'cancelled'
+    this.waiters = [];
+  }
+
+  get paused() {
+    return this.state === 'paused';
+  }
+
+  get cancelled() {
+    return this.state === 'cancelled';
+  }
+
+  /**
+   * Whether new URLs may start right now
+   */
+  get runnable() {
+    return this.state === 'running';
+  }
+
+  pause() {
+    if (this.state !== 'running') {
+      throw new Error(`Cannot pause a ${this.state} batch`);
+    }
+    this.state = 'paused';
+  }
+
+  resume() {
+    if (this.state !== 'paused') {
+      throw new Error(`Cannot resume a ${this.state} batch`);
+    }
+    this.state = 'running';
+    this.wake();
+  }
+
+  cancel() {
+    if (this.state === 'cancelled') {
+      throw new Error('Batch is already cancelled');
+    }
+    this.state = 'cancelled';
+    this.wake();
+  }
+
+  /**
+   * Resolve true when URLs may start, or false when the batch was cancelled
+   */
+  ready() {
+    if (this.state !== 'paused') {
+      return Promise.resolve(!this.cancelled);
+    }
+    return new Promise(resolve => this.waiters.push(resolve)).then(() => this.ready());
+  }
+
+  wake() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
+
+// Errors from flaky connections that are worth another attempt
+const NETWORK_ERROR = /net::ERR_|NS_ERROR_|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|Navigation timeout|Timeout \d+ms exceeded|Could not connect/i;
+
+function isNetworkError(error) {
+  return Boolean(error && NETWORK_ERROR.test(error.message));
+}
+
+/**
+ * Validate the number of retries for network errors (default 2)
+ */
+function resolveRetries(retries) {
+  if (retries === undefined || retries === null) {
+    return 2;
+  }
+  const count = Number(retries);
+  if (!Number.isInteger(count) || count < 0 || count > 5) {
+    throw new Error('retries must be an integer between 0 and 5');
+  }
+  return count;
+}
+
+/**
+ * Run fn, retrying network errors with exponential backoff
+ * (delay, 2 × delay, 4 × delay, ...)
+ */
+async function withRetries(fn, { retries = 2, delay = 2000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isNetworkError(error)) {
+        throw error;
+      }
+      const wait = delay * 2 ** attempt;
+      if (onRetry) {
+        onRetry(error, attempt + 1, wait);
+      }
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+}
+
+module.exports = BatchController;
+module.exports.isNetworkError = isNetworkError;
+module.exports.withRetries = withRetries;
+module.exports.resolveRetries = resolveRetries;
@@ -0,0 +1,51 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process progress events of running batches, streamed to clients as
+ * Server-Sent Events.
+ *
+ * Event types:
+ *   progress      { batchId, status, totalUrls, completedUrls, failedUrls }
+ *   url-start     { url, index, attempt }
+ *   url-retry     { url, attempt, delay, error }
+ *   url-complete  the URL's result summary (with violation counts)
+ *   url-failed    the URL's failed result
+ *   url-skipped   { url } (batch cancelled before the URL started)
+ *   done          the final batch progress
+ */
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+function publish(batchId, type, data) {
+  emitter.emit(batchId, type, data);
+}
+
+/**
+ * Listen to a batch's events; returns a function that stops listening
+ */
+function subscribe(batchId, listener) {
+  emitter.on(batchId, listener);
+  return () => emitter.off(batchId, listener);
+}
+
+/**
+ * Counts and status of a batch, without the per-URL results
+ */
+function progressEvent(batchProgress) {
+  const { batchId, status, totalUrls, completedUrls, failedUrls } = batchProgress;
+  return { batchId, status, totalUrls, completedUrls, failedUrls };
+}
+
+/**
+ * Write one Server-Sent Event to a response
+ */
+function writeEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  progressEvent,
+  writeEvent
+};
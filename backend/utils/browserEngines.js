@@ -0,0 +1,75 @@
+const playwright = require('playwright');
+
+const SUPPORTED_BROWSERS = ['chromium', 'firefox', 'webkit'];
+const DEFAULT_BROWSERS = ['chromium'];
+
+/**
+ * Validate the requested browser engines ("chromium", "firefox", "webkit").
+ * Returns null when none were requested.
+ */
+function resolveBrowsers(browsers) {
+  if (browsers === undefined || browsers === null) {
+    return null;
+  }
+
+  const requested = typeof browsers === 'string' ? [browsers] : browsers;
+  if (!Array.isArray(requested)) {
+    throw new Error('browsers must be an array of browser names');
+  }
+
+  const names = requested.map(name => String(name).toLowerCase());
+  const unknown = names.find(name => !SUPPORTED_BROWSERS.includes(name));
+  if (unknown) {
+    throw new Error(`Unknown browser "${unknown}", expected one of: ${SUPPORTED_BROWSERS.join(', ')}`);
+  }
+
+  const unique = Array.from(new Set(names));
+  return unique.length > 0 ? unique : null;
+}
+
+/**
+ * Launch every requested engine, returning [{ name, browser }]
+ */
+async function launchBrowsers(names) {
+  const engines = [];
+
+  try {
+    for (const name of names || DEFAULT_BROWSERS) {
+      engines.push({ name, browser: await playwright[name].launch() });
+    }
+  } catch (error) {
+    await closeBrowsers(engines);
+    throw error;
+  }
+
+  return engines;
+}
+
+/**
+ * Close launched engines, ignoring browsers that already went away
+ */
+async function closeBrowsers(engines) {
+  for (const { browser } of engines || []) {
+    try { await browser.close(); } catch (e) { /* ignore */ }
+  }
+}
+
+/**
+ * Adapt context options to an engine's capabilities
+ */
+function contextOptionsFor(engineName, contextOptions) {
+  // Firefox has no mobile emulation; keep the viewport, DPR and touch support
+  if (engineName === 'firefox' && 'isMobile' in contextOptions) {
+    const { isMobile, ...supported } = contextOptions;
+    return supported;
+  }
+  return contextOptions;
+}
+
+module.exports = {
+  SUPPORTED_BROWSERS,
+  resolveBrowsers,
+  launchBrowsers,
+  closeBrowsers,
+  contextOptionsFor
+};
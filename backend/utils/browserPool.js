@@ -0,0 +1,239 @@
+const os = require('os');
+const { launchBrowsers, closeBrowsers } = require('./browserEngines');
+
+const DEFAULT_BROWSERS = ['chromium'];
+
+/**
+ * Validate a per-URL timeout in milliseconds. Returns null when none was given.
+ */
+function resolveTimeout(timeout) {
+  if (timeout === undefined || timeout === null) {
+    return null;
+  }
+  const ms = Number(timeout);
+  if (!Number.isInteger(ms) || ms <= 0) {
+    throw new Error('timeout must be a positive number of milliseconds');
+  }
+  return ms;
+}
+
+/**
+ * Shared pool of browsers with a concurrency limit.
+ *
+ * Browsers are launched on first use, shared by every request and relaunched
+ * when they crash or after serving `maxContextsPerBrowser` tasks (to release
+ * leaked memory). At most `concurrency` tasks run at once, and new tasks wait
+ * while free system memory is below `minFreeMemoryMB` (unless nothing runs).
+ *
+ * Tasks get engines shaped like launchBrowsers() output ([{ name, browser }]);
+ * the browser only exposes newContext(), so contexts left open by a task are
+ * closed when it finishes or times out.
+ */
+class BrowserPool {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 2;
+    this.timeout = options.timeout || 120000;
+    this.maxContextsPerBrowser = options.maxContextsPerBrowser || 50;
+    this.minFreeMemoryMB = options.minFreeMemoryMB ?? 256;
+
+    this.active = 0;
+    this.waiting = [];
+    this.browsers = new Map(); // name -> { browser, uses, leases, retiring }
+    this.launching = new Map(); // name -> Promise of a browser entry
+    this.closed = false;
+  }
+
+  /**
+   * Run task(engines) once a slot is free, with a timeout (0 disables it).
+   * A task that fails because its browser crashed is retried once.
+   */
+  async run(engineNames, task, { timeout } = {}) {
+    const limit = timeout === undefined || timeout === null ? this.timeout : timeout;
+
+    await this.acquireSlot();
+    try {
+      try {
+        return await this.runLeased(engineNames, task, limit);
+      } catch (error) {
+        if (!error.browserCrashed) {
+          throw error;
+        }
+        console.log(`♻️ Browser crashed, retrying with a fresh browser: ${error.message}`);
+        return await this.runLeased(engineNames, task, limit);
+      }
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  async runLeased(engineNames, task, limit) {
+    const leases = [];
+    try {
+      for (const name of engineNames || DEFAULT_BROWSERS) {
+        leases.push(await this.lease(name));
+      }
+
+      const engines = leases.map(lease => lease.engine);
+      const running = Promise.resolve().then(() => task(engines));
+      if (!limit) {
+        return await running;
+      }
+
+      let timer;
+      const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${limit}ms`)), limit);
+      });
+      try {
+        return await Promise.race([running, timedOut]);
+      } catch (error) {
+        // Closing the task's contexts makes its pending Playwright calls fail
+        await Promise.all(leases.map(lease => lease.closeContexts()));
+        await Promise.race([running.catch(() => {}), new Promise(resolve => setTimeout(resolve, 5000))]);
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    } catch (error) {
+      if (leases.some(lease => !lease.entry.browser.isConnected())) {
+        error.browserCrashed = true;
+      }
+      throw error;
+    } finally {
+      for (const lease of leases) {
+        await this.returnLease(lease);
+      }
+    }
+  }
+
+  /**
+   * Wait for a free slot (and enough free memory)
+   */
+  acquireSlot() {
+    if (this.closed) {
+      return Promise.reject(new Error('Browser pool is closed'));
+    }
+    if (this.waiting.length === 0 && this.canStart()) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  releaseSlot() {
+    this.active--;
+    while (this.waiting.length > 0 && this.canStart()) {
+      this.active++;
+      this.waiting.shift()();
+    }
+  }
+
+  canStart() {
+    if (this.active >= this.concurrency) {
+      return false;
+    }
+    // Never block when nothing runs, or queued tasks would wait forever
+    return this.active === 0 || os.freemem() / 1024 / 1024 >= this.minFreeMemoryMB;
+  }
+
+  /**
+   * A running browser for the engine, launching or recycling it as needed
+   */
+  async getBrowser(name) {
+    const current = this.browsers.get(name);
+    if (current && current.browser.isConnected() && !current.retiring) {
+      if (current.uses < this.maxContextsPerBrowser) {
+        return current;
+      }
+      // Let running tasks finish on the old browser, new tasks get a fresh one
+      current.retiring = true;
+      if (current.leases === 0) {
+        this.browsers.delete(name);
+        await closeBrowsers([current]);
+      }
+    }
+
+    if (!this.launching.has(name)) {
+      this.launching.set(name, launchBrowsers([name])
+        .then(([launched]) => {
+          const entry = { name, browser: launched.browser, uses: 0, leases: 0, retiring: false };
+          launched.browser.on('disconnected', () => {
+            if (this.browsers.get(name) === entry && !this.closed) {
+              console.log(`⚠️ ${name} disconnected, it will be relaunched on next use`);
+              this.browsers.delete(name);
+            }
+          });
+          this.browsers.set(name, entry);
+          return entry;
+        })
+        .finally(() => this.launching.delete(name)));
+    }
+    return this.launching.get(name);
+  }
+
+  async lease(name) {
+    const entry = await this.getBrowser(name);
+    entry.uses++;
+    entry.leases++;
+
+    const contexts = new Set();
+    return {
+      entry,
+      engine: {
+        name,
+        browser: {
+          newContext: async options => {
+            const context = await entry.browser.newContext(options);
+            contexts.add(context);
+            context.on('close', () => contexts.delete(context));
+            return context;
+          }
+        }
+      },
+      closeContexts: async () => {
+        for (const context of Array.from(contexts)) {
+          try { await context.close(); } catch (e) { /* ignore */ }
+        }
+      }
+    };
+  }
+
+  async returnLease(lease) {
+    await lease.closeContexts();
+    const { entry } = lease;
+    entry.leases--;
+    if (entry.retiring && entry.leases === 0) {
+      await closeBrowsers([entry]);
+    }
+  }
+
+  /**
+   * Current pool usage, e.g. for the health endpoint
+   */
+  stats() {
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      queued: this.waiting.length,
+      freeMemoryMB: Math.round(os.freemem() / 1024 / 1024),
+      browsers: Array.from(this.browsers.values()).map(entry => ({
+        name: entry.name,
+        connected: entry.browser.isConnected(),
+        tasks: entry.uses,
+        running: entry.leases
+      }))
+    };
+  }
+
+  /**
+   * Close every browser; queued tasks are not started
+   */
+  async close() {
+    this.closed = true;
+    await Promise.all(Array.from(this.launching.values()).map(launching => launching.catch(() => null)));
+    await closeBrowsers(Array.from(this.browsers.values()));
+    this.browsers.clear();
+  }
+}
+
+module.exports = BrowserPool;
+module.exports.resolveTimeout = resolveTimeout;
@@ -0,0 +1,173 @@
+// Helper functions for CI/CD report formats
+
+/**
+ * Build a JUnit test suite from axe results
+ */
+function buildJUnitTestSuite(name, results) {
+  return {
+    name,
+    tests: results.violations.length + results.passes.length,
+    failures: results.violations.length,
+    time: 0,
+    testcases: [
+      ...results.violations.map(violation => ({
+        classname: 'accessibility.violations',
+        name: `${violation.id} - ${violation.description}`,
+        time: 0,
+        failure: {
+          message: `${violation.impact} violation: ${violation.description}`,
+          type: 'AssertionError',
+          text: `Violation found on ${violation.nodes.length} element(s). Help: ${violation.helpUrl}`
+        }
+      })),
+      ...results.passes.map(pass => ({
+        classname: 'accessibility.passes',
+        name: `${pass.id} - ${pass.description}`,
+        time: 0
+      }))
+    ]
+  };
+}
+
+/**
+ * Render JUnit test suites as XML
+ */
+function renderJUnitXml(testSuites) {
+  const tests = testSuites.reduce((sum, suite) => sum + suite.tests, 0);
+  const failures = testSuites.reduce((sum, suite) => sum + suite.failures, 0);
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Accessibility Tests" tests="${tests}" failures="${failures}" time="0">
+  ${testSuites.map(suite => `
+  <testsuite name="${escapeXml(suite.name)}" tests="${suite.tests}" failures="${suite.failures}" time="0">
+    ${suite.testcases.map(tc => `
+    <testcase classname="${tc.classname}" name="${escapeXml(tc.name)}" time="${tc.time}">
+      ${tc.failure ? `<failure message="${escapeXml(tc.failure.message)}" type="${tc.failure.type}">${escapeXml(tc.failure.text)}</failure>` : ''}
+    </testcase>`).join('')}
+  </testsuite>`).join('')}
+</testsuites>`;
+
+  return xml;
+}
+
+function generateJUnitReport(results, url, wcagLevel) {
+  return renderJUnitXml([buildJUnitTestSuite('Accessibility Tests', results)]);
+}
+
+/**
+ * JUnit report with one test suite per labelled section (flow checkpoint, device profile, ...)
+ */
+function generateSectionedJUnitReport(sections, suiteName) {
+  return renderJUnitXml(sections.map(section =>
+    buildJUnitTestSuite(`${suiteName} - ${section.label}`, section.results)
+  ));
+}
+
+/**
+ * Build SARIF rule descriptors, de-duplicated by rule ID
+ */
+function buildSARIFRules(violations) {
+  const rules = new Map();
+  violations.forEach(violation => {
+    if (!rules.has(violation.id)) {
+      rules.set(violation.id, {
+        id: violation.id,
+        shortDescription: { text: violation.description },
+        fullDescription: { text: violation.help },
+        helpUri: violation.helpUrl,
+        properties: {
+          tags: violation.tags,
+          impact: violation.impact
+        }
+      });
+    }
+  });
+  return Array.from(rules.values());
+}
+
+/**
+ * Build SARIF results for each violating node, optionally labelled with a section
+ */
+function buildSARIFResults(results, url, section) {
+  return results.violations.flatMap(violation =>
+    violation.nodes.map(node => ({
+      ruleId: violation.id,
+      message: { text: section ? `[${section.label}] ${violation.description}` : violation.description },
+      level: mapImpactToLevel(violation.impact),
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: url },
+          region: {
+            snippet: { text: node.html }
+          }
+        }
+      }],
+      ...(section ? { properties: { [section.property]: section.label } } : {})
+    }))
+  );
+}
+
+function renderSARIF(rules, results) {
+  return {
+    version: "2.1.0",
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    runs: [{
+      tool: {
+        driver: {
+          name: "axe-core",
+          version: "4.10.0",
+          informationUri: "https://www.deque.com/axe/",
+          rules
+        }
+      },
+      results
+    }]
+  };
+}
+
+function generateSARIFReport(results, url, wcagLevel) {
+  return renderSARIF(buildSARIFRules(results.violations), buildSARIFResults(results, url));
+}
+
+/**
+ * SARIF report for labelled sections, tagging each result with its section
+ * under the given property name (e.g. 'checkpoint' or 'profile')
+ */
+function generateSectionedSARIFReport(sections, url, property) {
+  return renderSARIF(
+    buildSARIFRules(sections.flatMap(section => section.results.violations)),
+    sections.flatMap(section => buildSARIFResults(
+      section.results,
+      section.url || url,
+      { label: section.label, property }
+    ))
+  );
+}
+
+function mapImpactToLevel(impact) {
+  const mapping = {
+    critical: 'error',
+    serious: 'error',
+    moderate: 'warning',
+    minor: 'note'
+  };
+  return mapping[impact] || 'warning';
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  generateJUnitReport,
+  generateSARIFReport,
+  generateSectionedJUnitReport,
+  generateSectionedSARIFReport,
+  mapImpactToLevel,
+  escapeXml
+};
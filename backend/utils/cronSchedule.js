@@ -0,0 +1,173 @@
+/**
+ * Five-field cron expressions (minute hour day-of-month month day-of-week),
+ * evaluated in the server's local time.
+ *
+ * Fields accept `*`, numbers, names (jan-dec, sun-sat), ranges (1-5), lists
+ * (1,15) and steps (*\/15, 0-30/10). The aliases @yearly, @monthly, @weekly,
+ * @daily and @hourly are supported. As in standard cron, when both the day of
+ * month and the day of week are restricted, a day matching either one runs.
+ */
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Give up on expressions that never match (e.g. 30 February) after this many years
+const SEARCH_YEARS = 5;
+
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + field.offset;
+  }
+  const value = Number(text);
+  if (!/^\d+$/.test(text) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} "${text}" in cron expression, expected ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const pieces = part.split('/');
+    if (pieces.length > 2) {
+      throw new Error(`Invalid step "${part}" in cron ${field.name}`);
+    }
+    const [range, stepText] = pieces;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in cron ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const bounds = range.split('-');
+      if (bounds.length !== 2) {
+        throw new Error(`Invalid range "${range}" in cron ${field.name}`);
+      }
+      const [from, to] = bounds;
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid range "${range}" in cron ${field.name}`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression into the sets of matching values per field
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('cron must be a cron expression such as "0 3 * * 1"');
+  }
+  const source = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`cron expression "${expression}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is another name for Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    domRestricted: parts[2] !== '*',
+    dowRestricted: parts[4] !== '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const dom = cron.daysOfMonth.has(date.getDate());
+  const dow = cron.daysOfWeek.has(date.getDay());
+  if (cron.domRestricted && cron.dowRestricted) {
+    return dom || dow;
+  }
+  return cron.domRestricted ? dom : cron.dowRestricted ? dow : true;
+}
+
+/**
+ * The first time after `after` (exclusive) that matches the expression
+ */
+function nextRun(expression, after = new Date()) {
+  const cron = parseCron(expression);
+
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`cron expression "${expression}" never matches`);
+}
+
+/**
+ * Validate a cron expression, including that it ever runs
+ */
+function validateCron(expression) {
+  nextRun(expression);
+  return expression.trim();
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  validateCron
+};
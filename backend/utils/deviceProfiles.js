@@ -0,0 +1,64 @@
+const { devices } = require('playwright');
+
+/**
+ * Resolve requested device profiles into browser context options.
+ *
+ * Each profile is either a Playwright device name ("iPhone 13", "Pixel 7"),
+ * { device: 'iPhone 13', name: 'Phone' }, or a custom profile:
+ * { name, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent }
+ */
+function resolveDeviceProfiles(profiles) {
+  if (profiles === undefined || profiles === null) {
+    return null;
+  }
+  if (!Array.isArray(profiles)) {
+    throw new Error('devices must be an array of device profiles');
+  }
+
+  const resolved = profiles.map((profile, index) => {
+    const spec = typeof profile === 'string' ? { device: profile } : profile;
+
+    if (!spec || typeof spec !== 'object') {
+      throw new Error(`Device profile ${index + 1} must be a device name or an object`);
+    }
+
+    if (spec.device) {
+      const descriptor = devices[spec.device];
+      if (!descriptor) {
+        throw new Error(`Unknown device "${spec.device}"`);
+      }
+      const { defaultBrowserType, ...contextOptions } = descriptor;
+      return { name: spec.name || spec.device, contextOptions };
+    }
+
+    const width = parseInt(spec.width);
+    const height = parseInt(spec.height);
+    if (!(width > 0) || !(height > 0)) {
+      throw new Error(`Device profile ${index + 1} needs a device name or a width and height`);
+    }
+
+    const contextOptions = {
+      viewport: { width, height },
+      deviceScaleFactor: Number(spec.deviceScaleFactor) || 1,
+      isMobile: Boolean(spec.isMobile),
+      hasTouch: Boolean(spec.hasTouch)
+    };
+    if (spec.userAgent) {
+      contextOptions.userAgent = spec.userAgent;
+    }
+
+    return { name: spec.name || `${width}x${height}`, contextOptions };
+  });
+
+  const names = resolved.map(profile => profile.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate device profile name "${duplicate}"`);
+  }
+
+  return resolved.length > 0 ? resolved : null;
+}
+
+module.exports = {
+  resolveDeviceProfiles
+};
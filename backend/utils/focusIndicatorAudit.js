@@ -0,0 +1,290 @@
+const sharp = require('sharp');
+const ScreenshotCapture = require('./screenshotUtils');
+const { installPageHelpers, evidenceFile, contrastRatio } = require('./auditHelpers');
+
+/**
+ * Focus indicator audit.
+ *
+ * Focuses every focusable element in document order (scrolling like Tab
+ * does), screenshots it focused and unfocused and compares the pixels: no
+ * change means focus is not visible (2.4.7); a change smaller than a 2 CSS px
+ * outline with 3:1 contrast between the two states is below the Focus
+ * Appearance minimum (2.4.13, numbered 2.4.11 in WCAG 2.2 drafts). Elements
+ * entirely covered by other content when focused fail Focus Not Obscured
+ * (2.4.11). With screenshots on, failing elements get an evidence image of
+ * both states side by side.
+ */
+
+const MAX_ELEMENTS = 100;
+
+// Room around the element for outlines drawn outside it (outline-offset, box-shadow)
+const CLIP_PADDING = 8;
+
+// Largest per-channel difference treated as rendering noise rather than a change
+const CHANGE_TOLERANCE = 10;
+
+// Focus Appearance: contrast between the focused and unfocused pixels
+const MIN_INDICATOR_CONTRAST = 3;
+
+// Evidence crops are enlarged to about this height so small controls are legible
+const EVIDENCE_HEIGHT = 120;
+
+const rules = {
+  'focus-indicator-missing': {
+    impact: 'serious',
+    tags: ['cat.keyboard', 'wcag2aa', 'wcag247'],
+    description: 'Ensures elements show a visible change when they receive keyboard focus',
+    help: 'Keyboard focus must be visible',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-visible.html'
+  },
+  'focus-indicator-weak': {
+    impact: 'moderate',
+    tags: ['cat.keyboard', 'wcag22aaa', 'wcag2413'],
+    description: 'Ensures the focus indicator is at least as large as a 2 CSS pixel outline and has 3:1 contrast between the focused and unfocused states',
+    help: 'Focus indicator must be large enough and have enough contrast',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-appearance.html'
+  },
+  'focus-obscured': {
+    impact: 'serious',
+    tags: ['cat.keyboard', 'wcag22aa', 'wcag2411'],
+    description: 'Ensures focused elements are not entirely hidden by other content such as sticky headers or banners',
+    help: 'Focused element must not be hidden by other content',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-not-obscured-minimum.html'
+  }
+};
+
+/**
+ * Selectors of the focusable, rendered elements in document order. Focus
+ * indicators inside iframes belong to the framed page, so iframes are skipped.
+ */
+function listFocusableElements(limit) {
+  const { selectorFor, isRendered, isFocusable, focusableSelector } = window.__a11yAudit;
+  const elements = Array.from(document.querySelectorAll(focusableSelector))
+    .filter(element => element.localName !== 'iframe' && isFocusable(element) && isRendered(element));
+  return {
+    selectors: elements.slice(0, limit).map(selectorFor),
+    total: elements.length
+  };
+}
+
+/**
+ * Focus an element and describe it: the viewport clip to screenshot and, when
+ * every sampled point of it is covered by other content, what covers it.
+ * Returns null when the element cannot be focused or is outside the viewport.
+ */
+function focusElement({ selector, padding }) {
+  const { selectorFor, snippet, documentRect, labelFor } = window.__a11yAudit;
+  const element = document.querySelector(selector);
+  if (!element) {
+    return null;
+  }
+  element.focus({ focusVisible: true });
+  if (document.activeElement !== element) {
+    return null;
+  }
+
+  const rect = element.getBoundingClientRect();
+  const viewportWidth = document.documentElement.clientWidth;
+  const viewportHeight = document.documentElement.clientHeight;
+  const left = Math.max(0, Math.floor(rect.left));
+  const top = Math.max(0, Math.floor(rect.top));
+  const right = Math.min(viewportWidth, Math.ceil(rect.right));
+  const bottom = Math.min(viewportHeight, Math.ceil(rect.bottom));
+  if (right - left < 1 || bottom - top < 1) {
+    return null;
+  }
+
+  const root = element.getRootNode().elementFromPoint ? element.getRootNode() : document;
+  const labels = Array.from(element.labels || []);
+  const covers = [];
+  [0.1, 0.5, 0.9].forEach(fx => [0.1, 0.5, 0.9].forEach(fy => {
+    const hit = root.elementFromPoint(left + (right - left) * fx, top + (bottom - top) * fy);
+    const ownContent = hit && (element.contains(hit) || hit.contains(element) || labels.some(label => label.contains(hit)));
+    covers.push(ownContent ? null : hit);
+  }));
+  const obscuredBy = covers.every(Boolean) ? selectorFor(covers[4]) : null;
+
+  const clipLeft = Math.max(0, left - padding);
+  const clipTop = Math.max(0, top - padding);
+  return {
+    html: snippet(element),
+    name: labelFor(element),
+    rect: documentRect(element),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+    obscuredBy,
+    clip: {
+      x: clipLeft,
+      y: clipTop,
+      width: Math.min(viewportWidth, right + padding) - clipLeft,
+      height: Math.min(viewportHeight, bottom + padding) - clipTop
+    }
+  };
+}
+
+/**
+ * Compare screenshots of the unfocused and focused states pixel by pixel.
+ * Resolves to the number of changed pixels, the number that changed with at
+ * least 3:1 contrast and the highest contrast between the two states.
+ */
+async function compareFocusStates(unfocused, focused) {
+  const [before, after] = await Promise.all([unfocused, focused].map(image =>
+    sharp(image).removeAlpha().raw().toBuffer({ resolveWithObject: true })));
+  if (before.info.width !== after.info.width || before.info.height !== after.info.height) {
+    throw new Error('Focused and unfocused screenshots differ in size');
+  }
+
+  const { channels } = before.info;
+  let changedArea = 0;
+  let indicatorArea = 0;
+  let contrast = 1;
+  for (let i = 0; i < before.data.length; i += channels) {
+    const from = { r: before.data[i], g: before.data[i + 1], b: before.data[i + 2] };
+    const to = { r: after.data[i], g: after.data[i + 1], b: after.data[i + 2] };
+    if (Math.max(Math.abs(from.r - to.r), Math.abs(from.g - to.g), Math.abs(from.b - to.b)) <= CHANGE_TOLERANCE) {
+      continue;
+    }
+    changedArea++;
+    const ratio = contrastRatio(from, to);
+    contrast = Math.max(contrast, ratio);
+    if (ratio >= MIN_INDICATOR_CONTRAST) {
+      indicatorArea++;
+    }
+  }
+
+  return { changedArea, indicatorArea, contrast: Math.round(contrast * 100) / 100 };
+}
+
+/**
+ * Area of a 2 CSS px thick perimeter around an element, the Focus Appearance minimum
+ */
+function minimumIndicatorArea(width, height) {
+  return Math.max(1, 4 * (width + height) - 16);
+}
+
+async function checkElement(page, selector) {
+  const focus = await page.evaluate(focusElement, { selector, padding: CLIP_PADDING });
+  if (!focus) {
+    return null;
+  }
+
+  const element = {
+    selector,
+    name: focus.name,
+    rect: focus.rect,
+    obscuredBy: focus.obscuredBy,
+    minimumArea: minimumIndicatorArea(focus.width, focus.height)
+  };
+  if (focus.obscuredBy) {
+    await page.evaluate(() => document.activeElement && document.activeElement.blur());
+    return { element, html: focus.html, focused: null, unfocused: null };
+  }
+
+  const screenshotOptions = { type: 'png', clip: focus.clip, scale: 'css', animations: 'disabled' };
+  const focused = await page.screenshot(screenshotOptions);
+  await page.evaluate(() => document.activeElement && document.activeElement.blur());
+  const unfocused = await page.screenshot(screenshotOptions);
+
+  Object.assign(element, await compareFocusStates(unfocused, focused));
+  return { element, html: focus.html, focused, unfocused };
+}
+
+function elementFindings(element, html) {
+  const base = { selector: element.selector, html };
+  if (element.obscuredBy) {
+    return [{ ...base, rule: 'focus-obscured', message: `Focused element is entirely hidden by ${element.obscuredBy}` }];
+  }
+  if (element.changedArea === 0) {
+    return [{ ...base, rule: 'focus-indicator-missing', message: 'Nothing on screen changes when the element receives keyboard focus' }];
+  }
+  if (element.indicatorArea < element.minimumArea) {
+    return [{
+      ...base,
+      rule: 'focus-indicator-weak',
+      message: `Focus indicator covers ${element.indicatorArea} CSS px² with 3:1 contrast against the unfocused state `
+        + `(highest contrast ${element.contrast}:1); a 2 CSS px outline around the element would cover ${element.minimumArea} CSS px²`
+    }];
+  }
+  return [];
+}
+
+/**
+ * Save the unfocused and focused screenshots side by side. Resolves to the
+ * image URL, or null when screenshots are off.
+ */
+async function saveEvidence(context, fileName, element, unfocused, focused) {
+  const file = await evidenceFile(context, fileName);
+  if (!file) {
+    return null;
+  }
+  try {
+    const height = element.rect.height + CLIP_PADDING * 2;
+    const scale = Math.max(1, Math.min(4, Math.floor(EVIDENCE_HEIGHT / height)));
+    await ScreenshotCapture.combineSideBySide([unfocused, focused], file.path, { scale });
+    return file.url;
+  } catch (error) {
+    console.warn(`Failed to save focus indicator evidence for ${element.selector} on ${context.url}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Run the audit on a loaded page. Resolves to { elements, total, truncated,
+ * findings }, with evidence image URLs on the failing elements.
+ */
+async function run(page, context) {
+  await installPageHelpers(page);
+
+  // A key press makes the browser draw focus as it does for keyboard users
+  // (:focus-visible); element.focus() alone may count as a mouse-style focus
+  await page.evaluate(() => window.scrollTo(0, 0));
+  await page.keyboard.press('Tab');
+  await page.evaluate(() => document.activeElement && document.activeElement.blur());
+
+  const { selectors, total } = await page.evaluate(listFocusableElements, MAX_ELEMENTS);
+  const elements = [];
+  const findings = [];
+
+  for (const selector of selectors) {
+    let checked;
+    try {
+      checked = await checkElement(page, selector);
+    } catch (error) {
+      console.warn(`Failed to check the focus indicator of ${selector} on ${context.url}:`, error.message);
+      continue;
+    }
+    if (!checked) {
+      continue;
+    }
+
+    const { element, html, focused, unfocused } = checked;
+    const elementIssues = elementFindings(element, html);
+    element.evidence = elementIssues.length > 0 && focused
+      ? await saveEvidence(context, `focus-indicator-${elements.length + 1}.png`, element, unfocused, focused)
+      : null;
+
+    elements.push(element);
+    findings.push(...elementIssues);
+  }
+
+  await page.evaluate(() => {
+    if (document.activeElement) {
+      document.activeElement.blur();
+    }
+    window.scrollTo(0, 0);
+  });
+
+  return {
+    elements,
+    total,
+    truncated: total > selectors.length,
+    findings
+  };
+}
+
+module.exports = {
+  name: 'focus-indicator',
+  title: 'Focus Indicators',
+  rules,
+  run
+};
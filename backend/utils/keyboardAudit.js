@@ -0,0 +1,295 @@
+const ScreenshotCapture = require('./screenshotUtils');
+const { installPageHelpers, evidenceFile } = require('./auditHelpers');
+
+/**
+ * Keyboard navigation audit.
+ *
+ * Tabs through the page from the top, recording every focus stop, and checks
+ * for focus traps (2.1.2), clickable elements that cannot be focused (2.1.1),
+ * focus moving to hidden elements (2.4.3) and a missing or broken skip link
+ * (2.4.1). With screenshots on, the focus order is drawn as numbered boxes
+ * over a full-page screenshot.
+ */
+
+const MAX_TAB_STOPS = 200;
+const MAX_CLICKABLE_FINDINGS = 50;
+
+// Focus stops in page headers/navigation before the main content that call for a skip link
+const SKIP_LINK_MIN_STOPS = 3;
+
+const rules = {
+  'keyboard-trap': {
+    impact: 'critical',
+    tags: ['cat.keyboard', 'wcag2a', 'wcag212'],
+    description: 'Ensures keyboard focus can always be moved away from a component with the keyboard',
+    help: 'Keyboard focus must not be trapped',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/no-keyboard-trap.html'
+  },
+  'keyboard-unfocusable-clickable': {
+    impact: 'serious',
+    tags: ['cat.keyboard', 'wcag2a', 'wcag211'],
+    description: 'Ensures elements that respond to clicks can also be reached with the keyboard',
+    help: 'Clickable elements must be keyboard focusable',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/keyboard.html'
+  },
+  'keyboard-hidden-focus': {
+    impact: 'serious',
+    tags: ['cat.keyboard', 'wcag2a', 'wcag243'],
+    description: 'Ensures keyboard focus does not move to invisible elements or elements hidden from assistive technology',
+    help: 'Focus must not move to hidden elements',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-order.html'
+  },
+  'keyboard-skip-link': {
+    impact: 'moderate',
+    tags: ['cat.keyboard', 'wcag2a', 'wcag241'],
+    description: 'Ensures pages with repeated navigation start with a working link to the main content',
+    help: 'Page must have a working skip link',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/bypass-blocks.html'
+  }
+};
+
+/**
+ * Describe the focused element (following focus into shadow roots), or null
+ * when focus is on the document itself
+ */
+function readFocus() {
+  const { selectorFor, snippet, isRendered, documentRect, labelFor } = window.__a11yAudit;
+  let element = document.activeElement;
+  while (element && element.shadowRoot && element.shadowRoot.activeElement) {
+    element = element.shadowRoot.activeElement;
+  }
+  if (!element || element === document.body || element === document.documentElement) {
+    return null;
+  }
+
+  const rect = documentRect(element);
+  let hidden = null;
+  if (element.closest('[aria-hidden="true"]')) {
+    hidden = 'hidden from assistive technology (aria-hidden)';
+  } else if (!isRendered(element)) {
+    hidden = 'not rendered (display, visibility or opacity)';
+  } else if (rect.x + rect.width <= 0 || rect.y + rect.height <= 0) {
+    hidden = 'positioned off-screen';
+  } else if (rect.width <= 1 && rect.height <= 1) {
+    hidden = 'visually hidden (1px or smaller)';
+  }
+
+  const href = element.localName === 'a' ? element.getAttribute('href') : null;
+  let skipTarget = null;
+  if (href && href.startsWith('#') && href.length > 1) {
+    const id = decodeURIComponent(href.slice(1));
+    skipTarget = { id, exists: Boolean(document.getElementById(id) || document.getElementsByName(id)[0]) };
+  }
+
+  return {
+    selector: selectorFor(element),
+    html: snippet(element),
+    tag: element.localName,
+    role: element.getAttribute('role'),
+    name: labelFor(element),
+    rect,
+    hidden,
+    skipTarget,
+    inMain: Boolean(element.closest('main, [role="main"]')),
+    inNavigation: Boolean(element.closest('header, nav, [role="banner"], [role="navigation"]'))
+  };
+}
+
+/**
+ * Elements that look clickable (click handler, interactive role or their own
+ * pointer cursor) but cannot be reached with Tab
+ */
+function findUnfocusableClickables(limit) {
+  const { selectorFor, snippet, isRendered, isFocusable, focusableSelector } = window.__a11yAudit;
+  const interactiveRoles = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'combobox', 'slider', 'spinbutton', 'treeitem', 'gridcell'];
+  const ignoredTags = ['html', 'body', 'label', 'option', 'optgroup', 'svg', 'path', 'img'];
+  const found = [];
+
+  for (const element of document.body.querySelectorAll('*')) {
+    if (found.length >= limit) {
+      break;
+    }
+    if (ignoredTags.includes(element.localName) || isFocusable(element) || element.disabled) {
+      continue;
+    }
+
+    const role = element.getAttribute('role');
+    let reason = null;
+    if (interactiveRoles.includes(role)) {
+      reason = `has role="${role}"`;
+    } else if (element.hasAttribute('onclick') || typeof element.onclick === 'function') {
+      reason = 'has a click handler';
+    } else if (getComputedStyle(element).cursor === 'pointer'
+      && (!element.parentElement || getComputedStyle(element.parentElement).cursor !== 'pointer')) {
+      reason = 'has a pointer cursor';
+    }
+    if (!reason || !isRendered(element) || element.closest('[aria-hidden="true"], [inert]')) {
+      continue;
+    }
+
+    // Focusable controls inside or around the element handle the keyboard
+    const focusableAround = (element.parentElement && element.parentElement.closest(focusableSelector))
+      || Array.from(element.querySelectorAll(focusableSelector)).some(isFocusable);
+    if (focusableAround) {
+      continue;
+    }
+
+    found.push({ selector: selectorFor(element), html: snippet(element), reason });
+  }
+
+  return found;
+}
+
+/**
+ * Tab through the page and record the focus stops, stopping when focus leaves
+ * the page, wraps around to the first stop or is trapped
+ */
+async function walkFocusOrder(page, tabbableCount) {
+  const stops = [];
+  let trap = null;
+  let truncated = true;
+  const limit = Math.min(MAX_TAB_STOPS, tabbableCount * 2 + 5);
+
+  for (let i = 0; i < limit; i++) {
+    await page.keyboard.press('Tab');
+    let focus = await page.evaluate(readFocus);
+    if (!focus) {
+      truncated = false;
+      break;
+    }
+
+    const seenAt = stops.findIndex(stop => stop.selector === focus.selector);
+    if (seenAt === 0 && (stops.length > 1 || tabbableCount <= 1)) {
+      truncated = false;
+      break;
+    }
+
+    if (seenAt >= 0) {
+      // Focus cycles through part of the page; a dialog closed with Escape is fine
+      const cycle = stops.slice(seenAt);
+      await page.keyboard.press('Escape');
+      await page.keyboard.press('Tab');
+      focus = await page.evaluate(readFocus);
+      if (!focus || cycle.some(stop => stop.selector === focus.selector)) {
+        trap = cycle;
+        truncated = false;
+        break;
+      }
+    }
+
+    stops.push({ index: stops.length + 1, ...focus });
+  }
+
+  return { stops, trap, truncated };
+}
+
+function skipLinkFindings(stops) {
+  // The skip link may come after a cookie banner or similar
+  const skipLink = stops.slice(0, 2).find(stop => stop.skipTarget);
+  if (skipLink) {
+    return skipLink.skipTarget.exists ? [] : [{
+      rule: 'keyboard-skip-link',
+      selector: skipLink.selector,
+      html: skipLink.html,
+      message: `Skip link points to #${skipLink.skipTarget.id}, which does not exist`
+    }];
+  }
+
+  const firstContent = stops.findIndex(stop => stop.inMain || !stop.inNavigation);
+  const navigationStops = firstContent === -1 ? stops.length : firstContent;
+  if (navigationStops < SKIP_LINK_MIN_STOPS) {
+    return [];
+  }
+  return [{
+    rule: 'keyboard-skip-link',
+    selector: 'body',
+    html: '<body>',
+    message: `Keyboard users pass ${navigationStops} header and navigation focus stops before the main content and there is no skip link`
+  }];
+}
+
+/**
+ * Run the audit on a loaded page. Resolves to { focusOrder, trap, truncated,
+ * findings, overlay }.
+ */
+async function run(page, context) {
+  await installPageHelpers(page);
+
+  // Start from the top of the page with nothing focused
+  const tabbableCount = await page.evaluate(() => {
+    const { isFocusable, isRendered, focusableSelector } = window.__a11yAudit;
+    if (document.activeElement && document.activeElement !== document.body) {
+      document.activeElement.blur();
+    }
+    window.scrollTo(0, 0);
+    return Array.from(document.querySelectorAll(focusableSelector))
+      .filter(element => isFocusable(element) && isRendered(element)).length;
+  });
+
+  const { stops, trap, truncated } = await walkFocusOrder(page, tabbableCount);
+  const findings = [];
+
+  if (trap) {
+    findings.push({
+      rule: 'keyboard-trap',
+      selector: trap[0].selector,
+      html: trap[0].html,
+      message: `Focus cycles between ${trap.length} element${trap.length !== 1 ? 's' : ''} `
+        + `(${trap.map(stop => stop.selector).join(', ')}) and Tab or Escape do not move it away`
+    });
+  }
+
+  stops.filter(stop => stop.hidden).forEach(stop => {
+    findings.push({
+      rule: 'keyboard-hidden-focus',
+      selector: stop.selector,
+      html: stop.html,
+      message: `Focus stop ${stop.index} is ${stop.hidden}`
+    });
+  });
+
+  const clickables = await page.evaluate(findUnfocusableClickables, MAX_CLICKABLE_FINDINGS);
+  clickables.forEach(clickable => {
+    findings.push({
+      rule: 'keyboard-unfocusable-clickable',
+      selector: clickable.selector,
+      html: clickable.html,
+      message: `Element ${clickable.reason} but cannot be reached with the Tab key; use a native control or add tabindex="0" and key handlers`
+    });
+  });
+
+  findings.push(...skipLinkFindings(stops));
+
+  let overlay = null;
+  const file = await evidenceFile(context, 'keyboard-focus-order.png');
+  if (file && stops.length > 0) {
+    const trapped = new Set((trap || []).map(stop => stop.selector));
+    const regions = stops.map(stop => ({
+      ...stop.rect,
+      label: String(stop.index),
+      color: trapped.has(stop.selector) || stop.hidden ? 'critical' : 'focus'
+    }));
+    try {
+      await new ScreenshotCapture(page).captureAnnotatedPage(regions, file.path, { connect: true });
+      overlay = file.url;
+    } catch (error) {
+      console.warn(`Failed to capture focus order overlay for ${context.url}:`, error.message);
+    }
+  }
+
+  return {
+    focusOrder: stops.map(({ index, selector, tag, role, name, rect, hidden }) => ({ index, selector, tag, role, name, rect, hidden })),
+    trap: trap ? trap.map(stop => stop.selector) : null,
+    truncated,
+    findings,
+    overlay
+  };
+}
+
+module.exports = {
+  name: 'keyboard',
+  title: 'Keyboard Navigation',
+  rules,
+  run
+};
@@ -0,0 +1,89 @@
+/**
+ * Resolve requested media variants into browser context options.
+ *
+ * A variant emulates user preferences through Playwright: `colorScheme`
+ * ("light", "dark", "no-preference"), `forcedColors` ("active", "none"; Windows
+ * High Contrast) and `reducedMotion` ("reduce", "no-preference"). Each variant
+ * is a preset name ("default", "light", "dark", "forced-colors",
+ * "reduced-motion"), presets joined with "+" ("dark+reduced-motion"), or
+ * { name, colorScheme, forcedColors, reducedMotion }.
+ */
+
+const MEDIA_FEATURES = {
+  colorScheme: ['light', 'dark', 'no-preference'],
+  forcedColors: ['active', 'none'],
+  reducedMotion: ['reduce', 'no-preference']
+};
+
+const PRESETS = {
+  default: {},
+  light: { colorScheme: 'light' },
+  dark: { colorScheme: 'dark' },
+  'forced-colors': { forcedColors: 'active' },
+  'reduced-motion': { reducedMotion: 'reduce' }
+};
+
+function parsePreset(value, index) {
+  return String(value).split('+').reduce((media, part) => {
+    const preset = PRESETS[part.trim()];
+    if (!preset) {
+      throw new Error(`Unknown media variant "${part.trim()}" in variant ${index + 1} (use ${Object.keys(PRESETS).join(', ')})`);
+    }
+    return { ...media, ...preset };
+  }, {});
+}
+
+/**
+ * Name a variant after the preferences it changes, e.g. "dark+reduced-motion"
+ */
+function variantName(media) {
+  const parts = [
+    media.colorScheme,
+    media.forcedColors === 'active' ? 'forced-colors' : null,
+    media.reducedMotion === 'reduce' ? 'reduced-motion' : null
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join('+') : 'default';
+}
+
+function resolveMediaVariants(variants) {
+  if (variants === undefined || variants === null) {
+    return null;
+  }
+  if (!Array.isArray(variants)) {
+    throw new Error('variants must be an array of media variants');
+  }
+
+  const resolved = variants.map((variant, index) => {
+    if (typeof variant === 'string') {
+      return { name: variant, contextOptions: parsePreset(variant, index) };
+    }
+    if (!variant || typeof variant !== 'object') {
+      throw new Error(`Media variant ${index + 1} must be a preset name or an object`);
+    }
+
+    const contextOptions = {};
+    Object.entries(MEDIA_FEATURES).forEach(([feature, values]) => {
+      if (variant[feature] === undefined || variant[feature] === null) {
+        return;
+      }
+      if (!values.includes(variant[feature])) {
+        throw new Error(`Media variant ${index + 1}: ${feature} must be one of ${values.join(', ')}`);
+      }
+      contextOptions[feature] = variant[feature];
+    });
+
+    return { name: variant.name || variantName(contextOptions), contextOptions };
+  });
+
+  const names = resolved.map(variant => variant.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate media variant name "${duplicate}"`);
+  }
+
+  return resolved.length > 0 ? resolved : null;
+}
+
+module.exports = {
+  resolveMediaVariants
+};
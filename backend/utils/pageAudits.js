@@ -0,0 +1,112 @@
+const { auditViolations, auditPasses } = require('./auditHelpers');
+const pixelContrastAudit = require('./pixelContrastAudit');
+const keyboardAudit = require('./keyboardAudit');
+const focusIndicatorAudit = require('./focusIndicatorAudit');
+const reflowAudit = require('./reflowAudit');
+const textSpacingAudit = require('./textSpacingAudit');
+const touchTargetAudit = require('./touchTargetAudit');
+
+/**
+ * Page audits: checks that axe cannot make, run on the loaded page after axe
+ * when requested with the `audits` option.
+ *
+ * Each audit module exports { name, title, rules, run(page, context) }, where
+ * `run` resolves to the audit's data plus `findings` ({ rule, selector, html,
+ * message }). Findings become axe-style violations tagged with their WCAG
+ * criteria, so thresholds, baselines and CI formats treat them like axe results.
+ * An audit that settles axe `incomplete` results also returns `passed` (the
+ * checks that passed, shaped like findings) and `resolved` ({ rule, target }
+ * of the incomplete nodes it decided), which leave `incomplete`.
+ *
+ * Audits run in this order; the ones that move focus or restyle the page last.
+ */
+const AUDITS = [pixelContrastAudit, keyboardAudit, focusIndicatorAudit, reflowAudit, textSpacingAudit, touchTargetAudit];
+const AUDIT_NAMES = AUDITS.map(audit => audit.name);
+
+/**
+ * Validate the `audits` request option. Returns the audit names or null.
+ */
+function resolveAudits(audits) {
+  if (audits === undefined || audits === null) {
+    return null;
+  }
+
+  const requested = typeof audits === 'string' ? [audits] : audits;
+  if (!Array.isArray(requested)) {
+    throw new Error('audits must be an array of audit names');
+  }
+
+  const unknown = requested.find(name => !AUDIT_NAMES.includes(name));
+  if (unknown) {
+    throw new Error(`Unknown audit "${unknown}", expected one of: ${AUDIT_NAMES.join(', ')}`);
+  }
+
+  const unique = Array.from(new Set(requested));
+  return unique.length > 0 ? unique : null;
+}
+
+/**
+ * Run the requested audits on a loaded page, one after another.
+ * `context` is { url, label, includeScreenshots, screenshotId, screenshotDir,
+ * timeout, axeResults }. Resolves to { audits: { [name]: result }, violations,
+ * passes, resolved }; an audit that fails is recorded as { error } and does
+ * not fail the scan.
+ */
+async function runPageAudits(page, auditNames, context) {
+  const audits = {};
+  const violations = [];
+  const passes = [];
+  const resolved = [];
+
+  for (const audit of AUDITS.filter(candidate => auditNames.includes(candidate.name))) {
+    try {
+      const result = await audit.run(page, context);
+      audits[audit.name] = result;
+      violations.push(...auditViolations(audit.rules, result.findings));
+      passes.push(...auditPasses(audit.rules, result.passed || []));
+      resolved.push(...(result.resolved || []));
+      console.log(`🔎 ${audit.title} audit of ${context.url} (${context.label}): ${result.findings.length} finding${result.findings.length !== 1 ? 's' : ''}`);
+    } catch (error) {
+      console.warn(`${audit.title} audit failed for ${context.url} (${context.label}):`, error.message);
+      audits[audit.name] = { error: error.message, findings: [] };
+    }
+  }
+
+  return { audits, violations, passes, resolved };
+}
+
+/**
+ * Remove the incomplete nodes that audits decided ({ rule, target }) from an
+ * axe `incomplete` list, dropping rules left without nodes
+ */
+function settleIncomplete(incomplete, resolved) {
+  if (resolved.length === 0) {
+    return incomplete;
+  }
+  const key = (rule, target) => `${rule} ${JSON.stringify(target)}`;
+  const settled = new Set(resolved.map(item => key(item.rule, item.target)));
+  return incomplete
+    .map(rule => ({ ...rule, nodes: rule.nodes.filter(node => !settled.has(key(rule.id, node.target))) }))
+    .filter(rule => rule.nodes.length > 0);
+}
+
+/**
+ * Findings per audit, counted over every run of a scan
+ */
+function auditSummary(runAudits) {
+  const counts = {};
+  runAudits.filter(Boolean).forEach(audits => {
+    Object.entries(audits).forEach(([name, result]) => {
+      counts[name] = (counts[name] || 0) + result.findings.length;
+    });
+  });
+  return counts;
+}
+
+module.exports = {
+  AUDITS,
+  resolveAudits,
+  runPageAudits,
+  settleIncomplete,
+  auditSummary
+};
@@ -48,8 +48,9 @@ class PDFGenerator {
   /**
    * Generate executive summary PDF
    */
-  static async generateExecutiveSummary(results, url, wcagLevel, testId, outputPath) {
+  static async generateExecutiveSummary(results, url, wcagLevel, testId, outputPath, options = {}) {
     const summary = this.calculateSummaryStats(results);
+    const { profiles, profileSpecificViolations, browsers, engineSpecificViolations, variants, variantSpecificViolations } = options;
     
     const htmlContent = `
       <!DOCTYPE html>
@@ -222,6 +223,10 @@ class PDFGenerator {
           `).join('')}
         </div>
 
+        ${browsers ? this.generateComparisonCard('Results by Browser', browsers, engineSpecificViolations, 'browsers') : ''}
+        ${profiles ? this.generateComparisonCard('Results by Device Profile', profiles, profileSpecificViolations, 'device profiles') : ''}
+        ${variants ? this.generateComparisonCard('Results by Media Variant', variants, variantSpecificViolations, 'media variants') : ''}
+
         <div class="recommendations">
           <h3>🎯 Key Recommendations</h3>
           <ul>
@@ -240,6 +245,32 @@ class PDFGenerator {
     return await this.generatePDF(htmlContent, outputPath);
   }
 
+  /**
+   * Summary card comparing the runs of a multi-browser, multi-device or multi-variant scan
+   */
+  static generateComparisonCard(title, entries, specificViolations = [], labelName) {
+    return `
+      <div class="summary-card" style="margin-top: 20px;">
+        <h3>${title}</h3>
+        ${entries.map(entry => `
+          <div class="stat-item">
+            <span>${entry.name}</span>
+            <span class="stat-value">${entry.violations} violations, ${entry.passes} passes</span>
+          </div>
+        `).join('')}
+        ${specificViolations.length > 0 ? `
+          <p><strong>Violations not found on all ${labelName}:</strong></p>
+          ${specificViolations.map(violation => `
+            <div class="stat-item">
+              <span class="${violation.impact}">${violation.id}</span>
+              <span>only on ${violation.foundIn.join(', ')}</span>
+            </div>
+          `).join('')}
+        ` : `<p>All ${labelName} report the same violations.</p>`}
+      </div>
+    `;
+  }
+
   /**
    * Calculate summary statistics from results
    */
@@ -301,6 +332,11 @@ class PDFGenerator {
     if (results.incomplete.length > 0) {
       recommendations.push(`Review ${results.incomplete.length} incomplete tests that require manual verification`);
     }
+    const contrastIncomplete = results.incomplete.find(rule => rule.id === 'color-contrast');
+    const pixelContrastRun = [...results.violations, ...results.passes].some(rule => rule.id.startsWith('pixel-contrast'));
+    if (contrastIncomplete && !pixelContrastRun) {
+      recommendations.push(`Run the pixel-contrast audit to decide ${contrastIncomplete.nodes.length} color contrast checks on text over images and gradients`);
+    }
     if (topCategories.length > 0) {
       recommendations.push(`Focus on ${topCategories[0].category.toLowerCase()} improvements (${topCategories[0].count} issues)`);
     }
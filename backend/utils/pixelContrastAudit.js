@@ -0,0 +1,360 @@
+const sharp = require('sharp');
+const ScreenshotCapture = require('./screenshotUtils');
+const { installPageHelpers, evidenceFile, contrastRatio } = require('./auditHelpers');
+
+/**
+ * Pixel contrast audit (1.4.3 and 1.4.6).
+ *
+ * axe cannot compute the contrast of text over background images, gradients,
+ * pseudo-elements or overlapping elements and reports it as `incomplete`.
+ * This audit screenshots each such text with and without its glyphs (the text
+ * fill is made transparent, so shadows and halos stay part of the background),
+ * takes the pixels that changed as the area behind the text and computes the
+ * worst-case contrast of the text color against them with sharp. The nodes it
+ * measures leave `incomplete` and become passes or violations, each with a
+ * side-by-side evidence image. It runs on the page as axe left it, before the
+ * other audits move focus or restyle it.
+ */
+
+const AXE_RULES = ['color-contrast', 'color-contrast-enhanced'];
+const MAX_NODES = 50;
+
+// Room around the text in the screenshots, for context in the evidence images
+const CLIP_PADDING = 4;
+
+// Largest per-channel difference treated as rendering noise rather than text;
+// both screenshots show the same still page, so little noise is expected
+const CHANGE_TOLERANCE = 2;
+
+// Share of the lowest-contrast pixels ignored as anti-aliasing and image noise
+const OUTLIER_SHARE = 0.01;
+
+// Evidence crops are enlarged to about this height so small text is legible
+const EVIDENCE_HEIGHT = 120;
+
+// Icon fonts and single characters: axe leaves these undecided on purpose
+const UNSUPPORTED_REASONS = ['shortTextContent', 'nonBmp'];
+
+const rules = {
+  'pixel-contrast': {
+    impact: 'serious',
+    tags: ['cat.color', 'wcag2aa', 'wcag143'],
+    description: 'Ensures text over background images, gradients and other content has enough contrast with the pixels behind it',
+    help: 'Text must have enough contrast with the background behind it',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/contrast-minimum.html'
+  },
+  'pixel-contrast-enhanced': {
+    impact: 'serious',
+    tags: ['cat.color', 'wcag2aaa', 'wcag146'],
+    description: 'Ensures text over background images, gradients and other content meets the enhanced contrast ratio with the pixels behind it',
+    help: 'Text must have enhanced contrast with the background behind it',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/contrast-enhanced.html'
+  }
+};
+
+// The audit rule and required ratios (normal and large text) for each axe rule
+const THRESHOLDS = {
+  'color-contrast': { rule: 'pixel-contrast', normal: 4.5, large: 3 },
+  'color-contrast-enhanced': { rule: 'pixel-contrast-enhanced', normal: 7, large: 4.5 }
+};
+
+const HIDE_TEXT_CSS = `
+  [data-a11y-pixel-contrast], [data-a11y-pixel-contrast] * {
+    color: transparent !important;
+    -webkit-text-fill-color: transparent !important;
+    text-decoration-color: transparent !important;
+  }
+`;
+
+/**
+ * The incomplete color contrast nodes axe left for manual review, with a
+ * reason when they cannot be measured here
+ */
+function incompleteNodes(axeResults) {
+  if (!axeResults) {
+    return [];
+  }
+  return (axeResults.incomplete || [])
+    .filter(rule => AXE_RULES.includes(rule.id))
+    .flatMap(rule => rule.nodes.map(node => {
+      const check = (node.any || [])[0] || {};
+      const messageKey = check.data && check.data.messageKey;
+      let skip = null;
+      if (!Array.isArray(node.target) || node.target.length !== 1 || typeof node.target[0] !== 'string') {
+        skip = 'inside an iframe or shadow DOM';
+      } else if (UNSUPPORTED_REASONS.includes(messageKey)) {
+        skip = 'icon or single character';
+      }
+      return {
+        axeRule: rule.id,
+        target: node.target,
+        selector: Array.isArray(node.target) ? node.target.flat().join(' ') : String(node.target),
+        html: node.html,
+        axeMessage: check.message || '',
+        skip
+      };
+    }));
+}
+
+/**
+ * Scroll a text element into view and describe it: the viewport clip around
+ * its text, the text color and whether it counts as large text. Returns
+ * { reason } when the text cannot be measured.
+ */
+function prepareText({ selector, padding }) {
+  const { isRendered } = window.__a11yAudit;
+  const element = document.querySelector(selector);
+  if (!element || !isRendered(element)) {
+    return { reason: 'not rendered' };
+  }
+  element.scrollIntoView({ block: 'center', inline: 'center' });
+
+  const style = getComputedStyle(element);
+  if ((style.webkitBackgroundClip || style.backgroundClip) === 'text') {
+    return { reason: 'text painted with its background (background-clip: text)' };
+  }
+
+  // Normalize any CSS color to RGBA through a canvas
+  const context = document.createElement('canvas').getContext('2d');
+  context.fillStyle = style.webkitTextFillColor || style.color;
+  context.fillRect(0, 0, 1, 1);
+  const [r, g, b, a] = context.getImageData(0, 0, 1, 1).data;
+  if (a === 0) {
+    return { reason: 'transparent text' };
+  }
+
+  const range = document.createRange();
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const box = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (!node.textContent.trim()) {
+      continue;
+    }
+    range.selectNodeContents(node);
+    Array.from(range.getClientRects()).filter(rect => rect.width > 0 && rect.height > 0).forEach(rect => {
+      box.left = Math.min(box.left, rect.left);
+      box.top = Math.min(box.top, rect.top);
+      box.right = Math.max(box.right, rect.right);
+      box.bottom = Math.max(box.bottom, rect.bottom);
+    });
+  }
+
+  const left = Math.max(0, Math.floor(box.left) - padding);
+  const top = Math.max(0, Math.floor(box.top) - padding);
+  const right = Math.min(document.documentElement.clientWidth, Math.ceil(box.right) + padding);
+  const bottom = Math.min(document.documentElement.clientHeight, Math.ceil(box.bottom) + padding);
+  if (!(right - left >= 1 && bottom - top >= 1)) {
+    return { reason: 'no text in the viewport' };
+  }
+
+  const fontSize = parseFloat(style.fontSize);
+  const fontWeight = parseInt(style.fontWeight, 10) || 400;
+  return {
+    color: { r, g, b, alpha: a / 255 },
+    largeText: fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700),
+    clip: { x: left, y: top, width: right - left, height: bottom - top }
+  };
+}
+
+function hideText({ selector, css }) {
+  document.querySelector(selector).setAttribute('data-a11y-pixel-contrast', '');
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(css);
+  Object.defineProperty(window, '__a11yPixelContrast', { value: sheet, configurable: true });
+  document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+}
+
+function showText() {
+  document.adoptedStyleSheets = document.adoptedStyleSheets.filter(sheet => sheet !== window.__a11yPixelContrast);
+  delete window.__a11yPixelContrast;
+  document.querySelectorAll('[data-a11y-pixel-contrast]').forEach(element => element.removeAttribute('data-a11y-pixel-contrast'));
+}
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Compare screenshots with and without the text. Every pixel the text changes
+ * is a background sample; semi-transparent text is blended over each sample.
+ * Resolves to the worst-case contrast and its background color, or null when
+ * the text changes no pixels (it is covered or invisible).
+ */
+async function measureContrast(withText, withoutText, color) {
+  const [text, background] = await Promise.all([withText, withoutText].map(image =>
+    sharp(image).removeAlpha().raw().toBuffer({ resolveWithObject: true })));
+  if (text.info.width !== background.info.width || text.info.height !== background.info.height) {
+    throw new Error('Screenshots with and without the text differ in size');
+  }
+
+  const { channels } = text.info;
+  const samples = [];
+  for (let i = 0; i < text.data.length; i += channels) {
+    const behind = { r: background.data[i], g: background.data[i + 1], b: background.data[i + 2] };
+    if (Math.max(
+      Math.abs(text.data[i] - behind.r),
+      Math.abs(text.data[i + 1] - behind.g),
+      Math.abs(text.data[i + 2] - behind.b)
+    ) <= CHANGE_TOLERANCE) {
+      continue;
+    }
+    const foreground = {
+      r: color.r * color.alpha + behind.r * (1 - color.alpha),
+      g: color.g * color.alpha + behind.g * (1 - color.alpha),
+      b: color.b * color.alpha + behind.b * (1 - color.alpha)
+    };
+    samples.push({ ratio: contrastRatio(foreground, behind), behind });
+  }
+  if (samples.length === 0) {
+    return null;
+  }
+
+  samples.sort((a, b) => a.ratio - b.ratio);
+  const worst = samples[Math.floor(samples.length * OUTLIER_SHARE)];
+  return {
+    ratio: Math.round(worst.ratio * 100) / 100,
+    background: toHex(worst.behind),
+    pixels: samples.length
+  };
+}
+
+/**
+ * Screenshot one text node with and without its glyphs and measure it.
+ * Resolves to { measurement, withText, withoutText } or { reason }.
+ */
+async function checkNode(page, node) {
+  const text = await page.evaluate(prepareText, { selector: node.selector, padding: CLIP_PADDING });
+  if (text.reason) {
+    return text;
+  }
+
+  const screenshotOptions = { type: 'png', clip: text.clip, scale: 'css', animations: 'disabled' };
+  const withText = await page.screenshot(screenshotOptions);
+  let withoutText;
+  try {
+    await page.evaluate(hideText, { selector: node.selector, css: HIDE_TEXT_CSS });
+    withoutText = await page.screenshot(screenshotOptions);
+  } finally {
+    await page.evaluate(showText);
+  }
+
+  const measurement = await measureContrast(withText, withoutText, text.color);
+  if (!measurement) {
+    return { reason: 'text not visible in the screenshot (covered, or the same color as the background)' };
+  }
+
+  const threshold = THRESHOLDS[node.axeRule];
+  const required = text.largeText ? threshold.large : threshold.normal;
+  return {
+    measurement: {
+      ...measurement,
+      required,
+      largeText: text.largeText,
+      foreground: toHex(text.color) + (text.color.alpha < 1 ? ` at ${Math.round(text.color.alpha * 100)}% opacity` : ''),
+      passed: measurement.ratio >= required
+    },
+    withText,
+    withoutText,
+    clipHeight: text.clip.height
+  };
+}
+
+/**
+ * Save the text with and without its glyphs side by side. Resolves to the
+ * image URL, or null when screenshots are off.
+ */
+async function saveEvidence(context, fileName, selector, outcome) {
+  const file = await evidenceFile(context, fileName);
+  if (!file) {
+    return null;
+  }
+  try {
+    const scale = Math.max(1, Math.min(4, Math.floor(EVIDENCE_HEIGHT / outcome.clipHeight)));
+    await ScreenshotCapture.combineSideBySide([outcome.withText, outcome.withoutText], file.path, { scale });
+    return file.url;
+  } catch (error) {
+    console.warn(`Failed to save pixel contrast evidence for ${selector} on ${context.url}:`, error.message);
+    return null;
+  }
+}
+
+function nodeMessage(node, measured) {
+  const size = measured.largeText ? 'large' : 'normal';
+  const comparison = measured.passed ? 'meets' : 'is below';
+  return `Worst-case contrast ${measured.ratio}:1 between the text (${measured.foreground}) and the background behind it `
+    + `(${measured.background}) ${comparison} ${measured.required}:1 for ${size} text`
+    + (node.axeMessage ? `. axe could not decide: ${node.axeMessage}` : '');
+}
+
+/**
+ * Run the audit on a loaded page. `context.axeResults` holds the axe results
+ * of the run. Resolves to { checked, nodes, unresolved, findings, passed,
+ * resolved }: the measured nodes, the ones left incomplete with a reason, and
+ * the failing and passing nodes (`resolved` lists their axe rule and target).
+ */
+async function run(page, context) {
+  const candidates = incompleteNodes(context.axeResults);
+  const nodes = [];
+  const unresolved = [];
+  const findings = [];
+  const passed = [];
+  const resolved = [];
+
+  if (candidates.length > 0) {
+    await installPageHelpers(page);
+    await page.evaluate(() => document.activeElement && document.activeElement.blur());
+  }
+
+  for (const node of candidates) {
+    if (node.skip || nodes.length >= MAX_NODES) {
+      unresolved.push({ selector: node.selector, rule: node.axeRule, reason: node.skip || `only the first ${MAX_NODES} are measured` });
+      continue;
+    }
+
+    let outcome;
+    try {
+      outcome = await checkNode(page, node);
+    } catch (error) {
+      console.warn(`Failed to measure the contrast of ${node.selector} on ${context.url}:`, error.message);
+      outcome = { reason: error.message };
+    }
+    if (outcome.reason) {
+      unresolved.push({ selector: node.selector, rule: node.axeRule, reason: outcome.reason });
+      continue;
+    }
+
+    const { measurement } = outcome;
+    const rule = THRESHOLDS[node.axeRule].rule;
+    const entry = { rule, selector: node.selector, html: node.html, message: nodeMessage(node, measurement) };
+    (measurement.passed ? passed : findings).push(entry);
+    resolved.push({ rule: node.axeRule, target: node.target });
+    nodes.push({
+      selector: node.selector,
+      rule,
+      axeRule: node.axeRule,
+      reason: node.axeMessage,
+      ...measurement,
+      evidence: await saveEvidence(context, `pixel-contrast-${nodes.length + 1}.png`, node.selector, outcome)
+    });
+  }
+
+  if (candidates.length > 0) {
+    await page.evaluate(() => window.scrollTo(0, 0));
+  }
+
+  return {
+    checked: candidates.length,
+    nodes,
+    unresolved,
+    findings,
+    passed,
+    resolved
+  };
+}
+
+module.exports = {
+  name: 'pixel-contrast',
+  title: 'Pixel Contrast',
+  rules,
+  run
+};
@@ -0,0 +1,385 @@
+const ScreenshotCapture = require('./screenshotUtils');
+const { installPageHelpers, evidenceFile } = require('./auditHelpers');
+
+/**
+ * Reflow audit (1.4.10).
+ *
+ * Loads the page again in a new tab of the same browser context (so logins
+ * carry over) at a 320 CSS px wide viewport and at the 320 x 256 CSS px
+ * viewport that 400% zoom leaves of a 1280 x 1024 window, and looks for
+ * horizontal scrolling, text clipped by overflow and overlapping text. The
+ * offending regions are drawn over a full-page screenshot of each viewport,
+ * and the first few get a highlighted close-up.
+ */
+
+const REFLOW_VIEWPORTS = [
+  { key: 'narrow', name: '320 px wide', width: 320, height: 720 },
+  { key: 'zoom', name: '400% zoom', width: 320, height: 256 }
+];
+
+const MAX_ISSUES = 20;
+const MAX_CLOSE_UPS = 10;
+
+// Content that may need two-dimensional scrolling (the 1.4.10 exception)
+const TWO_DIMENSIONAL_SELECTOR = [
+  'table',
+  'pre',
+  'canvas',
+  'video',
+  'img',
+  'svg',
+  'iframe',
+  'object',
+  'embed',
+  'math',
+  '[role="grid"]',
+  '[role="treegrid"]',
+  '[role="toolbar"]',
+  '[role="img"]',
+  '[role="application"]'
+].join(', ');
+
+const rules = {
+  'reflow-horizontal-scroll': {
+    impact: 'serious',
+    tags: ['cat.sensory-and-visual-cues', 'wcag21aa', 'wcag1410'],
+    description: 'Ensures content fits a 320 CSS pixel wide viewport without scrolling in two directions',
+    help: 'Content must reflow without horizontal scrolling',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/reflow.html'
+  },
+  'reflow-clipped-content': {
+    impact: 'serious',
+    tags: ['cat.sensory-and-visual-cues', 'wcag21aa', 'wcag1410'],
+    description: 'Ensures text is not cut off by containers that hide their overflow when the viewport is narrow',
+    help: 'Text must not be clipped when content reflows',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/reflow.html'
+  },
+  'reflow-overlapping-text': {
+    impact: 'moderate',
+    tags: ['cat.sensory-and-visual-cues', 'wcag21aa', 'wcag1410'],
+    description: 'Ensures blocks of text do not overlap each other when the viewport is narrow',
+    help: 'Text must not overlap when content reflows',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/reflow.html'
+  }
+};
+
+/**
+ * The outermost elements that stick out past the right edge of the viewport.
+ * The page scrolls horizontally, or cuts them off when the root hides its
+ * overflow (`pageClips`). Content in fixed layers or in its own scroll
+ * container does not widen the page.
+ */
+function findHorizontalOverflow({ limit, exemptSelector }) {
+  const { selectorFor, snippet, isRendered, documentRect } = window.__a11yAudit;
+  const viewportWidth = document.documentElement.clientWidth;
+  const scrollWidth = Math.max(document.documentElement.scrollWidth, document.body ? document.body.scrollWidth : 0);
+  const pageClips = [document.documentElement, document.body]
+    .some(element => element && ['hidden', 'clip'].includes(getComputedStyle(element).overflowX));
+  const offenders = [];
+  if (scrollWidth <= viewportWidth + 1) {
+    return { viewportWidth, scrollWidth, pageClips, offenders };
+  }
+
+  const containedOverflow = (element) => {
+    for (let current = element; current && current !== document.body; current = current.parentElement) {
+      const style = getComputedStyle(current);
+      if (style.position === 'fixed' || (current !== element && style.overflowX !== 'visible')) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const found = [];
+  for (const element of document.body.querySelectorAll('*')) {
+    if (found.length >= limit) {
+      break;
+    }
+    const rect = element.getBoundingClientRect();
+    if (rect.right <= viewportWidth + 1 || rect.width === 0 || rect.height === 0) {
+      continue;
+    }
+    if (found.some(offender => offender.contains(element)) || !isRendered(element) || containedOverflow(element)) {
+      continue;
+    }
+    found.push(element);
+    offenders.push({
+      selector: selectorFor(element),
+      html: snippet(element),
+      rect: documentRect(element),
+      overflow: Math.round(rect.right - viewportWidth),
+      exempt: Boolean(element.closest(exemptSelector))
+    });
+  }
+
+  return { viewportWidth, scrollWidth, pageClips, offenders };
+}
+
+/**
+ * Text partly cut off by the nearest ancestor that hides its overflow.
+ * Text entirely outside the container (carousel slides, off-canvas menus)
+ * is hidden on purpose and not reported.
+ */
+function findClippedText(limit) {
+  const { selectorFor, snippet, isRendered, isVisuallyHidden, documentRect } = window.__a11yAudit;
+  const hides = (overflow) => overflow === 'hidden' || overflow === 'clip';
+  const clips = (style) => hides(style.overflowX) || hides(style.overflowY);
+  const clipped = [];
+
+  for (const element of document.body.querySelectorAll('*')) {
+    if (clipped.length >= limit) {
+      break;
+    }
+    const style = getComputedStyle(element);
+    if (!clips(style)) {
+      continue;
+    }
+    const overflowsX = hides(style.overflowX) && element.scrollWidth > element.clientWidth + 1;
+    const overflowsY = hides(style.overflowY) && element.scrollHeight > element.clientHeight + 1;
+    if ((!overflowsX && !overflowsY) || !isRendered(element) || isVisuallyHidden(element)) {
+      continue;
+    }
+
+    const box = element.getBoundingClientRect();
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    let cutText = null;
+    for (let node = walker.nextNode(), seen = 0; node && !cutText && seen < 300; node = walker.nextNode(), seen++) {
+      if (!node.textContent.trim() || !isRendered(node.parentElement)) {
+        continue;
+      }
+      // Text belongs to the nearest clipping container
+      let owner = node.parentElement;
+      while (owner !== element && !clips(getComputedStyle(owner))) {
+        owner = owner.parentElement;
+      }
+      if (owner !== element) {
+        continue;
+      }
+
+      const range = document.createRange();
+      range.selectNodeContents(node);
+      const cut = Array.from(range.getClientRects()).some(rect => {
+        const visible = rect.right > box.left && rect.left < box.right && rect.bottom > box.top && rect.top < box.bottom;
+        const outside = (overflowsX && (rect.right > box.right + 1 || rect.left < box.left - 1))
+          || (overflowsY && (rect.bottom > box.bottom + 1 || rect.top < box.top - 1));
+        return rect.width > 1 && visible && outside;
+      });
+      if (cut) {
+        cutText = node.textContent.replace(/\s+/g, ' ').trim().slice(0, 60);
+      }
+    }
+
+    if (cutText) {
+      clipped.push({
+        selector: selectorFor(element),
+        html: snippet(element),
+        rect: documentRect(element),
+        text: cutText,
+        truncated: style.textOverflow === 'ellipsis'
+      });
+    }
+  }
+
+  return clipped;
+}
+
+/**
+ * Pairs of elements whose rendered text boxes overlap by more than a
+ * third of the smaller box
+ */
+function findOverlappingText(limit) {
+  const { selectorFor, snippet, isRendered, isVisuallyHidden, documentRect } = window.__a11yAudit;
+  const visible = new Map();
+  const isVisibleText = (element) => {
+    if (!visible.has(element)) {
+      visible.set(element, isRendered(element) && !isVisuallyHidden(element));
+    }
+    return visible.get(element);
+  };
+
+  const boxes = [];
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node && boxes.length < 3000; node = walker.nextNode()) {
+    const element = node.parentElement;
+    if (!node.textContent.trim() || !element || ['script', 'style', 'noscript', 'template'].includes(element.localName)
+      || !isVisibleText(element)) {
+      continue;
+    }
+    const range = document.createRange();
+    range.selectNodeContents(node);
+    Array.from(range.getClientRects())
+      .filter(rect => rect.width > 1 && rect.height > 1)
+      .forEach(rect => boxes.push({ element, node, top: rect.top, bottom: rect.bottom, left: rect.left, right: rect.right }));
+  }
+
+  boxes.sort((a, b) => a.top - b.top);
+  const pairs = [];
+  const reported = new Set();
+  for (let i = 0; i < boxes.length && pairs.length < limit; i++) {
+    const a = boxes[i];
+    for (let j = i + 1; j < boxes.length && boxes[j].top < a.bottom && pairs.length < limit; j++) {
+      const b = boxes[j];
+      if (a.node === b.node || a.element === b.element) {
+        continue;
+      }
+      const width = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+      const height = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+      const smaller = Math.min((a.right - a.left) * (a.bottom - a.top), (b.right - b.left) * (b.bottom - b.top));
+      if (width <= 0 || height <= 0 || width * height < smaller / 3) {
+        continue;
+      }
+      const key = [selectorFor(a.element), selectorFor(b.element)].sort().join('|');
+      if (reported.has(key)) {
+        continue;
+      }
+      reported.add(key);
+      pairs.push({
+        selector: selectorFor(a.element),
+        html: snippet(a.element),
+        rect: documentRect(a.element),
+        other: selectorFor(b.element)
+      });
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Load the page at one reflow viewport and collect its issues
+ */
+async function checkViewport(page, url, viewport, context) {
+  const reflowPage = await page.context().newPage();
+  try {
+    await reflowPage.setViewportSize({ width: viewport.width, height: viewport.height });
+    await reflowPage.goto(url, { waitUntil: 'networkidle', timeout: context.timeout || 30000 });
+    await installPageHelpers(reflowPage);
+
+    const overflow = await reflowPage.evaluate(findHorizontalOverflow, { limit: MAX_ISSUES, exemptSelector: TWO_DIMENSIONAL_SELECTOR });
+    const clipped = await reflowPage.evaluate(findClippedText, MAX_ISSUES);
+    const overlapping = await reflowPage.evaluate(findOverlappingText, MAX_ISSUES);
+
+    const issues = [
+      ...overflow.offenders.filter(offender => !offender.exempt).map(offender => ({
+        rule: overflow.pageClips ? 'reflow-clipped-content' : 'reflow-horizontal-scroll',
+        selector: offender.selector,
+        html: offender.html,
+        rect: offender.rect,
+        message: `Sticks out ${offender.overflow} px past the right edge of the ${overflow.viewportWidth} px viewport, `
+          + (overflow.pageClips ? 'where the page hides its overflow and cuts it off' : 'so the page scrolls horizontally')
+      })),
+      ...clipped.map(clip => ({
+        rule: 'reflow-clipped-content',
+        selector: clip.selector,
+        html: clip.html,
+        rect: clip.rect,
+        message: clip.truncated
+          ? `Text "${clip.text}" is truncated with an ellipsis by the container's hidden overflow`
+          : `Text "${clip.text}" is cut off by the container's hidden overflow`
+      })),
+      ...overlapping.map(pair => ({
+        rule: 'reflow-overlapping-text',
+        selector: pair.selector,
+        html: pair.html,
+        rect: pair.rect,
+        message: `Text overlaps the text of ${pair.other}`
+      }))
+    ];
+
+    const result = {
+      key: viewport.key,
+      name: viewport.name,
+      width: viewport.width,
+      height: viewport.height,
+      scrollWidth: overflow.scrollWidth,
+      exemptOverflow: overflow.offenders.filter(offender => offender.exempt).map(offender => offender.selector),
+      issues,
+      overview: null
+    };
+    await captureEvidence(reflowPage, result, context);
+    return result;
+  } finally {
+    await reflowPage.close();
+  }
+}
+
+/**
+ * With screenshots on, draw the issues of a viewport over a full-page
+ * screenshot and capture highlighted close-ups of the first few
+ */
+async function captureEvidence(page, result, context) {
+  if (result.issues.length === 0) {
+    return;
+  }
+
+  const screenshotCapture = new ScreenshotCapture(page);
+  const overview = await evidenceFile(context, `reflow-${result.key}.png`);
+  if (!overview) {
+    return;
+  }
+  try {
+    const regions = result.issues.map((issue, index) => ({
+      ...issue.rect,
+      label: String(index + 1),
+      color: rules[issue.rule].impact
+    }));
+    await screenshotCapture.captureAnnotatedPage(regions, overview.path);
+    result.overview = overview.url;
+  } catch (error) {
+    console.warn(`Failed to capture the ${result.name} reflow overview for ${context.url}:`, error.message);
+  }
+
+  for (const [index, issue] of result.issues.slice(0, MAX_CLOSE_UPS).entries()) {
+    const file = await evidenceFile(context, `reflow-${result.key}-${index + 1}.png`);
+    if (await screenshotCapture.captureElementScreenshot(issue.selector, file.path, rules[issue.rule].impact)) {
+      issue.screenshot = file.url;
+    }
+  }
+}
+
+/**
+ * Run the audit on a loaded page. Resolves to { viewports, findings }; an
+ * element with the same issue at both viewports is reported once.
+ */
+async function run(page, context) {
+  const url = page.url();
+  const viewports = [];
+
+  for (const viewport of REFLOW_VIEWPORTS) {
+    try {
+      viewports.push(await checkViewport(page, url, viewport, context));
+    } catch (error) {
+      console.warn(`Reflow check at ${viewport.name} failed for ${context.url}:`, error.message);
+      viewports.push({ key: viewport.key, name: viewport.name, width: viewport.width, height: viewport.height, error: error.message, issues: [] });
+    }
+  }
+
+  const findings = new Map();
+  viewports.forEach(viewport => viewport.issues.forEach(issue => {
+    const key = `${issue.rule}|${issue.selector}`;
+    if (findings.has(key)) {
+      findings.get(key).viewports.push(viewport.name);
+      return;
+    }
+    findings.set(key, { rule: issue.rule, selector: issue.selector, html: issue.html, message: issue.message, viewports: [viewport.name] });
+  }));
+
+  return {
+    viewports: viewports.map(viewport => ({
+      ...viewport,
+      issues: viewport.issues.map(({ html, ...issue }) => issue)
+    })),
+    findings: Array.from(findings.values()).map(({ viewports: seenAt, ...finding }) => ({
+      ...finding,
+      message: `${finding.message} (at ${seenAt.join(' and ')})`
+    }))
+  };
+}
+
+module.exports = {
+  name: 'reflow',
+  title: 'Reflow',
+  rules,
+  run,
+  findOverlappingText
+};
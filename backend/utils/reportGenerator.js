@@ -1,5 +1,9 @@
 const fs = require('fs').promises;
 const { createHtmlReport } = require('axe-html-reporter');
+const { escapeXml } = require('./ciReports');
+const { describeSelector } = require('./scanScope');
+const { groupByRule } = require('./resultDiff');
+const { AUDITS } = require('./pageAudits');
 
 /**
  * Enhanced HTML report generator with screenshot integration
@@ -16,7 +20,8 @@ class ReportGenerator {
         projectKey: options.projectKey || 'Accessibility Test',
         outputDir: options.outputDir,
         reportFileName: options.reportFileName,
-        customSummary: options.customSummary || ''
+        customSummary: options.customSummary || '',
+        doNotCreateReportFile: options.doNotCreateReportFile
       }
     });
 
@@ -24,7 +29,13 @@ class ReportGenerator {
     let enhancedReport = this.addCustomStyling(htmlReport, options);
     
     // Fix the rules section to show actual WCAG rules used
-    enhancedReport = this.fixRulesSection(enhancedReport, options.wcagLevel || []);
+    enhancedReport = this.fixRulesSection(enhancedReport, options.wcagLevel || [], options.ruleConfig);
+
+    // List suppressed and baselined issues after the violations
+    enhancedReport = this.injectKnownIssues(enhancedReport, options.suppressed, options.expiredSuppressions);
+
+    // Page audit sections (keyboard navigation, ...) with their evidence images
+    enhancedReport = this.injectAudits(enhancedReport, options.audits);
     
     // Add screenshots if available
     if (screenshotData && screenshotData.violationScreenshots.length) {
@@ -34,6 +45,757 @@ class ReportGenerator {
     return enhancedReport;
   }
 
+  /**
+   * Generate the report for a scan from scanner.scanUrl (one section per engine/profile run if several)
+   */
+  static async generateScanReport(scan, options) {
+    if (scan.runResults) {
+      return this.generateRunReport(scan, options);
+    }
+    return this.generateEnhancedReport(scan.results, scan.screenshotData, {
+      ...options,
+      suppressed: scan.suppressed,
+      audits: scan.audits
+    });
+  }
+
+  /**
+   * Generate a user flow report with one labelled section per scan checkpoint
+   */
+  static async generateFlowReport(checkpoints, options) {
+    return this.generateSectionedReport(
+      checkpoints.map(checkpoint => ({
+        label: checkpoint.label,
+        results: checkpoint.results,
+        screenshotData: checkpoint.screenshotData,
+        suppressed: checkpoint.suppressed,
+        note: `step ${checkpoint.stepIndex}`,
+        summary: `
+          <h3>Checkpoint ${checkpoint.index}: ${escapeXml(checkpoint.label)}</h3>
+          <p><strong>Page URL:</strong> ${escapeXml(checkpoint.url)}</p>
+          <p><strong>Flow step:</strong> ${checkpoint.stepIndex}</p>
+        `
+      })),
+      {
+        ...options,
+        title: `User Flow Accessibility Results: ${escapeXml(options.flowName || 'User Flow')}`,
+        tocTitle: 'Scan Checkpoints',
+        extraContent: options.engineComparison
+          ? this.generateComparisonHtml(options.engineComparison, 'Engine-specific violations', 'browsers')
+          : ''
+      }
+    );
+  }
+
+  /**
+   * Generate a browser/device/media variant matrix report with one section per run
+   */
+  static async generateRunReport(scan, options) {
+    const { runResults, profileComparison, engineComparison, variantComparison } = scan;
+    const byEngine = Boolean(engineComparison);
+    const byProfile = Boolean(profileComparison);
+    const byVariant = Boolean(variantComparison);
+    const dimensions = [
+      byEngine ? ['Browser', 'Browsers'] : null,
+      byProfile ? ['Device Profile', 'Device Profiles'] : null,
+      byVariant ? ['Media Variant', 'Media Variants'] : null
+    ].filter(Boolean);
+    const plurals = dimensions.map(([, plural]) => plural);
+
+    return this.generateSectionedReport(
+      runResults.map(run => ({
+        label: run.name,
+        results: run.results,
+        screenshotData: run.screenshotData,
+        suppressed: run.suppressed,
+        audits: run.audits,
+        summary: `
+          ${byEngine ? `<h3>Browser: ${run.browser}</h3>` : ''}
+          ${byProfile ? `<h3>Device profile: ${run.profile}</h3>` : ''}
+          ${byVariant ? `<h3>Media variant: ${run.variant}</h3>` : ''}
+        `
+      })),
+      {
+        ...options,
+        title: `Accessibility Results by ${dimensions[0][0]}`,
+        tocTitle: plurals.length > 1 ? `${plurals.slice(0, -1).join(', ')} and ${plurals[plurals.length - 1]}` : plurals[0],
+        extraContent: [
+          byEngine ? this.generateComparisonHtml(engineComparison, 'Engine-specific violations', 'browsers') : '',
+          byProfile ? this.generateComparisonHtml(profileComparison, 'Profile-specific violations', 'profiles') : '',
+          byVariant ? this.generateComparisonHtml(variantComparison, 'Variant-specific violations', 'media variants') : '',
+          this.generateTouchTargetComparisonHtml(runResults)
+        ].join('')
+      }
+    );
+  }
+
+  /**
+   * Combine several reports into one page with a labelled section each
+   */
+  static async generateSectionedReport(sections, options) {
+    let head = '';
+    const sectionHtml = [];
+
+    for (const [index, section] of sections.entries()) {
+      const sectionReport = await this.generateEnhancedReport(
+        section.results,
+        section.screenshotData,
+        {
+          ...options,
+          doNotCreateReportFile: true,
+          suppressed: section.suppressed,
+          audits: section.audits,
+          customSummary: `<div class="custom-summary">${section.summary || ''}</div>`
+        }
+      );
+
+      if (!head) {
+        const headMatch = sectionReport.match(/<head>[\s\S]*?<\/head>/);
+        head = headMatch ? headMatch[0] : '';
+      }
+
+      // Keep only the report body and make its element IDs unique per section
+      const mainMatch = sectionReport.match(/<main[^>]*>([\s\S]*)<\/main>/);
+      const body = (mainMatch ? mainMatch[1] : sectionReport)
+        .replace(/<script>\s*hljs\.initHighlightingOnLoad\(\);\s*<\/script>/g, '');
+      const violationCount = section.results.violations.length;
+
+      sectionHtml.push(`
+        <section class="report-section" id="section-${index + 1}">
+          <h2 class="report-section-title">
+            ${index + 1}. ${escapeXml(section.label)}
+            <span class="badge badge-${violationCount ? 'warning' : 'success'}">
+              ${violationCount} violation${violationCount !== 1 ? 's' : ''}
+            </span>
+          </h2>
+          ${this.scopeElementIds(body, `s${index + 1}-`)}
+        </section>
+      `);
+    }
+
+    const sectionLinks = sections.map((section, index) => `
+      <li>
+        <a href="#section-${index + 1}">${escapeXml(section.label)}</a>
+        (${section.results.violations.length} violations${section.note ? `, ${section.note}` : ''})
+      </li>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  ${head}
+  <body>
+    <main role="main">
+      <div style="padding: 2rem">
+        <h1>${options.title}</h1>
+        ${options.customSummary || ''}
+        <div class="section-toc">
+          <h3>${options.tocTitle}</h3>
+          <ol>${sectionLinks}</ol>
+        </div>
+        ${options.extraContent || ''}
+      </div>
+      ${sectionHtml.join('')}
+      <script>
+        hljs.initHighlightingOnLoad();
+      </script>
+    </main>
+  </body>
+</html>`;
+  }
+
+  /**
+   * Generate a table of violations that only occur in some scans of the same page
+   */
+  static generateComparisonHtml(comparison, title, labelName) {
+    if (!comparison || comparison.length === 0) {
+      return `
+        <div class="comparison-summary">
+          <h3>${title}</h3>
+          <p>All violations were found on every one of the ${labelName}.</p>
+        </div>
+      `;
+    }
+
+    const rows = comparison.map(violation => `
+      <tr>
+        <td><a href="${violation.helpUrl}" target="_blank">${violation.id}</a></td>
+        <td><span class="impact-badge impact-${violation.impact}">${violation.impact}</span></td>
+        <td>${violation.description}</td>
+        <td>${violation.foundIn.join(', ')}${violation.foundIn.length === 1 ? ' <span class="badge bg-warning text-dark">only</span>' : ''}</td>
+        <td>${violation.missingIn.join(', ')}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="comparison-summary">
+        <h3>${title} (${comparison.length})</h3>
+        <table class="table table-sm table-bordered comparison-table">
+          <thead>
+            <tr>
+              <th>Rule</th>
+              <th>Impact</th>
+              <th>Description</th>
+              <th>Found on</th>
+              <th>Not found on</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Insert the known issues list before the passes, incomplete and rules sections
+   */
+  static injectKnownIssues(htmlReport, suppressed, expiredSuppressions) {
+    const knownIssuesHtml = this.generateKnownIssuesHtml(suppressed, expiredSuppressions);
+    if (!knownIssuesHtml) {
+      return htmlReport;
+    }
+    return htmlReport.replace(
+      /<div id="(accordionPasses|accordionIncomplete|accordionInapplicable|rulesSection)">/,
+      match => `${knownIssuesHtml}${match}`
+    );
+  }
+
+  /**
+   * Generate a table of suppressed and baselined issues, plus expired suppressions
+   */
+  static generateKnownIssuesHtml(suppressed = [], expiredSuppressions = []) {
+    if ((!suppressed || suppressed.length === 0) && (!expiredSuppressions || expiredSuppressions.length === 0)) {
+      return '';
+    }
+
+    const rows = (suppressed || []).map(finding => `
+      <tr>
+        <td><a href="${finding.helpUrl}" target="_blank">${escapeXml(finding.ruleId)}</a></td>
+        <td><span class="impact-badge impact-${finding.impact}">${finding.impact}</span></td>
+        <td><code>${escapeXml(finding.selector)}</code></td>
+        <td>${finding.status === 'suppressed' ? 'Suppressed' : 'Baseline'}</td>
+        <td>${finding.status === 'suppressed' ? `${escapeXml(finding.reason)} (until ${finding.expires})` : ''}</td>
+      </tr>
+    `).join('');
+
+    const expired = (expiredSuppressions || []).map(suppression => `
+      <li>
+        <code>${escapeXml(suppression.ruleId || suppression.fingerprint)}</code>
+        ${suppression.url ? ` on ${escapeXml(suppression.url)}` : ''}:
+        ${escapeXml(suppression.reason)} (expired ${suppression.expires})
+      </li>
+    `).join('');
+
+    return `
+      <div class="comparison-summary known-issues">
+        <h3>Suppressed and Baselined Issues (${(suppressed || []).length})</h3>
+        <p>These known issues were found again but are not counted as violations.</p>
+        ${rows ? `
+        <table class="table table-sm table-bordered comparison-table">
+          <thead>
+            <tr>
+              <th>Rule</th>
+              <th>Impact</th>
+              <th>Element</th>
+              <th>Status</th>
+              <th>Reason</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>` : ''}
+        ${expired ? `
+        <h6>Expired suppressions (no longer applied):</h6>
+        <ul>${expired}</ul>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Insert the page audit sections before the passes, incomplete and rules sections
+   */
+  static injectAudits(htmlReport, audits) {
+    const auditsHtml = this.generateAuditsHtml(audits);
+    if (!auditsHtml) {
+      return htmlReport;
+    }
+    return htmlReport.replace(
+      /<div id="(accordionPasses|accordionIncomplete|accordionInapplicable|rulesSection)">/,
+      match => `${auditsHtml}${match}`
+    );
+  }
+
+  /**
+   * Generate one section per page audit that ran (see pageAudits.js)
+   */
+  static generateAuditsHtml(audits) {
+    if (!audits) {
+      return '';
+    }
+
+    const generators = {
+      'pixel-contrast': (result, rules) => this.generatePixelContrastAuditHtml(result, rules),
+      keyboard: (result, rules) => this.generateKeyboardAuditHtml(result, rules),
+      'focus-indicator': (result, rules) => this.generateFocusIndicatorAuditHtml(result, rules),
+      reflow: (result, rules) => this.generateReflowAuditHtml(result, rules),
+      'text-spacing': (result, rules) => this.generateTextSpacingAuditHtml(result, rules),
+      'touch-targets': (result, rules) => this.generateTouchTargetAuditHtml(result, rules)
+    };
+
+    return Object.entries(audits).map(([name, result]) => {
+      if (result.error) {
+        return `
+          <div class="comparison-summary page-audit">
+            <h3>Page audit "${name}" failed</h3>
+            <p>${escapeXml(result.error)}</p>
+          </div>
+        `;
+      }
+      const audit = AUDITS.find(candidate => candidate.name === name);
+      return audit && generators[name] ? generators[name](result, audit.rules) : '';
+    }).join('');
+  }
+
+  /**
+   * WCAG success criteria ("2.1.2") named by axe-style tags ("wcag212")
+   */
+  static wcagCriteria(tags) {
+    return tags
+      .filter(tag => /^wcag\d{3,}$/.test(tag))
+      .map(tag => {
+        const digits = tag.slice(4);
+        return `${digits[0]}.${digits[1]}.${digits.slice(2)}`;
+      });
+  }
+
+  /**
+   * Generate a table of audit findings (rule, WCAG criteria, element, message)
+   */
+  static generateAuditFindingsHtml(findings, rules) {
+    if (findings.length === 0) {
+      return '<p>No issues found.</p>';
+    }
+
+    const rows = findings.map(finding => {
+      const rule = rules[finding.rule];
+      return `
+        <tr>
+          <td><a href="${rule.helpUrl}" target="_blank">${finding.rule}</a></td>
+          <td><span class="impact-badge impact-${rule.impact}">${rule.impact}</span></td>
+          <td>${this.wcagCriteria(rule.tags).join(', ')}</td>
+          <td><code>${escapeXml(finding.selector)}</code></td>
+          <td>${escapeXml(finding.message)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <table class="table table-sm table-bordered comparison-table">
+        <thead>
+          <tr>
+            <th>Rule</th>
+            <th>Impact</th>
+            <th>WCAG</th>
+            <th>Element</th>
+            <th>Issue</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Generate the pixel contrast section: failing nodes, evidence images and the
+   * measurements of every node axe left incomplete
+   */
+  static generatePixelContrastAuditHtml(result, rules) {
+    const { checked, nodes, unresolved, findings } = result;
+
+    const evidence = nodes.filter(node => node.evidence).map(node => `
+      <div class="screenshot-item">
+        <img src="${node.evidence}" alt="${escapeXml(node.selector)} with and without its text" />
+        <div class="screenshot-caption">
+          ${node.passed
+            ? `<span class="badge bg-success">${node.ratio}:1</span>`
+            : `<span class="impact-badge impact-${rules[node.rule].impact}">${node.ratio}:1</span>`} (needs ${node.required}:1)<br>
+          With text (left) and background only (right): <code>${escapeXml(node.selector)}</code>
+        </div>
+      </div>
+    `).join('');
+
+    const rows = nodes.map(node => `
+      <tr>
+        <td><code>${escapeXml(node.selector)}</code></td>
+        <td>${escapeXml(node.reason || '')}</td>
+        <td>${escapeXml(node.foreground)}</td>
+        <td><span style="display:inline-block;width:1em;height:1em;border:1px solid #999;vertical-align:middle;background:${node.background}"></span> ${node.background}</td>
+        <td>${node.ratio}:1 / ${node.required}:1${node.largeText ? ' (large text)' : ''}</td>
+        <td>${node.passed ? 'Pass' : `<span class="impact-badge impact-${rules[node.rule].impact}">${node.rule}</span>`}</td>
+      </tr>
+    `).join('');
+
+    const skipped = unresolved.map(node => `
+      <li><code>${escapeXml(node.selector)}</code>: ${escapeXml(node.reason)}</li>
+    `).join('');
+
+    return `
+      <div class="comparison-summary page-audit">
+        <h3>🌗 Pixel Contrast (${findings.length} issue${findings.length !== 1 ? 's' : ''})</h3>
+        <p>
+          axe left ${checked} color contrast check${checked !== 1 ? 's' : ''} incomplete; ${nodes.length} ${nodes.length !== 1 ? 'were' : 'was'} measured
+          from screenshots taken with and without the text, using the lowest contrast between the text color and the pixels behind it.
+          Measured nodes are reported as passes or violations instead of incomplete.
+        </p>
+        ${this.generateAuditFindingsHtml(findings, rules)}
+        ${evidence ? `
+        <div class="screenshot-container">
+          <div class="screenshot-title">🖼️ Text and background</div>
+          <div class="screenshot-grid">${evidence}</div>
+        </div>` : ''}
+        ${rows ? `
+        <details>
+          <summary>Measurements (${nodes.length} nodes)</summary>
+          <table class="table table-sm table-bordered comparison-table">
+            <thead>
+              <tr>
+                <th>Element</th>
+                <th>Why axe could not decide</th>
+                <th>Text color</th>
+                <th>Worst background</th>
+                <th>Contrast / required</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </details>` : ''}
+        ${skipped ? `
+        <details>
+          <summary>Left for manual review (${unresolved.length})</summary>
+          <ul>${skipped}</ul>
+        </details>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Generate the keyboard navigation section: findings, focus order overlay and focus order table
+   */
+  static generateKeyboardAuditHtml(result, rules) {
+    const { focusOrder, trap, truncated, findings, overlay } = result;
+
+    const stops = focusOrder.map(stop => `
+      <tr>
+        <td>${stop.index}</td>
+        <td><code>${escapeXml(stop.selector)}</code></td>
+        <td>${escapeXml(stop.name || '')}</td>
+        <td>${stop.hidden ? `<span class="impact-badge impact-serious">${escapeXml(stop.hidden)}</span>` : ''}${trap && trap.includes(stop.selector) ? ' <span class="impact-badge impact-critical">trap</span>' : ''}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="comparison-summary page-audit">
+        <h3>⌨️ Keyboard Navigation (${findings.length} issue${findings.length !== 1 ? 's' : ''})</h3>
+        <p>
+          Pressing Tab from the top of the page reached ${focusOrder.length} focus stop${focusOrder.length !== 1 ? 's' : ''}${truncated ? ' before the audit stopped' : ''}.
+          ${trap ? `<strong>Focus is trapped</strong> between ${trap.length} element${trap.length !== 1 ? 's' : ''}.` : ''}
+        </p>
+        ${this.generateAuditFindingsHtml(findings, rules)}
+        ${overlay ? `
+        <div class="screenshot-container">
+          <div class="screenshot-title">🖼️ Focus order</div>
+          <div class="screenshot-item">
+            <img src="${overlay}" alt="Page screenshot with the focus stops numbered in Tab order" />
+          </div>
+        </div>` : ''}
+        ${stops ? `
+        <details>
+          <summary>Focus order (${focusOrder.length} stops)</summary>
+          <table class="table table-sm table-bordered comparison-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Element</th>
+                <th>Name</th>
+                <th>Notes</th>
+              </tr>
+            </thead>
+            <tbody>${stops}</tbody>
+          </table>
+        </details>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Generate the focus indicator section: findings, unfocused/focused evidence
+   * images of the failing elements and the measurements of every element
+   */
+  static generateFocusIndicatorAuditHtml(result, rules) {
+    const { elements, total, truncated, findings } = result;
+    const issuesBySelector = new Map(findings.map(finding => [finding.selector, finding]));
+
+    const evidence = elements.filter(element => element.evidence).map(element => {
+      const finding = issuesBySelector.get(element.selector);
+      const impact = finding ? rules[finding.rule].impact : 'moderate';
+      return `
+        <div class="screenshot-item">
+          <img src="${element.evidence}" alt="Unfocused and focused states of ${escapeXml(element.selector)}" />
+          <div class="screenshot-caption">
+            ${finding ? `<span class="impact-badge impact-${impact}">${finding.rule}</span><br>` : ''}
+            Unfocused (left) and focused (right): <code>${escapeXml(element.selector)}</code>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    const rows = elements.map(element => {
+      const finding = issuesBySelector.get(element.selector);
+      return `
+        <tr>
+          <td><code>${escapeXml(element.selector)}</code></td>
+          <td>${escapeXml(element.name || '')}</td>
+          <td>${element.obscuredBy ? '-' : element.changedArea}</td>
+          <td>${element.obscuredBy ? '-' : `${element.indicatorArea} / ${element.minimumArea}`}</td>
+          <td>${element.obscuredBy ? '-' : `${element.contrast}:1`}</td>
+          <td>${finding ? `<span class="impact-badge impact-${rules[finding.rule].impact}">${finding.rule}</span>` : ''}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <div class="comparison-summary page-audit">
+        <h3>🎯 Focus Indicators (${findings.length} issue${findings.length !== 1 ? 's' : ''})</h3>
+        <p>
+          Compared ${elements.length} of ${total} focusable element${total !== 1 ? 's' : ''} focused and unfocused${truncated ? ' (the audit stops after the first 100)' : ''}.
+          The focus indicator needs 3:1 contrast between the two states over at least the area of a 2 CSS px outline.
+        </p>
+        ${this.generateAuditFindingsHtml(findings, rules)}
+        ${evidence ? `
+        <div class="screenshot-container">
+          <div class="screenshot-title">🖼️ Focus states</div>
+          <div class="screenshot-grid">${evidence}</div>
+        </div>` : ''}
+        ${rows ? `
+        <details>
+          <summary>Measurements (${elements.length} elements)</summary>
+          <table class="table table-sm table-bordered comparison-table">
+            <thead>
+              <tr>
+                <th>Element</th>
+                <th>Name</th>
+                <th>Changed px</th>
+                <th>3:1 px / needed</th>
+                <th>Highest contrast</th>
+                <th>Issue</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </details>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Generate the reflow section: findings, then per viewport the annotated
+   * full-page screenshot and highlighted close-ups of the issues
+   */
+  static generateReflowAuditHtml(result, rules) {
+    const { viewports, findings } = result;
+
+    const viewportSections = viewports.map(viewport => {
+      if (viewport.error) {
+        return `
+          <h5>${viewport.name} (${viewport.width} × ${viewport.height} CSS px)</h5>
+          <p>Could not check this viewport: ${escapeXml(viewport.error)}</p>
+        `;
+      }
+
+      const closeUps = viewport.issues.filter(issue => issue.screenshot).map(issue => `
+        <div class="screenshot-item">
+          <img src="${issue.screenshot}" alt="${escapeXml(issue.selector)} at ${viewport.name}" />
+          <div class="screenshot-caption">
+            <span class="impact-badge impact-${rules[issue.rule].impact}">${issue.rule}</span><br>
+            #${viewport.issues.indexOf(issue) + 1} <code>${escapeXml(issue.selector)}</code>
+          </div>
+        </div>
+      `).join('');
+
+      return `
+        <h5>${viewport.name} (${viewport.width} × ${viewport.height} CSS px): ${viewport.issues.length} issue${viewport.issues.length !== 1 ? 's' : ''}</h5>
+        <p>
+          ${viewport.scrollWidth > viewport.width ? `The page is ${viewport.scrollWidth} px wide.` : 'The page fits the viewport width.'}
+          ${viewport.exemptOverflow.length > 0 ? `Wider content allowed to scroll in two directions (tables, images, code): ${viewport.exemptOverflow.map(selector => `<code>${escapeXml(selector)}</code>`).join(', ')}.` : ''}
+        </p>
+        ${viewport.overview || closeUps ? `
+        <div class="screenshot-container">
+          <div class="screenshot-title">🖼️ ${viewport.name}</div>
+          ${viewport.overview ? `
+          <div class="screenshot-item">
+            <img src="${viewport.overview}" alt="Full page at ${viewport.name} with the issues numbered" />
+          </div>` : ''}
+          ${closeUps ? `<div class="screenshot-grid">${closeUps}</div>` : ''}
+        </div>` : ''}
+      `;
+    }).join('');
+
+    return `
+      <div class="comparison-summary page-audit">
+        <h3>📱 Reflow (${findings.length} issue${findings.length !== 1 ? 's' : ''})</h3>
+        <p>
+          The page was loaded again at a 320 CSS px wide viewport and at 400% zoom of a 1280 × 1024 window
+          and checked for horizontal scrolling, clipped text and overlapping text.
+        </p>
+        ${this.generateAuditFindingsHtml(findings, rules)}
+        ${viewportSections}
+      </div>
+    `;
+  }
+
+  /**
+   * Generate the text spacing section: findings and before/after images
+   */
+  static generateTextSpacingAuditHtml(result, rules) {
+    const { containers, findings, evidence } = result;
+
+    const images = evidence.map(item => `
+      <div class="screenshot-item">
+        <img src="${item.image}" alt="${escapeXml(item.selector)} before and after the text spacing overrides" />
+        <div class="screenshot-caption">
+          <span class="impact-badge impact-${rules[item.rule].impact}">${item.rule}</span><br>
+          Before (left) and after (right): <code>${escapeXml(item.selector)}</code>
+        </div>
+      </div>
+    `).join('');
+
+    return `
+      <div class="comparison-summary page-audit">
+        <h3>🔠 Text Spacing (${findings.length} issue${findings.length !== 1 ? 's' : ''})</h3>
+        <p>
+          The page was checked with line height 1.5, paragraph spacing 2, letter spacing 0.12 and word spacing 0.16
+          times the font size, comparing ${containers} container${containers !== 1 ? 's' : ''} that hide their overflow
+          and the overlap of text before and after.
+        </p>
+        ${this.generateAuditFindingsHtml(findings, rules)}
+        ${images ? `
+        <div class="screenshot-container">
+          <div class="screenshot-title">🖼️ Before and after</div>
+          <div class="screenshot-grid">${images}</div>
+        </div>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Generate the touch target section: findings, the numbered overlay and the
+   * undersized component groups
+   */
+  static generateTouchTargetAuditHtml(result, rules) {
+    const { viewport, targets, total, groups, findings, overlay } = result;
+
+    const rows = groups.map(group => `
+      <tr>
+        <td>${group.index}</td>
+        <td><code>${escapeXml(group.component)}</code></td>
+        <td>${group.count}</td>
+        <td>${group.failsMinimum ? `<span class="impact-badge impact-${rules['touch-target-minimum'].impact}">${group.failsMinimum}</span>` : 0}</td>
+        <td>${group.spacingException}</td>
+        <td>${group.failsEnhanced}</td>
+        <td>${group.smallest.width} × ${group.smallest.height}</td>
+        <td>${group.examples.map(selector => `<code>${escapeXml(selector)}</code>`).join('<br>')}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="comparison-summary page-audit">
+        <h3>👆 Touch Targets (${findings.length} issue${findings.length !== 1 ? 's' : ''})</h3>
+        <p>
+          Measured ${targets} of ${total} interactive element${total !== 1 ? 's' : ''}${viewport ? ` at a ${viewport.width} × ${viewport.height} CSS px viewport` : ''}
+          against the AA minimum of 24 × 24 CSS px (with the spacing exception) and the AAA size of 44 × 44 CSS px.
+          Links in text and unstyled native checkboxes and radios are exempt.
+        </p>
+        ${this.generateAuditFindingsHtml(findings, rules)}
+        ${overlay ? `
+        <div class="screenshot-container">
+          <div class="screenshot-title">🖼️ Undersized targets by group (orange: under 24 px, yellow: under 44 px)</div>
+          <div class="screenshot-item">
+            <img src="${overlay}" alt="Page screenshot with the undersized targets numbered by group" />
+          </div>
+        </div>` : ''}
+        ${rows ? `
+        <table class="table table-sm table-bordered comparison-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Component</th>
+              <th>Undersized</th>
+              <th>Under 24 px</th>
+              <th>Spacing exception</th>
+              <th>Under 44 px</th>
+              <th>Smallest (CSS px)</th>
+              <th>Examples</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Compare the touch target numbers of the runs of a scan (one row per device
+   * profile or engine); empty when the audit did not run
+   */
+  static generateTouchTargetComparisonHtml(runResults) {
+    const measured = runResults.filter(run => run.audits && run.audits['touch-targets'] && !run.audits['touch-targets'].error);
+    if (measured.length === 0) {
+      return '';
+    }
+
+    const rows = measured.map(run => {
+      const { viewport, targets, groups } = run.audits['touch-targets'];
+      const sum = key => groups.reduce((total, group) => total + group[key], 0);
+      return `
+        <tr>
+          <td>${run.name}</td>
+          <td>${viewport ? `${viewport.width} × ${viewport.height}` : ''}</td>
+          <td>${targets}</td>
+          <td>${sum('failsMinimum')}</td>
+          <td>${sum('spacingException')}</td>
+          <td>${sum('failsEnhanced')}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <div class="comparison-summary">
+        <h3>Touch targets by run</h3>
+        <table class="table table-sm table-bordered comparison-table">
+          <thead>
+            <tr>
+              <th>Run</th>
+              <th>Viewport (CSS px)</th>
+              <th>Targets</th>
+              <th>Under 24 px</th>
+              <th>Spacing exception</th>
+              <th>Under 44 px</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Prefix element IDs and the references to them so several reports can share a page
+   */
+  static scopeElementIds(html, prefix) {
+    return html
+      .replace(/\b(id|aria-controls|aria-labelledby)="([^"]+)"/g, `$1="${prefix}$2"`)
+      .replace(/\b(href|data-target|data-parent)="#([^"]+)"/g, `$1="#${prefix}$2"`);
+  }
+
   /**
    * Add custom CSS styling to the report
    */
@@ -119,16 +881,16 @@ class ReportGenerator {
         .card-header {
           background-color: #e9ecef !important;
         }
-        #passes, #incomplete, #inapplicable {
+        [id$="passes"], [id$="incomplete"], [id$="inapplicable"] {
           display: block !important;
         }
-        button[data-target="#passes"] {
+        button[data-target$="passes"] {
           color: #28a745 !important;
         }
-        button[data-target="#incomplete"] {
+        button[data-target$="incomplete"] {
           color: #ffc107 !important;
         }
-        button[data-target="#inapplicable"] {
+        button[data-target$="inapplicable"] {
           color: #6c757d !important;
         }
         
@@ -177,6 +939,25 @@ class ReportGenerator {
         .impact-serious { background: #fff3cd; color: #856404; }
         .impact-moderate { background: #d4edda; color: #155724; }
         .impact-minor { background: #d1ecf1; color: #0c5460; }
+
+        /* Sectioned report styles (user flows, device profiles) */
+        .section-toc, .comparison-summary {
+          background: #f8f9fa;
+          padding: 15px;
+          border-left: 4px solid #6f42c1;
+          margin: 20px 0;
+        }
+        .report-section {
+          border-top: 3px solid #6f42c1;
+          margin-top: 30px;
+        }
+        .report-section-title {
+          padding: 1rem 2rem 0;
+          color: #6f42c1;
+        }
+        .comparison-table {
+          background: #fff;
+        }
       </style>
     `;
     
@@ -424,7 +1205,7 @@ class ReportGenerator {
   /**
    * Fix the rules section to show actual WCAG rules used
    */
-  static fixRulesSection(htmlReport, wcagLevel) {
+  static fixRulesSection(htmlReport, wcagLevel, ruleConfig = null) {
     const ruleDescriptions = {
       'wcag2a': 'WCAG 2.0 Level A - Basic accessibility requirements',
       'wcag2aa': 'WCAG 2.0 Level AA - Standard accessibility compliance',
@@ -467,6 +1248,7 @@ class ReportGenerator {
               <ul style="margin: 10px 0; padding-left: 20px;">
                 ${rulesList}
               </ul>
+              ${this.generateRuleConfigHtml(ruleConfig)}
               <p style="margin-top: 15px; color: #666; font-size: 14px;">
                 These rule sets determine which accessibility checks are performed on your website.
                 Each rule set includes multiple individual rules that test for specific WCAG criteria.
@@ -484,6 +1266,144 @@ class ReportGenerator {
     );
   }
 
+  /**
+   * Summary lines describing the include/exclude scope of a scan
+   */
+  static generateScopeSummary(scope) {
+    if (!scope) {
+      return '';
+    }
+
+    const list = selectors => selectors.map(selector => `<code>${escapeXml(describeSelector(selector))}</code>`).join(', ');
+    return `
+      ${scope.include.length > 0 ? `<p><strong>Scanned Regions:</strong> ${list(scope.include)}</p>` : ''}
+      ${scope.exclude.length > 0 ? `<p><strong>Excluded Regions:</strong> ${list(scope.exclude)}</p>` : ''}
+    `;
+  }
+
+  /**
+   * Describe the effective custom rule configuration for the rules section
+   */
+  static generateRuleConfigHtml(ruleConfig) {
+    if (!ruleConfig) {
+      return '';
+    }
+
+    const { enable, disable, impactOverrides, configure } = ruleConfig;
+    const overrides = Object.entries(impactOverrides);
+    const items = [];
+
+    if (enable.length > 0) {
+      items.push(`<li><strong>Enabled rules:</strong> ${enable.map(id => `<code>${escapeXml(id)}</code>`).join(', ')}</li>`);
+    }
+    if (disable.length > 0) {
+      items.push(`<li><strong>Disabled rules:</strong> ${disable.map(id => `<code>${escapeXml(id)}</code>`).join(', ')}</li>`);
+    }
+    if (overrides.length > 0) {
+      items.push(`<li><strong>Impact overrides:</strong> ${overrides.map(([id, impact]) => `<code>${escapeXml(id)}</code> &rarr; ${impact}`).join(', ')}</li>`);
+    }
+    if (configure.checks && configure.checks.length > 0) {
+      items.push(`<li><strong>Custom checks:</strong> ${configure.checks.map(check => `<code>${escapeXml(check.id)}</code>`).join(', ')}</li>`);
+    }
+    if (configure.rules && configure.rules.length > 0) {
+      items.push(`<li><strong>Custom or reconfigured rules:</strong> ${configure.rules.map(rule => `<code>${escapeXml(rule.id)}</code>`).join(', ')}</li>`);
+    }
+    if (configure.branding) {
+      items.push(`<li><strong>Branding:</strong> ${escapeXml([configure.branding.brand, configure.branding.application].filter(Boolean).join(' / '))}</li>`);
+    }
+    if (configure.locale) {
+      items.push(`<li><strong>Locale:</strong> ${escapeXml(configure.locale.lang || 'custom')}</li>`);
+    }
+    if (configure.disableOtherRules) {
+      items.push('<li><strong>Only custom rules were run</strong> (disableOtherRules)</li>');
+    }
+
+    if (items.length === 0) {
+      return '';
+    }
+
+    return `
+      <h6 style="margin-top: 15px;">Custom Rule Configuration:</h6>
+      <ul style="margin: 10px 0; padding-left: 20px;">
+        ${items.join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Generate a standalone run-to-run diff report (see resultDiff.diffResults)
+   */
+  static generateDiffReport(diff) {
+    const label = side => escapeXml(side.testId || side.url || 'result') + (side.timestamp ? ` <small>(${new Date(side.timestamp).toLocaleString()})</small>` : '');
+
+    const findingSection = (title, findings, className) => {
+      if (findings.length === 0) {
+        return `<h2>${title} (0)</h2><p>None.</p>`;
+      }
+      const rows = groupByRule(findings).map(group => group.findings.map((finding, index) => `
+        <tr>
+          ${index === 0 ? `<td rowspan="${group.findings.length}"><a href="${group.helpUrl}" target="_blank">${escapeXml(group.ruleId)}</a><br><span class="impact-badge impact-${group.impact}">${group.impact}</span></td>` : ''}
+          <td>${escapeXml(finding.url)}</td>
+          <td><code>${escapeXml(finding.selector)}</code></td>
+          <td><code>${escapeXml(finding.html || '')}</code></td>
+        </tr>
+      `).join('')).join('');
+
+      return `
+        <h2>${title} (${findings.length})</h2>
+        <table class="${className}">
+          <thead>
+            <tr><th>Rule</th><th>Page</th><th>Element</th><th>HTML</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Accessibility Diff</title>
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 2rem; color: #212529; }
+      table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; font-size: 14px; }
+      th, td { border: 1px solid #dee2e6; padding: 6px 8px; text-align: left; vertical-align: top; }
+      th { background: #f8f9fa; }
+      code { font-size: 12px; word-break: break-all; }
+      .diff-summary { display: flex; gap: 1rem; margin: 1.5rem 0; }
+      .diff-count { padding: 1rem 1.5rem; border-radius: 8px; text-align: center; min-width: 120px; }
+      .diff-count strong { display: block; font-size: 28px; }
+      .diff-new { background: #f8d7da; color: #721c24; }
+      .diff-fixed { background: #d4edda; color: #155724; }
+      .diff-unchanged { background: #e2e3e5; color: #383d41; }
+      table.diff-new td:first-child { border-left: 4px solid #dc3545; }
+      table.diff-fixed td:first-child { border-left: 4px solid #28a745; }
+      .impact-badge { display: inline-block; padding: 2px 8px; border-radius: 12px; font-size: 12px; font-weight: bold; text-transform: uppercase; }
+      .impact-critical { background: #f8d7da; color: #721c24; }
+      .impact-serious { background: #fff3cd; color: #856404; }
+      .impact-moderate { background: #d4edda; color: #155724; }
+      .impact-minor { background: #d1ecf1; color: #0c5460; }
+    </style>
+  </head>
+  <body>
+    <main role="main">
+      <h1>Accessibility Diff</h1>
+      <p><strong>Before:</strong> ${label(diff.before)}</p>
+      <p><strong>After:</strong> ${label(diff.after)}</p>
+      <div class="diff-summary">
+        <div class="diff-count diff-new"><strong>${diff.summary.new}</strong>New</div>
+        <div class="diff-count diff-fixed"><strong>${diff.summary.fixed}</strong>Fixed</div>
+        <div class="diff-count diff-unchanged"><strong>${diff.summary.unchanged}</strong>Unchanged</div>
+      </div>
+      ${findingSection('New violations', diff.new, 'diff-new')}
+      ${findingSection('Fixed violations', diff.fixed, 'diff-fixed')}
+      ${findingSection('Unchanged violations', diff.unchanged, 'diff-unchanged')}
+    </main>
+  </body>
+</html>`;
+  }
+
   /**
    * Generate HTML for screenshot gallery
    */
@@ -0,0 +1,102 @@
+/**
+ * Compare and merge axe results of the same page scanned under different
+ * conditions (device profiles, browser engines, media variants).
+ * Entries are { label, results } pairs.
+ */
+
+// Identify a node across runs by its selector path
+function nodeKey(node) {
+  return Array.isArray(node.target) ? node.target.join(' ') : String(node.target);
+}
+
+/**
+ * Merge rule results by ID, recording in which entries each rule was found
+ */
+function mergeRuleList(entries, listName) {
+  const merged = new Map();
+
+  entries.forEach(({ label, results }) => {
+    (results[listName] || []).forEach(rule => {
+      if (!merged.has(rule.id)) {
+        merged.set(rule.id, { ...rule, nodes: [], foundIn: [] });
+      }
+
+      const mergedRule = merged.get(rule.id);
+      // An entry may list a rule more than once (e.g. merged flow checkpoints)
+      if (!mergedRule.foundIn.includes(label)) {
+        mergedRule.foundIn.push(label);
+      }
+
+      const knownNodes = new Set(mergedRule.nodes.map(nodeKey));
+      (rule.nodes || []).forEach(node => {
+        if (!knownNodes.has(nodeKey(node))) {
+          mergedRule.nodes.push({ ...node, foundIn: [label] });
+          knownNodes.add(nodeKey(node));
+        } else {
+          const existing = mergedRule.nodes.find(n => nodeKey(n) === nodeKey(node));
+          if (!existing.foundIn.includes(label)) {
+            existing.foundIn.push(label);
+          }
+        }
+      });
+    });
+  });
+
+  return Array.from(merged.values());
+}
+
+/**
+ * Merge several axe results into one, de-duplicating rules and nodes
+ */
+function mergeLabelledResults(entries) {
+  const mergedViolations = mergeRuleList(entries, 'violations');
+  const violationIds = new Set(mergedViolations.map(rule => rule.id));
+
+  return {
+    ...(entries[0] ? entries[0].results : {}),
+    violations: mergedViolations,
+    // A rule that fails anywhere is not reported as passed
+    passes: mergeRuleList(entries, 'passes').filter(rule => !violationIds.has(rule.id)),
+    incomplete: mergeRuleList(entries, 'incomplete'),
+    inapplicable: mergeRuleList(entries, 'inapplicable')
+      .filter(rule => !violationIds.has(rule.id) && rule.foundIn.length === entries.length)
+  };
+}
+
+/**
+ * Violations that only occur in some of the entries
+ */
+function findPartialViolations(entries) {
+  const labels = entries.map(entry => entry.label);
+
+  return mergeRuleList(entries, 'violations')
+    .filter(rule => rule.foundIn.length < entries.length)
+    .map(rule => ({
+      id: rule.id,
+      description: rule.description,
+      impact: rule.impact,
+      helpUrl: rule.helpUrl,
+      nodes: rule.nodes.length,
+      foundIn: rule.foundIn,
+      missingIn: labels.filter(label => !rule.foundIn.includes(label))
+    }));
+}
+
+/**
+ * Per-entry summary counts
+ */
+function summarizeEntries(entries) {
+  return entries.map(({ label, results }) => ({
+    name: label,
+    violations: results.violations.length,
+    passes: results.passes.length,
+    incomplete: results.incomplete.length,
+    inapplicable: results.inapplicable.length
+  }));
+}
+
+module.exports = {
+  mergeLabelledResults,
+  findPartialViolations,
+  summarizeEntries
+};
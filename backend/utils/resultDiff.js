@@ -0,0 +1,161 @@
+const { scanFindings } = require('./baseline');
+
+/**
+ * Run-to-run diff of two scans.
+ *
+ * Violating nodes are matched by the fingerprints from baseline.js (rule, page
+ * path and normalised selector, or normalised HTML) and classified as new,
+ * fixed or unchanged.
+ */
+
+/**
+ * Findings of a stored test result, an exported result JSON file or raw axe results
+ */
+function resultFindings(result) {
+  if (!result || typeof result !== 'object') {
+    throw new Error('Result must be an object');
+  }
+  if (Array.isArray(result.findings)) {
+    return result.findings;
+  }
+  if (result.fullResults && Array.isArray(result.fullResults.violations)) {
+    return scanFindings(result.fullResults, result.url);
+  }
+  if (Array.isArray(result.violations) && result.violations.every(violation => Array.isArray(violation.nodes))) {
+    return scanFindings(result, result.url);
+  }
+  throw new Error('Result does not contain violation details, use a stored test result or raw axe results');
+}
+
+/**
+ * Identifying fields of a result for the diff header
+ */
+function describeResult(result) {
+  return {
+    testId: result.testId || null,
+    url: result.url || null,
+    timestamp: result.timestamp || null
+  };
+}
+
+function uniqueByFingerprint(findings) {
+  const unique = new Map();
+  findings.forEach(finding => {
+    if (!unique.has(finding.fingerprint)) {
+      unique.set(finding.fingerprint, finding);
+    }
+  });
+  return Array.from(unique.values());
+}
+
+/**
+ * Classify the violating nodes of two results as new, fixed or unchanged
+ */
+function diffResults(before, after) {
+  const beforeFindings = uniqueByFingerprint(resultFindings(before));
+  const afterFindings = uniqueByFingerprint(resultFindings(after));
+
+  const unmatched = new Set(beforeFindings);
+  const byFingerprint = new Map();
+  beforeFindings.forEach(finding => {
+    byFingerprint.set(finding.fingerprint, finding);
+    if (!byFingerprint.has(finding.htmlFingerprint)) {
+      byFingerprint.set(finding.htmlFingerprint, finding);
+    }
+  });
+
+  const added = [];
+  const unchanged = [];
+  afterFindings.forEach(finding => {
+    const match = [finding.fingerprint, finding.htmlFingerprint]
+      .map(fingerprint => byFingerprint.get(fingerprint))
+      .find(candidate => candidate && unmatched.has(candidate));
+
+    if (match) {
+      unmatched.delete(match);
+      unchanged.push(finding);
+    } else {
+      added.push(finding);
+    }
+  });
+  const fixed = Array.from(unmatched);
+
+  return {
+    before: describeResult(before),
+    after: describeResult(after),
+    summary: {
+      new: added.length,
+      fixed: fixed.length,
+      unchanged: unchanged.length
+    },
+    new: added,
+    fixed,
+    unchanged
+  };
+}
+
+/**
+ * Group findings by rule, most findings first
+ */
+function groupByRule(findings) {
+  const groups = new Map();
+  findings.forEach(finding => {
+    if (!groups.has(finding.ruleId)) {
+      groups.set(finding.ruleId, { ruleId: finding.ruleId, impact: finding.impact, helpUrl: finding.helpUrl, findings: [] });
+    }
+    groups.get(finding.ruleId).findings.push(finding);
+  });
+  return Array.from(groups.values()).sort((a, b) => b.findings.length - a.findings.length);
+}
+
+function escapeMarkdown(text) {
+  return String(text || '').replace(/([\\`*_|<>[\]])/g, '\\$1');
+}
+
+/**
+ * Render a diff as Markdown, e.g. for pull request comments
+ */
+function generateDiffMarkdown(diff) {
+  const label = side => escapeMarkdown(side.testId || side.url || 'result') + (side.timestamp ? ` (${side.timestamp})` : '');
+  const lines = [
+    '# Accessibility Diff',
+    '',
+    `**Before:** ${label(diff.before)}  `,
+    `**After:** ${label(diff.after)}`,
+    '',
+    '| New | Fixed | Unchanged |',
+    '| --- | --- | --- |',
+    `| ${diff.summary.new} | ${diff.summary.fixed} | ${diff.summary.unchanged} |`
+  ];
+
+  [['🔴 New violations', diff.new], ['✅ Fixed violations', diff.fixed]].forEach(([heading, findings]) => {
+    lines.push('', `## ${heading} (${findings.length})`, '');
+    if (findings.length === 0) {
+      lines.push('None.');
+      return;
+    }
+    groupByRule(findings).forEach(group => {
+      const rule = group.helpUrl ? `[${escapeMarkdown(group.ruleId)}](${group.helpUrl})` : escapeMarkdown(group.ruleId);
+      lines.push(`- **${rule}** (${group.impact}, ${group.findings.length} element${group.findings.length !== 1 ? 's' : ''})`);
+      group.findings.forEach(finding => {
+        lines.push(`  - \`${finding.selector.replace(/`/g, "'")}\` on ${escapeMarkdown(finding.url)}`);
+      });
+    });
+  });
+
+  if (diff.unchanged.length > 0) {
+    lines.push('', `## Unchanged violations (${diff.unchanged.length})`, '');
+    groupByRule(diff.unchanged).forEach(group => {
+      lines.push(`- ${escapeMarkdown(group.ruleId)}: ${group.findings.length} element${group.findings.length !== 1 ? 's' : ''}`);
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  resultFindings,
+  diffResults,
+  groupByRule,
+  generateDiffMarkdown
+};
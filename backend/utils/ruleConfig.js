@@ -0,0 +1,161 @@
+const AxeBuilder = require('@axe-core/playwright').default;
+const axeCore = require('axe-core');
+const { applyScope } = require('./scanScope');
+
+const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+// axe.configure() options accepted from requests
+const CONFIGURE_KEYS = ['branding', 'checks', 'rules', 'standards', 'locale', 'disableOtherRules'];
+
+/**
+ * Normalise a string or array of rule IDs
+ */
+function toRuleList(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || list.some(id => typeof id !== 'string')) {
+    throw new Error(`customRules.${field} must be an array of rule IDs`);
+  }
+  return list.map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Validate a request's customRules and return the effective rule configuration:
+ *
+ *   { enable: [], disable: [], impactOverrides: { ruleId: impact }, configure: {} }
+ *
+ * `configure` is passed to axe.configure() before the scan (custom checks and
+ * rules, branding, locale). Returns null when no customRules were given.
+ */
+function resolveRuleConfig(customRules) {
+  if (customRules === undefined || customRules === null) {
+    return null;
+  }
+  if (typeof customRules !== 'object' || Array.isArray(customRules)) {
+    throw new Error('customRules must be an object');
+  }
+
+  const enable = toRuleList(customRules.enable, 'enable');
+  const disable = toRuleList(customRules.disable, 'disable');
+
+  const both = enable.find(id => disable.includes(id));
+  if (both) {
+    throw new Error(`Rule "${both}" cannot be both enabled and disabled`);
+  }
+
+  const impactOverrides = customRules.impactOverrides || {};
+  if (typeof impactOverrides !== 'object' || Array.isArray(impactOverrides)) {
+    throw new Error('customRules.impactOverrides must map rule IDs to impact levels');
+  }
+  Object.entries(impactOverrides).forEach(([ruleId, impact]) => {
+    if (!IMPACT_LEVELS.includes(impact)) {
+      throw new Error(`Invalid impact "${impact}" for rule "${ruleId}", expected one of: ${IMPACT_LEVELS.join(', ')}`);
+    }
+  });
+
+  const configure = customRules.configure || {};
+  if (typeof configure !== 'object' || Array.isArray(configure)) {
+    throw new Error('customRules.configure must be an object of axe.configure() options');
+  }
+  const unsupported = Object.keys(configure).find(key => !CONFIGURE_KEYS.includes(key));
+  if (unsupported) {
+    throw new Error(`customRules.configure.${unsupported} is not supported, use one of: ${CONFIGURE_KEYS.join(', ')}`);
+  }
+  ['checks', 'rules'].forEach(key => {
+    if (configure[key] && (!Array.isArray(configure[key]) || configure[key].some(item => !item || !item.id))) {
+      throw new Error(`customRules.configure.${key} must be an array of objects with an id`);
+    }
+  });
+
+  return { enable, disable, impactOverrides, configure };
+}
+
+/**
+ * axe source with the configure() call appended.
+ *
+ * Check functions (evaluate/after) arrive as source strings in JSON and are
+ * turned back into functions inside the page.
+ */
+function buildAxeSource(configure) {
+  return `${axeCore.source}
+;(function () {
+  var config = ${JSON.stringify(configure)};
+  (config.checks || []).forEach(function (check) {
+    ['evaluate', 'after'].forEach(function (key) {
+      if (typeof check[key] === 'string' && /^\\s*(function|\\()/.test(check[key])) {
+        check[key] = new Function('return (' + check[key] + ')')();
+      }
+    });
+  });
+  axe.configure(config);
+})();`;
+}
+
+/**
+ * Create an AxeBuilder for the page with the WCAG tags and rule configuration applied
+ */
+function createAxeBuilder(page, wcagLevel, ruleConfig) {
+  const hasConfigure = ruleConfig && Object.keys(ruleConfig.configure).length > 0;
+  const builder = new AxeBuilder(hasConfigure
+    ? { page, axeSource: buildAxeSource(ruleConfig.configure) }
+    : { page });
+
+  if (!ruleConfig || (ruleConfig.enable.length === 0 && ruleConfig.disable.length === 0)) {
+    return builder.withTags(wcagLevel);
+  }
+
+  // Per-rule settings take precedence over runOnly tags in axe, so enabled
+  // rules run even when they are not tagged with the selected WCAG levels
+  const rules = {};
+  ruleConfig.enable.forEach(id => { rules[id] = { enabled: true }; });
+  ruleConfig.disable.forEach(id => { rules[id] = { enabled: false }; });
+
+  return builder.options({
+    runOnly: { type: 'tag', values: wcagLevel },
+    rules
+  });
+}
+
+/**
+ * Apply per-rule impact overrides to axe results (in place), keeping the original impact
+ */
+function applyImpactOverrides(results, ruleConfig) {
+  if (!ruleConfig || Object.keys(ruleConfig.impactOverrides).length === 0) {
+    return results;
+  }
+
+  ['violations', 'incomplete'].forEach(listName => {
+    (results[listName] || []).forEach(rule => {
+      const impact = ruleConfig.impactOverrides[rule.id];
+      if (!impact) {
+        return;
+      }
+      rule.originalImpact = rule.impact;
+      rule.impact = impact;
+      (rule.nodes || []).forEach(node => {
+        node.impact = impact;
+      });
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Run axe on a page with the rule configuration and include/exclude scope applied
+ */
+async function runAxe(page, { wcagLevel, ruleConfig, scope }) {
+  const builder = applyScope(createAxeBuilder(page, wcagLevel, ruleConfig), scope);
+  const results = await builder.analyze();
+  return applyImpactOverrides(results, ruleConfig);
+}
+
+module.exports = {
+  IMPACT_LEVELS,
+  resolveRuleConfig,
+  createAxeBuilder,
+  applyImpactOverrides,
+  runAxe
+};
@@ -0,0 +1,85 @@
+/**
+ * Scan scope: CSS selectors passed to AxeBuilder.include() / exclude().
+ *
+ * Each selector is one of
+ *   "#main"                                   - CSS selector in the page
+ *   ["iframe#chat", ".messages"]              - path into an iframe
+ *   { fromShadowDom: ["my-widget", ".body"] }  - path into shadow DOM
+ *   { fromFrames: ["iframe", { fromShadowDom: ["x-app", "main"] }] }
+ */
+
+function isSelectorPath(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isSelector);
+}
+
+function isSelector(value) {
+  if (typeof value === 'string') {
+    return value.trim().length > 0;
+  }
+  if (Array.isArray(value)) {
+    return isSelectorPath(value);
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    return keys.length === 1
+      && ['fromShadowDom', 'fromFrames'].includes(keys[0])
+      && isSelectorPath(value[keys[0]]);
+  }
+  return false;
+}
+
+function toSelectorList(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : [value];
+  const invalid = list.find(selector => !isSelector(selector));
+  if (invalid !== undefined) {
+    throw new Error(`Invalid ${field} selector ${JSON.stringify(invalid)}`);
+  }
+  return list;
+}
+
+/**
+ * Validate include/exclude selector lists, returning { include, exclude } or null
+ */
+function resolveScope(include, exclude) {
+  const scope = {
+    include: toSelectorList(include, 'include'),
+    exclude: toSelectorList(exclude, 'exclude')
+  };
+  return scope.include.length > 0 || scope.exclude.length > 0 ? scope : null;
+}
+
+/**
+ * Apply a scope to an AxeBuilder
+ */
+function applyScope(builder, scope) {
+  if (scope) {
+    scope.include.forEach(selector => builder.include(selector));
+    scope.exclude.forEach(selector => builder.exclude(selector));
+  }
+  return builder;
+}
+
+/**
+ * Human-readable form of a selector, e.g. "iframe#chat → .messages"
+ */
+function describeSelector(selector) {
+  if (typeof selector === 'string') {
+    return selector;
+  }
+  if (Array.isArray(selector)) {
+    return selector.map(describeSelector).join(' → ');
+  }
+  if (selector.fromShadowDom) {
+    return selector.fromShadowDom.map(describeSelector).join(' ⇒ ');
+  }
+  return selector.fromFrames.map(describeSelector).join(' → ');
+}
+
+module.exports = {
+  resolveScope,
+  applyScope,
+  describeSelector
+};
@@ -0,0 +1,255 @@
+const ScreenshotCapture = require('./screenshotUtils');
+const { mergeLabelledResults, findPartialViolations, summarizeEntries } = require('./resultComparison');
+const { contextOptionsFor } = require('./browserEngines');
+const { runAxe } = require('./ruleConfig');
+const { applyKnownIssues } = require('./baseline');
+const { runPageAudits, settleIncomplete, auditSummary } = require('./pageAudits');
+
+// Profile used when no device profiles are requested: Playwright's default desktop context
+const DEFAULT_PROFILE = { name: 'default', contextOptions: {} };
+
+// Variant used when no media variants are requested: no media emulation
+const DEFAULT_VARIANT = { name: 'default', contextOptions: {} };
+
+/**
+ * Turn a profile name into something safe for file and directory names
+ */
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Load a URL in a fresh context for one engine/profile/variant run and run axe on it
+ */
+async function scanProfile(engine, authSession, url, profile, variant, options) {
+  const {
+    wcagLevel,
+    ruleConfig,
+    scope,
+    knownIssues,
+    audits,
+    includeScreenshots = false,
+    label = profile.name,
+    screenshotId,
+    screenshotDir,
+    timeout = 30000
+  } = options;
+
+  const context = await authSession.createContext(
+    engine.browser,
+    contextOptionsFor(engine.name, { ...profile.contextOptions, ...variant.contextOptions })
+  );
+
+  try {
+    const page = await context.newPage();
+    page.setDefaultTimeout(timeout);
+
+    await page.goto(url, { waitUntil: 'networkidle', timeout });
+
+    // Known issues are filtered before screenshots so violation indexes line up
+    let { results, suppressed } = applyKnownIssues(
+      await runAxe(page, { wcagLevel, ruleConfig, scope }),
+      url,
+      knownIssues
+    );
+
+    // Capture screenshots if enabled and there are violations
+    let screenshotData = null;
+    if (includeScreenshots && results.violations.length > 0) {
+      try {
+        const screenshotCapture = new ScreenshotCapture(page);
+        screenshotData = await screenshotCapture.captureViolationScreenshots(
+          results,
+          screenshotId,
+          screenshotDir
+        );
+        console.log(`Captured ${screenshotData.violationScreenshots.length} violation screenshots for ${url} (${label})`);
+      } catch (error) {
+        console.warn(`Failed to capture screenshots for ${url} (${label}):`, error.message);
+      }
+    }
+
+    // Audits run last: they move focus, resize and restyle the page. Their
+    // violations come after axe's, keeping the screenshot indexes valid.
+    let auditResults = null;
+    if (audits) {
+      const audit = await runPageAudits(page, audits, {
+        url, label, includeScreenshots, screenshotId, screenshotDir, timeout, axeResults: results
+      });
+      const known = applyKnownIssues({ violations: audit.violations }, url, knownIssues);
+      results = {
+        ...results,
+        violations: [...results.violations, ...known.results.violations],
+        passes: [...results.passes, ...audit.passes],
+        incomplete: settleIncomplete(results.incomplete, audit.resolved)
+      };
+      suppressed = [...suppressed, ...known.suppressed];
+      auditResults = audit.audits;
+    }
+
+    return { name: label, browser: engine.name, profile: profile.name, variant: variant.name, results, suppressed, screenshotData, audits: auditResults };
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Label of one run in the engine x profile x variant matrix, naming only the
+ * dimensions with several values
+ */
+function runLabel(run, multiple) {
+  const dimensions = ['browser', 'profile', 'variant'].filter(dimension => multiple[dimension]);
+  return dimensions.length > 0 ? dimensions.map(dimension => run[dimension]).join(' / ') : run.profile;
+}
+
+/**
+ * Merge the runs sharing the same value of `key` ('browser', 'profile' or 'variant')
+ */
+function groupRuns(runResults, key) {
+  const groups = new Map();
+  runResults.forEach(run => {
+    if (!groups.has(run[key])) {
+      groups.set(run[key], []);
+    }
+    groups.get(run[key]).push({ label: run.name, results: run.results });
+  });
+
+  return Array.from(groups.entries()).map(([label, entries]) => ({
+    label,
+    results: entries.length === 1 ? entries[0].results : mergeLabelledResults(entries)
+  }));
+}
+
+/**
+ * De-duplicate findings reported by several runs
+ */
+function uniqueFindings(findings) {
+  const seen = new Set();
+  return findings.filter(finding => {
+    if (seen.has(finding.fingerprint)) {
+      return false;
+    }
+    seen.add(finding.fingerprint);
+    return true;
+  });
+}
+
+/**
+ * Scan a URL once per browser engine, device profile and media variant.
+ *
+ * `engines` is the list returned by launchBrowsers(). For a single run this
+ * returns { results, screenshotData }. With several runs, `results` is the
+ * merged result, `runResults` holds every run, and `profileComparison` /
+ * `engineComparison` / `variantComparison` list the violations that only
+ * occur on some profiles, in some engines or in some media variants.
+ * `suppressed` lists known issues filtered out by the `knownIssues` option
+ * (see baseline.js). `audits` holds the results of the requested page audits
+ * (see pageAudits.js), on each run for several runs.
+ */
+async function scanUrl(engines, authSession, url, options) {
+  const { testId, profiles, variants } = options;
+  const scanProfiles = profiles && profiles.length > 0 ? profiles : [DEFAULT_PROFILE];
+  const scanVariants = variants && variants.length > 0 ? variants : [DEFAULT_VARIANT];
+  const multiple = {
+    browser: engines.length > 1,
+    profile: scanProfiles.length > 1,
+    variant: scanVariants.length > 1
+  };
+  const multiRun = multiple.browser || multiple.profile || multiple.variant;
+
+  const runResults = [];
+  for (const engine of engines) {
+    for (const profile of scanProfiles) {
+      for (const variant of scanVariants) {
+        const label = runLabel({ browser: engine.name, profile: profile.name, variant: variant.name }, multiple);
+        runResults.push(await scanProfile(engine, authSession, url, profile, variant, {
+          ...options,
+          label,
+          screenshotId: multiRun ? `${testId}_${slugify(label)}` : testId
+        }));
+      }
+    }
+  }
+
+  if (!multiRun) {
+    return {
+      results: runResults[0].results,
+      screenshotData: runResults[0].screenshotData,
+      suppressed: runResults[0].suppressed,
+      audits: runResults[0].audits,
+      runResults: null,
+      profileComparison: null,
+      engineComparison: null,
+      variantComparison: null
+    };
+  }
+
+  return {
+    results: mergeLabelledResults(runResults.map(run => ({ label: run.name, results: run.results }))),
+    screenshotData: null,
+    suppressed: uniqueFindings(runResults.flatMap(run => run.suppressed)),
+    audits: null,
+    runResults,
+    profileComparison: multiple.profile ? findPartialViolations(groupRuns(runResults, 'profile')) : null,
+    engineComparison: multiple.browser ? findPartialViolations(groupRuns(runResults, 'browser')) : null,
+    variantComparison: multiple.variant ? findPartialViolations(groupRuns(runResults, 'variant')) : null
+  };
+}
+
+/**
+ * Summary fields describing a multi-profile, multi-engine or multi-variant
+ * scan (empty for single runs), plus the finding counts of page audits
+ */
+function scanSummary(scan) {
+  const summary = {};
+
+  const runAudits = scan.runResults ? scan.runResults.map(run => run.audits) : [scan.audits];
+  if (runAudits.some(Boolean)) {
+    summary.auditFindings = auditSummary(runAudits);
+  }
+
+  if (scan.profileComparison) {
+    summary.profiles = summarizeEntries(groupRuns(scan.runResults, 'profile'));
+    summary.profileSpecificViolations = scan.profileComparison;
+  }
+  if (scan.engineComparison) {
+    summary.browsers = summarizeEntries(groupRuns(scan.runResults, 'browser'));
+    summary.engineSpecificViolations = scan.engineComparison;
+  }
+  if (scan.variantComparison) {
+    summary.variants = summarizeEntries(groupRuns(scan.runResults, 'variant'));
+    summary.variantSpecificViolations = scan.variantComparison;
+  }
+
+  return summary;
+}
+
+/**
+ * Screenshot data to store for a scan (one entry per run for multi-run scans)
+ */
+function scanScreenshots(scan) {
+  if (!scan.runResults) {
+    return scan.screenshotData;
+  }
+  return scan.runResults.map(run => ({ run: run.name, ...run.screenshotData }));
+}
+
+/**
+ * Page audit results to store for a scan (one entry per run for multi-run scans)
+ */
+function scanAudits(scan) {
+  if (!scan.runResults) {
+    return scan.audits;
+  }
+  return scan.runResults.some(run => run.audits)
+    ? scan.runResults.map(run => ({ run: run.name, ...run.audits }))
+    : null;
+}
+
+module.exports = {
+  scanUrl,
+  scanSummary,
+  scanScreenshots,
+  scanAudits,
+  slugify
+};
@@ -0,0 +1,280 @@
+const { v4: uuidv4 } = require('uuid');
+const { nextRun, validateCron } = require('./cronSchedule');
+const { resolveThresholds, evaluateThresholds } = require('./thresholds');
+const { resolveRuleConfig } = require('./ruleConfig');
+const { resolveScope } = require('./scanScope');
+const { resolveDeviceProfiles } = require('./deviceProfiles');
+const { resolveMediaVariants } = require('./mediaVariants');
+const { resolveBrowsers } = require('./browserEngines');
+const { resolveAudits } = require('./pageAudits');
+const { validateSitemapOptions } = require('./sitemapLoader');
+const { resolveCrawlLimits } = require('./siteCrawler');
+
+const DEFAULT_WCAG_LEVEL = ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa'];
+
+function validateCrawl(crawl) {
+  if (!crawl || typeof crawl !== 'object' || Array.isArray(crawl)) {
+    throw new Error('crawl must be an object');
+  }
+  if (!crawl.url || !/^https?:\/\//i.test(crawl.url)) {
+    throw new Error('crawl.url must be an http(s) URL');
+  }
+  const { include = [], exclude = [] } = crawl;
+  if (!Array.isArray(include) || !Array.isArray(exclude)) {
+    throw new Error('crawl.include and crawl.exclude must be arrays of glob patterns');
+  }
+  const limits = resolveCrawlLimits(crawl.maxDepth ?? 2, crawl.maxPages ?? 50);
+  return {
+    url: crawl.url,
+    ...limits,
+    include,
+    exclude,
+    respectRobots: crawl.respectRobots !== false
+  };
+}
+
+/**
+ * Validate a scheduled scan definition. Exactly one of urls, sitemap or crawl
+ * selects the pages; the other options match /api/batch-test. Returns the
+ * fields to store.
+ */
+function validateSchedule(definition = {}) {
+  const { name, cron, urls, sitemap, crawl, wcagLevel = DEFAULT_WCAG_LEVEL, thresholds, customRules,
+    include, exclude, audits, devices, variants, browsers, includeScreenshots = false, active = true } = definition;
+
+  if (!name || typeof name !== 'string') {
+    throw new Error('name is required');
+  }
+
+  const targets = [urls, sitemap, crawl].filter(target => target !== undefined && target !== null);
+  if (targets.length !== 1) {
+    throw new Error('Exactly one of urls, sitemap or crawl is required');
+  }
+  if (urls !== undefined && urls !== null
+    && (!Array.isArray(urls) || urls.length === 0 || !urls.every(url => typeof url === 'string'))) {
+    throw new Error('urls must be a non-empty array of URLs');
+  }
+  if (sitemap) {
+    const sitemapError = validateSitemapOptions(sitemap);
+    if (sitemapError) {
+      throw new Error(sitemapError);
+    }
+  }
+
+  if (!Array.isArray(wcagLevel) || wcagLevel.length === 0) {
+    throw new Error('wcagLevel must be a non-empty array of axe tags');
+  }
+
+  // Resolved again for every run; validated here so runs do not fail on bad options
+  resolveThresholds(thresholds);
+  resolveRuleConfig(customRules);
+  resolveScope(include, exclude);
+  resolveAudits(audits);
+  resolveDeviceProfiles(devices);
+  resolveMediaVariants(variants);
+  resolveBrowsers(browsers);
+
+  return {
+    name,
+    cron: validateCron(cron),
+    ...(urls ? { urls } : {}),
+    ...(sitemap ? { sitemap } : {}),
+    ...(crawl ? { crawl: validateCrawl(crawl) } : {}),
+    wcagLevel,
+    thresholds: thresholds ?? null,
+    ...(customRules ? { customRules } : {}),
+    ...(include ? { include } : {}),
+    ...(exclude ? { exclude } : {}),
+    ...(audits ? { audits } : {}),
+    ...(devices ? { devices } : {}),
+    ...(variants ? { variants } : {}),
+    ...(browsers ? { browsers } : {}),
+    includeScreenshots: Boolean(includeScreenshots),
+    active: active !== false
+  };
+}
+
+/**
+ * The part of a run shown on its schedule
+ */
+function lastRunSummary(run) {
+  const { id, batchId, status, passed, startedAt, finishedAt } = run;
+  return { id, batchId, status, passed, startedAt, finishedAt };
+}
+
+/**
+ * Runs scheduled scans when their cron expression is due and records their history.
+ *
+ * `startRun(schedule)` starts the scan as a batch and resolves to
+ * `{ batchProgress, finished }`, where `finished` resolves with the final batch
+ * progress. A schedule never runs twice at once, and times missed while the
+ * server was down are not caught up.
+ */
+class ScanScheduler {
+  constructor(storage, startRun, options = {}) {
+    this.storage = storage;
+    this.startRun = startRun;
+    this.onRunFinished = options.onRunFinished;
+    this.running = new Set(); // IDs of schedules with a run in progress
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  async start() {
+    const now = new Date();
+    for (const schedule of await this.storage.listSchedules()) {
+      // Runs cut short by a restart
+      for (const run of await this.storage.listScheduleRuns(schedule.id, 10)) {
+        if (run.status === 'running') {
+          run.status = 'interrupted';
+          run.finishedAt = now.toISOString();
+          await this.storage.saveScheduleRun(run);
+          if (schedule.lastRun && schedule.lastRun.id === run.id) {
+            schedule.lastRun = lastRunSummary(run);
+          }
+        }
+      }
+      schedule.nextRunAt = schedule.active ? nextRun(schedule.cron, now).toISOString() : null;
+      await this.storage.saveSchedule(schedule);
+    }
+
+    this.scheduleTick();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  // Check for due schedules at the start of every minute
+  scheduleTick() {
+    if (this.stopped) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.runDue()
+        .catch(error => console.error('Failed to run scheduled scans:', error))
+        .finally(() => this.scheduleTick());
+    }, 60000 - (Date.now() % 60000));
+  }
+
+  async runDue(now = new Date()) {
+    const due = (await this.storage.listSchedules())
+      .filter(schedule => schedule.active && schedule.nextRunAt && new Date(schedule.nextRunAt) <= now);
+
+    await Promise.all(due.map(schedule => this.trigger(schedule, 'cron').catch(error => {
+      console.error(`Scheduled scan "${schedule.name}" failed to start:`, error.message);
+    })));
+  }
+
+  /**
+   * Start a run of a schedule ('cron' or 'manual'). Resolves with the run
+   * record once its batch has started, or null when a cron run was skipped
+   * because the previous run is still going.
+   */
+  async trigger(schedule, trigger = 'manual') {
+    const now = new Date();
+    if (trigger === 'cron') {
+      schedule.nextRunAt = nextRun(schedule.cron, now).toISOString();
+    }
+
+    if (this.running.has(schedule.id)) {
+      if (trigger !== 'cron') {
+        throw new Error('Schedule is already running');
+      }
+      console.log(`⏭️ Skipping scheduled scan "${schedule.name}", the previous run has not finished`);
+      await this.storage.saveSchedule(schedule);
+      return null;
+    }
+    this.running.add(schedule.id);
+
+    const run = {
+      id: uuidv4(),
+      scheduleId: schedule.id,
+      trigger,
+      status: 'running',
+      startedAt: now.toISOString()
+    };
+    console.log(`⏰ Starting scheduled scan "${schedule.name}" (${trigger})`);
+
+    let finished;
+    try {
+      const started = await this.startRun(schedule);
+      run.batchId = started.batchProgress.batchId;
+      finished = started.finished;
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      run.finishedAt = new Date().toISOString();
+    }
+
+    schedule.lastRunAt = run.startedAt;
+    schedule.lastRun = lastRunSummary(run);
+    await this.storage.saveSchedule(schedule);
+    await this.storage.saveScheduleRun(run);
+
+    if (!finished) {
+      this.running.delete(schedule.id);
+      return run;
+    }
+
+    finished
+      .then(progress => this.complete(schedule.id, run, progress))
+      .catch(error => console.error(`Failed to record scheduled scan "${schedule.name}":`, error))
+      .finally(() => this.running.delete(schedule.id));
+    return run;
+  }
+
+  /**
+   * Record a finished run, checking every tested page against the schedule's
+   * thresholds. Schedules without thresholds only fail when pages cannot be tested.
+   */
+  async complete(scheduleId, run, progress) {
+    const schedule = await this.storage.getSchedule(scheduleId);
+    if (!schedule) {
+      return; // Deleted while running
+    }
+
+    const thresholds = schedule.thresholds ? resolveThresholds(schedule.thresholds) : null;
+    const breaches = [];
+    const tested = progress.results.filter(result => result.status === 'completed');
+    for (const result of thresholds ? tested : []) {
+      const stored = await this.storage.getTestResult(result.testId);
+      if (!stored || !stored.fullResults) {
+        continue;
+      }
+      const evaluation = evaluateThresholds(stored.fullResults, thresholds);
+      if (!evaluation.passed) {
+        breaches.push({ url: result.url, testId: result.testId, failures: evaluation.failures });
+      }
+    }
+
+    Object.assign(run, {
+      status: progress.status,
+      finishedAt: progress.endTime || new Date().toISOString(),
+      summary: {
+        totalUrls: progress.totalUrls,
+        testedUrls: tested.length,
+        failedUrls: progress.failedUrls,
+        violations: tested.reduce((sum, result) => sum + result.violations, 0)
+      },
+      breaches,
+      passed: progress.status === 'completed' && progress.failedUrls === 0 && breaches.length === 0
+    });
+    await this.storage.saveScheduleRun(run);
+
+    schedule.lastRun = lastRunSummary(run);
+    await this.storage.saveSchedule(schedule);
+    const outcome = thresholds ? `${breaches.length} page(s) over thresholds` : 'no thresholds set';
+    console.log(`${run.passed ? '✅' : '❌'} Scheduled scan "${schedule.name}" ${run.status}: ${outcome}`);
+
+    if (this.onRunFinished) {
+      this.onRunFinished(schedule, run);
+    }
+  }
+}
+
+module.exports = {
+  ScanScheduler,
+  validateSchedule
+};
@@ -1,6 +1,16 @@
 const sharp = require('sharp');
 const fs = require('fs').promises;
 const path = require('path');
+const { escapeXml } = require('./ciReports');
+
+// Highlight colors by violation impact, plus one for neutral annotations
+const HIGHLIGHT_COLORS = {
+  critical: { r: 220, g: 53, b: 69, a: 0.3 },   // Red
+  serious: { r: 255, g: 193, b: 7, a: 0.3 },    // Orange
+  moderate: { r: 255, g: 235, b: 59, a: 0.3 },  // Yellow
+  minor: { r: 40, g: 167, b: 69, a: 0.3 },      // Green
+  focus: { r: 0, g: 102, b: 204, a: 0.15 }      // Blue
+};
 
 /**
  * Capture screenshots of accessibility violations with highlighted elements
@@ -137,15 +147,7 @@ class ScreenshotCapture {
    */
   async addHighlightOverlay(imageBuffer, elementBounds, impact) {
     try {
-      // Define colors based on impact level
-      const colors = {
-        critical: { r: 220, g: 53, b: 69, a: 0.3 },   // Red
-        serious: { r: 255, g: 193, b: 7, a: 0.3 },    // Orange  
-        moderate: { r: 255, g: 235, b: 59, a: 0.3 },  // Yellow
-        minor: { r: 40, g: 167, b: 69, a: 0.3 }       // Green
-      };
-
-      const color = colors[impact] || colors.moderate;
+      const color = HIGHLIGHT_COLORS[impact] || HIGHLIGHT_COLORS.moderate;
       
       // Get image metadata
       const image = sharp(imageBuffer);
@@ -180,6 +182,79 @@ class ScreenshotCapture {
       return imageBuffer;
     }
   }
+
+  /**
+   * Capture a full-page screenshot with labelled boxes drawn over page regions
+   * ({ x, y, width, height, label, color } in document coordinates, color being
+   * an impact or 'focus'). With `connect`, a line joins the regions in order.
+   */
+  async captureAnnotatedPage(regions, outputPath, { connect = false } = {}) {
+    const screenshot = await this.page.screenshot({ fullPage: true, type: 'png', scale: 'css' });
+    const { width, height } = await sharp(screenshot).metadata();
+
+    const center = region => `${region.x + region.width / 2},${region.y + region.height / 2}`;
+    const route = connect && regions.length > 1
+      ? `<polyline points="${regions.map(center).join(' ')}" fill="none" stroke="rgb(0, 102, 204)"
+                   stroke-width="2" stroke-dasharray="6 4" opacity="0.7"/>`
+      : '';
+
+    const shapes = regions.map(region => {
+      const color = HIGHLIGHT_COLORS[region.color] || HIGHLIGHT_COLORS.moderate;
+      const stroke = `rgb(${color.r}, ${color.g}, ${color.b})`;
+      const badgeWidth = 8 + String(region.label).length * 8;
+      const badgeX = Math.max(0, region.x - 4);
+      const badgeY = Math.max(0, region.y - 18);
+      return `
+        <rect x="${region.x}" y="${region.y}" width="${region.width}" height="${region.height}"
+              fill="rgba(${color.r}, ${color.g}, ${color.b}, ${color.a})" stroke="${stroke}" stroke-width="2"/>
+        <rect x="${badgeX}" y="${badgeY}" width="${badgeWidth}" height="18" rx="4" fill="${stroke}"/>
+        <text x="${badgeX + badgeWidth / 2}" y="${badgeY + 13}" fill="white" text-anchor="middle"
+              font-family="Arial, sans-serif" font-size="12" font-weight="bold">${escapeXml(region.label)}</text>`;
+    }).join('');
+
+    const overlay = Buffer.from(`<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${route}${shapes}</svg>`);
+    await sharp(screenshot)
+      .composite([{ input: overlay, top: 0, left: 0 }])
+      .png()
+      .toFile(outputPath);
+
+    return outputPath;
+  }
+
+  /**
+   * Combine images (PNG buffers) left to right into one evidence image, e.g.
+   * before and after. `scale` enlarges small crops without smoothing.
+   */
+  static async combineSideBySide(images, outputPath, { scale = 1, gap = 12 } = {}) {
+    const tiles = await Promise.all(images.map(async image => {
+      const { width, height } = await sharp(image).metadata();
+      const input = scale > 1
+        ? await sharp(image).resize(width * scale, height * scale, { kernel: 'nearest' }).png().toBuffer()
+        : image;
+      return { input, width: width * scale, height: height * scale };
+    }));
+
+    let left = 0;
+    const composite = tiles.map(tile => {
+      const placed = { input: tile.input, top: 0, left };
+      left += tile.width + gap;
+      return placed;
+    });
+
+    await sharp({
+      create: {
+        width: left - gap,
+        height: Math.max(...tiles.map(tile => tile.height)),
+        channels: 4,
+        background: { r: 255, g: 255, b: 255, alpha: 1 }
+      }
+    })
+      .composite(composite)
+      .png()
+      .toFile(outputPath);
+
+    return outputPath;
+  }
 }
 
 module.exports = ScreenshotCapture;
\ No newline at end of file
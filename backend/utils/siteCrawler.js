@@ -0,0 +1,287 @@
+// File extensions that never contain HTML pages worth scanning
+const NON_HTML_EXTENSIONS = /\.(pdf|zip|gz|tar|rar|7z|exe|dmg|jpe?g|png|gif|svg|webp|ico|bmp|mp3|mp4|webm|ogg|wav|avi|mov|css|js|mjs|json|xml|rss|txt|csv|docx?|xlsx?|pptx?|woff2?|ttf|eot)$/i;
+
+// Upper bounds for a single crawl
+const MAX_CRAWL_DEPTH = 10;
+const MAX_CRAWL_PAGES = 1000;
+
+/**
+ * Validate crawl depth and page limits, returning them as integers
+ */
+function resolveCrawlLimits(maxDepth = 2, maxPages = 50) {
+  const depth = Number(maxDepth);
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_CRAWL_DEPTH) {
+    throw new Error(`maxDepth must be an integer between 1 and ${MAX_CRAWL_DEPTH}`);
+  }
+  const pages = Number(maxPages);
+  if (!Number.isInteger(pages) || pages < 1 || pages > MAX_CRAWL_PAGES) {
+    throw new Error(`maxPages must be an integer between 1 and ${MAX_CRAWL_PAGES}`);
+  }
+  return { maxDepth: depth, maxPages: pages };
+}
+
+/**
+ * Convert a glob pattern into a regular expression.
+ * `**` matches across path segments, `*` within one segment, `?` a single character.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check a URL against glob patterns. Patterns starting with a scheme match the
+ * full URL, all others match the path (and query string).
+ */
+function matchesAnyPattern(url, patterns) {
+  const { pathname, search } = new URL(url);
+  return patterns.some(pattern => {
+    const target = /^[a-z]+:\/\//i.test(pattern) ? url : pathname + search;
+    return globToRegExp(pattern).test(target);
+  });
+}
+
+/**
+ * Normalise a URL for de-duplication: drop the fragment, sort query parameters
+ * and remove trailing slashes from non-root paths.
+ */
+function normalizeUrl(rawUrl, baseUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl, baseUrl);
+  } catch (error) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return null;
+  }
+
+  url.hash = '';
+  url.searchParams.sort();
+  if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+  }
+
+  return url.toString();
+}
+
+/**
+ * Parsed robots.txt rules for one user agent
+ */
+class RobotsRules {
+  constructor(rules = []) {
+    this.rules = rules;
+  }
+
+  /**
+   * Parse robots.txt, keeping the group for our user agent or the `*` group
+   */
+  static parse(content, userAgent = 'AccessibilityChecker') {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    content.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [] };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+      } else {
+        lastWasAgent = false;
+        if (current && (field === 'allow' || field === 'disallow') && value) {
+          current.rules.push({ allow: field === 'allow', path: value });
+        }
+      }
+    });
+
+    const agent = userAgent.toLowerCase();
+    const group = groups.find(g => g.agents.some(a => a !== '*' && agent.includes(a)))
+      || groups.find(g => g.agents.includes('*'));
+
+    return new RobotsRules(group ? group.rules : []);
+  }
+
+  /**
+   * The longest matching rule wins; Allow wins ties
+   */
+  isAllowed(url) {
+    const { pathname, search } = new URL(url);
+    const target = pathname + search;
+    let best = null;
+
+    this.rules.forEach(rule => {
+      const pattern = rule.path
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\\\$$/, '$');
+      if (new RegExp(`^${pattern}`).test(target)) {
+        if (!best || rule.path.length > best.path.length ||
+            (rule.path.length === best.path.length && rule.allow)) {
+          best = rule;
+        }
+      }
+    });
+
+    return !best || best.allow;
+  }
+}
+
+/**
+ * Same-origin crawler that discovers pages breadth-first from a seed URL
+ */
+class SiteCrawler {
+  constructor(context, options = {}) {
+    this.context = context;
+    this.options = {
+      maxDepth: 2,
+      maxPages: 50,
+      include: [],
+      exclude: [],
+      respectRobots: true,
+      userAgent: 'AccessibilityChecker',
+      timeout: 30000,
+      ...options
+    };
+  }
+
+  /**
+   * Load robots.txt for the seed's origin; a missing file allows everything
+   */
+  async loadRobotsRules(origin) {
+    try {
+      const response = await fetch(`${origin}/robots.txt`, {
+        signal: AbortSignal.timeout(10000)
+      });
+      if (!response.ok) {
+        return new RobotsRules();
+      }
+      return RobotsRules.parse(await response.text(), this.options.userAgent);
+    } catch (error) {
+      console.warn(`Could not load robots.txt for ${origin}:`, error.message);
+      return new RobotsRules();
+    }
+  }
+
+  /**
+   * Whether a discovered URL should be crawled
+   */
+  isCrawlable(url, origin, robots) {
+    const { include, exclude } = this.options;
+    const parsed = new URL(url);
+
+    if (parsed.origin !== origin) return false;
+    if (NON_HTML_EXTENSIONS.test(parsed.pathname)) return false;
+    if (include.length > 0 && !matchesAnyPattern(url, include)) return false;
+    if (exclude.length > 0 && matchesAnyPattern(url, exclude)) return false;
+    if (robots && !robots.isAllowed(url)) return false;
+
+    return true;
+  }
+
+  /**
+   * Crawl from the seed URL and return the list of discovered page URLs
+   */
+  async crawl(seedUrl, onPage) {
+    const { maxDepth, maxPages, respectRobots, timeout } = this.options;
+    const start = normalizeUrl(seedUrl);
+    if (!start) {
+      throw new Error(`Invalid seed URL: ${seedUrl}`);
+    }
+
+    const origin = new URL(start).origin;
+    const robots = respectRobots ? await this.loadRobotsRules(origin) : null;
+
+    if (robots && !robots.isAllowed(start)) {
+      throw new Error(`Seed URL ${start} is disallowed by robots.txt`);
+    }
+
+    const seen = new Set([start]);
+    const queue = [{ url: start, depth: 0 }];
+    const pages = [];
+
+    while (queue.length > 0 && pages.length < maxPages) {
+      const { url, depth } = queue.shift();
+      let page = null;
+
+      try {
+        page = await this.context.newPage();
+        const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+
+        const contentType = response ? response.headers()['content-type'] || '' : '';
+        if (response && (!response.ok() || !contentType.includes('html'))) {
+          continue;
+        }
+
+        // Redirects may leave the site, land on an already known page or on one
+        // the include/exclude patterns or robots.txt rule out
+        const finalUrl = normalizeUrl(page.url());
+        if (!finalUrl || (finalUrl !== url && (seen.has(finalUrl) || !this.isCrawlable(finalUrl, origin, robots)))) {
+          continue;
+        }
+        seen.add(finalUrl);
+        pages.push(finalUrl);
+
+        if (onPage) {
+          onPage(finalUrl, pages.length);
+        }
+
+        if (depth >= maxDepth) {
+          continue;
+        }
+
+        const links = await page.$$eval('a[href]', anchors =>
+          anchors
+            .filter(anchor => !/\bnofollow\b/i.test(anchor.getAttribute('rel') || ''))
+            .map(anchor => anchor.href)
+        );
+
+        links.forEach(link => {
+          const normalized = normalizeUrl(link, finalUrl);
+          if (normalized && !seen.has(normalized) && this.isCrawlable(normalized, origin, robots)) {
+            seen.add(normalized);
+            queue.push({ url: normalized, depth: depth + 1 });
+          }
+        });
+      } catch (error) {
+        console.warn(`Failed to crawl ${url}:`, error.message);
+      } finally {
+        if (page) {
+          try { await page.close(); } catch (e) { /* ignore */ }
+        }
+      }
+    }
+
+    return pages;
+  }
+}
+
+module.exports = SiteCrawler;
+module.exports.RobotsRules = RobotsRules;
+module.exports.normalizeUrl = normalizeUrl;
+module.exports.globToRegExp = globToRegExp;
+module.exports.matchesAnyPattern = matchesAnyPattern;
+module.exports.resolveCrawlLimits = resolveCrawlLimits;
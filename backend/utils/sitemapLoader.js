@@ -0,0 +1,221 @@
+const zlib = require('zlib');
+const { normalizeUrl, matchesAnyPattern } = require('./siteCrawler');
+
+const MAX_INDEX_DEPTH = 3;
+const MAX_SITEMAPS = 50;
+
+/**
+ * Decode the XML entities allowed in sitemap values
+ */
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Parse a sitemap or sitemap index into its entries
+ */
+function parseSitemap(xml) {
+  const isIndex = /<sitemapindex[\s>]/i.test(xml);
+  const entryTag = isIndex ? 'sitemap' : 'url';
+  const entryRegex = new RegExp(`<${entryTag}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${entryTag}>`, 'gi');
+  const entries = [];
+  let match;
+
+  while ((match = entryRegex.exec(xml)) !== null) {
+    const locMatch = match[1].match(/<loc>([\s\S]*?)<\/loc>/i);
+    const lastmodMatch = match[1].match(/<lastmod>([\s\S]*?)<\/lastmod>/i);
+    if (locMatch) {
+      entries.push({
+        loc: decodeXml(locMatch[1]),
+        lastmod: lastmodMatch ? decodeXml(lastmodMatch[1]) : null
+      });
+    }
+  }
+
+  return { type: isIndex ? 'sitemapindex' : 'urlset', entries };
+}
+
+/**
+ * Fetch a sitemap over HTTP(S), decompressing .gz sitemaps.
+ * Local files are never read here; clients send their content instead.
+ */
+async function readSitemap(location) {
+  if (!/^https?:\/\//i.test(location)) {
+    throw new Error(`Sitemap location must be an http(s) URL: ${location}`);
+  }
+
+  const response = await fetch(location, { signal: AbortSignal.timeout(30000) });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch sitemap ${location} (HTTP ${response.status})`);
+  }
+  let buffer = Buffer.from(await response.arrayBuffer());
+
+  // Gzip magic number
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+
+  return buffer.toString('utf8');
+}
+
+/**
+ * Seeded PRNG (mulberry32) so samples can be reproduced
+ */
+function createRandom(seed) {
+  if (seed === undefined || seed === null) {
+    return Math.random;
+  }
+  let state = Number(seed) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick n random items (partial Fisher-Yates shuffle)
+ */
+function sampleItems(items, n, seed) {
+  const random = createRandom(seed);
+  const copy = [...items];
+  const count = Math.min(n, copy.length);
+
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (copy.length - i));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+
+  return copy.slice(0, count);
+}
+
+/**
+ * Validate sitemap options, returning an error message or null
+ */
+function validateSitemapOptions(sitemap) {
+  if (!sitemap || typeof sitemap !== 'object' || Array.isArray(sitemap)) {
+    return 'sitemap must be an object';
+  }
+  if (!sitemap.url && !sitemap.content) {
+    return 'sitemap.url or sitemap.content is required';
+  }
+  if (sitemap.url && !/^https?:\/\//i.test(sitemap.url)) {
+    return 'sitemap.url must be an http(s) URL';
+  }
+  for (const field of ['include', 'exclude']) {
+    if (sitemap[field] && !Array.isArray(sitemap[field])) {
+      return `sitemap.${field} must be an array of glob patterns`;
+    }
+  }
+  for (const field of ['modifiedSince', 'modifiedBefore']) {
+    if (sitemap[field] && isNaN(Date.parse(sitemap[field]))) {
+      return `sitemap.${field} must be a date`;
+    }
+  }
+  if (sitemap.sample !== undefined && !(parseInt(sitemap.sample) > 0)) {
+    return 'sitemap.sample must be a positive number';
+  }
+  if (sitemap.maxUrls !== undefined && !(parseInt(sitemap.maxUrls) > 0)) {
+    return 'sitemap.maxUrls must be a positive number';
+  }
+  return null;
+}
+
+/**
+ * Load page URLs from a sitemap (following sitemap index files), then filter
+ * by path patterns and lastmod date and optionally take a random sample.
+ *
+ * Options: url or content (raw XML), include, exclude, modifiedSince,
+ * modifiedBefore, sample, sampleSeed, maxUrls
+ */
+async function loadSitemapUrls(options) {
+  const {
+    include = [],
+    exclude = [],
+    modifiedSince,
+    modifiedBefore,
+    sample,
+    sampleSeed,
+    maxUrls = 500
+  } = options;
+
+  const entries = [];
+  const visited = new Set();
+
+  const collectEntries = async (xml, depth) => {
+    const sitemap = parseSitemap(xml);
+
+    if (sitemap.type === 'urlset') {
+      entries.push(...sitemap.entries);
+      return;
+    }
+
+    if (depth >= MAX_INDEX_DEPTH) {
+      console.warn('Sitemap index nesting too deep, skipping child sitemaps');
+      return;
+    }
+
+    for (const child of sitemap.entries) {
+      if (visited.has(child.loc) || visited.size >= MAX_SITEMAPS) continue;
+      visited.add(child.loc);
+
+      try {
+        await collectEntries(await readSitemap(child.loc), depth + 1);
+      } catch (error) {
+        console.warn(`Skipping child sitemap ${child.loc}:`, error.message);
+      }
+    }
+  };
+
+  if (options.content) {
+    await collectEntries(options.content, 0);
+  } else {
+    visited.add(options.url);
+    await collectEntries(await readSitemap(options.url), 0);
+  }
+
+  const since = modifiedSince ? Date.parse(modifiedSince) : null;
+  const before = modifiedBefore ? Date.parse(modifiedBefore) : null;
+  const seen = new Set();
+  let urls = [];
+
+  entries.forEach(entry => {
+    const url = normalizeUrl(entry.loc);
+    if (!url || seen.has(url)) return;
+
+    if (include.length > 0 && !matchesAnyPattern(url, include)) return;
+    if (exclude.length > 0 && matchesAnyPattern(url, exclude)) return;
+
+    // Pages without a lastmod cannot satisfy a date filter
+    if (since !== null || before !== null) {
+      const lastmod = entry.lastmod ? Date.parse(entry.lastmod) : NaN;
+      if (isNaN(lastmod)) return;
+      if (since !== null && lastmod < since) return;
+      if (before !== null && lastmod > before) return;
+    }
+
+    seen.add(url);
+    urls.push(url);
+  });
+
+  if (sample) {
+    urls = sampleItems(urls, parseInt(sample), sampleSeed);
+  }
+
+  return urls.slice(0, parseInt(maxUrls));
+}
+
+module.exports = {
+  loadSitemapUrls,
+  validateSitemapOptions,
+  parseSitemap
+};
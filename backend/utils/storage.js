@@ -0,0 +1,484 @@
+const fs = require('fs');
+const path = require('path');
+
+// Batch statuses that mean the background worker is no longer running
+const FINISHED_BATCH_STATUSES = ['completed', 'failed', 'interrupted', 'cancelled'];
+
+/**
+ * In-memory storage, used for tests and when persistence is not wanted
+ */
+class MemoryStorage {
+  constructor() {
+    this.testResults = new Map();
+    this.batches = new Map();
+    this.webhooks = new Map();
+    this.webhookDeliveries = new Map();
+    this.schedules = new Map();
+    this.scheduleRuns = new Map();
+  }
+
+  async init() {}
+
+  async close() {}
+
+  /**
+   * Store a test result (summary, full axe results and screenshot metadata)
+   */
+  async saveTestResult(result) {
+    this.testResults.set(result.testId, result);
+  }
+
+  /**
+   * Get a single test result including the full axe results
+   */
+  async getTestResult(testId) {
+    return this.testResults.get(testId) || null;
+  }
+
+  /**
+   * List summaries of all stored test results, newest first
+   */
+  async listTestResults() {
+    return Array.from(this.testResults.values())
+      .map(({ fullResults, screenshots, findings, ...summary }) => summary)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  /**
+   * Create or update the progress record of a batch
+   */
+  async saveBatch(batchProgress) {
+    this.batches.set(batchProgress.batchId, JSON.parse(JSON.stringify(batchProgress)));
+  }
+
+  /**
+   * Get the progress record of a batch
+   */
+  async getBatch(batchId) {
+    return this.batches.get(batchId) || null;
+  }
+
+  /**
+   * Mark batches that were still running as interrupted
+   */
+  async markInterruptedBatches() {
+    let count = 0;
+    this.batches.forEach(batch => {
+      if (!FINISHED_BATCH_STATUSES.includes(batch.status)) {
+        batch.status = 'interrupted';
+        batch.endTime = new Date().toISOString();
+        count++;
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Create or update a registered webhook
+   */
+  async saveWebhook(webhook) {
+    this.webhooks.set(webhook.id, { ...webhook });
+  }
+
+  async getWebhook(id) {
+    return this.webhooks.get(id) || null;
+  }
+
+  /**
+   * List registered webhooks, oldest first
+   */
+  async listWebhooks() {
+    return Array.from(this.webhooks.values())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Delete a webhook and its delivery log; returns whether it existed
+   */
+  async deleteWebhook(id) {
+    this.webhookDeliveries.forEach((delivery, deliveryId) => {
+      if (delivery.webhookId === id) {
+        this.webhookDeliveries.delete(deliveryId);
+      }
+    });
+    return this.webhooks.delete(id);
+  }
+
+  /**
+   * Create or update a webhook delivery log entry
+   */
+  async saveWebhookDelivery(delivery) {
+    this.webhookDeliveries.set(delivery.id, JSON.parse(JSON.stringify(delivery)));
+  }
+
+  async getWebhookDelivery(id) {
+    return this.webhookDeliveries.get(id) || null;
+  }
+
+  /**
+   * List a webhook's deliveries, newest first
+   */
+  async listWebhookDeliveries(webhookId, limit = 50) {
+    return Array.from(this.webhookDeliveries.values())
+      .filter(delivery => delivery.webhookId === webhookId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Create or update a scheduled scan
+   */
+  async saveSchedule(schedule) {
+    this.schedules.set(schedule.id, JSON.parse(JSON.stringify(schedule)));
+  }
+
+  async getSchedule(id) {
+    return this.schedules.get(id) || null;
+  }
+
+  /**
+   * List scheduled scans, oldest first
+   */
+  async listSchedules() {
+    return Array.from(this.schedules.values())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Delete a scheduled scan and its run history; returns whether it existed
+   */
+  async deleteSchedule(id) {
+    this.scheduleRuns.forEach((run, runId) => {
+      if (run.scheduleId === id) {
+        this.scheduleRuns.delete(runId);
+      }
+    });
+    return this.schedules.delete(id);
+  }
+
+  /**
+   * Create or update a run in a schedule's history
+   */
+  async saveScheduleRun(run) {
+    this.scheduleRuns.set(run.id, JSON.parse(JSON.stringify(run)));
+  }
+
+  /**
+   * List a schedule's runs, newest first
+   */
+  async listScheduleRuns(scheduleId, limit = 50) {
+    return Array.from(this.scheduleRuns.values())
+      .filter(run => run.scheduleId === scheduleId)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit);
+  }
+}
+
+/**
+ * SQLite storage backed by better-sqlite3 (default driver)
+ */
+class SQLiteStorage {
+  constructor(filename) {
+    this.filename = filename;
+    this.db = null;
+  }
+
+  async init() {
+    // Loaded lazily so the memory driver works without the native module
+    const Database = require('better-sqlite3');
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS test_results (
+        test_id TEXT PRIMARY KEY,
+        batch_id TEXT,
+        url TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        summary TEXT NOT NULL,
+        full_results TEXT,
+        screenshots TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_test_results_batch ON test_results (batch_id);
+      CREATE INDEX IF NOT EXISTS idx_test_results_timestamp ON test_results (timestamp);
+
+      CREATE TABLE IF NOT EXISTS batches (
+        batch_id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        start_time TEXT,
+        end_time TEXT,
+        progress TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS webhooks (
+        webhook_id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        webhook TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        delivery_id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        delivery TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+
+      CREATE TABLE IF NOT EXISTS schedules (
+        schedule_id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        schedule TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS schedule_runs (
+        run_id TEXT PRIMARY KEY,
+        schedule_id TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        run TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule ON schedule_runs (schedule_id, started_at);
+    `);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Store a test result (summary, full axe results and screenshot metadata)
+   */
+  async saveTestResult(result) {
+    const { fullResults, screenshots, ...summary } = result;
+
+    this.db.prepare(`
+      INSERT OR REPLACE INTO test_results
+        (test_id, batch_id, url, timestamp, summary, full_results, screenshots)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      summary.testId,
+      summary.batchId || null,
+      summary.url,
+      summary.timestamp,
+      JSON.stringify(summary),
+      fullResults ? JSON.stringify(fullResults) : null,
+      screenshots ? JSON.stringify(screenshots) : null
+    );
+  }
+
+  /**
+   * Get a single test result including the full axe results
+   */
+  async getTestResult(testId) {
+    const row = this.db.prepare('SELECT * FROM test_results WHERE test_id = ?').get(testId);
+    if (!row) return null;
+
+    return {
+      ...JSON.parse(row.summary),
+      fullResults: row.full_results ? JSON.parse(row.full_results) : null,
+      screenshots: row.screenshots ? JSON.parse(row.screenshots) : null
+    };
+  }
+
+  /**
+   * List summaries of all stored test results, newest first
+   */
+  async listTestResults() {
+    return this.db.prepare('SELECT summary FROM test_results ORDER BY timestamp DESC')
+      .all()
+      .map(row => {
+        const { findings, ...summary } = JSON.parse(row.summary);
+        return summary;
+      });
+  }
+
+  /**
+   * Create or update the progress record of a batch
+   */
+  async saveBatch(batchProgress) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO batches (batch_id, status, start_time, end_time, progress)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      batchProgress.batchId,
+      batchProgress.status,
+      batchProgress.startTime || null,
+      batchProgress.endTime || null,
+      JSON.stringify(batchProgress)
+    );
+  }
+
+  /**
+   * Get the progress record of a batch
+   */
+  async getBatch(batchId) {
+    const row = this.db.prepare('SELECT progress FROM batches WHERE batch_id = ?').get(batchId);
+    return row ? JSON.parse(row.progress) : null;
+  }
+
+  /**
+   * Mark batches that were still running as interrupted
+   */
+  async markInterruptedBatches() {
+    const placeholders = FINISHED_BATCH_STATUSES.map(() => '?').join(', ');
+    const rows = this.db.prepare(
+      `SELECT progress FROM batches WHERE status NOT IN (${placeholders})`
+    ).all(...FINISHED_BATCH_STATUSES);
+
+    const endTime = new Date().toISOString();
+    for (const row of rows) {
+      const batch = JSON.parse(row.progress);
+      batch.status = 'interrupted';
+      batch.endTime = endTime;
+      await this.saveBatch(batch);
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * Create or update a registered webhook
+   */
+  async saveWebhook(webhook) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO webhooks (webhook_id, created_at, webhook)
+      VALUES (?, ?, ?)
+    `).run(webhook.id, webhook.createdAt, JSON.stringify(webhook));
+  }
+
+  async getWebhook(id) {
+    const row = this.db.prepare('SELECT webhook FROM webhooks WHERE webhook_id = ?').get(id);
+    return row ? JSON.parse(row.webhook) : null;
+  }
+
+  /**
+   * List registered webhooks, oldest first
+   */
+  async listWebhooks() {
+    return this.db.prepare('SELECT webhook FROM webhooks ORDER BY created_at')
+      .all()
+      .map(row => JSON.parse(row.webhook));
+  }
+
+  /**
+   * Delete a webhook and its delivery log; returns whether it existed
+   */
+  async deleteWebhook(id) {
+    this.db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+    return this.db.prepare('DELETE FROM webhooks WHERE webhook_id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Create or update a webhook delivery log entry
+   */
+  async saveWebhookDelivery(delivery) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO webhook_deliveries (delivery_id, webhook_id, created_at, delivery)
+      VALUES (?, ?, ?, ?)
+    `).run(delivery.id, delivery.webhookId, delivery.createdAt, JSON.stringify(delivery));
+  }
+
+  async getWebhookDelivery(id) {
+    const row = this.db.prepare('SELECT delivery FROM webhook_deliveries WHERE delivery_id = ?').get(id);
+    return row ? JSON.parse(row.delivery) : null;
+  }
+
+  /**
+   * List a webhook's deliveries, newest first
+   */
+  async listWebhookDeliveries(webhookId, limit = 50) {
+    return this.db.prepare(
+      'SELECT delivery FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ?'
+    ).all(webhookId, limit).map(row => JSON.parse(row.delivery));
+  }
+
+  /**
+   * Create or update a scheduled scan
+   */
+  async saveSchedule(schedule) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO schedules (schedule_id, created_at, schedule)
+      VALUES (?, ?, ?)
+    `).run(schedule.id, schedule.createdAt, JSON.stringify(schedule));
+  }
+
+  async getSchedule(id) {
+    const row = this.db.prepare('SELECT schedule FROM schedules WHERE schedule_id = ?').get(id);
+    return row ? JSON.parse(row.schedule) : null;
+  }
+
+  /**
+   * List scheduled scans, oldest first
+   */
+  async listSchedules() {
+    return this.db.prepare('SELECT schedule FROM schedules ORDER BY created_at')
+      .all()
+      .map(row => JSON.parse(row.schedule));
+  }
+
+  /**
+   * Delete a scheduled scan and its run history; returns whether it existed
+   */
+  async deleteSchedule(id) {
+    this.db.prepare('DELETE FROM schedule_runs WHERE schedule_id = ?').run(id);
+    return this.db.prepare('DELETE FROM schedules WHERE schedule_id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Create or update a run in a schedule's history
+   */
+  async saveScheduleRun(run) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO schedule_runs (run_id, schedule_id, started_at, run)
+      VALUES (?, ?, ?, ?)
+    `).run(run.id, run.scheduleId, run.startedAt, JSON.stringify(run));
+  }
+
+  /**
+   * List a schedule's runs, newest first
+   */
+  async listScheduleRuns(scheduleId, limit = 50) {
+    return this.db.prepare(
+      'SELECT run FROM schedule_runs WHERE schedule_id = ? ORDER BY started_at DESC LIMIT ?'
+    ).all(scheduleId, limit).map(row => JSON.parse(row.run));
+  }
+}
+
+const drivers = {
+  memory: () => new MemoryStorage(),
+  sqlite: (options) => new SQLiteStorage(options.filename)
+};
+
+/**
+ * Register an additional storage driver factory
+ */
+function registerStorageDriver(name, factory) {
+  drivers[name] = factory;
+}
+
+/**
+ * Create a storage driver by name ('sqlite' by default, or 'memory')
+ */
+function createStorage(driver = 'sqlite', options = {}) {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  return factory({
+    filename: options.filename || path.join(__dirname, '../../data/accessibility.db')
+  });
+}
+
+module.exports = {
+  createStorage,
+  registerStorageDriver,
+  MemoryStorage,
+  SQLiteStorage,
+  FINISHED_BATCH_STATUSES
+};
@@ -0,0 +1,223 @@
+const sharp = require('sharp');
+const ScreenshotCapture = require('./screenshotUtils');
+const { installPageHelpers, evidenceFile } = require('./auditHelpers');
+const { findOverlappingText } = require('./reflowAudit');
+
+/**
+ * Text spacing audit (1.4.12).
+ *
+ * Applies the WCAG text spacing overrides (line height 1.5, paragraph spacing
+ * 2, letter spacing 0.12 and word spacing 0.16 times the font size) and
+ * compares the page with and without them: containers that hide their
+ * overflow and no longer fit their text, and text that newly overlaps other
+ * text. With screenshots on, each issue gets a before/after image cropped
+ * with sharp from full-page screenshots of both states.
+ */
+
+const TEXT_SPACING_CSS = `
+  *, *::before, *::after {
+    line-height: 1.5 !important;
+    letter-spacing: 0.12em !important;
+    word-spacing: 0.16em !important;
+  }
+  p {
+    margin-bottom: 2em !important;
+  }
+`;
+
+const MAX_CONTAINERS = 2000;
+const MAX_OVERLAPS = 20;
+const MAX_EVIDENCE = 10;
+
+// Room around the element in the evidence crops, and the tallest crop
+const EVIDENCE_PADDING = 16;
+const EVIDENCE_MAX_HEIGHT = 600;
+
+const rules = {
+  'text-spacing-clipped': {
+    impact: 'serious',
+    tags: ['cat.sensory-and-visual-cues', 'wcag21aa', 'wcag1412'],
+    description: 'Ensures text is not cut off when users increase line, paragraph, letter and word spacing',
+    help: 'Text must not be clipped when text spacing is increased',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/text-spacing.html'
+  },
+  'text-spacing-overlap': {
+    impact: 'serious',
+    tags: ['cat.sensory-and-visual-cues', 'wcag21aa', 'wcag1412'],
+    description: 'Ensures text does not overlap other text when users increase line, paragraph, letter and word spacing',
+    help: 'Text must not overlap when text spacing is increased',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/text-spacing.html'
+  }
+};
+
+/**
+ * Scroll and client sizes of the text containers that hide their overflow,
+ * keyed by selector
+ */
+function measureClippingContainers(limit) {
+  const { selectorFor, snippet, isRendered, isVisuallyHidden, documentRect } = window.__a11yAudit;
+  const hides = (overflow) => overflow === 'hidden' || overflow === 'clip';
+  const containers = {};
+  let count = 0;
+
+  for (const element of document.body.querySelectorAll('*')) {
+    if (count >= limit) {
+      break;
+    }
+    const style = getComputedStyle(element);
+    const clipsX = hides(style.overflowX);
+    const clipsY = hides(style.overflowY);
+    if ((!clipsX && !clipsY) || !element.textContent.trim() || !isRendered(element) || isVisuallyHidden(element)) {
+      continue;
+    }
+    count++;
+    containers[selectorFor(element)] = {
+      html: snippet(element),
+      text: element.textContent.replace(/\s+/g, ' ').trim().slice(0, 60),
+      rect: documentRect(element),
+      overflowX: clipsX ? Math.max(0, element.scrollWidth - element.clientWidth) : 0,
+      overflowY: clipsY ? Math.max(0, element.scrollHeight - element.clientHeight) : 0
+    };
+  }
+
+  return containers;
+}
+
+function applyTextSpacing(css) {
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(css);
+  Object.defineProperty(window, '__a11yTextSpacing', { value: sheet, configurable: true });
+  document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+}
+
+function removeTextSpacing() {
+  document.adoptedStyleSheets = document.adoptedStyleSheets.filter(sheet => sheet !== window.__a11yTextSpacing);
+  delete window.__a11yTextSpacing;
+}
+
+function elementRects(selectors) {
+  const { documentRect } = window.__a11yAudit;
+  return selectors.map(selector => {
+    const element = document.querySelector(selector);
+    return element ? documentRect(element) : null;
+  });
+}
+
+/**
+ * Crop an element's region (plus padding) out of a full-page screenshot
+ */
+async function cropRegion(screenshot, rect) {
+  const { width, height } = await sharp(screenshot).metadata();
+  const left = Math.max(0, Math.min(width - 1, rect.x - EVIDENCE_PADDING));
+  const top = Math.max(0, Math.min(height - 1, rect.y - EVIDENCE_PADDING));
+  return sharp(screenshot)
+    .extract({
+      left,
+      top,
+      width: Math.max(1, Math.min(width - left, rect.width + EVIDENCE_PADDING * 2)),
+      height: Math.max(1, Math.min(height - top, rect.height + EVIDENCE_PADDING * 2, EVIDENCE_MAX_HEIGHT))
+    })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Before/after images of the first issues, cropped from full-page screenshots
+ * of the page with and without the overrides; none when screenshots are off.
+ * Leaves the overrides removed.
+ */
+async function captureEvidence(page, findings, afterRects, context) {
+  const shown = findings.slice(0, MAX_EVIDENCE);
+  const files = [];
+  for (const index of shown.keys()) {
+    files.push(await evidenceFile(context, `text-spacing-${index + 1}.png`));
+  }
+  if (!files[0]) {
+    return [];
+  }
+
+  const after = await page.screenshot({ fullPage: true, type: 'png', scale: 'css' });
+  await page.evaluate(removeTextSpacing);
+  const before = await page.screenshot({ fullPage: true, type: 'png', scale: 'css' });
+  const beforeRects = await page.evaluate(elementRects, shown.map(finding => finding.selector));
+
+  const evidence = [];
+  for (const [index, finding] of shown.entries()) {
+    const file = files[index];
+    const beforeRect = beforeRects[index] || afterRects[finding.selector];
+    try {
+      await ScreenshotCapture.combineSideBySide([
+        await cropRegion(before, beforeRect),
+        await cropRegion(after, afterRects[finding.selector])
+      ], file.path);
+      evidence.push({ selector: finding.selector, rule: finding.rule, image: file.url });
+    } catch (error) {
+      console.warn(`Failed to save text spacing evidence for ${finding.selector} on ${context.url}:`, error.message);
+    }
+  }
+  return evidence;
+}
+
+/**
+ * Run the audit on a loaded page. Resolves to { containers, findings, evidence }.
+ */
+async function run(page, context) {
+  await installPageHelpers(page);
+  await page.evaluate(() => window.scrollTo(0, 0));
+
+  const containersBefore = await page.evaluate(measureClippingContainers, MAX_CONTAINERS);
+  const overlapsBefore = await page.evaluate(findOverlappingText, MAX_OVERLAPS);
+
+  await page.evaluate(applyTextSpacing, TEXT_SPACING_CSS);
+  try {
+    const containersAfter = await page.evaluate(measureClippingContainers, MAX_CONTAINERS);
+    const overlapsAfter = await page.evaluate(findOverlappingText, MAX_OVERLAPS);
+    const findings = [];
+    const afterRects = {};
+
+    Object.entries(containersAfter).forEach(([selector, after]) => {
+      const before = containersBefore[selector] || { overflowX: 0, overflowY: 0 };
+      const grewX = after.overflowX > before.overflowX + 1;
+      const grewY = after.overflowY > before.overflowY + 1;
+      if (!grewX && !grewY) {
+        return;
+      }
+      const cut = [grewY ? `${after.overflowY} px too tall` : null, grewX ? `${after.overflowX} px too wide` : null]
+        .filter(Boolean).join(' and ');
+      findings.push({
+        rule: 'text-spacing-clipped',
+        selector,
+        html: after.html,
+        message: `Text "${after.text}" is cut off: with the spacing overrides it is ${cut} for its container, which hides its overflow`
+      });
+      afterRects[selector] = after.rect;
+    });
+
+    const overlapKey = pair => [pair.selector, pair.other].sort().join('|');
+    const knownOverlaps = new Set(overlapsBefore.map(overlapKey));
+    overlapsAfter.filter(pair => !knownOverlaps.has(overlapKey(pair))).forEach(pair => {
+      findings.push({
+        rule: 'text-spacing-overlap',
+        selector: pair.selector,
+        html: pair.html,
+        message: `With the spacing overrides, text overlaps the text of ${pair.other}`
+      });
+      afterRects[pair.selector] = pair.rect;
+    });
+
+    return {
+      containers: Object.keys(containersAfter).length,
+      findings,
+      evidence: findings.length > 0 ? await captureEvidence(page, findings, afterRects, context) : []
+    };
+  } finally {
+    await page.evaluate(removeTextSpacing);
+  }
+}
+
+module.exports = {
+  name: 'text-spacing',
+  title: 'Text Spacing',
+  rules,
+  run
+};
@@ -0,0 +1,158 @@
+const { IMPACT_LEVELS } = require('./ruleConfig');
+
+/**
+ * CI failure thresholds.
+ *
+ *   {
+ *     countBy: 'rule' | 'node',          // count violated rules (default) or elements
+ *     total: 20,                         // all violations
+ *     impact: { critical: 0, serious: 0, moderate: 10 },
+ *     rules: { 'color-contrast': 5 },
+ *     tags: { wcag2a: 0 }
+ *   }
+ *
+ * Impact limits may also be given at the top level ({ critical: 0, serious: 0 }).
+ * A limit is the highest count that still passes.
+ */
+
+const COUNT_BY = ['rule', 'node'];
+const THRESHOLD_KEYS = ['countBy', 'total', 'impact', 'rules', 'tags', ...IMPACT_LEVELS];
+
+function toLimit(value, field) {
+  const limit = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(`thresholds.${field} must be a non-negative integer`);
+  }
+  return limit;
+}
+
+function toLimitMap(value, field) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`thresholds.${field} must map names to limits`);
+  }
+  const limits = {};
+  Object.entries(value).forEach(([key, limit]) => {
+    limits[key] = toLimit(limit, `${field}.${key}`);
+  });
+  return limits;
+}
+
+/**
+ * Validate a request's thresholds. Without thresholds the legacy maxViolations
+ * applies as a total limit on violated rules.
+ */
+function resolveThresholds(thresholds, maxViolations = 0) {
+  if (thresholds === undefined || thresholds === null) {
+    return {
+      countBy: 'rule',
+      total: toLimit(maxViolations, 'total'),
+      impact: {},
+      rules: {},
+      tags: {}
+    };
+  }
+  if (typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new Error('thresholds must be an object');
+  }
+  const unknownKey = Object.keys(thresholds).find(key => !THRESHOLD_KEYS.includes(key));
+  if (unknownKey) {
+    throw new Error(`Unknown threshold "${unknownKey}", expected one of: ${THRESHOLD_KEYS.join(', ')}`);
+  }
+
+  const countBy = thresholds.countBy || 'rule';
+  if (!COUNT_BY.includes(countBy)) {
+    throw new Error(`thresholds.countBy must be one of: ${COUNT_BY.join(', ')}`);
+  }
+
+  const topLevelImpacts = {};
+  IMPACT_LEVELS.filter(level => thresholds[level] !== undefined).forEach(level => {
+    topLevelImpacts[level] = thresholds[level];
+  });
+  const impact = toLimitMap({ ...topLevelImpacts, ...thresholds.impact }, 'impact');
+  const unknownImpact = Object.keys(impact).find(level => !IMPACT_LEVELS.includes(level));
+  if (unknownImpact) {
+    throw new Error(`Unknown impact "${unknownImpact}" in thresholds, expected one of: ${IMPACT_LEVELS.join(', ')}`);
+  }
+
+  return {
+    countBy,
+    total: thresholds.total === undefined ? null : toLimit(thresholds.total, 'total'),
+    impact,
+    rules: toLimitMap(thresholds.rules, 'rules'),
+    tags: toLimitMap(thresholds.tags, 'tags')
+  };
+}
+
+/**
+ * Check axe results against thresholds.
+ *
+ * Returns { passed, countBy, counts, failures } where every failure names the
+ * threshold ({ type: 'total' | 'impact' | 'rule' | 'tag', key }), its limit,
+ * the actual count and a readable message.
+ */
+function evaluateThresholds(results, thresholds) {
+  const { countBy } = thresholds;
+  const unit = countBy === 'node' ? 'element' : 'rule';
+  const count = violations => violations.reduce(
+    (sum, violation) => sum + (countBy === 'node' ? violation.nodes.length : 1),
+    0
+  );
+  const { violations } = results;
+
+  const counts = {
+    total: count(violations),
+    impact: {},
+    rules: {},
+    tags: {}
+  };
+  IMPACT_LEVELS.forEach(level => {
+    counts.impact[level] = count(violations.filter(violation => violation.impact === level));
+  });
+  Object.keys(thresholds.rules).forEach(ruleId => {
+    counts.rules[ruleId] = count(violations.filter(violation => violation.id === ruleId));
+  });
+  Object.keys(thresholds.tags).forEach(tag => {
+    counts.tags[tag] = count(violations.filter(violation => (violation.tags || []).includes(tag)));
+  });
+
+  const failures = [];
+  const check = (type, key, limit, actual, label) => {
+    if (actual > limit) {
+      failures.push({
+        type,
+        key,
+        limit,
+        actual,
+        message: `${actual} ${label} violation${actual !== 1 ? 's' : ''} (counted by ${unit}) exceed${actual === 1 ? 's' : ''} the limit of ${limit}`
+      });
+    }
+  };
+
+  if (thresholds.total !== null) {
+    check('total', 'total', thresholds.total, counts.total, 'total');
+  }
+  Object.entries(thresholds.impact).forEach(([level, limit]) => {
+    check('impact', level, limit, counts.impact[level], level);
+  });
+  Object.entries(thresholds.rules).forEach(([ruleId, limit]) => {
+    check('rule', ruleId, limit, counts.rules[ruleId], `"${ruleId}"`);
+  });
+  Object.entries(thresholds.tags).forEach(([tag, limit]) => {
+    check('tag', tag, limit, counts.tags[tag], tag);
+  });
+
+  return {
+    passed: failures.length === 0,
+    countBy,
+    counts,
+    failures
+  };
+}
+
+module.exports = {
+  resolveThresholds,
+  evaluateThresholds
+};
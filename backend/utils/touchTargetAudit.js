@@ -0,0 +1,306 @@
+const ScreenshotCapture = require('./screenshotUtils');
+const { installPageHelpers, evidenceFile } = require('./auditHelpers');
+
+/**
+ * Touch target size audit (2.5.8 and 2.5.5).
+ *
+ * Measures the rendered box of every interactive element at the current
+ * viewport, so each device profile gets its own numbers. Targets under
+ * 24 x 24 CSS px fail the AA minimum unless a 24 px circle centred on them
+ * touches no other target or undersized target circle (the spacing
+ * exception); targets under 44 x 44 CSS px fail the AAA enhanced size. Links
+ * in running text and unstyled native checkboxes and radios are exempt.
+ * Findings are grouped by component selector (tag, classes, role), so a row
+ * of 30 icon links is one finding, and the groups are numbered on a
+ * full-page overlay. This is separate from axe's `target-size` rule.
+ */
+
+const MINIMUM_SIZE = 24;
+const ENHANCED_SIZE = 44;
+const MAX_TARGETS = 500;
+const MAX_EXAMPLES = 3;
+
+const TARGET_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  'summary',
+  '[role="button"]',
+  '[role="link"]',
+  '[role="checkbox"]',
+  '[role="radio"]',
+  '[role="switch"]',
+  '[role="tab"]',
+  '[role="menuitem"]',
+  '[role="menuitemcheckbox"]',
+  '[role="menuitemradio"]',
+  '[role="option"]',
+  '[role="slider"]',
+  '[onclick]',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const rules = {
+  'touch-target-minimum': {
+    impact: 'serious',
+    tags: ['cat.sensory-and-visual-cues', 'wcag22aa', 'wcag258'],
+    description: 'Ensures touch targets are at least 24 by 24 CSS pixels or far enough from other targets',
+    help: 'Touch targets must be at least 24 × 24 CSS px or have enough spacing',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/target-size-minimum.html'
+  },
+  'touch-target-enhanced': {
+    impact: 'minor',
+    tags: ['cat.sensory-and-visual-cues', 'wcag21aaa', 'wcag255'],
+    description: 'Ensures touch targets are at least 44 by 44 CSS pixels',
+    help: 'Touch targets should be at least 44 × 44 CSS px',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/target-size-enhanced.html'
+  }
+};
+
+/**
+ * The rendered boxes of the interactive elements, in document coordinates.
+ * A control's target includes its label when the label is larger. Each
+ * target lists the indexes of the targets it is nested in or contains.
+ */
+function measureTargets({ selector, limit }) {
+  const { selectorFor, snippet, isRendered, isVisuallyHidden, documentRect } = window.__a11yAudit;
+
+  const componentSelector = (element) => {
+    let component = element.localName;
+    const role = element.getAttribute('role');
+    if (element.localName === 'input') {
+      component += `[type="${element.type}"]`;
+    }
+    if (role) {
+      component += `[role="${role}"]`;
+    }
+    Array.from(element.classList).slice(0, 3).forEach(name => {
+      component += `.${CSS.escape(name)}`;
+    });
+    return component;
+  };
+
+  // A link or control in a sentence or block of text
+  const isInline = (element) => {
+    if (getComputedStyle(element).display !== 'inline' || !element.parentElement) {
+      return false;
+    }
+    return Array.from(element.parentElement.childNodes)
+      .some(node => node !== element && node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+  };
+
+  // A native checkbox or radio drawn by the browser at its default size
+  const isUserAgentControl = (element) => element.localName === 'input'
+    && ['checkbox', 'radio'].includes(element.type)
+    && getComputedStyle(element).appearance !== 'none';
+
+  const targets = [];
+  const measured = [];
+  const elements = Array.from(document.querySelectorAll(selector));
+  for (const element of elements) {
+    if (targets.length >= limit) {
+      break;
+    }
+    if (element.disabled || !isRendered(element) || isVisuallyHidden(element)) {
+      continue;
+    }
+
+    let rect = documentRect(element);
+    Array.from(element.labels || []).forEach(label => {
+      const labelRect = documentRect(label);
+      if (isRendered(label) && labelRect.width * labelRect.height > rect.width * rect.height) {
+        rect = labelRect;
+      }
+    });
+    if (rect.width === 0 || rect.height === 0) {
+      continue;
+    }
+
+    measured.push(element);
+    targets.push({
+      index: targets.length,
+      selector: selectorFor(element),
+      component: componentSelector(element),
+      html: snippet(element),
+      rect,
+      inline: isInline(element),
+      userAgent: isUserAgentControl(element)
+    });
+  }
+
+  targets.forEach(target => {
+    const element = measured[target.index];
+    target.ancestors = [];
+    target.descendants = [];
+    measured.forEach((other, index) => {
+      if (other === element) {
+        return;
+      }
+      if (other.contains(element)) {
+        target.ancestors.push(index);
+      } else if (element.contains(other)) {
+        target.descendants.push(index);
+      }
+    });
+  });
+
+  return { targets, total: elements.length };
+}
+
+function isUndersized(target, size) {
+  return target.rect.width < size || target.rect.height < size;
+}
+
+function centerOf(rect) {
+  return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+function distanceToRect(point, rect) {
+  const dx = Math.max(rect.x - point.x, 0, point.x - (rect.x + rect.width));
+  const dy = Math.max(rect.y - point.y, 0, point.y - (rect.y + rect.height));
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * The 2.5.8 spacing exception: a 24 px circle centred on the undersized
+ * target intersects no other target and no other undersized target's circle.
+ * Targets nested in each other (a button inside a clickable card) are not
+ * neighbours, since their boxes overlap by design.
+ */
+function hasSpacing(target, targets) {
+  const center = centerOf(target.rect);
+  return targets.every(other => {
+    if (other === target || target.ancestors.includes(other.index) || target.descendants.includes(other.index)) {
+      return true;
+    }
+    if (distanceToRect(center, other.rect) < MINIMUM_SIZE / 2) {
+      return false;
+    }
+    if (isUndersized(other, MINIMUM_SIZE)) {
+      const otherCenter = centerOf(other.rect);
+      return Math.hypot(center.x - otherCenter.x, center.y - otherCenter.y) >= MINIMUM_SIZE;
+    }
+    return true;
+  });
+}
+
+/**
+ * Check the measured targets against both sizes and group the undersized
+ * ones by component selector, most failures first
+ */
+function analyzeTargets(targets) {
+  const groups = new Map();
+
+  targets.forEach(target => {
+    if (target.inline || target.userAgent || !isUndersized(target, ENHANCED_SIZE)) {
+      return;
+    }
+    const failsMinimum = isUndersized(target, MINIMUM_SIZE) && !hasSpacing(target, targets);
+
+    if (!groups.has(target.component)) {
+      groups.set(target.component, {
+        component: target.component,
+        html: target.html,
+        count: 0,
+        failsMinimum: 0,
+        failsEnhanced: 0,
+        spacingException: 0,
+        smallest: null,
+        examples: [],
+        regions: []
+      });
+    }
+    const group = groups.get(target.component);
+    group.count++;
+    group.failsEnhanced++;
+    if (failsMinimum) {
+      group.failsMinimum++;
+    } else if (isUndersized(target, MINIMUM_SIZE)) {
+      group.spacingException++;
+    }
+    const { width, height } = target.rect;
+    if (!group.smallest || width * height < group.smallest.width * group.smallest.height) {
+      group.smallest = { width, height };
+    }
+    if (group.examples.length < MAX_EXAMPLES) {
+      group.examples.push(target.selector);
+    }
+    group.regions.push({ ...target.rect, failsMinimum });
+  });
+
+  return Array.from(groups.values())
+    .sort((a, b) => b.failsMinimum - a.failsMinimum || b.count - a.count)
+    .map((group, index) => ({ index: index + 1, ...group }));
+}
+
+function groupFindings(groups) {
+  const findings = [];
+  groups.forEach(group => {
+    const size = `${group.smallest.width} × ${group.smallest.height}`;
+    const plural = count => (count !== 1 ? 's' : '');
+    if (group.failsMinimum > 0) {
+      findings.push({
+        rule: 'touch-target-minimum',
+        selector: group.component,
+        html: group.html,
+        message: `${group.failsMinimum} target${plural(group.failsMinimum)} smaller than 24 × 24 CSS px without enough spacing `
+          + `(group ${group.index}, smallest ${size} CSS px)`
+      });
+    }
+    findings.push({
+      rule: 'touch-target-enhanced',
+      selector: group.component,
+      html: group.html,
+      message: `${group.failsEnhanced} target${plural(group.failsEnhanced)} smaller than 44 × 44 CSS px (group ${group.index}, smallest ${size} CSS px)`
+    });
+  });
+  return findings;
+}
+
+/**
+ * Run the audit on a loaded page. Resolves to { viewport, targets, total,
+ * groups, findings, overlay }.
+ */
+async function run(page, context) {
+  await installPageHelpers(page);
+  await page.evaluate(() => window.scrollTo(0, 0));
+
+  const { targets, total } = await page.evaluate(measureTargets, { selector: TARGET_SELECTOR, limit: MAX_TARGETS });
+  const groups = analyzeTargets(targets);
+  const findings = groupFindings(groups);
+
+  let overlay = null;
+  const file = groups.length > 0 ? await evidenceFile(context, 'touch-targets.png') : null;
+  if (file) {
+    const regions = groups.flatMap(group => group.regions.map(region => ({
+      ...region,
+      label: String(group.index),
+      color: region.failsMinimum ? 'serious' : 'moderate'
+    })));
+    try {
+      await new ScreenshotCapture(page).captureAnnotatedPage(regions, file.path);
+      overlay = file.url;
+    } catch (error) {
+      console.warn(`Failed to capture touch target overlay for ${context.url}:`, error.message);
+    }
+  }
+
+  return {
+    viewport: page.viewportSize(),
+    targets: targets.length,
+    total,
+    groups: groups.map(({ regions, html, ...group }) => group),
+    findings,
+    overlay
+  };
+}
+
+module.exports = {
+  name: 'touch-targets',
+  title: 'Touch Targets',
+  rules,
+  run
+};
@@ -0,0 +1,246 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const extractZip = require('extract-zip');
+
+/**
+ * An uploaded HTML page or zipped static site, served from a temporary
+ * directory on a local HTTP server so it can be scanned like any other site.
+ *
+ *   const site = await UploadedSite.fromZip(zipPath);
+ *   const urls = await site.start();
+ *   ...
+ *   await site.close(); // stops the server and deletes the files
+ */
+
+// Limits for zip archives, so an upload cannot fill the disk
+const MAX_ZIP_ENTRIES = 10000;
+const MAX_EXTRACTED_BYTES = 500 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.vtt': 'text/vtt; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.pdf': 'application/pdf'
+};
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+// Folders that never hold pages of the built site
+const SKIPPED_DIRECTORIES = ['__MACOSX', 'node_modules', '.git'];
+
+/**
+ * Whether a file looks like a zip archive (by its magic number)
+ */
+async function isZipFile(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+    return bytesRead === 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Paths of every HTML file below a directory, relative to it and sorted
+ */
+async function findHtmlPages(root, directory = root) {
+  const pages = [];
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
+        pages.push(...await findHtmlPages(root, fullPath));
+      }
+    } else if (entry.isFile() && HTML_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      pages.push(path.relative(root, fullPath).split(path.sep).join('/'));
+    }
+  }
+
+  return pages.sort();
+}
+
+class UploadedSite {
+  constructor(directory, root = directory) {
+    this.directory = directory; // Temporary directory, deleted on close
+    this.root = root; // Directory served as the site root
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  static async createDirectory() {
+    return fs.mkdtemp(path.join(os.tmpdir(), 'a11y-upload-'));
+  }
+
+  /**
+   * A site with a single page from an HTML string
+   */
+  static async fromHtml(html) {
+    const directory = await UploadedSite.createDirectory();
+    await fs.writeFile(path.join(directory, 'index.html'), html);
+    return new UploadedSite(directory);
+  }
+
+  /**
+   * A site from an uploaded file: a zip archive of a static site or a single HTML page
+   */
+  static async fromFile(filePath, originalName = 'index.html') {
+    if (await isZipFile(filePath)) {
+      return UploadedSite.fromZip(filePath);
+    }
+
+    let name = path.basename(originalName);
+    if (!HTML_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+      name = 'index.html';
+    }
+
+    const directory = await UploadedSite.createDirectory();
+    await fs.copyFile(filePath, path.join(directory, name));
+    return new UploadedSite(directory);
+  }
+
+  /**
+   * A site from a zip archive. An archive whose files all sit in one folder
+   * (e.g. `dist/`) is served from that folder, so root-relative links work.
+   */
+  static async fromZip(zipPath) {
+    const directory = await UploadedSite.createDirectory();
+    let entries = 0;
+    let extractedBytes = 0;
+
+    try {
+      await extractZip(zipPath, {
+        dir: directory,
+        onEntry: (entry) => {
+          entries++;
+          extractedBytes += entry.uncompressedSize;
+          if (entries > MAX_ZIP_ENTRIES) {
+            throw new Error(`Zip archive has more than ${MAX_ZIP_ENTRIES} files`);
+          }
+          if (extractedBytes > MAX_EXTRACTED_BYTES) {
+            throw new Error(`Zip archive is larger than ${MAX_EXTRACTED_BYTES / 1024 / 1024} MB when extracted`);
+          }
+          // Symlinks could point outside the site
+          if (((entry.externalFileAttributes >> 16) & 0o170000) === 0o120000) {
+            throw new Error(`Zip archive contains a symbolic link: ${entry.fileName}`);
+          }
+        }
+      });
+    } catch (error) {
+      await fs.rm(directory, { recursive: true, force: true });
+      throw new Error(`Invalid zip archive: ${error.message}`);
+    }
+
+    let root = directory;
+    const topLevel = (await fs.readdir(directory, { withFileTypes: true }))
+      .filter(entry => entry.name !== '__MACOSX');
+    if (topLevel.length === 1 && topLevel[0].isDirectory()) {
+      root = path.join(directory, topLevel[0].name);
+    }
+
+    return new UploadedSite(directory, root);
+  }
+
+  /**
+   * Serve the site on a random local port. Resolves to the URLs of its HTML pages.
+   */
+  async start() {
+    const pages = await findHtmlPages(this.root);
+    if (pages.length === 0) {
+      throw new Error('Upload does not contain any HTML pages');
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.serve(req, res).catch(() => {
+        if (!res.headersSent) {
+          res.writeHead(500);
+        }
+        res.end();
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', resolve);
+    });
+
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    console.log(`📦 Serving uploaded site (${pages.length} page${pages.length !== 1 ? 's' : ''}) at ${this.baseUrl}`);
+    return pages.map(page => `${this.baseUrl}/${encodeURI(page)}`);
+  }
+
+  async serve(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      return res.end();
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, this.baseUrl).pathname);
+    } catch (error) {
+      res.writeHead(400);
+      return res.end();
+    }
+
+    let filePath = path.join(this.root, path.normalize(pathname));
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (stats && stats.isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+    }
+
+    // Never serve anything outside the site, e.g. through ".." segments
+    const realPath = await fs.realpath(filePath).catch(() => null);
+    const realRoot = await fs.realpath(this.root);
+    if (!realPath || !realPath.startsWith(realRoot + path.sep)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('Not found');
+    }
+
+    const content = await fs.readFile(realPath);
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(realPath).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': content.length,
+      'Cache-Control': 'no-store'
+    });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  }
+
+  /**
+   * Stop the server and delete the uploaded files
+   */
+  async close() {
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = UploadedSite;
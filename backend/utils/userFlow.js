@@ -0,0 +1,312 @@
+const yaml = require('js-yaml');
+const ScreenshotCapture = require('./screenshotUtils');
+const { findPartialViolations } = require('./resultComparison');
+const { runAxe } = require('./ruleConfig');
+const { applyKnownIssues } = require('./baseline');
+
+/**
+ * Scripted multi-step user flows.
+ *
+ * A flow is JSON or YAML with a start URL and a list of steps. Steps use either
+ * the long form ({ action: 'click', selector: '#menu' }) or a shorthand with the
+ * action as the only key:
+ *
+ *   name: Checkout
+ *   url: https://example.com/cart
+ *   steps:
+ *     - scan: Cart
+ *     - click: "#checkout"
+ *     - fill: { selector: "#email", value: "user@example.com" }
+ *     - press: Enter
+ *     - waitFor: ".payment-step"
+ *     - scan: Payment step
+ */
+
+// Action name -> the field a shorthand string value maps to
+const STEP_ACTIONS = {
+  goto: 'url',
+  click: 'selector',
+  hover: 'selector',
+  check: 'selector',
+  fill: 'selector',
+  select: 'selector',
+  press: 'key',
+  waitFor: 'selector',
+  wait: 'ms',
+  scan: 'label'
+};
+
+const REQUIRED_STEP_FIELDS = {
+  goto: ['url'],
+  click: ['selector'],
+  hover: ['selector'],
+  check: ['selector'],
+  fill: ['selector', 'value'],
+  select: ['selector', 'value'],
+  press: ['key'],
+  waitFor: ['selector'],
+  wait: ['ms'],
+  scan: []
+};
+
+/**
+ * Normalise a step into its long form ({ action, ...fields })
+ */
+function normalizeStep(step, index) {
+  // Bare action names, e.g. "- scan"
+  if (typeof step === 'string') {
+    step = { action: step };
+  }
+
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    throw new Error(`Step ${index + 1} must be an object`);
+  }
+
+  let normalized;
+  if (step.action) {
+    normalized = { ...step };
+  } else {
+    const keys = Object.keys(step);
+    if (keys.length !== 1) {
+      throw new Error(`Step ${index + 1} must have an "action" or exactly one action key`);
+    }
+    const [action] = keys;
+    const value = step[action];
+    normalized = value && typeof value === 'object'
+      ? { action, ...value }
+      : { action, [STEP_ACTIONS[action]]: value };
+  }
+
+  if (!STEP_ACTIONS[normalized.action]) {
+    throw new Error(`Step ${index + 1} has unknown action "${normalized.action}"`);
+  }
+
+  const missing = REQUIRED_STEP_FIELDS[normalized.action]
+    .filter(field => normalized[field] === undefined || normalized[field] === null);
+  if (missing.length > 0) {
+    throw new Error(`Step ${index + 1} (${normalized.action}) is missing ${missing.join(', ')}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Parse and validate a flow given as a JSON/YAML string or an object
+ */
+function parseFlow(source) {
+  let flow = source;
+
+  if (typeof source === 'string') {
+    try {
+      flow = yaml.load(source); // YAML is a superset of JSON
+    } catch (error) {
+      throw new Error(`Invalid flow definition: ${error.message}`);
+    }
+  }
+
+  if (!flow || typeof flow !== 'object' || Array.isArray(flow)) {
+    throw new Error('Flow must be an object with url and steps');
+  }
+  if (!flow.url) {
+    throw new Error('Flow url is required');
+  }
+  if (!Array.isArray(flow.steps) || flow.steps.length === 0) {
+    throw new Error('Flow steps array is required');
+  }
+
+  const steps = flow.steps.map(normalizeStep);
+
+  // Label unnamed checkpoints by their position in the flow
+  let scanCount = 0;
+  steps.forEach(step => {
+    if (step.action === 'scan') {
+      scanCount++;
+      step.label = step.label ? String(step.label) : `Checkpoint ${scanCount}`;
+    }
+  });
+
+  // A flow without checkpoints is scanned once at the end
+  if (scanCount === 0) {
+    steps.push({ action: 'scan', label: 'Final state' });
+  }
+
+  return {
+    name: flow.name || 'User Flow',
+    url: flow.url,
+    steps
+  };
+}
+
+/**
+ * Describe a step for log and error messages
+ */
+function describeStep(step) {
+  const target = step.selector || step.url || step.key || step.label || step.ms;
+  return target !== undefined ? `${step.action} "${target}"` : step.action;
+}
+
+/**
+ * Execute a single non-scan step on the page
+ */
+async function executeStep(page, step, timeout) {
+  switch (step.action) {
+    case 'goto':
+      await page.goto(step.url, { waitUntil: 'networkidle', timeout });
+      break;
+    case 'click':
+      await page.click(step.selector, { timeout });
+      break;
+    case 'hover':
+      await page.hover(step.selector, { timeout });
+      break;
+    case 'check':
+      await page.check(step.selector, { timeout });
+      break;
+    case 'fill':
+      await page.fill(step.selector, String(step.value), { timeout });
+      break;
+    case 'select':
+      await page.selectOption(step.selector, step.value, { timeout });
+      break;
+    case 'press':
+      if (step.selector) {
+        await page.press(step.selector, step.key, { timeout });
+      } else {
+        await page.keyboard.press(step.key);
+      }
+      break;
+    case 'waitFor':
+      await page.waitForSelector(step.selector, { state: step.state || 'visible', timeout });
+      break;
+    case 'wait':
+      await page.waitForTimeout(Number(step.ms));
+      break;
+  }
+}
+
+/**
+ * Run a parsed flow, scanning the page with axe at every scan checkpoint
+ */
+async function runFlow(page, flow, options = {}) {
+  const {
+    wcagLevel,
+    ruleConfig,
+    scope,
+    knownIssues,
+    testId,
+    includeScreenshots = false,
+    screenshotDir,
+    timeout = 30000
+  } = options;
+
+  const checkpoints = [];
+
+  page.setDefaultTimeout(timeout);
+  await page.goto(flow.url, { waitUntil: 'networkidle', timeout });
+
+  for (let i = 0; i < flow.steps.length; i++) {
+    const step = flow.steps[i];
+
+    try {
+      if (step.action !== 'scan') {
+        await executeStep(page, step, timeout);
+        continue;
+      }
+
+      console.log(`Scanning checkpoint "${step.label}" (step ${i + 1}/${flow.steps.length})`);
+      const { results, suppressed } = applyKnownIssues(
+        await runAxe(page, { wcagLevel, ruleConfig, scope }),
+        page.url(),
+        knownIssues
+      );
+
+      const checkpointIndex = checkpoints.length + 1;
+      let screenshotData = null;
+      if (includeScreenshots && results.violations.length > 0) {
+        try {
+          const screenshotCapture = new ScreenshotCapture(page);
+          screenshotData = await screenshotCapture.captureViolationScreenshots(
+            results,
+            `${testId}_checkpoint-${checkpointIndex}`,
+            screenshotDir
+          );
+        } catch (error) {
+          console.warn(`Failed to capture screenshots for checkpoint "${step.label}":`, error.message);
+        }
+      }
+
+      checkpoints.push({
+        index: checkpointIndex,
+        label: step.label,
+        stepIndex: i + 1,
+        url: page.url(),
+        results,
+        suppressed,
+        screenshotData
+      });
+    } catch (error) {
+      throw new Error(`Step ${i + 1} (${describeStep(step)}) failed: ${error.message}`);
+    }
+  }
+
+  return checkpoints;
+}
+
+/**
+ * Run a flow once per browser engine (from browserEngines.launchBrowsers).
+ * With several engines, checkpoints are labelled "<engine>: <checkpoint>" and
+ * `engineComparison` lists the violations that only occur in some engines.
+ */
+async function runFlowInEngines(engines, authSession, flow, options = {}) {
+  const multiEngine = engines.length > 1;
+  const checkpoints = [];
+  const engineEntries = [];
+
+  for (const engine of engines) {
+    const context = await authSession.createContext(engine.browser);
+
+    try {
+      const page = await context.newPage();
+      const engineCheckpoints = await runFlow(page, flow, {
+        ...options,
+        testId: multiEngine ? `${options.testId}_${engine.name}` : options.testId
+      });
+
+      engineEntries.push({ label: engine.name, results: mergeCheckpointResults(engineCheckpoints) });
+      checkpoints.push(...engineCheckpoints.map(checkpoint => (multiEngine
+        ? { ...checkpoint, browser: engine.name, label: `${engine.name}: ${checkpoint.label}` }
+        : checkpoint)));
+    } catch (error) {
+      throw multiEngine ? new Error(`${engine.name}: ${error.message}`) : error;
+    } finally {
+      await context.close();
+    }
+  }
+
+  return {
+    checkpoints,
+    engineComparison: multiEngine ? findPartialViolations(engineEntries) : null
+  };
+}
+
+/**
+ * Merge checkpoint results into a single axe result, tagging violations with their checkpoint
+ */
+function mergeCheckpointResults(checkpoints) {
+  const tagged = (items, checkpoint) => items.map(item => ({ ...item, checkpoint: checkpoint.label }));
+
+  return {
+    ...(checkpoints[0] ? checkpoints[0].results : {}),
+    violations: checkpoints.flatMap(checkpoint => tagged(checkpoint.results.violations, checkpoint)),
+    passes: checkpoints.flatMap(checkpoint => tagged(checkpoint.results.passes, checkpoint)),
+    incomplete: checkpoints.flatMap(checkpoint => tagged(checkpoint.results.incomplete, checkpoint)),
+    inapplicable: checkpoints.flatMap(checkpoint => tagged(checkpoint.results.inapplicable, checkpoint))
+  };
+}
+
+module.exports = {
+  parseFlow,
+  runFlow,
+  runFlowInEngines,
+  mergeCheckpointResults
+};
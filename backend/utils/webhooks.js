@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Outgoing webhooks.
+ *
+ * Registered endpoints receive a signed JSON POST when one of their events
+ * happens:
+ *
+ *   { id, event, timestamp, data }
+ *
+ * The X-Webhook-Signature header holds `sha256=<hex>`, the HMAC-SHA256 of the
+ * raw request body keyed with the webhook's secret. Failed deliveries (network
+ * errors, 408, 429 and 5xx responses) are retried with exponential backoff;
+ * every delivery and its attempts are kept in the delivery log.
+ */
+
+const WEBHOOK_EVENTS = ['test.completed', 'batch.completed', 'ci.completed', 'threshold.breached'];
+const DEFAULT_RETRIES = 3;
+
+/**
+ * Validate a webhook registration request. Returns the fields to store.
+ */
+function validateWebhook({ url, events, secret, description } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('url must be a valid http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('url must be a valid http(s) URL');
+  }
+
+  const subscribed = events === undefined ? WEBHOOK_EVENTS : events;
+  if (!Array.isArray(subscribed) || subscribed.length === 0) {
+    throw new Error('events must be a non-empty array');
+  }
+  const unknown = subscribed.find(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown) {
+    throw new Error(`Unknown webhook event "${unknown}", expected one of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    throw new Error('secret must be a string of at least 16 characters');
+  }
+
+  return {
+    url: parsed.toString(),
+    events: Array.from(new Set(subscribed)),
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    description: description || ''
+  };
+}
+
+/**
+ * Signature header value for a request body
+ */
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * A webhook as returned by the API, without its secret
+ */
+function publicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+// Responses worth another attempt; other 4xx mean the receiver rejected the payload
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Retries after the first attempt: a non-negative integer (or its string form,
+ * e.g. WEBHOOK_RETRIES), otherwise the default of 3
+ */
+function resolveRetryCount(value) {
+  if (value === undefined || value === null) {
+    return DEFAULT_RETRIES;
+  }
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) {
+    console.warn(`⚠️ Invalid webhook retry count "${value}", using ${DEFAULT_RETRIES}`);
+    return DEFAULT_RETRIES;
+  }
+  return parseInt(text);
+}
+
+/**
+ * Sends events to the registered webhooks and records every delivery
+ */
+class WebhookDispatcher {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.retries = resolveRetryCount(options.retries);
+    this.delay = options.delay || 5000;
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Send an event to every webhook subscribed to it, in the background.
+   * Failures only end up in the delivery log.
+   */
+  notify(event, data) {
+    this.dispatch(event, data).catch(error => {
+      console.error(`Failed to dispatch ${event} webhooks:`, error.message);
+    });
+  }
+
+  async dispatch(event, data) {
+    const webhooks = (await this.storage.listWebhooks())
+      .filter(webhook => webhook.active !== false && webhook.events.includes(event));
+    return Promise.all(webhooks.map(webhook => this.deliver(webhook, event, data)));
+  }
+
+  /**
+   * Deliver one event to one webhook, retrying failures. Resolves to the delivery log entry.
+   */
+  async deliver(webhook, event, data, { retries = this.retries } = {}) {
+    const payload = { id: uuidv4(), event, timestamp: new Date().toISOString(), data };
+    const body = JSON.stringify(payload);
+    const delivery = {
+      id: payload.id,
+      webhookId: webhook.id,
+      event,
+      url: webhook.url,
+      status: 'pending',
+      createdAt: payload.timestamp,
+      attempts: [],
+      payload
+    };
+    await this.storage.saveWebhookDelivery(delivery);
+
+    for (let attempt = 0; ; attempt++) {
+      const started = Date.now();
+      const record = { at: new Date().toISOString() };
+      let retryable = true;
+
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'accessibility-checker-webhooks',
+            'X-Webhook-Event': event,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Signature': signPayload(webhook.secret, body)
+          },
+          body,
+          signal: AbortSignal.timeout(this.timeout)
+        });
+        record.statusCode = response.status;
+        if (response.ok) {
+          delivery.status = 'delivered';
+        } else {
+          record.error = `HTTP ${response.status}`;
+          retryable = isRetryableStatus(response.status);
+        }
+      } catch (error) {
+        record.error = error.message;
+      }
+
+      record.durationMs = Date.now() - started;
+      delivery.attempts.push(record);
+
+      if (delivery.status !== 'delivered' && (attempt >= retries || !retryable)) {
+        delivery.status = 'failed';
+        console.log(`⚠️ Webhook ${event} to ${webhook.url} failed: ${record.error}`);
+      }
+      await this.storage.saveWebhookDelivery(delivery);
+
+      if (delivery.status !== 'pending') {
+        return delivery;
+      }
+      await new Promise(resolve => setTimeout(resolve, this.delay * 2 ** attempt));
+    }
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WebhookDispatcher,
+  validateWebhook,
+  signPayload,
+  publicWebhook
+};
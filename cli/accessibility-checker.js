@@ -7,6 +7,370 @@ const path = require('path');
 
 const program = new Command();
 
+// Collect repeatable option values into an array
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Build the request's auth config from --cookie, --header, --storage-state and --login-config
+ */
+async function buildAuthConfig(options) {
+  const auth = {};
+
+  if (options.cookie.length > 0) {
+    auth.cookies = options.cookie.map(cookie => {
+      const separator = cookie.indexOf('=');
+      if (separator < 1) {
+        throw new Error(`Invalid cookie "${cookie}", expected name=value`);
+      }
+      return { name: cookie.slice(0, separator), value: cookie.slice(separator + 1) };
+    });
+  }
+
+  if (options.header.length > 0) {
+    auth.headers = {};
+    options.header.forEach(header => {
+      const separator = header.indexOf(':');
+      if (separator < 1) {
+        throw new Error(`Invalid header "${header}", expected "Name: value"`);
+      }
+      auth.headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+    });
+  }
+
+  // Files are read locally so the server does not need access to them
+  if (options.storageState) {
+    auth.storageState = JSON.parse(await fs.readFile(options.storageState, 'utf8'));
+  }
+
+  if (options.loginConfig) {
+    auth.login = JSON.parse(await fs.readFile(options.loginConfig, 'utf8'));
+  }
+
+  return Object.keys(auth).length > 0 ? auth : undefined;
+}
+
+/**
+ * Build the device profile list from --device, --viewport and --devices-file
+ */
+async function buildDeviceProfiles(options) {
+  const profiles = [...options.device];
+
+  options.viewport.forEach(viewport => {
+    const match = viewport.match(/^(\d+)x(\d+)(?:@([\d.]+))?$/);
+    if (!match) {
+      throw new Error(`Invalid viewport "${viewport}", expected WIDTHxHEIGHT or WIDTHxHEIGHT@DPR`);
+    }
+    profiles.push({
+      name: viewport,
+      width: parseInt(match[1]),
+      height: parseInt(match[2]),
+      deviceScaleFactor: match[3] ? parseFloat(match[3]) : 1
+    });
+  });
+
+  if (options.devicesFile) {
+    const fileProfiles = JSON.parse(await fs.readFile(options.devicesFile, 'utf8'));
+    if (!Array.isArray(fileProfiles)) {
+      throw new Error('Devices file must contain a JSON array of device profiles');
+    }
+    profiles.push(...fileProfiles);
+  }
+
+  return profiles.length > 0 ? profiles : undefined;
+}
+
+/**
+ * Parse --include-selector / --exclude-selector values; JSON arrays and objects
+ * describe iframe and shadow DOM paths
+ */
+function parseSelectors(values) {
+  const selectors = values.map(value => {
+    const trimmed = value.trim();
+    if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+      return value;
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid selector path ${value}: ${error.message}`);
+    }
+  });
+  return selectors.length > 0 ? selectors : undefined;
+}
+
+/**
+ * Build the customRules config from --rules-config, --enable-rule, --disable-rule and --impact
+ */
+async function buildCustomRules(options) {
+  const customRules = options.rulesConfig
+    ? JSON.parse(await fs.readFile(options.rulesConfig, 'utf8'))
+    : {};
+
+  if (options.enableRule.length > 0) {
+    customRules.enable = (customRules.enable || []).concat(options.enableRule);
+  }
+  if (options.disableRule.length > 0) {
+    customRules.disable = (customRules.disable || []).concat(options.disableRule);
+  }
+  if (options.impact.length > 0) {
+    customRules.impactOverrides = { ...customRules.impactOverrides };
+    options.impact.forEach(override => {
+      const [ruleId, impact] = override.split('=');
+      if (!ruleId || !impact) {
+        throw new Error(`Invalid impact override "${override}", expected rule-id=impact`);
+      }
+      customRules.impactOverrides[ruleId] = impact;
+    });
+  }
+
+  return Object.keys(customRules).length > 0 ? customRules : undefined;
+}
+
+/**
+ * Build failure thresholds from --policy, --max-<impact>, --max-rule, --max-tag and --count-by
+ */
+async function buildThresholds(options) {
+  const thresholds = options.policy
+    ? JSON.parse(await fs.readFile(options.policy, 'utf8'))
+    : {};
+
+  ['critical', 'serious', 'moderate', 'minor'].forEach(level => {
+    const value = options[`max${level[0].toUpperCase()}${level.slice(1)}`];
+    if (value !== undefined) {
+      thresholds.impact = { ...thresholds.impact, [level]: parseInt(value) };
+    }
+  });
+
+  [['maxRule', 'rules'], ['maxTag', 'tags']].forEach(([option, field]) => {
+    options[option].forEach(limit => {
+      const [key, value] = limit.split('=');
+      if (!key || value === undefined || isNaN(parseInt(value))) {
+        throw new Error(`Invalid limit "${limit}", expected name=number`);
+      }
+      thresholds[field] = { ...thresholds[field], [key]: parseInt(value) };
+    });
+  });
+
+  if (options.countBy) {
+    thresholds.countBy = options.countBy;
+  }
+
+  return Object.keys(thresholds).length > 0 ? thresholds : undefined;
+}
+
+/**
+ * Print the thresholds that failed
+ */
+function printThresholdFailures(evaluation) {
+  if (!evaluation || evaluation.failures.length === 0) {
+    return;
+  }
+
+  console.log('\n🚫 Failed thresholds:');
+  evaluation.failures.forEach((failure, i) => {
+    console.log(`  ${i + 1}. ${failure.message}`);
+  });
+}
+
+/**
+ * Read --baseline and --suppressions files; the server parses them so JSON and YAML both work
+ */
+async function readKnownIssues(options) {
+  return {
+    baseline: options.baseline ? await fs.readFile(options.baseline, 'utf8') : undefined,
+    suppressions: options.suppressions ? await fs.readFile(options.suppressions, 'utf8') : undefined,
+    recordBaseline: Boolean(options.writeBaseline)
+  };
+}
+
+/**
+ * Write the baseline returned by the server to --write-baseline
+ */
+async function writeBaseline(options, result) {
+  if (!options.writeBaseline) {
+    return;
+  }
+  if (!result || !result.baseline) {
+    console.log('⚠️ No baseline returned, --write-baseline needs --format json');
+    return;
+  }
+  await fs.writeFile(options.writeBaseline, JSON.stringify(result.baseline, null, 2));
+  console.log(`📌 Baseline of ${result.baseline.entries.length} findings saved to ${options.writeBaseline}`);
+}
+
+/**
+ * Print suppressed/baselined counts and warn about expired suppressions
+ */
+function printKnownIssues(summary) {
+  if (!summary || summary.suppressed === undefined) {
+    return;
+  }
+
+  console.log(`
+🔕 Known issues not counted: ${summary.suppressed} suppressed, ${summary.baselined} baselined`);
+  (summary.expiredSuppressions || []).forEach(suppression => {
+    console.log(`  ⚠️ Suppression for ${suppression.ruleId || suppression.fingerprint} expired on ${suppression.expires}: ${suppression.reason}`);
+  });
+}
+
+/**
+ * Print the number of findings of each page audit
+ */
+function printAuditFindings(auditFindings) {
+  if (!auditFindings) {
+    return;
+  }
+
+  console.log('\n🔎 Page audit findings:');
+  Object.entries(auditFindings).forEach(([audit, count]) => {
+    console.log(`  ${audit}: ${count}`);
+  });
+}
+
+/**
+ * Print violations that only occur on some device profiles, browser engines or media variants
+ */
+function printSpecificViolations(heading, violations) {
+  if (!violations || violations.length === 0) {
+    return;
+  }
+
+  console.log(`\n${heading}`);
+  violations.forEach((v, i) => {
+    console.log(`  ${i + 1}. ${v.id} - only on ${v.foundIn.join(', ')} (missing on ${v.missingIn.join(', ')})`);
+  });
+}
+
+/**
+ * Poll a batch until it has finished, reporting progress along the way
+ */
+async function waitForBatch(server, batchId, pollInterval, onProgress) {
+  const finishedStatuses = ['completed', 'failed', 'interrupted', 'cancelled'];
+
+  while (true) {
+    const response = await fetch(`${server}/api/batch-status/${batchId}`);
+    if (!response.ok) {
+      throw new Error(`Failed to get batch status (HTTP ${response.status})`);
+    }
+
+    const progress = await response.json();
+    if (onProgress) {
+      onProgress(progress);
+    }
+    if (finishedStatuses.includes(progress.status)) {
+      return progress;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, pollInterval));
+  }
+}
+
+/**
+ * Parse one Server-Sent Event message into { type, data }
+ */
+function parseServerEvent(message) {
+  let type = 'message';
+  const data = [];
+  message.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).trim());
+    }
+  });
+  return data.length > 0 ? { type, data: JSON.parse(data.join('\n')) } : null;
+}
+
+/**
+ * Pass the events of a Server-Sent Events response to onEvent until it returns
+ * true. Returns false when the stream ended first.
+ */
+async function readServerEvents(response, onEvent) {
+  response.body.setEncoding('utf8');
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const event = parseServerEvent(buffer.slice(0, end));
+      buffer = buffer.slice(end + 2);
+      if (event && onEvent(event.type, event.data)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Follow a batch's progress event stream until it has finished. Falls back to
+ * polling when the server does not stream progress or the stream drops.
+ */
+async function followBatch(server, batchId, pollInterval, onEvent) {
+  try {
+    const response = await fetch(`${server}/api/batch-status/${batchId}/events`, {
+      headers: { Accept: 'text/event-stream' }
+    });
+    if (response.ok) {
+      let progress;
+      await readServerEvents(response, (type, data) => {
+        onEvent(type, data);
+        if (type === 'done') {
+          progress = data;
+        }
+        return Boolean(progress);
+      });
+      if (progress) {
+        return progress;
+      }
+    }
+  } catch (error) {
+    // Poll below instead
+  }
+
+  return waitForBatch(server, batchId, pollInterval, progress => onEvent('progress', progress));
+}
+
+/**
+ * Print batch progress events as they arrive
+ */
+function batchProgressPrinter() {
+  let lastStatus = '';
+  return (type, data) => {
+    switch (type) {
+      case 'snapshot':
+      case 'progress':
+      case 'done':
+        // Per-URL statuses are reported by the URL events
+        if (data.status !== lastStatus && !/^(Testing|Completed) /.test(data.status)) {
+          console.log(`  ${data.status} (${data.completedUrls}/${data.totalUrls || '?'} URLs)`);
+        }
+        lastStatus = data.status;
+        break;
+      case 'url-start':
+        console.log(`  🔍 Testing ${data.url}${data.attempt > 1 ? ` (attempt ${data.attempt})` : ''}`);
+        break;
+      case 'url-retry':
+        console.log(`  🔁 ${data.url} failed (${data.error}), retrying in ${data.delay}ms`);
+        break;
+      case 'url-complete':
+        // CI runs also say whether the URL passed its thresholds
+        console.log(`  ${data.success === false ? '🚫' : '✅'} ${data.url} - ${data.violations} violation${data.violations !== 1 ? 's' : ''}`);
+        break;
+      case 'url-failed':
+        console.log(`  ❌ ${data.url} - ${data.error}`);
+        break;
+      case 'url-skipped':
+        console.log(`  ⏹️ Skipped ${data.url}`);
+        break;
+      default:
+        break;
+    }
+  };
+}
+
 program
   .name('accessibility-checker')
   .description('CLI tool for automated accessibility testing')
@@ -16,13 +380,41 @@ program
   .command('test-url')
   .description('Test a single URL for accessibility violations')
   .requiredOption('-u, --url <url>', 'URL to test')
+  .option('--baseline-test-id <id>', 'Stored test ID to diff this run against')
   .option('-s, --server <server>', 'Accessibility checker server URL', 'http://localhost:3001')
   .option('-w, --wcag <level>', 'WCAG compliance level', 'wcag2aa')
   .option('-m, --max-violations <number>', 'Maximum allowed violations', '0')
   .option('-f, --format <format>', 'Output format (json|junit|sarif)', 'json')
   .option('-o, --output <file>', 'Output file path')
   .option('--fail-on-violations', 'Fail on any violations', true)
+  .option('--max-critical <number>', 'Maximum allowed critical violations')
+  .option('--max-serious <number>', 'Maximum allowed serious violations')
+  .option('--max-moderate <number>', 'Maximum allowed moderate violations')
+  .option('--max-minor <number>', 'Maximum allowed minor violations')
+  .option('--max-rule <rule=number>', 'Maximum allowed violations of a rule, e.g. color-contrast=5 (repeatable)', collect, [])
+  .option('--max-tag <tag=number>', 'Maximum allowed violations with a WCAG tag, e.g. wcag2a=0 (repeatable)', collect, [])
+  .option('--count-by <unit>', 'Count violations by rule or by node (rule|node)')
+  .option('--policy <file>', 'JSON thresholds policy file ({ countBy, total, impact, rules, tags })')
   .option('--screenshots', 'Include violation screenshots', false)
+  .option('--device <name>', 'Playwright device to emulate, e.g. "iPhone 13" (repeatable)', collect, [])
+  .option('--viewport <size>', 'Custom viewport WIDTHxHEIGHT[@DPR], e.g. 1280x800@2 (repeatable)', collect, [])
+  .option('--devices-file <file>', 'JSON file with an array of device profiles')
+  .option('--variant <name>', 'Media variant to scan: default, light, dark, forced-colors, reduced-motion, or presets joined with + (repeatable)', collect, [])
+  .option('--include-selector <selector>', 'Only scan elements matching this selector (repeatable, JSON for iframe/shadow DOM paths)', collect, [])
+  .option('--exclude-selector <selector>', 'Do not scan elements matching this selector (repeatable, JSON for iframe/shadow DOM paths)', collect, [])
+  .option('--enable-rule <id>', 'axe rule to run in addition to the WCAG level (repeatable)', collect, [])
+  .option('--disable-rule <id>', 'axe rule to skip (repeatable)', collect, [])
+  .option('--impact <rule=impact>', 'Override a rule\'s impact, e.g. color-contrast=serious (repeatable)', collect, [])
+  .option('--rules-config <file>', 'JSON customRules file ({ enable, disable, impactOverrides, configure })')
+  .option('--audit <name>', 'Page audit to run after axe: pixel-contrast, keyboard, focus-indicator, reflow, text-spacing, touch-targets (repeatable)', collect, [])
+  .option('--browser <name>', 'Browser engine to test in: chromium, firefox or webkit (repeatable)', collect, [])
+  .option('--baseline <file>', 'Baseline file; violations recorded in it are not counted')
+  .option('--suppressions <file>', 'JSON or YAML file of suppressed violations, each with a reason and expires date')
+  .option('--write-baseline <file>', 'Write a baseline of the current violations to this file')
+  .option('--cookie <name=value>', 'Cookie to send with every request (repeatable)', collect, [])
+  .option('--header <header>', 'Extra HTTP header, e.g. "Authorization: Bearer x" (repeatable)', collect, [])
+  .option('--storage-state <file>', 'Playwright storage state file with a logged-in session')
+  .option('--login-config <file>', 'JSON login recipe ({ url, fields, submit, waitFor })')
   .option('--verbose', 'Verbose output', false)
   .action(async (options) => {
     try {
@@ -42,12 +434,25 @@ program
         wcagLevel: wcagLevels[options.wcag] || [options.wcag],
         failOnViolations: options.failOnViolations,
         maxViolations: parseInt(options.maxViolations),
+        thresholds: await buildThresholds(options),
         includeScreenshots: options.screenshots,
-        format: options.format
+        format: options.format,
+        baselineTestId: options.baselineTestId,
+        devices: await buildDeviceProfiles(options),
+        variants: options.variant.length > 0 ? options.variant : undefined,
+        browsers: options.browser.length > 0 ? options.browser : undefined,
+        customRules: await buildCustomRules(options),
+        include: parseSelectors(options.includeSelector),
+        exclude: parseSelectors(options.excludeSelector),
+        audits: options.audit.length > 0 ? options.audit : undefined,
+        ...await readKnownIssues(options),
+        auth: await buildAuthConfig(options)
       };
 
       if (options.verbose) {
-        console.log('Request configuration:', JSON.stringify(requestBody, null, 2));
+        // Never echo credentials into CI logs
+        const loggedBody = { ...requestBody, auth: requestBody.auth ? '[redacted]' : undefined };
+        console.log('Request configuration:', JSON.stringify(loggedBody, null, 2));
       }
 
       const response = await fetch(`${options.server}/api/ci/test-url`, {
@@ -93,6 +498,18 @@ program
           });
         }
 
+        printThresholdFailures(result.thresholds);
+        printSpecificViolations('🧭 Browser-specific violations:', result.engineSpecificViolations);
+        printSpecificViolations('📱 Device-specific violations:', result.profileSpecificViolations);
+        printSpecificViolations('🌓 Variant-specific violations:', result.variantSpecificViolations);
+        printKnownIssues(result.summary);
+        printAuditFindings(result.auditFindings);
+        await writeBaseline(options, result);
+
+        if (result.diff) {
+          console.log(`\n🔀 Since ${options.baselineTestId}: ${result.diff.summary.new} new, ${result.diff.summary.fixed} fixed, ${result.diff.summary.unchanged} unchanged`);
+        }
+
         // Exit with error code if tests failed
         if (!result.success) {
           process.exit(1);
@@ -110,26 +527,85 @@ program
 
 program
   .command('test-urls')
-  .description('Test multiple URLs for accessibility violations')
-  .requiredOption('-f, --file <file>', 'File containing URLs (one per line)')
+  .description('Test multiple URLs (from a file or a sitemap) for accessibility violations')
+  .option('-f, --file <file>', 'File containing URLs (one per line)')
+  .option('--sitemap <location>', 'Sitemap URL or local sitemap file to read URLs from')
+  .option('--include <glob>', 'Only test sitemap URLs whose path matches this glob (repeatable)', collect, [])
+  .option('--exclude <glob>', 'Skip sitemap URLs whose path matches this glob (repeatable)', collect, [])
+  .option('--modified-since <date>', 'Only test sitemap URLs with a lastmod on or after this date')
+  .option('--sample <number>', 'Test a random sample of this many sitemap URLs')
+  .option('--sample-seed <number>', 'Seed for a reproducible random sample')
   .option('-s, --server <server>', 'Accessibility checker server URL', 'http://localhost:3001')
   .option('-w, --wcag <level>', 'WCAG compliance level', 'wcag2aa')
   .option('-m, --max-violations <number>', 'Maximum allowed violations per URL', '0')
   .option('-o, --output <file>', 'Output file path')
   .option('--continue-on-failure', 'Continue testing even if a URL fails', false)
   .option('--fail-on-violations', 'Fail on any violations', true)
+  .option('--max-critical <number>', 'Maximum allowed critical violations')
+  .option('--max-serious <number>', 'Maximum allowed serious violations')
+  .option('--max-moderate <number>', 'Maximum allowed moderate violations')
+  .option('--max-minor <number>', 'Maximum allowed minor violations')
+  .option('--max-rule <rule=number>', 'Maximum allowed violations of a rule, e.g. color-contrast=5 (repeatable)', collect, [])
+  .option('--max-tag <tag=number>', 'Maximum allowed violations with a WCAG tag, e.g. wcag2a=0 (repeatable)', collect, [])
+  .option('--count-by <unit>', 'Count violations by rule or by node (rule|node)')
+  .option('--policy <file>', 'JSON thresholds policy file ({ countBy, total, impact, rules, tags })')
+  .option('--device <name>', 'Playwright device to emulate, e.g. "iPhone 13" (repeatable)', collect, [])
+  .option('--viewport <size>', 'Custom viewport WIDTHxHEIGHT[@DPR], e.g. 1280x800@2 (repeatable)', collect, [])
+  .option('--devices-file <file>', 'JSON file with an array of device profiles')
+  .option('--variant <name>', 'Media variant to scan: default, light, dark, forced-colors, reduced-motion, or presets joined with + (repeatable)', collect, [])
+  .option('--include-selector <selector>', 'Only scan elements matching this selector (repeatable, JSON for iframe/shadow DOM paths)', collect, [])
+  .option('--exclude-selector <selector>', 'Do not scan elements matching this selector (repeatable, JSON for iframe/shadow DOM paths)', collect, [])
+  .option('--enable-rule <id>', 'axe rule to run in addition to the WCAG level (repeatable)', collect, [])
+  .option('--disable-rule <id>', 'axe rule to skip (repeatable)', collect, [])
+  .option('--impact <rule=impact>', 'Override a rule\'s impact, e.g. color-contrast=serious (repeatable)', collect, [])
+  .option('--rules-config <file>', 'JSON customRules file ({ enable, disable, impactOverrides, configure })')
+  .option('--audit <name>', 'Page audit to run after axe: pixel-contrast, keyboard, focus-indicator, reflow, text-spacing, touch-targets (repeatable)', collect, [])
+  .option('--browser <name>', 'Browser engine to test in: chromium, firefox or webkit (repeatable)', collect, [])
+  .option('--baseline <file>', 'Baseline file; violations recorded in it are not counted')
+  .option('--suppressions <file>', 'JSON or YAML file of suppressed violations, each with a reason and expires date')
+  .option('--write-baseline <file>', 'Write a baseline of the current violations to this file')
+  .option('--cookie <name=value>', 'Cookie to send with every request (repeatable)', collect, [])
+  .option('--header <header>', 'Extra HTTP header, e.g. "Authorization: Bearer x" (repeatable)', collect, [])
+  .option('--storage-state <file>', 'Playwright storage state file with a logged-in session')
+  .option('--login-config <file>', 'JSON login recipe ({ url, fields, submit, waitFor })')
   .option('--verbose', 'Verbose output', false)
   .action(async (options) => {
     try {
-      // Read URLs from file
-      const urlsContent = await fs.readFile(options.file, 'utf8');
-      const urls = urlsContent.split('\n').filter(url => url.trim()).map(url => url.trim());
-
-      if (urls.length === 0) {
-        throw new Error('No URLs found in file');
+      if (!options.file && !options.sitemap) {
+        throw new Error('Either --file or --sitemap is required');
       }
 
-      console.log(`🔍 Testing ${urls.length} URLs for accessibility violations...`);
+      let urls;
+      let sitemap;
+
+      if (options.sitemap) {
+        sitemap = {
+          include: options.include,
+          exclude: options.exclude,
+          modifiedSince: options.modifiedSince,
+          sample: options.sample ? parseInt(options.sample) : undefined,
+          sampleSeed: options.sampleSeed ? parseInt(options.sampleSeed) : undefined
+        };
+
+        // Local sitemap files are sent as content; the server only fetches URLs
+        if (/^https?:\/\//i.test(options.sitemap)) {
+          sitemap.url = options.sitemap;
+        } else {
+          sitemap.content = await fs.readFile(options.sitemap, 'utf8');
+        }
+
+        console.log(`🔍 Testing URLs from sitemap ${options.sitemap} for accessibility violations...`);
+      } else {
+        // Read URLs from file
+        const urlsContent = await fs.readFile(options.file, 'utf8');
+        urls = urlsContent.split('\n').filter(url => url.trim()).map(url => url.trim());
+
+        if (urls.length === 0) {
+          throw new Error('No URLs found in file');
+        }
+
+        console.log(`🔍 Testing ${urls.length} URLs for accessibility violations...`);
+      }
 
       const wcagLevels = {
         'wcag2a': ['wcag2a'],
@@ -142,23 +618,61 @@ program
 
       const requestBody = {
         urls,
+        sitemap,
         wcagLevel: wcagLevels[options.wcag] || [options.wcag],
         failOnViolations: options.failOnViolations,
         maxViolations: parseInt(options.maxViolations),
-        continueOnFailure: options.continueOnFailure
+        thresholds: await buildThresholds(options),
+        continueOnFailure: options.continueOnFailure,
+        devices: await buildDeviceProfiles(options),
+        variants: options.variant.length > 0 ? options.variant : undefined,
+        browsers: options.browser.length > 0 ? options.browser : undefined,
+        customRules: await buildCustomRules(options),
+        include: parseSelectors(options.includeSelector),
+        exclude: parseSelectors(options.excludeSelector),
+        audits: options.audit.length > 0 ? options.audit : undefined,
+        ...await readKnownIssues(options),
+        auth: await buildAuthConfig(options)
       };
 
       if (options.verbose) {
-        console.log('Request configuration:', JSON.stringify(requestBody, null, 2));
+        // Never echo credentials into CI logs
+        const loggedBody = { ...requestBody, auth: requestBody.auth ? '[redacted]' : undefined };
+        console.log('Request configuration:', JSON.stringify(loggedBody, null, 2));
       }
 
+      // The server streams progress while it tests the URLs, then sends the result
       const response = await fetch(`${options.server}/api/ci/test-urls`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
         body: JSON.stringify(requestBody)
       });
 
-      const result = await response.json();
+      let result;
+      if ((response.headers.get('content-type') || '').includes('text/event-stream')) {
+        const printProgress = batchProgressPrinter();
+        let failed = false;
+        await readServerEvents(response, (type, data) => {
+          if (type === 'result' || type === 'error') {
+            result = data;
+            failed = type === 'error';
+            return true;
+          }
+          printProgress(type, data);
+          return false;
+        });
+        if (!result) {
+          throw new Error('Server closed the connection before the test run finished');
+        }
+        if (failed) {
+          throw new Error(result.details || result.error);
+        }
+      } else {
+        result = await response.json();
+        if (response.status >= 400 && response.status !== 422) {
+          throw new Error(result.details || result.error || `Server responded with ${response.status}`);
+        }
+      }
 
       // Output results
       if (options.output) {
@@ -176,9 +690,27 @@ program
         console.log('\n❌ Failed URLs:');
         result.results.filter(r => !r.success).forEach((r, i) => {
           console.log(`  ${i + 1}. ${r.url} - ${r.violations || 0} violations`);
+          (r.thresholds ? r.thresholds.failures : []).forEach(failure => {
+            console.log(`     🚫 ${failure.message}`);
+          });
         });
       }
 
+      result.results.filter(r => r.engineSpecificViolations || r.profileSpecificViolations || r.variantSpecificViolations).forEach(r => {
+        printSpecificViolations(`🧭 Browser-specific violations on ${r.url}:`, r.engineSpecificViolations);
+        printSpecificViolations(`📱 Device-specific violations on ${r.url}:`, r.profileSpecificViolations);
+        printSpecificViolations(`🌓 Variant-specific violations on ${r.url}:`, r.variantSpecificViolations);
+      });
+
+      if (requestBody.baseline || requestBody.suppressions) {
+        printKnownIssues({
+          suppressed: result.results.reduce((sum, r) => sum + (r.suppressed || 0), 0),
+          baselined: result.results.reduce((sum, r) => sum + (r.baselined || 0), 0),
+          expiredSuppressions: (result.results.find(r => r.expiredSuppressions) || {}).expiredSuppressions
+        });
+      }
+      await writeBaseline(options, result);
+
       // Exit with error code if tests failed
       if (!result.success) {
         process.exit(1);
@@ -193,6 +725,372 @@ program
     }
   });
 
+program
+  .command('test-flow')
+  .description('Test a scripted multi-step user flow (JSON or YAML) for accessibility violations')
+  .requiredOption('-f, --flow <file>', 'Flow definition file (JSON or YAML)')
+  .option('-s, --server <server>', 'Accessibility checker server URL', 'http://localhost:3001')
+  .option('-w, --wcag <level>', 'WCAG compliance level', 'wcag2aa')
+  .option('-m, --max-violations <number>', 'Maximum allowed violations across all checkpoints', '0')
+  .option('--format <format>', 'Output format (json|junit|sarif)', 'json')
+  .option('-o, --output <file>', 'Output file path')
+  .option('--fail-on-violations', 'Fail on any violations', true)
+  .option('--max-critical <number>', 'Maximum allowed critical violations')
+  .option('--max-serious <number>', 'Maximum allowed serious violations')
+  .option('--max-moderate <number>', 'Maximum allowed moderate violations')
+  .option('--max-minor <number>', 'Maximum allowed minor violations')
+  .option('--max-rule <rule=number>', 'Maximum allowed violations of a rule, e.g. color-contrast=5 (repeatable)', collect, [])
+  .option('--max-tag <tag=number>', 'Maximum allowed violations with a WCAG tag, e.g. wcag2a=0 (repeatable)', collect, [])
+  .option('--count-by <unit>', 'Count violations by rule or by node (rule|node)')
+  .option('--policy <file>', 'JSON thresholds policy file ({ countBy, total, impact, rules, tags })')
+  .option('--screenshots', 'Include violation screenshots', false)
+  .option('--include-selector <selector>', 'Only scan elements matching this selector (repeatable, JSON for iframe/shadow DOM paths)', collect, [])
+  .option('--exclude-selector <selector>', 'Do not scan elements matching this selector (repeatable, JSON for iframe/shadow DOM paths)', collect, [])
+  .option('--enable-rule <id>', 'axe rule to run in addition to the WCAG level (repeatable)', collect, [])
+  .option('--disable-rule <id>', 'axe rule to skip (repeatable)', collect, [])
+  .option('--impact <rule=impact>', 'Override a rule\'s impact, e.g. color-contrast=serious (repeatable)', collect, [])
+  .option('--rules-config <file>', 'JSON customRules file ({ enable, disable, impactOverrides, configure })')
+  .option('--browser <name>', 'Browser engine to test in: chromium, firefox or webkit (repeatable)', collect, [])
+  .option('--baseline <file>', 'Baseline file; violations recorded in it are not counted')
+  .option('--suppressions <file>', 'JSON or YAML file of suppressed violations, each with a reason and expires date')
+  .option('--write-baseline <file>', 'Write a baseline of the current violations to this file')
+  .option('--cookie <name=value>', 'Cookie to send with every request (repeatable)', collect, [])
+  .option('--header <header>', 'Extra HTTP header, e.g. "Authorization: Bearer x" (repeatable)', collect, [])
+  .option('--storage-state <file>', 'Playwright storage state file with a logged-in session')
+  .option('--login-config <file>', 'JSON login recipe ({ url, fields, submit, waitFor })')
+  .option('--verbose', 'Verbose output', false)
+  .action(async (options) => {
+    try {
+      // The server parses the flow so JSON and YAML behave the same everywhere
+      const flow = await fs.readFile(options.flow, 'utf8');
+
+      console.log(`🔍 Testing user flow ${options.flow} for accessibility violations...`);
+
+      const wcagLevels = {
+        'wcag2a': ['wcag2a'],
+        'wcag2aa': ['wcag2a', 'wcag2aa'],
+        'wcag21aa': ['wcag2a', 'wcag2aa', 'wcag21aa'],
+        'wcag22aa': ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa'],
+        'section508': ['section508'],
+        'comprehensive': ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa', 'section508']
+      };
+
+      const requestBody = {
+        flow,
+        wcagLevel: wcagLevels[options.wcag] || [options.wcag],
+        failOnViolations: options.failOnViolations,
+        maxViolations: parseInt(options.maxViolations),
+        thresholds: await buildThresholds(options),
+        includeScreenshots: options.screenshots,
+        format: options.format,
+        browsers: options.browser.length > 0 ? options.browser : undefined,
+        customRules: await buildCustomRules(options),
+        include: parseSelectors(options.includeSelector),
+        exclude: parseSelectors(options.excludeSelector),
+        ...await readKnownIssues(options),
+        auth: await buildAuthConfig(options)
+      };
+
+      if (options.verbose) {
+        // Never echo credentials into CI logs
+        const loggedBody = { ...requestBody, auth: requestBody.auth ? '[redacted]' : undefined };
+        console.log('Request configuration:', JSON.stringify(loggedBody, null, 2));
+      }
+
+      const response = await fetch(`${options.server}/api/ci/test-flow`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody)
+      });
+
+      const contentType = response.headers.get('content-type');
+      let result;
+
+      if (contentType && contentType.includes('application/xml')) {
+        result = await response.text();
+      } else {
+        result = await response.json();
+      }
+
+      if (response.status >= 400 && response.status !== 422) {
+        throw new Error(result.details || result.error || `Server responded with ${response.status}`);
+      }
+
+      // Output results
+      if (options.output) {
+        if (options.format === 'junit') {
+          await fs.writeFile(options.output, result);
+        } else {
+          await fs.writeFile(options.output, JSON.stringify(result, null, 2));
+        }
+        console.log(`📄 Results saved to ${options.output}`);
+      } else {
+        if (options.format === 'json') {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          console.log(result);
+        }
+      }
+
+      // Print summary per checkpoint
+      if (result.success !== undefined) {
+        const status = result.success ? '✅ PASSED' : '❌ FAILED';
+        console.log(`\n${status} - ${result.summary.violations} violations across ${result.summary.checkpoints} checkpoints`);
+
+        result.checkpoints.forEach((checkpoint, i) => {
+          console.log(`  ${i + 1}. ${checkpoint.label}: ${checkpoint.summary.violations} violations, ${checkpoint.summary.passes} passes`);
+        });
+
+        printThresholdFailures(result.thresholds);
+        printSpecificViolations('🧭 Browser-specific violations:', result.engineSpecificViolations);
+        printKnownIssues(result.summary);
+        await writeBaseline(options, result);
+
+        // Exit with error code if tests failed
+        if (!result.success) {
+          process.exit(1);
+        }
+      }
+
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+program
+  .command('crawl')
+  .description('Crawl a site from a seed URL and test every discovered page')
+  .requiredOption('-u, --url <url>', 'Seed URL to start crawling from')
+  .option('-s, --server <server>', 'Accessibility checker server URL', 'http://localhost:3001')
+  .option('-w, --wcag <level>', 'WCAG compliance level', 'wcag2aa')
+  .option('-d, --max-depth <number>', 'Maximum link depth from the seed URL', '2')
+  .option('-p, --max-pages <number>', 'Maximum number of pages to test', '50')
+  .option('--include <glob>', 'Only crawl paths matching this glob (repeatable)', collect, [])
+  .option('--exclude <glob>', 'Skip paths matching this glob (repeatable)', collect, [])
+  .option('--ignore-robots', 'Do not respect robots.txt', false)
+  .option('-m, --max-violations <number>', 'Maximum allowed violations per URL', '0')
+  .option('-o, --output <file>', 'Output file path')
+  .option('--screenshots', 'Include violation screenshots', false)
+  .option('--poll-interval <ms>', 'Progress polling interval in milliseconds', '3000')
+  .option('--retries <number>', 'Retries for URLs that fail with network errors', '2')
+  .option('--device <name>', 'Playwright device to emulate, e.g. "iPhone 13" (repeatable)', collect, [])
+  .option('--viewport <size>', 'Custom viewport WIDTHxHEIGHT[@DPR], e.g. 1280x800@2 (repeatable)', collect, [])
+  .option('--devices-file <file>', 'JSON file with an array of device profiles')
+  .option('--variant <name>', 'Media variant to scan: default, light, dark, forced-colors, reduced-motion, or presets joined with + (repeatable)', collect, [])
+  .option('--include-selector <selector>', 'Only scan elements matching this selector (repeatable, JSON for iframe/shadow DOM paths)', collect, [])
+  .option('--exclude-selector <selector>', 'Do not scan elements matching this selector (repeatable, JSON for iframe/shadow DOM paths)', collect, [])
+  .option('--enable-rule <id>', 'axe rule to run in addition to the WCAG level (repeatable)', collect, [])
+  .option('--disable-rule <id>', 'axe rule to skip (repeatable)', collect, [])
+  .option('--impact <rule=impact>', 'Override a rule\'s impact, e.g. color-contrast=serious (repeatable)', collect, [])
+  .option('--rules-config <file>', 'JSON customRules file ({ enable, disable, impactOverrides, configure })')
+  .option('--audit <name>', 'Page audit to run after axe: pixel-contrast, keyboard, focus-indicator, reflow, text-spacing, touch-targets (repeatable)', collect, [])
+  .option('--browser <name>', 'Browser engine to test in: chromium, firefox or webkit (repeatable)', collect, [])
+  .option('--cookie <name=value>', 'Cookie to send with every request (repeatable)', collect, [])
+  .option('--header <header>', 'Extra HTTP header, e.g. "Authorization: Bearer x" (repeatable)', collect, [])
+  .option('--storage-state <file>', 'Playwright storage state file with a logged-in session')
+  .option('--login-config <file>', 'JSON login recipe ({ url, fields, submit, waitFor })')
+  .option('--verbose', 'Verbose output', false)
+  .action(async (options) => {
+    try {
+      console.log(`🕷️ Crawling ${options.url} (depth ${options.maxDepth}, up to ${options.maxPages} pages)...`);
+
+      const wcagLevels = {
+        'wcag2a': ['wcag2a'],
+        'wcag2aa': ['wcag2a', 'wcag2aa'],
+        'wcag21aa': ['wcag2a', 'wcag2aa', 'wcag21aa'],
+        'wcag22aa': ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa'],
+        'section508': ['section508'],
+        'comprehensive': ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa', 'section508']
+      };
+
+      const requestBody = {
+        url: options.url,
+        maxDepth: parseInt(options.maxDepth),
+        maxPages: parseInt(options.maxPages),
+        include: options.include,
+        exclude: options.exclude,
+        respectRobots: !options.ignoreRobots,
+        wcagLevel: wcagLevels[options.wcag] || [options.wcag],
+        includeScreenshots: options.screenshots,
+        devices: await buildDeviceProfiles(options),
+        variants: options.variant.length > 0 ? options.variant : undefined,
+        browsers: options.browser.length > 0 ? options.browser : undefined,
+        customRules: await buildCustomRules(options),
+        includeSelectors: parseSelectors(options.includeSelector),
+        excludeSelectors: parseSelectors(options.excludeSelector),
+        audits: options.audit.length > 0 ? options.audit : undefined,
+        retries: parseInt(options.retries),
+        auth: await buildAuthConfig(options)
+      };
+
+      if (options.verbose) {
+        // Never echo credentials into CI logs
+        const loggedBody = { ...requestBody, auth: requestBody.auth ? '[redacted]' : undefined };
+        console.log('Request configuration:', JSON.stringify(loggedBody, null, 2));
+      }
+
+      const response = await fetch(`${options.server}/api/crawl`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody)
+      });
+
+      const started = await response.json();
+      if (!response.ok) {
+        throw new Error(started.error || `Server responded with ${response.status}`);
+      }
+
+      const progress = await followBatch(options.server, started.batchId, parseInt(options.pollInterval), batchProgressPrinter());
+
+      const maxViolations = parseInt(options.maxViolations);
+      const failedResults = progress.results.filter(r => r.status === 'failed' || r.violations > maxViolations);
+      const success = progress.status === 'completed' && failedResults.length === 0;
+
+      const result = {
+        success,
+        batchId: progress.batchId,
+        seedUrl: options.url,
+        status: progress.status,
+        error: progress.error,
+        summary: {
+          totalUrls: progress.totalUrls,
+          passedUrls: progress.results.length - failedResults.length,
+          failedUrls: failedResults.length
+        },
+        results: progress.results
+      };
+
+      // Output results
+      if (options.output) {
+        await fs.writeFile(options.output, JSON.stringify(result, null, 2));
+        console.log(`📄 Results saved to ${options.output}`);
+      } else {
+        console.log(JSON.stringify(result, null, 2));
+      }
+
+      // Print summary
+      const status = success ? '✅ PASSED' : '❌ FAILED';
+      console.log(`\n${status} - ${result.summary.passedUrls}/${result.summary.totalUrls} URLs passed`);
+
+      if (failedResults.length > 0) {
+        console.log('\n❌ Failed URLs:');
+        failedResults.forEach((r, i) => {
+          console.log(`  ${i + 1}. ${r.url} - ${r.error || `${r.violations} violations`}`);
+        });
+      }
+
+      // Exit with error code if tests failed
+      if (!success) {
+        process.exit(1);
+      }
+
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+program
+  .command('batch <action> <batchId>')
+  .description('Control a running batch or crawl: watch its progress, pause, resume, cancel, or retry its failed URLs')
+  .option('-s, --server <server>', 'Accessibility checker server URL', 'http://localhost:3001')
+  .option('--poll-interval <ms>', 'Progress polling interval in milliseconds, if the server does not stream progress', '3000')
+  .action(async (action, batchId, options) => {
+    try {
+      if (action === 'watch') {
+        const progress = await followBatch(options.server, batchId, parseInt(options.pollInterval), batchProgressPrinter());
+        console.log(`\n${progress.status === 'completed' ? '✅' : '❌'} Batch ${progress.status} - ${progress.completedUrls - progress.failedUrls}/${progress.totalUrls} URLs tested successfully`);
+        return;
+      }
+      if (!['pause', 'resume', 'cancel', 'retry'].includes(action)) {
+        throw new Error(`Unknown action "${action}", expected watch, pause, resume, cancel or retry`);
+      }
+
+      const response = await fetch(`${options.server}/api/batch-test/${batchId}/${action}`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `Server responded with ${response.status}`);
+      }
+
+      if (action === 'retry') {
+        console.log(`🔁 ${result.message}, follow progress at ${options.server}${result.statusUrl}`);
+      } else {
+        console.log(`✅ Batch ${batchId} is now ${result.status}`);
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('compare <before> <after>')
+  .description('Compare two scans (test IDs or result JSON files) and list new, fixed and unchanged violations')
+  .option('-s, --server <server>', 'Accessibility checker server URL', 'http://localhost:3001')
+  .option('-f, --format <format>', 'Output format (json|html|markdown)', 'markdown')
+  .option('-o, --output <file>', 'Output file path')
+  .option('--fail-on-new', 'Exit with an error when there are new violations', false)
+  .action(async (before, after, options) => {
+    try {
+      // Result files are sent as content; anything else is treated as a stored test ID
+      const loadSide = async value => {
+        try {
+          return JSON.parse(await fs.readFile(value, 'utf8'));
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            return value;
+          }
+          throw new Error(`Could not read ${value}: ${error.message}`);
+        }
+      };
+
+      const requestBody = {
+        before: await loadSide(before),
+        after: await loadSide(after)
+      };
+
+      // Always fetch the JSON diff for the summary, then the requested format
+      const fetchDiff = format => fetch(`${options.server}/api/compare`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...requestBody, format })
+      });
+
+      const response = await fetchDiff('json');
+      const diff = await response.json();
+      if (!response.ok) {
+        throw new Error(diff.error || `Server responded with ${response.status}`);
+      }
+
+      const output = options.format === 'json'
+        ? JSON.stringify(diff, null, 2)
+        : await (await fetchDiff(options.format)).text();
+
+      if (options.output) {
+        await fs.writeFile(options.output, output);
+        console.log(`📄 Diff saved to ${options.output}`);
+      } else {
+        console.log(output);
+      }
+
+      console.log(`\n🔴 ${diff.summary.new} new, ✅ ${diff.summary.fixed} fixed, ➖ ${diff.summary.unchanged} unchanged`);
+
+      if (options.failOnNew && diff.summary.new > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('start-server')
   .description('Start the accessibility checker server')
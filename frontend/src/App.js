@@ -14,6 +14,7 @@ import CssBaseline from '@mui/material/CssBaseline';
 import WebsiteTester from './components/WebsiteTester';
 import TestResults from './components/TestResults';
 import BatchTester from './components/BatchTester';
+import Schedules from './components/Schedules';
 
 const theme = createTheme({
   palette: {
@@ -73,6 +74,7 @@ function App() {
             <Tab label="Test Website" />
             <Tab label="Batch Test" />
             <Tab label="Test Results" />
+            <Tab label="Schedules" />
           </Tabs>
           
           <TabPanel value={tabValue} index={0}>
@@ -86,6 +88,10 @@ function App() {
           <TabPanel value={tabValue} index={2}>
             <TestResults results={testResults} onRefresh={refreshResults} />
           </TabPanel>
+
+          <TabPanel value={tabValue} index={3}>
+            <Schedules />
+          </TabPanel>
         </Paper>
       </Container>
     </ThemeProvider>
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Box, Typography, FormGroup, FormControlLabel, Checkbox } from '@mui/material';
+
+// Page audits the backend can run after axe (see backend/utils/pageAudits.js)
+export const auditOptions = [
+  {
+    value: 'pixel-contrast',
+    label: 'Pixel contrast',
+    description: 'Measure text over images and gradients that axe leaves incomplete from screenshots, with and without the text'
+  },
+  {
+    value: 'keyboard',
+    label: 'Keyboard navigation',
+    description: 'Tab through the page: focus order, focus traps, unreachable clickable elements and skip link'
+  },
+  {
+    value: 'focus-indicator',
+    label: 'Focus indicators',
+    description: 'Compare every focusable element focused and unfocused: missing, faint or hidden focus indicators'
+  },
+  {
+    value: 'reflow',
+    label: 'Reflow (320 px / 400% zoom)',
+    description: 'Reload the page at 320 CSS px wide and at 400% zoom: horizontal scrolling, clipped and overlapping text'
+  },
+  {
+    value: 'text-spacing',
+    label: 'Text spacing',
+    description: 'Apply the WCAG 1.4.12 spacing overrides: text that gets clipped or overlaps, with before/after images'
+  },
+  {
+    value: 'touch-targets',
+    label: 'Touch target size',
+    description: 'Measure interactive elements on each viewport against 24 px (AA, with spacing) and 44 px (AAA)'
+  }
+];
+
+function AuditSettings({ value, onChange, disabled }) {
+  const toggle = (audit) => (e) => onChange(
+    e.target.checked ? [...value, audit] : value.filter(name => name !== audit)
+  );
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" gutterBottom>
+        Additional audits
+      </Typography>
+      <FormGroup>
+        {auditOptions.map((option) => (
+          <FormControlLabel
+            key={option.value}
+            control={
+              <Checkbox
+                checked={value.includes(option.value)}
+                onChange={toggle(option.value)}
+                disabled={disabled}
+              />
+            }
+            label={
+              <Box>
+                <Typography variant="body2">{option.label}</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {option.description}
+                </Typography>
+              </Box>
+            }
+          />
+        ))}
+      </FormGroup>
+    </Box>
+  );
+}
+
+export default AuditSettings;
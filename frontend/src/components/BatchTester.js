@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Box,
   TextField,
@@ -15,13 +15,25 @@ import {
   InputLabel,
   Select,
   MenuItem,
-  FormHelperText
+  FormHelperText,
+  LinearProgress
 } from '@mui/material';
 import { 
   Send as SendIcon, 
   Delete as DeleteIcon,
-  Add as AddIcon 
+  Add as AddIcon,
+  Pause as PauseIcon,
+  PlayArrow as ResumeIcon,
+  Stop as CancelIcon,
+  Replay as RetryIcon
 } from '@mui/icons-material';
+import RuleSettings, { emptyRuleSettings, buildCustomRules } from './RuleSettings';
+import ScopeSettings, { emptyScopeSettings, parseSelectorLines } from './ScopeSettings';
+import AuditSettings from './AuditSettings';
+import MediaVariantSettings, { buildVariants } from './MediaVariantSettings';
+
+// Batch statuses after which the background worker has stopped
+const FINISHED_STATUSES = ['completed', 'failed', 'interrupted', 'cancelled'];
 
 function BatchTester({ onTestComplete }) {
   const [urls, setUrls] = useState(['']);
@@ -29,6 +41,46 @@ function BatchTester({ onTestComplete }) {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [wcagLevel, setWcagLevel] = useState('comprehensive');
+  const [ruleSettings, setRuleSettings] = useState(emptyRuleSettings);
+  const [scopeSettings, setScopeSettings] = useState(emptyScopeSettings);
+  const [audits, setAudits] = useState([]);
+  const [variants, setVariants] = useState([]);
+  const [batchId, setBatchId] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [controlling, setControlling] = useState(false);
+  const [activeUrls, setActiveUrls] = useState([]);
+
+  const batchFinished = batch && FINISHED_STATUSES.includes(batch.status);
+
+  // Follow the batch's progress stream until it finishes, then refresh the results list
+  useEffect(() => {
+    if (!batchId || batchFinished) {
+      return undefined;
+    }
+
+    const events = new EventSource(`/api/batch-status/${batchId}/events`);
+    const on = (type, handler) => events.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+    const finishUrl = (url) => setActiveUrls(current => current.filter(active => active !== url));
+    const addResult = (result) => {
+      finishUrl(result.url);
+      setBatch(current => current && { ...current, results: [...current.results, result] });
+    };
+
+    on('snapshot', (progress) => setBatch(progress));
+    on('progress', (progress) => setBatch(current => current && { ...current, ...progress }));
+    on('url-start', ({ url }) => setActiveUrls(current => [...current.filter(active => active !== url), url]));
+    on('url-complete', addResult);
+    on('url-failed', addResult);
+    on('url-skipped', ({ url }) => finishUrl(url));
+    on('done', (progress) => {
+      events.close();
+      setActiveUrls([]);
+      setBatch(progress);
+      onTestComplete();
+    });
+
+    return () => events.close();
+  }, [batchId, batchFinished, onTestComplete]);
 
   const wcagOptions = [
     {
@@ -121,6 +173,7 @@ function BatchTester({ onTestComplete }) {
 
     try {
       const selectedOption = wcagOptions.find(option => option.value === wcagLevel);
+      const customRules = buildCustomRules(ruleSettings);
       const response = await fetch('/api/batch-test', {
         method: 'POST',
         headers: {
@@ -128,21 +181,24 @@ function BatchTester({ onTestComplete }) {
         },
         body: JSON.stringify({ 
           urls: validUrls,
-          wcagLevel: selectedOption.tags
+          wcagLevel: selectedOption.tags,
+          customRules,
+          include: parseSelectorLines(scopeSettings.include),
+          exclude: parseSelectorLines(scopeSettings.exclude),
+          audits: audits.length > 0 ? audits : undefined,
+          variants: buildVariants(variants)
         }),
       });
 
       if (!response.ok) {
-        throw new Error('Failed to start batch test');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to start batch test');
       }
 
       const data = await response.json();
       setSuccess(`Batch test started with ID: ${data.batchId}. Results will appear in the Test Results tab.`);
-      
-      // Refresh results after a delay to allow tests to complete
-      setTimeout(() => {
-        onTestComplete();
-      }, 5000);
+      setBatch(null);
+      setBatchId(data.batchId);
       
     } catch (err) {
       setError(err.message);
@@ -151,6 +207,32 @@ function BatchTester({ onTestComplete }) {
     }
   };
 
+  const controlBatch = async (action) => {
+    setControlling(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/batch-test/${batchId}/${action}`, { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to ${action} batch`);
+      }
+
+      if (action === 'retry') {
+        setSuccess(data.message);
+        setBatch(null);
+      } else {
+        setBatch(current => current && { ...current, status: data.status });
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setControlling(false);
+    }
+  };
+
+  const batchResult = (url) => batch && batch.results.find(result => result.url === url);
+
   return (
     <Box>
       <Typography variant="h5" gutterBottom>
@@ -188,6 +270,14 @@ function BatchTester({ onTestComplete }) {
           </FormHelperText>
         </FormControl>
 
+        <ScopeSettings value={scopeSettings} onChange={setScopeSettings} disabled={testing} />
+
+        <RuleSettings value={ruleSettings} onChange={setRuleSettings} disabled={testing} />
+
+        <AuditSettings value={audits} onChange={setAudits} disabled={testing} />
+
+        <MediaVariantSettings value={variants} onChange={setVariants} disabled={testing} />
+
         {urls.map((url, index) => (
           <Box key={index} sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
             <TextField
@@ -244,17 +334,86 @@ function BatchTester({ onTestComplete }) {
         </Alert>
       )}
 
+      {batch && (
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="body2" gutterBottom>
+            {batch.status} ({batch.completedUrls}/{batch.totalUrls} URLs, {batch.failedUrls} failed)
+          </Typography>
+          <LinearProgress
+            variant="determinate"
+            value={batch.totalUrls ? (batch.completedUrls / batch.totalUrls) * 100 : 0}
+            sx={{ mb: 2 }}
+          />
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            {!batchFinished && batch.status !== 'paused' && (
+              <Button
+                variant="outlined"
+                startIcon={<PauseIcon />}
+                onClick={() => controlBatch('pause')}
+                disabled={controlling || batch.status === 'cancelling'}
+              >
+                Pause
+              </Button>
+            )}
+            {batch.status === 'paused' && (
+              <Button
+                variant="outlined"
+                startIcon={<ResumeIcon />}
+                onClick={() => controlBatch('resume')}
+                disabled={controlling}
+              >
+                Resume
+              </Button>
+            )}
+            {!batchFinished && (
+              <Button
+                variant="outlined"
+                color="error"
+                startIcon={<CancelIcon />}
+                onClick={() => controlBatch('cancel')}
+                disabled={controlling || batch.status === 'cancelling'}
+              >
+                Cancel
+              </Button>
+            )}
+            {batchFinished && batch.failedUrls > 0 && (
+              <Button
+                variant="outlined"
+                startIcon={<RetryIcon />}
+                onClick={() => controlBatch('retry')}
+                disabled={controlling}
+              >
+                Retry Failed URLs
+              </Button>
+            )}
+          </Box>
+        </Box>
+      )}
+
       <Box>
         <Typography variant="h6" gutterBottom>
           URLs to Test ({urls.filter(url => url.trim()).length})
         </Typography>
         <List dense>
-          {urls.filter(url => url.trim()).map((url, index) => (
-            <ListItem key={index}>
-              <ListItemText primary={url} />
-              <Chip label="Pending" size="small" />
-            </ListItem>
-          ))}
+          {urls.filter(url => url.trim()).map((url, index) => {
+            const result = batchResult(url);
+            return (
+              <ListItem key={index}>
+                <ListItemText primary={url} secondary={result && result.error} />
+                {result ? (
+                  <Chip
+                    label={result.status === 'failed' ? 'Failed' : `${result.violations} violations`}
+                    color={result.status === 'failed' ? 'error' : 'success'}
+                    size="small"
+                  />
+                ) : activeUrls.includes(url) ? (
+                  <Chip label="Testing..." color="primary" size="small" />
+                ) : (
+                  <Chip label={batchFinished && batch.status === 'cancelled' ? 'Skipped' : 'Pending'} size="small" />
+                )}
+              </ListItem>
+            );
+          })}
         </List>
       </Box>
     </Box>
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Box, Typography, FormGroup, FormControlLabel, Checkbox } from '@mui/material';
+
+// Media variant presets the backend emulates (see backend/utils/mediaVariants.js)
+export const variantOptions = [
+  {
+    value: 'dark',
+    label: 'Dark mode',
+    description: 'prefers-color-scheme: dark'
+  },
+  {
+    value: 'forced-colors',
+    label: 'Forced colors',
+    description: 'forced-colors: active, as in Windows High Contrast'
+  },
+  {
+    value: 'reduced-motion',
+    label: 'Reduced motion',
+    description: 'prefers-reduced-motion: reduce'
+  }
+];
+
+/**
+ * The `variants` request field: the default rendering plus the selected
+ * variants, so violations can be compared across them
+ */
+export function buildVariants(selected) {
+  return selected.length > 0 ? ['default', ...selected] : undefined;
+}
+
+function MediaVariantSettings({ value, onChange, disabled }) {
+  const toggle = (variant) => (e) => onChange(
+    e.target.checked ? [...value, variant] : value.filter(name => name !== variant)
+  );
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" gutterBottom>
+        Media variants
+      </Typography>
+      <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 1 }}>
+        Each selected variant is scanned separately alongside the default rendering.
+      </Typography>
+      <FormGroup>
+        {variantOptions.map((option) => (
+          <FormControlLabel
+            key={option.value}
+            control={
+              <Checkbox
+                checked={value.includes(option.value)}
+                onChange={toggle(option.value)}
+                disabled={disabled}
+              />
+            }
+            label={
+              <Box>
+                <Typography variant="body2">{option.label}</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {option.description}
+                </Typography>
+              </Box>
+            }
+          />
+        ))}
+      </FormGroup>
+    </Box>
+  );
+}
+
+export default MediaVariantSettings;
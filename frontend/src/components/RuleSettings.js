@@ -0,0 +1,114 @@
+import React from 'react';
+import {
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  TextField,
+  Typography
+} from '@mui/material';
+import { ExpandMore as ExpandMoreIcon } from '@mui/icons-material';
+
+export const emptyRuleSettings = {
+  enable: '',
+  disable: '',
+  impactOverrides: '',
+  configure: ''
+};
+
+const splitList = (value) => value.split(/[\s,]+/).map(item => item.trim()).filter(Boolean);
+
+// Turn the form fields into the API's customRules object (undefined when empty)
+export function buildCustomRules(settings) {
+  const customRules = {};
+
+  const enable = splitList(settings.enable);
+  const disable = splitList(settings.disable);
+  if (enable.length > 0) customRules.enable = enable;
+  if (disable.length > 0) customRules.disable = disable;
+
+  const overrides = settings.impactOverrides.split('\n').map(line => line.trim()).filter(Boolean);
+  if (overrides.length > 0) {
+    customRules.impactOverrides = {};
+    overrides.forEach(line => {
+      const [ruleId, impact] = line.split('=').map(part => part.trim());
+      if (!ruleId || !impact) {
+        throw new Error(`Invalid impact override "${line}", expected rule-id=impact`);
+      }
+      customRules.impactOverrides[ruleId] = impact;
+    });
+  }
+
+  if (settings.configure.trim()) {
+    try {
+      customRules.configure = JSON.parse(settings.configure);
+    } catch (err) {
+      throw new Error(`axe configure options are not valid JSON: ${err.message}`);
+    }
+  }
+
+  return Object.keys(customRules).length > 0 ? customRules : undefined;
+}
+
+function RuleSettings({ value, onChange, disabled }) {
+  const update = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <Accordion sx={{ mb: 2 }} disableGutters>
+      <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+        <Typography variant="body2" fontWeight="medium">Rule configuration (optional)</Typography>
+      </AccordionSummary>
+      <AccordionDetails>
+        <TextField
+          fullWidth
+          size="small"
+          label="Enable rules"
+          placeholder="region, landmark-one-main"
+          helperText="Rule IDs to run in addition to the selected WCAG level"
+          value={value.enable}
+          onChange={update('enable')}
+          disabled={disabled}
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          size="small"
+          label="Disable rules"
+          placeholder="color-contrast"
+          helperText="Rule IDs to skip"
+          value={value.disable}
+          onChange={update('disable')}
+          disabled={disabled}
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          size="small"
+          multiline
+          minRows={2}
+          label="Impact overrides"
+          placeholder={'color-contrast=serious\nregion=minor'}
+          helperText="One rule-id=impact per line (minor, moderate, serious, critical)"
+          value={value.impactOverrides}
+          onChange={update('impactOverrides')}
+          disabled={disabled}
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          size="small"
+          multiline
+          minRows={3}
+          label="axe configure options (JSON)"
+          placeholder={'{ "branding": { "brand": "Acme" }, "checks": [], "rules": [] }'}
+          helperText="Custom checks and rules, branding or locale passed to axe.configure()"
+          value={value.configure}
+          onChange={update('configure')}
+          disabled={disabled}
+          InputProps={{ sx: { fontFamily: 'monospace' } }}
+        />
+      </AccordionDetails>
+    </Accordion>
+  );
+}
+
+export default RuleSettings;
@@ -0,0 +1,424 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  IconButton,
+  Tooltip,
+  Collapse,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  PlayArrow as RunIcon,
+  Pause as PauseIcon,
+  PlayCircleOutline as ResumeIcon,
+  History as HistoryIcon,
+  Delete as DeleteIcon,
+  Add as AddIcon
+} from '@mui/icons-material';
+
+const wcagOptions = [
+  { value: 'wcag2aa', label: 'WCAG 2.0 Level AA', tags: ['wcag2a', 'wcag2aa'] },
+  { value: 'wcag21aa', label: 'WCAG 2.1 Level AA', tags: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+  { value: 'wcag22aa', label: 'WCAG 2.2 Level AA', tags: ['wcag2a', 'wcag2aa', 'wcag21aa', 'wcag22aa'] },
+  { value: 'section508', label: 'US Section 508', tags: ['section508'] }
+];
+
+const emptyForm = {
+  name: '',
+  cron: '0 3 * * *',
+  source: 'urls',
+  urls: '',
+  crawlUrl: '',
+  maxPages: '50',
+  wcagLevel: 'wcag22aa',
+  maxCritical: '0',
+  maxSerious: '0'
+};
+
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '—');
+
+// Blank limits are left out; with none set, runs are not checked against thresholds
+function buildThresholds(form) {
+  const impact = {};
+  [['critical', form.maxCritical], ['serious', form.maxSerious]].forEach(([level, value]) => {
+    if (String(value).trim() !== '') {
+      impact[level] = parseInt(value) || 0;
+    }
+  });
+  return Object.keys(impact).length > 0 ? { impact } : undefined;
+}
+
+function thresholdsLabel(thresholds) {
+  if (!thresholds) {
+    return 'None';
+  }
+  // Impact limits may also sit at the top level, e.g. { critical: 0 }
+  const { countBy, total, impact, rules, tags, ...topLevelImpact } = thresholds;
+  const limits = Object.entries({ ...topLevelImpact, ...impact, ...rules, ...tags })
+    .map(([key, limit]) => `${key} ≤ ${limit}`);
+  if (total !== undefined) {
+    limits.unshift(`total ≤ ${total}`);
+  }
+  return limits.length > 0 ? limits.join(', ') : 'None';
+}
+
+function runChip(run) {
+  if (!run) {
+    return <Chip label="Never run" size="small" />;
+  }
+  if (run.status === 'running') {
+    return <Chip label="Running" color="primary" size="small" />;
+  }
+  if (run.passed) {
+    return <Chip label="Passed" color="success" size="small" />;
+  }
+  return <Chip label={run.status === 'completed' ? 'Failed thresholds' : run.status} color="error" size="small" />;
+}
+
+function pagesLabel(schedule) {
+  if (schedule.crawl) {
+    return `Crawl ${schedule.crawl.url} (up to ${schedule.crawl.maxPages} pages)`;
+  }
+  if (schedule.sitemap) {
+    return `Sitemap ${schedule.sitemap.url || '(inline)'}`;
+  }
+  return `${schedule.urls.length} URL${schedule.urls.length !== 1 ? 's' : ''}`;
+}
+
+function Schedules() {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [runs, setRuns] = useState([]);
+
+  const loadSchedules = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch('/api/schedules');
+      if (!response.ok) {
+        throw new Error('Failed to load schedules');
+      }
+      setSchedules(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSchedules();
+  }, []);
+
+  const request = async (url, options, failure) => {
+    const response = await fetch(url, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || failure);
+    }
+    return data;
+  };
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const selectedOption = wcagOptions.find(option => option.value === form.wcagLevel);
+      const pages = form.source === 'crawl'
+        ? { crawl: { url: form.crawlUrl.trim(), maxPages: parseInt(form.maxPages) || 50 } }
+        : { urls: form.urls.split('\n').map(url => url.trim()).filter(Boolean) };
+
+      await request('/api/schedules', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: form.name,
+          cron: form.cron,
+          ...pages,
+          wcagLevel: selectedOption.tags,
+          thresholds: buildThresholds(form)
+        })
+      }, 'Failed to create schedule');
+
+      setForm(emptyForm);
+      await loadSchedules();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loadRuns = async (scheduleId) => {
+    const data = await request(`/api/schedules/${scheduleId}/runs?limit=20`, {}, 'Failed to load run history');
+    setRuns(data);
+  };
+
+  const toggleHistory = async (scheduleId) => {
+    if (expanded === scheduleId) {
+      setExpanded(null);
+      return;
+    }
+    setError('');
+    try {
+      await loadRuns(scheduleId);
+      setExpanded(scheduleId);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runAction = (action) => async (schedule) => {
+    setError('');
+    try {
+      await action(schedule);
+      await loadSchedules();
+      if (expanded === schedule.id) {
+        await loadRuns(schedule.id);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runNow = runAction((schedule) => request(`/api/schedules/${schedule.id}/run`, { method: 'POST' }, 'Failed to start scan'));
+  const toggleActive = runAction((schedule) => request(`/api/schedules/${schedule.id}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ active: !schedule.active })
+  }, 'Failed to update schedule'));
+  const remove = runAction((schedule) => request(`/api/schedules/${schedule.id}`, { method: 'DELETE' }, 'Failed to delete schedule'));
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h5">
+          Scheduled Scans
+        </Typography>
+        <Button
+          variant="outlined"
+          startIcon={loading ? <CircularProgress size={20} /> : <RefreshIcon />}
+          onClick={loadSchedules}
+          disabled={loading}
+        >
+          Refresh
+        </Button>
+      </Box>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Scans run on the server on a cron schedule (server time) and are tested like batch tests.
+        A run fails when a page has more critical or serious violations than allowed.
+      </Typography>
+
+      <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          New Schedule
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2, mb: 2, flexDirection: { xs: 'column', md: 'row' } }}>
+          <TextField fullWidth size="small" label="Name" value={form.name} onChange={update('name')} disabled={saving} />
+          <TextField
+            fullWidth
+            size="small"
+            label="Cron expression"
+            helperText="minute hour day month weekday, e.g. 0 3 * * 1 or @daily"
+            value={form.cron}
+            onChange={update('cron')}
+            disabled={saving}
+          />
+          <FormControl fullWidth size="small">
+            <InputLabel id="schedule-wcag-level-label">WCAG Compliance Level</InputLabel>
+            <Select
+              labelId="schedule-wcag-level-label"
+              value={form.wcagLevel}
+              label="WCAG Compliance Level"
+              onChange={update('wcagLevel')}
+              disabled={saving}
+            >
+              {wcagOptions.map((option) => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={form.source}
+          onChange={(e, source) => source && setForm({ ...form, source })}
+          sx={{ mb: 2 }}
+        >
+          <ToggleButton value="urls">URL list</ToggleButton>
+          <ToggleButton value="crawl">Crawl a site</ToggleButton>
+        </ToggleButtonGroup>
+
+        {form.source === 'urls' ? (
+          <TextField
+            fullWidth
+            size="small"
+            multiline
+            minRows={3}
+            label="URLs"
+            placeholder={'https://example.com\nhttps://example.com/contact'}
+            helperText="One URL per line"
+            value={form.urls}
+            onChange={update('urls')}
+            disabled={saving}
+            sx={{ mb: 2 }}
+          />
+        ) : (
+          <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+            <TextField fullWidth size="small" label="Seed URL" placeholder="https://example.com" value={form.crawlUrl} onChange={update('crawlUrl')} disabled={saving} />
+            <TextField size="small" type="number" label="Max pages" value={form.maxPages} onChange={update('maxPages')} disabled={saving} />
+          </Box>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+          <TextField size="small" type="number" label="Max critical" value={form.maxCritical} onChange={update('maxCritical')} disabled={saving} helperText="Blank for no limit" />
+          <TextField size="small" type="number" label="Max serious" value={form.maxSerious} onChange={update('maxSerious')} disabled={saving} helperText="Blank for no limit" />
+          <Button
+            variant="contained"
+            startIcon={saving ? <CircularProgress size={20} /> : <AddIcon />}
+            onClick={handleCreate}
+            disabled={saving || !form.name.trim()}
+          >
+            Create Schedule
+          </Button>
+        </Box>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {schedules.length === 0 ? (
+        <Alert severity="info">
+          No scheduled scans yet.
+        </Alert>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Schedule</TableCell>
+                <TableCell>Pages</TableCell>
+                <TableCell>Thresholds</TableCell>
+                <TableCell>Last Run</TableCell>
+                <TableCell>Next Run</TableCell>
+                <TableCell align="center">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {schedules.map((schedule) => (
+                <React.Fragment key={schedule.id}>
+                  <TableRow hover>
+                    <TableCell>{schedule.name}</TableCell>
+                    <TableCell><code>{schedule.cron}</code></TableCell>
+                    <TableCell>{pagesLabel(schedule)}</TableCell>
+                    <TableCell>{thresholdsLabel(schedule.thresholds)}</TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5, alignItems: 'flex-start' }}>
+                        {runChip(schedule.lastRun)}
+                        <Typography variant="caption">{formatDate(schedule.lastRunAt)}</Typography>
+                      </Box>
+                    </TableCell>
+                    <TableCell>{schedule.active ? formatDate(schedule.nextRunAt) : <Chip label="Paused" size="small" />}</TableCell>
+                    <TableCell align="center">
+                      <Tooltip title="Run now">
+                        <IconButton onClick={() => runNow(schedule)}><RunIcon /></IconButton>
+                      </Tooltip>
+                      <Tooltip title={schedule.active ? 'Pause schedule' : 'Resume schedule'}>
+                        <IconButton onClick={() => toggleActive(schedule)}>
+                          {schedule.active ? <PauseIcon /> : <ResumeIcon />}
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Run history">
+                        <IconButton onClick={() => toggleHistory(schedule.id)}><HistoryIcon /></IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete schedule">
+                        <IconButton color="error" onClick={() => remove(schedule)}><DeleteIcon /></IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                  <TableRow>
+                    <TableCell colSpan={7} sx={{ py: 0, borderBottom: expanded === schedule.id ? undefined : 'none' }}>
+                      <Collapse in={expanded === schedule.id} unmountOnExit>
+                        <Box sx={{ py: 2 }}>
+                          {runs.length === 0 ? (
+                            <Typography variant="body2" color="text.secondary">No runs yet.</Typography>
+                          ) : (
+                            <Table size="small">
+                              <TableHead>
+                                <TableRow>
+                                  <TableCell>Started</TableCell>
+                                  <TableCell>Trigger</TableCell>
+                                  <TableCell>Result</TableCell>
+                                  <TableCell align="center">Pages Tested</TableCell>
+                                  <TableCell align="center">Violations</TableCell>
+                                  <TableCell>Over Thresholds</TableCell>
+                                </TableRow>
+                              </TableHead>
+                              <TableBody>
+                                {runs.map((run) => (
+                                  <TableRow key={run.id}>
+                                    <TableCell>{formatDate(run.startedAt)}</TableCell>
+                                    <TableCell>{run.trigger}</TableCell>
+                                    <TableCell>{runChip(run)}{run.error ? ` ${run.error}` : ''}</TableCell>
+                                    <TableCell align="center">
+                                      {run.summary ? `${run.summary.testedUrls}/${run.summary.totalUrls}` : '—'}
+                                    </TableCell>
+                                    <TableCell align="center">{run.summary ? run.summary.violations : '—'}</TableCell>
+                                    <TableCell>
+                                      {(run.breaches || []).map((breach) => (
+                                        <Typography key={breach.url} variant="caption" display="block">
+                                          {breach.url}: {breach.failures.map(failure => failure.message).join('; ')}
+                                        </Typography>
+                                      ))}
+                                    </TableCell>
+                                  </TableRow>
+                                ))}
+                              </TableBody>
+                            </Table>
+                          )}
+                        </Box>
+                      </Collapse>
+                    </TableCell>
+                  </TableRow>
+                </React.Fragment>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+}
+
+export default Schedules;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { Box, TextField } from '@mui/material';
+
+export const emptyScopeSettings = {
+  include: '',
+  exclude: ''
+};
+
+// One selector per line; lines starting with [ or { are iframe/shadow DOM paths in JSON
+export function parseSelectorLines(value) {
+  return value.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    if (!line.startsWith('[') && !line.startsWith('{')) {
+      return line;
+    }
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Selector path ${line} is not valid JSON`);
+    }
+  });
+}
+
+function ScopeSettings({ value, onChange, disabled }) {
+  const update = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <Box sx={{ display: 'flex', gap: 2, mb: 2, flexDirection: { xs: 'column', md: 'row' } }}>
+      <TextField
+        fullWidth
+        size="small"
+        multiline
+        minRows={2}
+        label="Only scan these regions"
+        placeholder={'main\n#content'}
+        helperText='One CSS selector per line; use ["iframe#app", "main"] or {"fromShadowDom": ["x-app", "main"]} for iframes and shadow DOM'
+        value={value.include}
+        onChange={update('include')}
+        disabled={disabled}
+      />
+      <TextField
+        fullWidth
+        size="small"
+        multiline
+        minRows={2}
+        label="Exclude regions"
+        placeholder={'#chat-widget\n.ad-slot'}
+        helperText="Violations inside these elements are ignored"
+        value={value.exclude}
+        onChange={update('exclude')}
+        disabled={disabled}
+      />
+    </Box>
+  );
+}
+
+export default ScopeSettings;
@@ -19,6 +19,10 @@ import {
   Switch
 } from '@mui/material';
 import { Send as SendIcon, OpenInNew as OpenIcon } from '@mui/icons-material';
+import RuleSettings, { emptyRuleSettings, buildCustomRules } from './RuleSettings';
+import ScopeSettings, { emptyScopeSettings, parseSelectorLines } from './ScopeSettings';
+import AuditSettings from './AuditSettings';
+import MediaVariantSettings, { buildVariants } from './MediaVariantSettings';
 
 function WebsiteTester({ onTestComplete }) {
   const [url, setUrl] = useState('');
@@ -27,6 +31,10 @@ function WebsiteTester({ onTestComplete }) {
   const [error, setError] = useState('');
   const [wcagLevel, setWcagLevel] = useState('comprehensive');
   const [includeScreenshots, setIncludeScreenshots] = useState(true);
+  const [ruleSettings, setRuleSettings] = useState(emptyRuleSettings);
+  const [scopeSettings, setScopeSettings] = useState(emptyScopeSettings);
+  const [audits, setAudits] = useState([]);
+  const [variants, setVariants] = useState([]);
 
   const wcagOptions = [
     {
@@ -103,6 +111,7 @@ function WebsiteTester({ onTestComplete }) {
 
     try {
       const selectedOption = wcagOptions.find(option => option.value === wcagLevel);
+      const customRules = buildCustomRules(ruleSettings);
       const response = await fetch('/api/test-website', {
         method: 'POST',
         headers: {
@@ -111,12 +120,18 @@ function WebsiteTester({ onTestComplete }) {
         body: JSON.stringify({ 
           url: url.trim(),
           wcagLevel: selectedOption.tags,
-          includeScreenshots
+          includeScreenshots,
+          customRules,
+          include: parseSelectorLines(scopeSettings.include),
+          exclude: parseSelectorLines(scopeSettings.exclude),
+          audits: audits.length > 0 ? audits : undefined,
+          variants: buildVariants(variants)
         }),
       });
 
       if (!response.ok) {
-        throw new Error('Failed to test website');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to test website');
       }
 
       const data = await response.json();
@@ -193,6 +208,14 @@ function WebsiteTester({ onTestComplete }) {
           label="Capture violation screenshots"
           sx={{ mb: 2 }}
         />
+
+        <ScopeSettings value={scopeSettings} onChange={setScopeSettings} disabled={testing} />
+
+        <RuleSettings value={ruleSettings} onChange={setRuleSettings} disabled={testing} />
+
+        <AuditSettings value={audits} onChange={setAudits} disabled={testing} />
+
+        <MediaVariantSettings value={variants} onChange={setVariants} disabled={testing} />
         
         <Button
           variant="contained"